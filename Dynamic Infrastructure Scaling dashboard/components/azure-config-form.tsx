@@ -7,10 +7,12 @@ import { Label } from "@/components/ui/label"
 import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from "@/components/ui/card"
 import { useToast } from "@/hooks/use-toast"
 import { useForm } from "@/lib/hooks/use-form"
+import { useConfig } from "@/lib/hooks/use-data"
 import { azureConfigSchema, type AzureConfigFormData } from "@/lib/validation"
 import { updateAzureConfig } from "@/lib/api"
 import { Alert, AlertDescription } from "@/components/ui/alert"
 import { CheckCircle2 } from "lucide-react"
+import { useEffect } from "react"
 
 export function AzureConfigForm() {
   const { toast } = useToast()
@@ -42,12 +44,22 @@ export function AzureConfigForm() {
     isSuccess,
     handleChange,
     handleSubmit: onSubmit,
+    setValues,
   } = useForm({
     initialValues,
     schema: azureConfigSchema,
     onSubmit: handleSubmit,
   })
 
+  // Load the stored configuration, the client secret comes back masked
+  const { config } = useConfig<AzureConfigFormData>("azure")
+
+  useEffect(() => {
+    if (config) {
+      setValues(config)
+    }
+  }, [config, setValues])
+
   return (
     <Card>
       <CardHeader>
@@ -7,7 +7,7 @@ import { Badge } from "@/components/ui/badge"
 import { Check, X, RefreshCw, Server, Activity, AlertTriangle } from "lucide-react"
 import { useToast } from "@/hooks/use-toast"
 import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert"
-import { forceScalingCheck } from "@/lib/api"
+import { forceScalingCheck, USE_MOCK_API } from "@/lib/api"
 
 // API base URL from env
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || "http://localhost:3001/api"
@@ -23,7 +23,7 @@ interface EndpointStatus {
 export function BackendStatus() {
   const { toast } = useToast()
   const [isLoading, setIsLoading] = useState(false)
-  const [mockMode, setMockMode] = useState(process.env.NODE_ENV === "development")
+  const [mockMode, setMockMode] = useState(USE_MOCK_API)
   const [endpointsStatus, setEndpointsStatus] = useState<EndpointStatus[]>([
     { url: "/metrics", name: "Metrics API", status: "pending" },
     { url: "/scaling", name: "Scaling API", status: "pending" },
@@ -26,11 +26,19 @@ export function ManualScalingForm() {
 
   // Form submission handler
   const handleSubmit = async (values: ManualScalingFormData) => {
-    await applyManualScaling(values)
-    toast({
-      title: "Scaling initiated",
-      description: `Scaling to ${values.instances} instances has been initiated.`,
-    })
+    const response = await applyManualScaling(values)
+
+    if (response?.result?.action === "pending_approval") {
+      toast({
+        title: "Approval required",
+        description: `Scaling to ${values.instances} instances is waiting for an approver. ${response.result.reason ?? ""}`,
+      })
+    } else {
+      toast({
+        title: "Scaling initiated",
+        description: `Scaling to ${values.instances} instances has been initiated.`,
+      })
+    }
     refresh()
   }
 
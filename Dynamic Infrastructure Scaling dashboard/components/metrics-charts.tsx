@@ -1,27 +1,94 @@
 "use client"
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from "recharts"
+import type React from "react"
+import { ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from "recharts"
 
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Skeleton } from "@/components/ui/skeleton"
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
+import { useMetrics } from "@/lib/hooks/use-data"
+import type { ForecastPoint } from "@/lib/store/metrics-reducer"
 
-// Sample data - in a real app, this would come from your API
-const data = [
-  { time: "00:00", cpu: 45, memory: 60, networkIn: 15, networkOut: 8 },
-  { time: "01:00", cpu: 40, memory: 58, networkIn: 12, networkOut: 6 },
-  { time: "02:00", cpu: 35, memory: 55, networkIn: 10, networkOut: 5 },
-  { time: "03:00", cpu: 30, memory: 52, networkIn: 8, networkOut: 4 },
-  { time: "04:00", cpu: 35, memory: 54, networkIn: 10, networkOut: 5 },
-  { time: "05:00", cpu: 40, memory: 58, networkIn: 15, networkOut: 7 },
-  { time: "06:00", cpu: 50, memory: 62, networkIn: 20, networkOut: 10 },
-  { time: "07:00", cpu: 65, memory: 68, networkIn: 25, networkOut: 12 },
-  { time: "08:00", cpu: 75, memory: 72, networkIn: 30, networkOut: 15 },
-  { time: "09:00", cpu: 80, memory: 75, networkIn: 35, networkOut: 18 },
-  { time: "10:00", cpu: 85, memory: 78, networkIn: 40, networkOut: 20 },
-  { time: "11:00", cpu: 82, memory: 76, networkIn: 38, networkOut: 19 },
-  { time: "12:00", cpu: 78, memory: 74, networkIn: 35, networkOut: 17 },
-]
+type ChartPoint = {
+  time: string
+  [key: string]: string | number | [number, number] | undefined
+}
+
+const formatTime = (timestamp: string) =>
+  new Date(timestamp).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+
+// History points followed by the forecast, the interval is drawn as a band
+function withForecast(history: ChartPoint[], forecast: ForecastPoint[] = []): ChartPoint[] {
+  return [
+    ...history,
+    ...forecast.map((point) => ({
+      time: formatTime(point.timestamp),
+      forecast: point.value,
+      interval:
+        point.lower !== undefined && point.upper !== undefined
+          ? ([point.lower, point.upper] as [number, number])
+          : undefined,
+    })),
+  ]
+}
+
+function ForecastChart({
+  data,
+  lines,
+  color,
+}: {
+  data: ChartPoint[]
+  lines: { dataKey: string; name: string; color: string }[]
+  color: string
+}) {
+  return (
+    <ResponsiveContainer width="100%" height="100%">
+      <ComposedChart
+        data={data}
+        margin={{
+          top: 5,
+          right: 30,
+          left: 20,
+          bottom: 5,
+        }}
+      >
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey="time" />
+        <YAxis />
+        <Tooltip />
+        <Legend />
+        <Area type="monotone" dataKey="interval" stroke="none" fill={color} fillOpacity={0.15} name="Prediction interval" />
+        {lines.map((line) => (
+          <Line key={line.dataKey} type="monotone" dataKey={line.dataKey} stroke={line.color} activeDot={{ r: 8 }} name={line.name} />
+        ))}
+        <Line type="monotone" dataKey="forecast" stroke={color} strokeDasharray="5 5" dot={false} name="Forecast" />
+      </ComposedChart>
+    </ResponsiveContainer>
+  )
+}
 
 export function MetricsCharts() {
+  const { metrics, isLoading } = useMetrics()
+
+  const cpuData = withForecast(
+    (metrics?.cpu.history || []).map((point) => ({ time: formatTime(point.timestamp), cpu: point.value })),
+    metrics?.cpu.forecast,
+  )
+  const memoryData = withForecast(
+    (metrics?.memory.history || []).map((point) => ({ time: formatTime(point.timestamp), memory: point.value })),
+    metrics?.memory.forecast,
+  )
+  const networkData = withForecast(
+    (metrics?.network.history || []).map((point) => ({
+      time: formatTime(point.timestamp),
+      networkIn: point.inbound,
+      networkOut: point.outbound,
+    })),
+    metrics?.network.forecast,
+  )
+
+  const chart = (content: React.ReactNode) =>
+    isLoading ? <Skeleton className="h-full w-full" /> : content
+
   return (
     <Tabs defaultValue="cpu" className="w-full">
       <TabsList className="grid w-full grid-cols-3">
@@ -33,28 +100,11 @@ export function MetricsCharts() {
         <Card>
           <CardHeader>
             <CardTitle>CPU Utilization</CardTitle>
-            <CardDescription>CPU usage percentage over time</CardDescription>
+            <CardDescription>CPU usage percentage over time and its forecast</CardDescription>
           </CardHeader>
           <CardContent>
             <div className="h-[400px]">
-              <ResponsiveContainer width="100%" height="100%">
-                <LineChart
-                  data={data}
-                  margin={{
-                    top: 5,
-                    right: 30,
-                    left: 20,
-                    bottom: 5,
-                  }}
-                >
-                  <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis dataKey="time" />
-                  <YAxis />
-                  <Tooltip />
-                  <Legend />
-                  <Line type="monotone" dataKey="cpu" stroke="#8884d8" activeDot={{ r: 8 }} name="CPU %" />
-                </LineChart>
-              </ResponsiveContainer>
+              {chart(<ForecastChart data={cpuData} lines={[{ dataKey: "cpu", name: "CPU %", color: "#8884d8" }]} color="#8884d8" />)}
             </div>
           </CardContent>
         </Card>
@@ -63,28 +113,13 @@ export function MetricsCharts() {
         <Card>
           <CardHeader>
             <CardTitle>Memory Usage</CardTitle>
-            <CardDescription>Memory usage percentage over time</CardDescription>
+            <CardDescription>Memory usage percentage over time and its forecast</CardDescription>
           </CardHeader>
           <CardContent>
             <div className="h-[400px]">
-              <ResponsiveContainer width="100%" height="100%">
-                <LineChart
-                  data={data}
-                  margin={{
-                    top: 5,
-                    right: 30,
-                    left: 20,
-                    bottom: 5,
-                  }}
-                >
-                  <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis dataKey="time" />
-                  <YAxis />
-                  <Tooltip />
-                  <Legend />
-                  <Line type="monotone" dataKey="memory" stroke="#82ca9d" activeDot={{ r: 8 }} name="Memory %" />
-                </LineChart>
-              </ResponsiveContainer>
+              {chart(
+                <ForecastChart data={memoryData} lines={[{ dataKey: "memory", name: "Memory %", color: "#82ca9d" }]} color="#82ca9d" />,
+              )}
             </div>
           </CardContent>
         </Card>
@@ -93,35 +128,20 @@ export function MetricsCharts() {
         <Card>
           <CardHeader>
             <CardTitle>Network Traffic</CardTitle>
-            <CardDescription>Network traffic in MB/s over time</CardDescription>
+            <CardDescription>Network traffic in MB/s over time, the forecast is inbound and outbound together</CardDescription>
           </CardHeader>
           <CardContent>
             <div className="h-[400px]">
-              <ResponsiveContainer width="100%" height="100%">
-                <LineChart
-                  data={data}
-                  margin={{
-                    top: 5,
-                    right: 30,
-                    left: 20,
-                    bottom: 5,
-                  }}
-                >
-                  <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis dataKey="time" />
-                  <YAxis />
-                  <Tooltip />
-                  <Legend />
-                  <Line
-                    type="monotone"
-                    dataKey="networkIn"
-                    stroke="#8884d8"
-                    activeDot={{ r: 8 }}
-                    name="Inbound (MB/s)"
-                  />
-                  <Line type="monotone" dataKey="networkOut" stroke="#82ca9d" name="Outbound (MB/s)" />
-                </LineChart>
-              </ResponsiveContainer>
+              {chart(
+                <ForecastChart
+                  data={networkData}
+                  lines={[
+                    { dataKey: "networkIn", name: "Inbound (MB/s)", color: "#8884d8" },
+                    { dataKey: "networkOut", name: "Outbound (MB/s)", color: "#82ca9d" },
+                  ]}
+                  color="#ff7300"
+                />,
+              )}
             </div>
           </CardContent>
         </Card>
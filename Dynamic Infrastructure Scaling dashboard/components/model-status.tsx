@@ -4,9 +4,125 @@ import { Brain, Check, RefreshCw } from "lucide-react"
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
 import { Badge } from "@/components/ui/badge"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Progress } from "@/components/ui/progress"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
 import { useModelStatus } from "@/lib/hooks/use-data"
 import { Skeleton } from "@/components/ui/skeleton"
-import { useState } from "react"
+import { useToast } from "@/hooks/use-toast"
+import { cancelTrainingJob, startTraining, streamTrainingJob } from "@/lib/api"
+import type { TrainingJob, TrainingProgress } from "@/lib/api"
+import { useEffect, useRef, useState } from "react"
+
+// Train a new version of a forecast model and follow its progress
+function ForecastModelTraining() {
+  const { toast } = useToast()
+  const [metric, setMetric] = useState("cpu")
+  const [epochs, setEpochs] = useState(50)
+  const [job, setJob] = useState<TrainingJob | null>(null)
+  const [progress, setProgress] = useState<TrainingProgress | null>(null)
+  const stream = useRef<AbortController | null>(null)
+
+  // Stop following the job when the dashboard is closed
+  useEffect(() => () => stream.current?.abort(), [])
+
+  const isActive = job?.status === "queued" || job?.status === "running"
+
+  const handleTrain = async () => {
+    try {
+      const started = await startTraining(metric, { epochs })
+      setJob(started)
+      setProgress(null)
+
+      stream.current = new AbortController()
+      await streamTrainingJob(
+        started._id,
+        {
+          onStatus: (update) => {
+            setJob(update)
+            if (update.status === "completed") {
+              toast({ title: "Training completed", description: `${update.metric} model version ${update.version} is ready.` })
+            } else if (update.status === "failed") {
+              toast({ title: "Training failed", description: update.error, variant: "destructive" })
+            }
+          },
+          onProgress: setProgress,
+        },
+        stream.current.signal,
+      )
+    } catch (error) {
+      if (!stream.current?.signal.aborted) {
+        toast({ title: "Training error", description: (error as Error).message, variant: "destructive" })
+      }
+    }
+  }
+
+  const handleCancel = async () => {
+    if (job) {
+      setJob(await cancelTrainingJob(job._id))
+    }
+  }
+
+  return (
+    <div className="grid gap-3 border-t pt-4">
+      <div className="text-sm font-medium">Forecast Model Training</div>
+      <div className="grid grid-cols-2 gap-2">
+        <div className="space-y-1">
+          <Label htmlFor="training-metric">Metric</Label>
+          <Select value={metric} onValueChange={setMetric} disabled={isActive}>
+            <SelectTrigger id="training-metric">
+              <SelectValue placeholder="Select metric" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="cpu">CPU</SelectItem>
+              <SelectItem value="memory">Memory</SelectItem>
+              <SelectItem value="network">Network</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="training-epochs">Epochs</Label>
+          <Input
+            id="training-epochs"
+            type="number"
+            min={1}
+            max={500}
+            value={epochs}
+            onChange={(e) => setEpochs(Number(e.target.value))}
+            disabled={isActive}
+          />
+        </div>
+      </div>
+      {job && (
+        <div className="space-y-1">
+          <div className="flex items-center justify-between text-xs text-muted-foreground">
+            <span className="capitalize">{job.status}</span>
+            <span>
+              {progress
+                ? `Epoch ${progress.epoch}/${progress.epochs}, loss ${progress.loss.toFixed(4)}${
+                    progress.valLoss !== undefined ? `, val_loss ${progress.valLoss.toFixed(4)}` : ""
+                  }`
+                : job.status === "completed"
+                  ? `Version ${job.version}`
+                  : ""}
+            </span>
+          </div>
+          <Progress value={progress ? (progress.epoch / progress.epochs) * 100 : job.status === "completed" ? 100 : 0} />
+        </div>
+      )}
+      {isActive ? (
+        <Button variant="outline" className="w-full" onClick={handleCancel} disabled={Boolean(job?.cancelledBy)}>
+          Cancel Training
+        </Button>
+      ) : (
+        <Button variant="outline" className="w-full" onClick={handleTrain}>
+          Train Model
+        </Button>
+      )}
+    </div>
+  )
+}
 
 export function ModelStatus() {
   const { model, isLoading, refresh } = useModelStatus()
@@ -103,6 +219,7 @@ export function ModelStatus() {
               "Check Model Status"
             )}
           </Button>
+          <ForecastModelTraining />
         </div>
       </CardContent>
     </Card>
@@ -9,16 +9,19 @@ import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle }
 import { useToast } from "@/hooks/use-toast"
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
 import { useForm } from "@/lib/hooks/use-form"
+import { useConfig } from "@/lib/hooks/use-data"
 import { ollamaConfigSchema, type OllamaConfigFormData } from "@/lib/validation"
 import { updateOllamaConfig } from "@/lib/api"
 import { Alert, AlertDescription } from "@/components/ui/alert"
 import { CheckCircle2 } from "lucide-react"
+import { useEffect } from "react"
 
 export function OllamaConfigForm() {
   const { toast } = useToast()
 
   // Initial form values
   const initialValues: OllamaConfigFormData = {
+    provider: "ollama",
     apiUrl: "http://localhost:11434",
     primaryModel: "llama3:8b",
     fallbackModel: "mistral:7b",
@@ -30,6 +33,7 @@ Based on the metrics, respond with a JSON object containing:
 3. reasoning: A brief explanation of your recommendation
 
 Consider CPU usage, memory utilization, and network traffic trends in your analysis.`,
+    apiKey: "",
   }
 
   // Form submission handler
@@ -37,7 +41,7 @@ Consider CPU usage, memory utilization, and network traffic trends in your analy
     await updateOllamaConfig(values)
     toast({
       title: "Configuration saved",
-      description: "Your Ollama configuration has been updated.",
+      description: "Your LLM configuration has been updated.",
     })
   }
 
@@ -49,17 +53,29 @@ Consider CPU usage, memory utilization, and network traffic trends in your analy
     isSuccess,
     handleChange,
     handleSubmit: onSubmit,
+    setValues,
   } = useForm({
     initialValues,
     schema: ollamaConfigSchema,
     onSubmit: handleSubmit,
   })
 
+  // Load the stored configuration, keeping the default prompt when none is set
+  const { config } = useConfig<OllamaConfigFormData>("ollama")
+
+  useEffect(() => {
+    if (config) {
+      setValues((prev) => ({ ...config, systemPrompt: config.systemPrompt || prev.systemPrompt }))
+    }
+  }, [config, setValues])
+
+  const isOllama = values.provider === "ollama"
+
   return (
     <Card>
       <CardHeader>
-        <CardTitle>Ollama Configuration</CardTitle>
-        <CardDescription>Configure your Ollama API settings and model preferences</CardDescription>
+        <CardTitle>LLM Configuration</CardTitle>
+        <CardDescription>Configure your LLM provider, its API settings and model preferences</CardDescription>
       </CardHeader>
       <form onSubmit={onSubmit}>
         <CardContent className="space-y-4">
@@ -71,47 +87,99 @@ Consider CPU usage, memory utilization, and network traffic trends in your analy
           )}
 
           <div className="space-y-2">
-            <Label htmlFor="apiUrl">Ollama API URL</Label>
+            <Label htmlFor="provider">Provider</Label>
+            <Select
+              value={values.provider}
+              onValueChange={(value) => handleChange("provider", value as OllamaConfigFormData["provider"])}
+            >
+              <SelectTrigger id="provider">
+                <SelectValue placeholder="Select provider" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="ollama">Ollama</SelectItem>
+                <SelectItem value="openai">OpenAI-compatible (vLLM, llama.cpp server, LocalAI)</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="apiUrl">API URL</Label>
             <Input
               id="apiUrl"
               name="apiUrl"
               value={values.apiUrl}
               onChange={(e) => handleChange("apiUrl", e.target.value)}
-              placeholder="http://localhost:11434"
+              placeholder={isOllama ? "http://localhost:11434" : "http://localhost:8000/v1"}
               className={errors.apiUrl ? "border-red-500" : ""}
             />
             {errors.apiUrl && <p className="text-sm text-red-500">{errors.apiUrl}</p>}
           </div>
 
+          {!isOllama && (
+            <div className="space-y-2">
+              <Label htmlFor="apiKey">API Key</Label>
+              <Input
+                id="apiKey"
+                name="apiKey"
+                type="password"
+                value={values.apiKey ?? ""}
+                onChange={(e) => handleChange("apiKey", e.target.value)}
+                placeholder="Optional for local servers"
+              />
+            </div>
+          )}
+
           <div className="space-y-2">
             <Label htmlFor="primaryModel">Primary Model</Label>
-            <Select value={values.primaryModel} onValueChange={(value) => handleChange("primaryModel", value)}>
-              <SelectTrigger className={errors.primaryModel ? "border-red-500" : ""}>
-                <SelectValue placeholder="Select primary model" />
-              </SelectTrigger>
-              <SelectContent>
-                <SelectItem value="llama3:8b">llama3:8b</SelectItem>
-                <SelectItem value="llama3:70b">llama3:70b</SelectItem>
-                <SelectItem value="mistral:7b">mistral:7b</SelectItem>
-                <SelectItem value="mixtral:8x7b">mixtral:8x7b</SelectItem>
-                <SelectItem value="gemma:7b">gemma:7b</SelectItem>
-              </SelectContent>
-            </Select>
+            {isOllama ? (
+              <Select value={values.primaryModel} onValueChange={(value) => handleChange("primaryModel", value)}>
+                <SelectTrigger className={errors.primaryModel ? "border-red-500" : ""}>
+                  <SelectValue placeholder="Select primary model" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="llama3:8b">llama3:8b</SelectItem>
+                  <SelectItem value="llama3:70b">llama3:70b</SelectItem>
+                  <SelectItem value="mistral:7b">mistral:7b</SelectItem>
+                  <SelectItem value="mixtral:8x7b">mixtral:8x7b</SelectItem>
+                  <SelectItem value="gemma:7b">gemma:7b</SelectItem>
+                </SelectContent>
+              </Select>
+            ) : (
+              <Input
+                id="primaryModel"
+                name="primaryModel"
+                value={values.primaryModel}
+                onChange={(e) => handleChange("primaryModel", e.target.value)}
+                placeholder="Model name served by the server"
+                className={errors.primaryModel ? "border-red-500" : ""}
+              />
+            )}
             {errors.primaryModel && <p className="text-sm text-red-500">{errors.primaryModel}</p>}
           </div>
 
           <div className="space-y-2">
             <Label htmlFor="fallbackModel">Fallback Model</Label>
-            <Select value={values.fallbackModel} onValueChange={(value) => handleChange("fallbackModel", value)}>
-              <SelectTrigger className={errors.fallbackModel ? "border-red-500" : ""}>
-                <SelectValue placeholder="Select fallback model" />
-              </SelectTrigger>
-              <SelectContent>
-                <SelectItem value="mistral:7b">mistral:7b</SelectItem>
-                <SelectItem value="llama3:8b">llama3:8b</SelectItem>
-                <SelectItem value="gemma:7b">gemma:7b</SelectItem>
-              </SelectContent>
-            </Select>
+            {isOllama ? (
+              <Select value={values.fallbackModel} onValueChange={(value) => handleChange("fallbackModel", value)}>
+                <SelectTrigger className={errors.fallbackModel ? "border-red-500" : ""}>
+                  <SelectValue placeholder="Select fallback model" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="mistral:7b">mistral:7b</SelectItem>
+                  <SelectItem value="llama3:8b">llama3:8b</SelectItem>
+                  <SelectItem value="gemma:7b">gemma:7b</SelectItem>
+                </SelectContent>
+              </Select>
+            ) : (
+              <Input
+                id="fallbackModel"
+                name="fallbackModel"
+                value={values.fallbackModel}
+                onChange={(e) => handleChange("fallbackModel", e.target.value)}
+                placeholder="Model name served by the server"
+                className={errors.fallbackModel ? "border-red-500" : ""}
+              />
+            )}
             {errors.fallbackModel && <p className="text-sm text-red-500">{errors.fallbackModel}</p>}
           </div>
 
@@ -122,7 +190,7 @@ Consider CPU usage, memory utilization, and network traffic trends in your analy
               name="systemPrompt"
               value={values.systemPrompt}
               onChange={(e) => handleChange("systemPrompt", e.target.value)}
-              placeholder="Enter system prompt for Ollama"
+              placeholder="Enter system prompt for the model"
               className={`min-h-[200px] ${errors.systemPrompt ? "border-red-500" : ""}`}
             />
             {errors.systemPrompt && <p className="text-sm text-red-500">{errors.systemPrompt}</p>}
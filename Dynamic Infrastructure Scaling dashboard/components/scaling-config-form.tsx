@@ -8,6 +8,7 @@ import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle }
 import { useToast } from "@/hooks/use-toast"
 import { Slider } from "@/components/ui/slider"
 import { useForm } from "@/lib/hooks/use-form"
+import { useConfig } from "@/lib/hooks/use-data"
 import { scalingConfigSchema, type ScalingConfigFormData } from "@/lib/validation"
 import { updateScalingConfig } from "@/lib/api"
 import { Alert, AlertDescription } from "@/components/ui/alert"
@@ -51,6 +52,15 @@ export function ScalingConfigForm() {
     onSubmit: handleSubmit,
   })
 
+  // Load the stored configuration
+  const { config } = useConfig<ScalingConfigFormData>("scaling")
+
+  useEffect(() => {
+    if (config) {
+      setValues(config)
+    }
+  }, [config, setValues])
+
   // Handle slider change
   const handleSliderChange = (value: number[]) => {
     handleChange("confidenceThreshold", value[0] / 100)
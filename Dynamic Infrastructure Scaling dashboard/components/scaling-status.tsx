@@ -3,6 +3,7 @@
 import { ArrowDown, ArrowUp, Server } from "lucide-react"
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
 import { useScalingStatus } from "@/lib/hooks/use-data"
 import { forceScalingCheck } from "@/lib/api"
 import { useToast } from "@/hooks/use-toast"
@@ -71,6 +72,35 @@ export function ScalingStatus() {
               </div>
             )}
           </div>
+          {!isLoading && scaling?.bindingSignal && (
+            <div className="flex items-center justify-between">
+              <div className="text-sm font-medium">Sized For</div>
+              <div className="text-sm font-medium">{scaling.bindingSignal}</div>
+            </div>
+          )}
+          {!isLoading && scaling?.ensemble && scaling.ensemble.candidates.length > 0 && (
+            <div className="grid gap-1">
+              <div className="flex items-center justify-between">
+                <div className="text-sm font-medium">Candidates ({scaling.ensemble.strategy})</div>
+                {scaling.ensemble.agreement && !scaling.ensemble.agreement.agree && (
+                  <Badge variant="destructive">Models disagree</Badge>
+                )}
+              </div>
+              {scaling.ensemble.candidates.map((candidate) => (
+                <div
+                  key={candidate.source}
+                  className={`flex items-center justify-between text-xs ${candidate.excluded ? "text-muted-foreground line-through" : ""}`}
+                  title={candidate.reason}
+                >
+                  <span>{candidate.source}</span>
+                  <span>
+                    {candidate.instances}
+                    {candidate.confidence !== null && ` (${Math.round(candidate.confidence * 100)}%)`}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
           <div className="flex items-center justify-between">
             <div className="text-sm font-medium">VM Size</div>
             {isLoading ? (
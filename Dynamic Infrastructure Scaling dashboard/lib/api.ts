@@ -1,19 +1,22 @@
 import type { MetricsState } from "./store/metrics-reducer"
 import type { ScalingState } from "./store/scaling-reducer"
 import type { ModelState } from "./store/model-reducer"
-import type { LogEntry } from "./store/logs-reducer"
+import type { LogEntry, ScalingDecision, ScalingDecisionPage } from "./store/logs-reducer"
 
 // API base URL
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || "http://localhost:3001/api"
 
+// Serve mock data instead of calling the backend (NEXT_PUBLIC_USE_MOCK_API=true)
+export const USE_MOCK_API = process.env.NEXT_PUBLIC_USE_MOCK_API === "true"
+
 // Helper function for API requests
 async function apiRequest<T>(endpoint: string, options: RequestInit = {}): Promise<T> {
-  // In development, use mock data by default to prevent connection errors
-  if (process.env.NODE_ENV === "development") {
-    console.warn(`Using mock data for ${endpoint} in development mode`)
+  // Use mock data when explicitly enabled, e.g. to work on the UI without a backend
+  if (USE_MOCK_API) {
+    console.warn(`Using mock data for ${endpoint}`)
     
     // Return mock data based on the endpoint
-    switch (endpoint) {
+    switch (endpoint.split("?")[0]) {
       case "/metrics":
         return mockFetchMetrics() as Promise<T>
       case "/scaling":
@@ -22,6 +25,8 @@ async function apiRequest<T>(endpoint: string, options: RequestInit = {}): Promi
         return mockFetchModelStatus() as Promise<T>
       case "/logs":
         return mockFetchLogs() as Promise<T>
+      case "/scaling/decisions":
+        return mockFetchScalingDecisions() as Promise<T>
       case "/scaling/check":
       case "/config/azure":
       case "/config/ollama":
@@ -79,6 +84,61 @@ export async function fetchLogs(): Promise<LogEntry[]> {
   return apiRequest<LogEntry[]>("/logs")
 }
 
+// Filters supported by GET /scaling/decisions
+export interface ScalingDecisionQuery {
+  page?: number
+  limit?: number
+  targetId?: string
+  source?: ScalingDecision["source"]
+  outcome?: ScalingDecision["outcome"]
+  action?: ScalingDecision["action"]
+  model?: string
+  from?: string
+  to?: string
+}
+
+export async function fetchScalingDecisions(query: ScalingDecisionQuery = {}): Promise<ScalingDecisionPage> {
+  const params = new URLSearchParams()
+  for (const [key, value] of Object.entries(query)) {
+    if (value !== undefined && value !== "") {
+      params.set(key, String(value))
+    }
+  }
+
+  const search = params.toString()
+  return apiRequest<ScalingDecisionPage>(`/scaling/decisions${search ? `?${search}` : ""}`)
+}
+
+// Convert a recorded scaling decision into a log table row
+export function decisionToLogEntry(decision: ScalingDecision): LogEntry {
+  const actions = {
+    scale_out: "scale-up",
+    scale_in: "scale-down",
+    none: "no-change",
+  } as const
+  const fromInstances = decision.inputs?.currentInstances ?? 0
+
+  return {
+    id: decision._id,
+    timestamp: decision.createdAt,
+    action: actions[decision.action],
+    fromInstances,
+    toInstances: decision.targetInstances ?? fromInstances,
+    confidence: decision.confidence ?? 0,
+    reasoning: decision.reasoning || decision.outcomeReason || decision.errorMessages?.join("; ") || "",
+    model: decision.model ?? "unknown",
+    outcome: decision.outcome,
+  }
+}
+
+// Configuration sections stored by the backend
+export type ConfigSection = "azure" | "ollama" | "scaling" | "thresholds"
+
+// Effective configuration of a section, secrets are masked
+export async function fetchConfig<T>(section: ConfigSection): Promise<T> {
+  return apiRequest<T>(`/config/${section}`)
+}
+
 export async function updateAzureConfig(config: any): Promise<void> {
   return apiRequest<void>("/config/azure", {
     method: "POST",
@@ -100,8 +160,18 @@ export async function updateScalingConfig(config: any): Promise<void> {
   })
 }
 
-export async function applyManualScaling(config: any): Promise<void> {
-  return apiRequest<void>("/scaling/manual", {
+// Result of a manual scaling request, large changes wait for approval
+export interface ManualScalingResult {
+  success: boolean
+  result: {
+    action: "scale_out" | "scale_in" | "none" | "pending_approval"
+    pendingActionId?: string
+    reason?: string
+  }
+}
+
+export async function applyManualScaling(config: any): Promise<ManualScalingResult> {
+  return apiRequest<ManualScalingResult>("/scaling/manual", {
     method: "POST",
     body: JSON.stringify(config),
   })
@@ -113,6 +183,105 @@ export async function forceScalingCheck(): Promise<void> {
   })
 }
 
+// Training job of a forecast model, see POST /models/:metric/train
+export interface TrainingJob {
+  _id: string
+  metric: string
+  status: "queued" | "running" | "completed" | "failed" | "cancelled"
+  params: TrainingParams & { days: number; activate: boolean }
+  epochs?: { epoch: number; loss: number; valLoss?: number }[]
+  loss?: number
+  valLoss?: number
+  // Model version the job registered
+  version?: number
+  error?: string
+  cancelledBy?: string
+  createdAt: string
+}
+
+export interface TrainingParams {
+  days?: number
+  epochs?: number
+  batchSize?: number
+  lookbackWindow?: number
+  learningRate?: number
+  activate?: boolean
+}
+
+// Losses after an epoch of a running job
+export interface TrainingProgress {
+  epoch: number
+  epochs: number
+  loss: number
+  valLoss?: number
+}
+
+export async function startTraining(metric: string, params: TrainingParams = {}): Promise<TrainingJob> {
+  return apiRequest<TrainingJob>(`/models/${metric}/train`, {
+    method: "POST",
+    body: JSON.stringify(params),
+  })
+}
+
+export async function cancelTrainingJob(jobId: string): Promise<TrainingJob> {
+  return apiRequest<TrainingJob>(`/models/jobs/${jobId}/cancel`, {
+    method: "POST",
+  })
+}
+
+// Follow a training job over server-sent events until it is finished
+export async function streamTrainingJob(
+  jobId: string,
+  handlers: { onStatus: (job: TrainingJob) => void; onProgress: (progress: TrainingProgress) => void },
+  signal?: AbortSignal,
+): Promise<void> {
+  if (USE_MOCK_API) {
+    return
+  }
+
+  // EventSource can't send the Authorization header, so the stream is read with fetch
+  const response = await fetch(`${API_BASE_URL}/models/jobs/${jobId}/events`, {
+    headers: {
+      "Authorization": typeof window !== 'undefined' ? `Bearer ${localStorage.getItem('authToken')}` : '',
+    },
+    credentials: "include",
+    signal,
+  })
+
+  if (!response.ok || !response.body) {
+    throw new Error(`Training job stream failed with status ${response.status}`)
+  }
+
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ""
+
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) {
+      return
+    }
+
+    buffer += decoder.decode(value, { stream: true })
+    const messages = buffer.split("\n\n")
+    buffer = messages.pop() ?? ""
+
+    for (const message of messages) {
+      const event = message.match(/^event: (.*)$/m)?.[1]
+      const data = message.match(/^data: (.*)$/m)?.[1]
+      if (!event || !data) {
+        continue
+      }
+
+      if (event === "status") {
+        handlers.onStatus(JSON.parse(data))
+      } else if (event === "progress") {
+        handlers.onProgress(JSON.parse(data))
+      }
+    }
+  }
+}
+
 // Mock API functions for development fallback
 function mockFetchMetrics(): Promise<MetricsState> {
   return new Promise((resolve) => {
@@ -173,6 +342,15 @@ function mockFetchScalingStatus(): Promise<ScalingState> {
       resolve({
         currentInstances: 3 + Math.floor(Math.random() * 3),
         recommendedInstances: 4 + Math.floor(Math.random() * 3),
+        bindingSignal: "cpu",
+        ensemble: {
+          strategy: "max",
+          candidates: [
+            { source: "lstm-forecast", kind: "forecast", instances: 5, confidence: 0.82, reason: "Sized for cpu" },
+            { source: "llama3:8b", kind: "llm", instances: 4, confidence: 0.85 },
+          ],
+          agreement: { forecast: 5, llm: 4, difference: 1, agree: true },
+        },
         lastScalingAction: new Date(Date.now() - Math.floor(Math.random() * 3600000)).toISOString(),
         vmSize: "Standard_D4s_v3",
         cooldownRemaining: Math.floor(Math.random() * 15),
@@ -240,6 +418,32 @@ function mockFetchLogs(): Promise<LogEntry[]> {
   })
 }
 
+function mockFetchScalingDecisions(): Promise<ScalingDecisionPage> {
+  const actions = {
+    "scale-up": "scale_out",
+    "scale-down": "scale_in",
+    "no-change": "none",
+  } as const
+
+  return mockFetchLogs().then((logs) => ({
+    decisions: logs.map((log) => ({
+      _id: log.id,
+      createdAt: log.timestamp,
+      targetId: "default",
+      source: "scheduler",
+      inputs: { currentInstances: log.fromInstances },
+      model: log.model,
+      confidence: log.confidence,
+      reasoning: log.reasoning,
+      recommendedInstances: log.toInstances,
+      targetInstances: log.toInstances,
+      action: actions[log.action],
+      outcome: log.action === "no-change" ? "no_change" : "applied",
+    })),
+    pagination: { page: 1, limit: logs.length, total: logs.length, pages: 1 },
+  }))
+}
+
 // Helper for mock update operations
 export function mockUpdateConfig(): Promise<void> {
   return new Promise((resolve) => {
@@ -2,7 +2,8 @@
 
 import useSWR from "swr"
 import { useCallback } from "react"
-import { fetchMetrics, fetchScalingStatus, fetchModelStatus, fetchLogs } from "@/lib/api"
+import { fetchMetrics, fetchScalingStatus, fetchModelStatus, fetchLogs, fetchScalingDecisions, fetchConfig } from "@/lib/api"
+import type { ConfigSection, ScalingDecisionQuery } from "@/lib/api"
 
 // Generic fetcher function for SWR
 const fetcher = async (key: string) => {
@@ -91,3 +92,38 @@ export function useLogs(refreshInterval = 60000) {
     refresh,
   }
 }
+
+// Hook for fetching a page of recorded scaling decisions
+export function useScalingDecisions(query: ScalingDecisionQuery = {}, refreshInterval = 60000) {
+  const { data, error, isLoading, mutate } = useSWR(["scaling-decisions", query], () => fetchScalingDecisions(query), {
+    refreshInterval,
+    revalidateOnFocus: false,
+    dedupingInterval: 10000,
+  })
+
+  const refresh = useCallback(() => mutate(), [mutate])
+
+  return {
+    decisions: data?.decisions || [],
+    pagination: data?.pagination,
+    isLoading,
+    error,
+    refresh,
+  }
+}
+
+// Hook for fetching the stored configuration of a section
+export function useConfig<T>(section: ConfigSection) {
+  const { data, error, isLoading, mutate } = useSWR(["config", section], () => fetchConfig<T>(section), {
+    revalidateOnFocus: false,
+  })
+
+  const refresh = useCallback(() => mutate(), [mutate])
+
+  return {
+    config: data,
+    isLoading,
+    error,
+    refresh,
+  }
+}
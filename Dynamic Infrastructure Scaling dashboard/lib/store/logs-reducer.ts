@@ -8,6 +8,41 @@ export interface LogEntry {
   confidence: number
   reasoning: string
   model: string
+  outcome?: "applied" | "dry_run" | "no_change" | "skipped" | "failed" | "pending_approval"
+}
+
+// Scaling decision as recorded by the backend (GET /scaling/decisions)
+export interface ScalingDecision {
+  _id: string
+  createdAt: string
+  targetId: string
+  targetName?: string
+  source: "api" | "manual" | "scheduler" | "cli"
+  inputs?: {
+    currentInstances?: number
+    minInstances?: number
+    maxInstances?: number
+  }
+  model: string | null
+  confidence: number | null
+  reasoning: string
+  recommendedInstances?: number
+  targetInstances?: number
+  action: "scale_out" | "scale_in" | "none"
+  outcome: "applied" | "dry_run" | "no_change" | "skipped" | "failed" | "pending_approval"
+  outcomeReason?: string
+  errorMessages?: string[]
+}
+
+// One page of scaling decisions
+export interface ScalingDecisionPage {
+  decisions: ScalingDecision[]
+  pagination: {
+    page: number
+    limit: number
+    total: number
+    pages: number
+  }
 }
 
 // Define the logs state type
@@ -1,20 +1,32 @@
+// Forecast point, lower and upper bound the prediction interval when the model provides one
+export interface ForecastPoint {
+  timestamp: string
+  value: number
+  lower?: number
+  upper?: number
+}
+
 // Define the metrics state type
 export interface MetricsState {
   cpu: {
     current: number
     trend: "increasing" | "decreasing" | "stable"
     history: { timestamp: string; value: number }[]
+    forecast?: ForecastPoint[]
   }
   memory: {
     current: number
     trend: "increasing" | "decreasing" | "stable"
     history: { timestamp: string; value: number }[]
+    forecast?: ForecastPoint[]
   }
   network: {
     inbound: number
     outbound: number
     trend: "increasing" | "decreasing" | "stable"
     history: { timestamp: string; inbound: number; outbound: number }[]
+    // Inbound and outbound together (MB/s)
+    forecast?: ForecastPoint[]
   }
   timestamp: string
 }
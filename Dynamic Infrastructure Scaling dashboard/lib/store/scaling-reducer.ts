@@ -2,11 +2,31 @@
 export interface ScalingState {
   currentInstances: number
   recommendedInstances: number
+  // Signal the forecast recommendation was sized on
+  bindingSignal?: string | null
+  ensemble?: EnsembleState | null
   lastScalingAction: string
   vmSize: string
   cooldownRemaining: number
 }
 
+// Capacity proposed by the forecast, the LLM or a scaling policy
+export interface ScalingCandidate {
+  source: string
+  kind: "forecast" | "llm" | "policy"
+  instances: number
+  confidence: number | null
+  reason?: string
+  excluded?: string
+}
+
+// Candidates of a recommendation and the strategy that combined them
+export interface EnsembleState {
+  strategy: "max" | "weighted" | "llm_gated"
+  candidates: ScalingCandidate[]
+  agreement: { forecast: number; llm: number; difference: number; agree: boolean } | null
+}
+
 // Define the initial state
 export const initialScalingState: ScalingState = {
   currentInstances: 0,
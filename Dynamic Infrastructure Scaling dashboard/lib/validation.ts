@@ -12,12 +12,14 @@ export const azureConfigSchema = z.object({
 
 export type AzureConfigFormData = z.infer<typeof azureConfigSchema>
 
-// Ollama Config Schema
+// LLM provider config schema (the "ollama" configuration section)
 export const ollamaConfigSchema = z.object({
+  provider: z.enum(["ollama", "openai"]),
   apiUrl: z.string().url("Must be a valid URL"),
   primaryModel: z.string().min(1, "Primary Model is required"),
   fallbackModel: z.string().min(1, "Fallback Model is required"),
   systemPrompt: z.string().min(10, "System Prompt must be at least 10 characters"),
+  apiKey: z.string().optional(),
 })
 
 export type OllamaConfigFormData = z.infer<typeof ollamaConfigSchema>
@@ -0,0 +1,73 @@
+jest.mock('mongoose', () => ({ connection: { readyState: 0 } }), { virtual: true });
+jest.mock('../../src/services/backtestService', () => ({}));
+jest.mock('../../src/services/modelRegistryService', () => ({}));
+jest.mock('../../src/services/retrainingService', () => ({}));
+jest.mock('../../src/services/targetService', () => ({ loadTarget: (req, res, next) => next() }));
+jest.mock('../../src/utils/auth', () => ({ requirePermission: () => (req, res, next) => next() }));
+jest.mock('../../src/services/trainingJobService', () => ({
+  FINISHED_STATUSES: ['completed', 'failed', 'cancelled'],
+  getJob: jest.fn(),
+  subscribe: jest.fn()
+}));
+
+const express = require('express');
+const modelRoutes = require('../../src/api/modelRoutes');
+const { getJob, subscribe } = require('../../src/services/trainingJobService');
+
+const app = express();
+app.use('/api/models', modelRoutes);
+
+describe('GET /api/models/jobs/:jobId/events', () => {
+  let server;
+  let listener;
+  let unsubscribe;
+
+  /**
+   * Read the whole event stream of a job
+   */
+  async function readEvents(jobId) {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/api/models/jobs/${jobId}/events`);
+    return res.text();
+  }
+
+  beforeAll(done => {
+    server = app.listen(0, '127.0.0.1', done);
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    unsubscribe = jest.fn();
+    subscribe.mockImplementation((jobId, callback) => {
+      listener = callback;
+      return unsubscribe;
+    });
+  });
+
+  it('ends after the status of a finished job without the buffered updates', async () => {
+    getJob.mockImplementation(async () => {
+      listener('progress', { epoch: 50, epochs: 50 });
+      return { id: 'j1', status: 'completed' };
+    });
+
+    const text = await readEvents('j1');
+
+    expect(text).toBe(`event: status\ndata: ${JSON.stringify({ id: 'j1', status: 'completed' })}\n\n`);
+    expect(unsubscribe).toHaveBeenCalledTimes(1);
+  });
+
+  it('replays the updates received while the job was loaded', async () => {
+    getJob.mockImplementation(async () => {
+      listener('progress', { epoch: 1, epochs: 2 });
+      listener('status', { id: 'j2', status: 'completed' });
+      return { id: 'j2', status: 'running' };
+    });
+
+    const text = await readEvents('j2');
+
+    expect(text.match(/^event: \w+/gm)).toEqual(['event: status', 'event: progress', 'event: status']);
+    expect(unsubscribe).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,73 @@
+jest.mock('mongoose', () => ({ connection: { readyState: 0 } }), { virtual: true });
+jest.mock('../../src/models/CapacitySchedule', () => ({}));
+
+const { isRuleActive, resolveScheduledCapacity, getEffectiveBounds } = require('../../src/services/capacityScheduleService');
+
+describe('isRuleActive', () => {
+  const rule = { name: 'business-hours', schedule: '0 8 * * 1-5', durationMinutes: 600 };
+
+  it('is active inside the window', () => {
+    // 2024-03-04 is a Monday
+    expect(isRuleActive(rule, new Date('2024-03-04T12:00:00Z'))).toBe(true);
+    expect(isRuleActive(rule, new Date('2024-03-04T18:00:00Z'))).toBe(false);
+    expect(isRuleActive(rule, new Date('2024-03-03T12:00:00Z'))).toBe(false);
+  });
+
+  it('respects the start and end dates', () => {
+    const now = new Date('2024-03-04T12:00:00Z');
+
+    expect(isRuleActive({ ...rule, startDate: '2024-03-05T00:00:00Z' }, now)).toBe(false);
+    expect(isRuleActive({ ...rule, endDate: '2024-03-04T12:00:00Z' }, now)).toBe(false);
+    expect(isRuleActive({ ...rule, startDate: '2024-03-01T00:00:00Z', endDate: '2024-03-31T00:00:00Z' }, now)).toBe(true);
+  });
+
+  it('evaluates the schedule in the rule time zone', () => {
+    // 08:00 in New York is 13:00 UTC in winter
+    const nightly = { ...rule, durationMinutes: 60, timezone: 'America/New_York' };
+
+    expect(isRuleActive(nightly, new Date('2024-01-15T13:30:00Z'))).toBe(true);
+    expect(isRuleActive(nightly, new Date('2024-01-15T08:30:00Z'))).toBe(false);
+  });
+});
+
+describe('resolveScheduledCapacity', () => {
+  it('returns null without active rules', () => {
+    expect(resolveScheduledCapacity([])).toBeNull();
+  });
+
+  it('merges overlapping rules', () => {
+    const resolved = resolveScheduledCapacity([
+      { name: 'a', minInstances: 2, maxInstances: 10, desiredInstances: 4 },
+      { name: 'b', minInstances: 5, maxInstances: 8, desiredInstances: 6 }
+    ]);
+
+    expect(resolved).toEqual({ minInstances: 5, maxInstances: 8, desiredInstances: 6, schedules: ['a', 'b'] });
+  });
+
+  it('leaves fields no rule sets as null', () => {
+    const resolved = resolveScheduledCapacity([
+      { name: 'a', minInstances: 3 },
+      { name: 'b', minInstances: null, maxInstances: undefined }
+    ]);
+
+    expect(resolved).toEqual({ minInstances: 3, maxInstances: null, desiredInstances: null, schedules: ['a', 'b'] });
+  });
+});
+
+describe('getEffectiveBounds', () => {
+  const target = { id: 'web', minInstances: 1, maxInstances: 10 };
+
+  it('uses the target bounds without a schedule', () => {
+    expect(getEffectiveBounds(target, null)).toEqual({ minInstances: 1, maxInstances: 10 });
+  });
+
+  it('applies the scheduled overrides', () => {
+    expect(getEffectiveBounds(target, { minInstances: 4, maxInstances: null })).toEqual({ minInstances: 4, maxInstances: 10 });
+    expect(getEffectiveBounds(target, { minInstances: null, maxInstances: 6 })).toEqual({ minInstances: 1, maxInstances: 6 });
+  });
+
+  it('lets a minimum above the maximum win', () => {
+    expect(getEffectiveBounds(target, { minInstances: 12, maxInstances: null })).toEqual({ minInstances: 12, maxInstances: 12 });
+    expect(getEffectiveBounds(target, { minInstances: 5, maxInstances: 3 })).toEqual({ minInstances: 5, maxInstances: 5 });
+  });
+});
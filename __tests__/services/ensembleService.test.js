@@ -0,0 +1,129 @@
+jest.mock('mongoose', () => ({ connection: { readyState: 0 } }), { virtual: true });
+jest.mock('../../src/models/CapacitySchedule', () => ({}));
+jest.mock('../../src/services/ollamaService', () => ({}));
+jest.mock('../../src/services/promptService', () => ({}));
+
+const { combineCandidates, getLlmCandidate, getPolicyCandidates } = require('../../src/services/ensembleService');
+
+const forecast = { source: 'lstm-forecast', kind: 'forecast', instances: 5, confidence: 1 };
+const llm = { source: 'llama3:8b', kind: 'llm', instances: 3, confidence: 1 };
+const policy = { source: 'policy:p', kind: 'policy', instances: 4, confidence: 1 };
+
+function createTarget(ensemble = {}) {
+  return { id: 'web', name: 'web', minInstances: 1, maxInstances: 10, ensemble };
+}
+
+describe('combineCandidates', () => {
+  it('picks the highest candidate with the max strategy', () => {
+    const result = combineCandidates(createTarget({ strategy: 'max' }), [forecast, llm, policy]);
+
+    expect(result).toMatchObject({
+      strategy: 'max',
+      desiredInstances: 5,
+      targetInstances: 5,
+      decidedBy: 'lstm-forecast',
+      bounds: { minInstances: 1, maxInstances: 10 }
+    });
+    expect(result.candidates).toHaveLength(3);
+  });
+
+  it('lets the forecast win ties with the max strategy', () => {
+    const result = combineCandidates(createTarget({ strategy: 'max' }), [forecast, { ...llm, instances: 5 }]);
+    expect(result.decidedBy).toBe('lstm-forecast');
+  });
+
+  it('averages by weight and confidence with the weighted strategy', () => {
+    expect(combineCandidates(createTarget({ strategy: 'weighted' }), [forecast, llm, policy])).toMatchObject({
+      desiredInstances: 4,
+      decidedBy: 'ensemble:weighted'
+    });
+
+    const weighted = combineCandidates(
+      createTarget({ strategy: 'weighted', weights: { forecast: 3, llm: 1, policy: 0 } }),
+      [forecast, { ...llm, confidence: 0.5 }, policy]
+    );
+    // (5 * 3 + 3 * 0.5) / 3.5
+    expect(weighted.desiredInstances).toBe(5);
+  });
+
+  it('follows the forecast when the LLM disagrees with the llm_gated strategy', () => {
+    const result = combineCandidates(createTarget({ strategy: 'llm_gated', agreementTolerance: 1 }), [forecast, llm, policy]);
+
+    expect(result).toMatchObject({ desiredInstances: 5, decidedBy: 'lstm-forecast' });
+    expect(result.agreement).toEqual({ forecast: 5, llm: 3, difference: 2, agree: false });
+  });
+
+  it('follows an agreeing LLM with the policies on top with the llm_gated strategy', () => {
+    const result = combineCandidates(createTarget({ strategy: 'llm_gated', agreementTolerance: 2 }), [forecast, llm, policy]);
+
+    expect(result).toMatchObject({ desiredInstances: 4, decidedBy: 'policy:p' });
+    expect(result.agreement.agree).toBe(true);
+  });
+
+  it('overrides the candidates with a scheduled desired count', () => {
+    const scheduled = { minInstances: null, maxInstances: null, desiredInstances: 8, schedules: ['peak'] };
+    const result = combineCandidates(createTarget({ strategy: 'max' }), [forecast, llm], { scheduled });
+
+    expect(result).toMatchObject({ desiredInstances: 8, targetInstances: 8, decidedBy: 'schedule:peak' });
+  });
+
+  it('clamps to the target bounds', () => {
+    const target = { ...createTarget({ strategy: 'max' }), maxInstances: 4 };
+    const result = combineCandidates(target, [forecast]);
+
+    expect(result).toMatchObject({ desiredInstances: 5, targetInstances: 4, decidedBy: 'lstm-forecast' });
+  });
+
+  it('names the schedule whose bound changed the result', () => {
+    const scheduled = { minInstances: 7, maxInstances: null, desiredInstances: null, schedules: ['business-hours'] };
+    const result = combineCandidates(createTarget({ strategy: 'max' }), [forecast], { scheduled });
+
+    expect(result).toMatchObject({
+      targetInstances: 7,
+      decidedBy: 'schedule:business-hours',
+      bounds: { minInstances: 7, maxInstances: 10 }
+    });
+  });
+
+  it('keeps the current count within scheduled bounds without candidates', () => {
+    const scheduled = { minInstances: 3, maxInstances: null, desiredInstances: null, schedules: ['s'] };
+
+    expect(combineCandidates(createTarget(), [], { scheduled, currentInstances: 2 })).toMatchObject({
+      desiredInstances: 2,
+      targetInstances: 3,
+      decidedBy: 'schedule:s'
+    });
+    expect(combineCandidates(createTarget(), [null], { currentInstances: 2 })).toBeNull();
+  });
+
+  it('reports an excluded LLM without using it', () => {
+    const excluded = { ...llm, instances: 9, excluded: 'low_confidence' };
+
+    expect(combineCandidates(createTarget({ strategy: 'max' }), [excluded])).toBeNull();
+
+    const result = combineCandidates(createTarget({ strategy: 'max' }), [forecast, excluded]);
+    expect(result).toMatchObject({ desiredInstances: 5, decidedBy: 'lstm-forecast', agreement: null });
+    expect(result.candidates).toContain(excluded);
+  });
+});
+
+describe('getLlmCandidate', () => {
+  it('excludes recommendations below the confidence threshold', () => {
+    const recommendation = { recommended_instances: 4, confidence: 0.4, reasoning: 'r', model: 'llama3:8b' };
+
+    expect(getLlmCandidate(recommendation, 0.5)).toMatchObject({ source: 'llama3:8b', instances: 4, excluded: 'low_confidence' });
+    expect(getLlmCandidate(recommendation, 0.3)).not.toHaveProperty('excluded');
+    expect(getLlmCandidate({ reasoning: 'no count' })).toBeNull();
+  });
+});
+
+describe('getPolicyCandidates', () => {
+  it('keeps the policies with an opinion', () => {
+    const candidates = getPolicyCandidates([
+      { name: 'a', desiredInstances: 3, reason: 'queue' },
+      { name: 'b', desiredInstances: null, reason: 'idle' }
+    ]);
+
+    expect(candidates).toEqual([{ source: 'policy:a', kind: 'policy', instances: 3, confidence: 1, reason: 'queue' }]);
+  });
+});
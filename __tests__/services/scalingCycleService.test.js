@@ -0,0 +1,72 @@
+jest.mock('../../src/providers', () => ({
+  getProviderForTarget: () => ({ describeTarget: target => target.name, getCapacity: async () => 2 })
+}));
+jest.mock('../../src/services/runtimeConfigService', () => ({
+  getConfig: () => ({ cooldownPeriod: 0, confidenceThreshold: 0.7 })
+}));
+jest.mock('../../src/services/infrastructureService', () => ({
+  applyScalingRecommendation: jest.fn(async () => ({ action: 'scale_out' })),
+  getRecentMetrics: jest.fn()
+}));
+jest.mock('../../src/services/policyService', () => ({
+  getActivePolicies: async () => [],
+  evaluatePolicies: async () => []
+}));
+jest.mock('../../src/services/modelService', () => ({
+  getForecastCapacity: jest.fn(async () => ({ instances: 4, bindingSignal: 'cpu', metrics: { cpu: {} } }))
+}));
+jest.mock('../../src/services/capacityScheduleService', () => ({
+  getScheduledCapacity: async () => null,
+  getEffectiveBounds: target => ({ minInstances: target.minInstances, maxInstances: target.maxInstances })
+}));
+jest.mock('../../src/services/decisionService', () => ({ recordDecision: jest.fn() }));
+jest.mock('../../src/services/scalingStateService', () => ({
+  updateState: async () => ({}),
+  getCooldownRemaining: async () => 0
+}));
+jest.mock('../../src/services/ollamaService', () => ({}));
+jest.mock('../../src/services/promptService', () => ({}));
+jest.mock('../../src/services/ensembleService', () => ({
+  ...jest.requireActual('../../src/services/ensembleService'),
+  requestLlmRecommendation: jest.fn()
+}));
+
+const { runScalingCycle } = require('../../src/services/scalingCycleService');
+const { applyScalingRecommendation } = require('../../src/services/infrastructureService');
+const { getForecastCapacity } = require('../../src/services/modelService');
+const { recordDecision } = require('../../src/services/decisionService');
+const { requestLlmRecommendation } = require('../../src/services/ensembleService');
+
+const target = { id: 'web', name: 'web', minInstances: 1, maxInstances: 10, ensemble: { strategy: 'max' } };
+const loadMetrics = async () => ({ samples: [{ cpu: 90 }] });
+
+describe('runScalingCycle', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('applies the forecast when the LLM is unreachable', async () => {
+    requestLlmRecommendation.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    const result = await runScalingCycle(target, { loadMetrics });
+
+    expect(result.outcome).toBe('applied');
+    const [recommendation] = applyScalingRecommendation.mock.calls[0];
+    expect(recommendation.scaling).toMatchObject({ currentInstances: 2, recommendedInstances: 4, decidedBy: 'lstm-forecast' });
+    expect(recommendation.errorMessages).toEqual(['LLM recommendation failed: connect ECONNREFUSED']);
+  });
+
+  it('records the LLM error when nothing else has an opinion', async () => {
+    requestLlmRecommendation.mockRejectedValue(new Error('timeout'));
+    getForecastCapacity.mockRejectedValueOnce(new Error('no model'));
+
+    const result = await runScalingCycle(target, { loadMetrics });
+
+    expect(result.outcome).toBe('failed');
+    expect(applyScalingRecommendation).not.toHaveBeenCalled();
+    expect(recordDecision.mock.calls[0][0].errorMessages).toEqual([
+      'LLM recommendation failed: timeout',
+      'Invalid or missing recommendation from Ollama'
+    ]);
+  });
+});
@@ -0,0 +1,65 @@
+// The stored scheduler state outlives a restart, every test starts without one
+let mockStoredState;
+
+jest.mock('../../src/services/scalingCycleService', () => ({ runScalingCycle: jest.fn() }));
+jest.mock('../../src/services/targetService', () => ({ listActiveTargets: jest.fn(async () => []) }));
+jest.mock('../../src/services/scalingStateService', () => ({
+  listStates: jest.fn(async () => []),
+  getSchedulerState: jest.fn(async () => ({ ...mockStoredState })),
+  saveSchedulerState: jest.fn(async fields => {
+    mockStoredState = { ...mockStoredState, ...fields };
+  })
+}));
+
+/**
+ * Load the scheduler as a new process would
+ */
+function restart() {
+  let schedulerService;
+  jest.isolateModules(() => {
+    schedulerService = require('../../src/services/schedulerService');
+  });
+  return schedulerService;
+}
+
+describe('schedulerService', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    mockStoredState = {};
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('starts with the default interval when nothing is stored', async () => {
+    const scheduler = restart();
+    await scheduler.initializeScheduler();
+
+    expect(await scheduler.getStatus()).toMatchObject({ running: true, intervalMinutes: 5 });
+    await scheduler.stop({ persist: false });
+  });
+
+  it('resumes a running scheduler with its interval after a shutdown', async () => {
+    const before = restart();
+    await before.start(7);
+    await before.stop({ persist: false });
+
+    const after = restart();
+    await after.initializeScheduler();
+
+    expect(await after.getStatus()).toMatchObject({ running: true, intervalMinutes: 7 });
+    await after.stop({ persist: false });
+  });
+
+  it('stays stopped after a restart when it was stopped through the API', async () => {
+    const before = restart();
+    await before.start(7);
+    await before.stop();
+
+    const after = restart();
+    await after.initializeScheduler();
+
+    expect((await after.getStatus()).running).toBe(false);
+  });
+});
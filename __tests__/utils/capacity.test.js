@@ -0,0 +1,115 @@
+const {
+  getDefaultScalingSignals,
+  getSignalSettings,
+  getNetworkUtilization,
+  getRequiredInstances,
+  sizeForSignals
+} = require('../../src/utils/capacity');
+
+describe('getRequiredInstances', () => {
+  it('sizes the peak to the threshold', () => {
+    expect(getRequiredInstances({ peak: 120, threshold: 80 }, 4)).toBe(6);
+    expect(getRequiredInstances({ peak: 90, threshold: 80, headroom: 0.1 }, 4)).toBeCloseTo(4.95);
+  });
+
+  it('applies the weight to the change in instances', () => {
+    expect(getRequiredInstances({ peak: 160, threshold: 80, weight: 0.5 }, 4)).toBe(6);
+    expect(getRequiredInstances({ peak: 160, threshold: 80, weight: 0 }, 4)).toBe(4);
+  });
+
+  it('sizes for a share of the threshold', () => {
+    expect(getRequiredInstances({ peak: 35, threshold: 50 }, 4, 0.7)).toBeCloseTo(4);
+  });
+});
+
+describe('sizeForSignals', () => {
+  it('scales out for the signal needing the most instances', () => {
+    const sizing = sizeForSignals([
+      { name: 'cpu', peak: 70, threshold: 80 },
+      { name: 'memory', peak: 90, threshold: 80, headroom: 0.1 }
+    ], 4);
+
+    expect(sizing).toEqual({ instances: 5, bindingSignal: 'memory', requiredInstances: { cpu: 4, memory: 5 } });
+  });
+
+  it('scales in only when every signal is below half its threshold', () => {
+    expect(sizeForSignals([
+      { name: 'cpu', peak: 30, threshold: 80 },
+      { name: 'memory', peak: 20, threshold: 80 }
+    ], 4)).toMatchObject({ instances: 3, bindingSignal: 'cpu' });
+
+    expect(sizeForSignals([
+      { name: 'cpu', peak: 30, threshold: 80 },
+      { name: 'memory', peak: 50, threshold: 80 }
+    ], 4)).toMatchObject({ instances: 4, bindingSignal: 'memory' });
+  });
+
+  it('never scales in below one instance', () => {
+    expect(sizeForSignals([{ name: 'cpu', peak: 1, threshold: 80 }], 2).instances).toBe(1);
+    expect(sizeForSignals([{ name: 'cpu', peak: 1, threshold: 80 }], 1).instances).toBe(1);
+  });
+
+  it('ignores signals without a peak or threshold', () => {
+    const sizing = sizeForSignals([
+      { name: 'network', peak: null, threshold: 75 },
+      { name: 'queueDepth', peak: 500, threshold: 0 }
+    ], 3);
+
+    expect(sizing).toEqual({ instances: 3, bindingSignal: null, requiredInstances: {} });
+  });
+});
+
+describe('getNetworkUtilization', () => {
+  it('converts bytes per step to a share of the bandwidth', () => {
+    // 7.5 GB in an hour is 16.7 Mbit/s, of 2 x 100 Mbit/s
+    expect(getNetworkUtilization(7.5e9, 60, 2, 100)).toBeCloseTo(8.33, 2);
+  });
+
+  it('returns null without a bandwidth', () => {
+    expect(getNetworkUtilization(7.5e9, 60, 2)).toBeNull();
+    expect(getNetworkUtilization(7.5e9, 60, 0, 100)).toBeNull();
+  });
+});
+
+describe('getSignalSettings', () => {
+  it('uses the settings of the target', () => {
+    const target = { scalingSignals: [{ name: 'memory', weight: 0.5, headroom: 0.2 }] };
+
+    expect(getSignalSettings(target, 'memory')).toEqual({ weight: 0.5, headroom: 0.2 });
+    expect(getSignalSettings(target, 'cpu')).toEqual({ weight: 1, headroom: 0 });
+    expect(getSignalSettings({}, 'cpu')).toEqual({ weight: 1, headroom: 0 });
+  });
+});
+
+describe('getDefaultScalingSignals', () => {
+  const { SCALING_SIGNALS } = process.env;
+
+  afterEach(() => {
+    if (SCALING_SIGNALS === undefined) {
+      delete process.env.SCALING_SIGNALS;
+    } else {
+      process.env.SCALING_SIGNALS = SCALING_SIGNALS;
+    }
+  });
+
+  it('reads the valid signals of SCALING_SIGNALS', () => {
+    process.env.SCALING_SIGNALS = JSON.stringify([
+      { name: 'memory', headroom: 0.2 },
+      { name: 'cpu', weight: 2 },
+      { name: 'queueDepth', weight: 0.5 }
+    ]);
+
+    expect(getDefaultScalingSignals()).toEqual([
+      { name: 'memory', headroom: 0.2 },
+      { name: 'queueDepth', weight: 0.5 }
+    ]);
+  });
+
+  it('returns undefined without valid signals', () => {
+    delete process.env.SCALING_SIGNALS;
+    expect(getDefaultScalingSignals()).toBeUndefined();
+
+    process.env.SCALING_SIGNALS = 'not json';
+    expect(getDefaultScalingSignals()).toBeUndefined();
+  });
+});
@@ -0,0 +1,89 @@
+const { parseCron, isValidCron, matches, previousRun, nextRun, isWindowActive } = require('../../src/utils/cron');
+
+describe('parseCron', () => {
+  it('expands lists, ranges and steps', () => {
+    const parsed = parseCron('0-30/10 8,12 * * 1-5');
+
+    expect([...parsed.minute]).toEqual([0, 10, 20, 30]);
+    expect([...parsed.hour]).toEqual([8, 12]);
+    expect([...parsed.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    expect(parsed.dayOfMonthRestricted).toBe(false);
+    expect(parsed.dayOfWeekRestricted).toBe(true);
+  });
+
+  it('runs a single value with a step up to the maximum', () => {
+    expect([...parseCron('50/5 * * * *').minute]).toEqual([50, 55]);
+  });
+
+  it('treats day of week 7 as Sunday', () => {
+    expect(parseCron('0 0 * * 7').dayOfWeek.has(0)).toBe(true);
+  });
+
+  it.each([
+    ['* * * *', 'must have 5 fields'],
+    [', * * * *', 'Empty list item'],
+    ['1,,2 * * * *', 'Empty list item'],
+    ['1, * * * *', 'Empty list item'],
+    ['*/0 * * * *', 'Invalid step'],
+    ['*/ * * * *', 'Invalid step'],
+    ['*/5/2 * * * *', 'Invalid step'],
+    ['1.5 * * * *', 'Invalid cron minute field'],
+    ['0x1 * * * *', 'Invalid cron minute field'],
+    ['-5 * * * *', 'Invalid cron minute field'],
+    ['1-2-3 * * * *', 'Invalid cron minute field'],
+    ['60 * * * *', 'Invalid cron minute field'],
+    ['0 0 0 * *', 'Invalid cron dayOfMonth field'],
+    ['30-10 * * * *', 'Invalid cron minute field']
+  ])('rejects %j', (expression, message) => {
+    expect(() => parseCron(expression)).toThrow(message);
+    expect(isValidCron(expression)).toBe(false);
+  });
+});
+
+describe('matches', () => {
+  it('matches the minute of a date in UTC', () => {
+    expect(matches('15 8 * * *', new Date('2024-03-04T08:15:42Z'))).toBe(true);
+    expect(matches('15 8 * * *', new Date('2024-03-04T08:16:00Z'))).toBe(false);
+  });
+
+  it('evaluates in a time zone', () => {
+    // 07:00 UTC is 08:00 in Berlin in winter
+    expect(matches('0 8 * * *', new Date('2024-01-15T07:00:00Z'), 'Europe/Berlin')).toBe(true);
+    expect(matches('0 8 * * *', new Date('2024-01-15T08:00:00Z'), 'Europe/Berlin')).toBe(false);
+  });
+
+  it('matches either restricted day field', () => {
+    // 2024-03-01 is a Friday, 2024-03-04 a Monday
+    expect(matches('0 0 1 * 1', new Date('2024-03-01T00:00:00Z'))).toBe(true);
+    expect(matches('0 0 1 * 1', new Date('2024-03-04T00:00:00Z'))).toBe(true);
+    expect(matches('0 0 1 * 1', new Date('2024-03-05T00:00:00Z'))).toBe(false);
+  });
+});
+
+describe('previousRun and nextRun', () => {
+  const date = new Date('2024-03-04T10:30:20Z');
+
+  it('finds the most recent matching minute', () => {
+    expect(previousRun('0 8 * * *', date)).toEqual(new Date('2024-03-04T08:00:00Z'));
+    expect(previousRun('30 10 * * *', date)).toEqual(new Date('2024-03-04T10:30:00Z'));
+  });
+
+  it('finds the next matching minute after the date', () => {
+    expect(nextRun('30 10 * * *', date)).toEqual(new Date('2024-03-05T10:30:00Z'));
+    expect(nextRun('*/15 * * * *', date)).toEqual(new Date('2024-03-04T10:45:00Z'));
+  });
+
+  it('gives up after maxMinutes', () => {
+    expect(previousRun('0 8 * * *', date, { maxMinutes: 60 })).toBeNull();
+    expect(nextRun('0 8 * * *', date, { maxMinutes: 60 })).toBeNull();
+  });
+});
+
+describe('isWindowActive', () => {
+  it('is active from the matching minute for the duration', () => {
+    expect(isWindowActive('0 8 * * *', 120, new Date('2024-03-04T08:00:00Z'))).toBe(true);
+    expect(isWindowActive('0 8 * * *', 120, new Date('2024-03-04T09:59:00Z'))).toBe(true);
+    expect(isWindowActive('0 8 * * *', 120, new Date('2024-03-04T10:00:00Z'))).toBe(false);
+    expect(isWindowActive('0 8 * * *', 120, new Date('2024-03-04T07:59:00Z'))).toBe(false);
+  });
+});
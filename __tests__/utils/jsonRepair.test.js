@@ -0,0 +1,51 @@
+const { repairJson, parseJson } = require('../../src/utils/jsonRepair');
+
+describe('repairJson', () => {
+  it.each([
+    ['prose and code fences', 'Sure!\n```json\n{"a": 1}\n```\nHope this helps', { a: 1 }],
+    ['a truncated string', '{"reasoning": "cut off', { reasoning: 'cut off' }],
+    ['a truncated value', '{"a": 1, "b": ', { a: 1, b: null }],
+    ['an unclosed array', '[1, 2', [1, 2]],
+    ['single quotes and bare keys', "{'a': 'b', c: 'd'}", { a: 'b', c: 'd' }],
+    ['comments', '{"a": 1, // note\n /* block */ "b": 2}', { a: 1, b: 2 }],
+    ['trailing commas', '{"a": [1, 2,], "b": 3,}', { a: [1, 2], b: 3 }],
+    ['Python literals', '{"a": True, "b": False, "c": None, "d": undefined}', { a: true, b: false, c: null, d: null }],
+    ['JavaScript numbers', '{"x": .5, "y": +1, "z": 2.}', { x: 0.5, y: 1, z: 2 }],
+    ['raw line breaks in strings', '{"a": "line\nbreak"}', { a: 'line\nbreak' }],
+    ['inner quotes', '{"reasoning": "the "peak" load"}', { reasoning: 'the "peak" load' }],
+    ['escapes', '{"a": "tab\\there \\u00e9"}', { a: 'tab\there é' }]
+  ])('repairs %s', (name, text, expected) => {
+    expect(JSON.parse(repairJson(text))).toEqual(expected);
+  });
+
+  it('keeps only the first object', () => {
+    expect(JSON.parse(repairJson('{"a": 1} and {"b": 2}'))).toEqual({ a: 1 });
+  });
+
+  it('throws without an object or array', () => {
+    expect(() => repairJson('no recommendation')).toThrow(SyntaxError);
+  });
+});
+
+describe('parseJson', () => {
+  it('parses valid JSON as is', () => {
+    expect(parseJson(' {"recommended_instances": 3} ')).toEqual({ recommended_instances: 3 });
+  });
+
+  it('repairs invalid JSON', () => {
+    expect(parseJson("Answer: {recommended_instances: 4, confidence: .8, reasoning: 'cpu'")).toEqual({
+      recommended_instances: 4,
+      confidence: 0.8,
+      reasoning: 'cpu'
+    });
+  });
+
+  it('reads code as data without running it', () => {
+    global.jsonRepairRan = false;
+
+    expect(() => parseJson('{"a": (() => { global.jsonRepairRan = true })()}')).toThrow(SyntaxError);
+    expect(global.jsonRepairRan).toBe(false);
+
+    delete global.jsonRepairRan;
+  });
+});
@@ -2,17 +2,14 @@
 
 /**
  * Fetch recent metrics from cloud providers (Azure or GCP)
- * Saves metrics as JSON files for later processing
+ * Saves metrics as JSON files in the canonical format (see src/utils/metricSchema) for later processing
  */
 
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
-const { DefaultAzureCredential } = require('@azure/identity');
-const { ComputeManagementClient } = require('@azure/arm-compute');
-const { MonitorClient } = require('@azure/arm-monitor');
 const logger = require('../src/utils/logger');
-const gcpService = require('../src/services/gcpService');
+const { getProvider } = require('../src/providers');
 
 // Parse command line arguments
 const args = process.argv.slice(2);
@@ -34,39 +31,23 @@ const argOptions = {
 // Cloud provider selection
 const CLOUD_PROVIDER = argOptions.cloud || process.env.CLOUD_PROVIDER || 'azure';
 
-// Azure configuration
-const AZURE_SUBSCRIPTION_ID = process.env.AZURE_SUBSCRIPTION_ID;
-const AZURE_RESOURCE_GROUP = argOptions.resourceGroup || process.env.AZURE_RESOURCE_GROUP;
-const AZURE_VMSS_NAME = argOptions.vmssName || process.env.AZURE_VMSS_NAME;
-
-// GCP configuration
-const GCP_PROJECT_ID = argOptions.project || process.env.GCP_PROJECT_ID;
-const GCP_INSTANCE_GROUP = argOptions.instanceGroup || process.env.GCP_INSTANCE_GROUP;
-const GCP_ZONE = argOptions.zone || process.env.GCP_ZONE;
+// Scaling target overrides (Azure VMSS or GCP instance group)
+const TARGET_OVERRIDES = {
+  resourceGroup: argOptions.resourceGroup,
+  vmssName: argOptions.vmssName,
+  vmSize: argOptions.vmSize,
+  project: argOptions.project,
+  instanceGroup: argOptions.instanceGroup,
+  zone: argOptions.zone
+};
 
 // Common configuration
 const OUTPUT_PATH = argOptions.outputPath || process.env.METRICS_PATH || './data';
 const LOOKBACK_HOURS = parseInt(argOptions.lookbackHours || process.env.METRICS_LOOKBACK_HOURS || '1');
 const INTERVAL_MINUTES = parseInt(argOptions.intervalMinutes || process.env.METRICS_INTERVAL_MINUTES || '15');
-const VM_SIZE = argOptions.vmSize || process.env.VM_SIZE;
 const SAVE_TO_FILE = !argOptions.noSave;
 const PRINT_TO_STDOUT = argOptions.stdout;
 
-// VM sizes and their approximate memory in GB
-// Used for calculating memory percentage when not directly available
-const VM_SIZES = {
-  'Standard_B1ms': 2,
-  'Standard_B2ms': 8,
-  'Standard_DS1_v2': 3.5,
-  'Standard_DS2_v2': 7,
-  'Standard_DS3_v2': 14,
-  'Standard_DS4_v2': 28,
-  'Standard_D2s_v3': 8,
-  'Standard_D4s_v3': 16,
-  'Standard_D8s_v3': 32,
-  // Add more VM sizes as needed
-};
-
 /**
  * Main function to collect metrics
  */
@@ -74,14 +55,13 @@ async function collectMetrics() {
   try {
     switch (CLOUD_PROVIDER.toLowerCase()) {
       case 'azure':
-        return await collectAzureMetrics();
       case 'gcp':
-        return await collectGcpMetrics();
+        return await collectProviderMetrics(CLOUD_PROVIDER.toLowerCase());
       case 'multi':
         // For multi-cloud, run both in parallel
         const [azureMetrics, gcpMetrics] = await Promise.all([
-          collectAzureMetrics(),
-          collectGcpMetrics()
+          collectProviderMetrics('azure'),
+          collectProviderMetrics('gcp')
         ]);
         return { azure: azureMetrics, gcp: gcpMetrics };
       default:
@@ -94,106 +74,22 @@ async function collectMetrics() {
 }
 
 /**
- * Collect metrics from Azure VMSS
+ * Collect metrics for the configured target of a cloud provider
+ * @param {string} providerName - Provider name (azure, gcp)
+ * @returns {Promise<Object>} Metric set
  */
-async function collectAzureMetrics() {
-  logger.info(`Starting metrics collection for ${AZURE_VMSS_NAME} in ${AZURE_RESOURCE_GROUP}`);
+async function collectProviderMetrics(providerName) {
+  const provider = getProvider(providerName);
+  const target = provider.defaultTarget(TARGET_OVERRIDES);
+  
+  logger.info(`Starting metrics collection for ${provider.describeTarget(target)}`);
   logger.info(`Config: Lookback=${LOOKBACK_HOURS}h, Interval=${INTERVAL_MINUTES}min, Output=${OUTPUT_PATH}`);
   
   try {
-    // Initialize Azure credentials and clients
-    const credential = new DefaultAzureCredential();
-    const computeClient = new ComputeManagementClient(credential, AZURE_SUBSCRIPTION_ID);
-    const monitorClient = new MonitorClient(credential, AZURE_SUBSCRIPTION_ID);
-    
-    // Get VMSS info
-    const vmss = await computeClient.virtualMachineScaleSets.get(
-      AZURE_RESOURCE_GROUP,
-      AZURE_VMSS_NAME
-    );
-    
-    // Get current capacity and SKU
-    const currentCapacity = vmss.sku.capacity;
-    const vmSize = VM_SIZE || vmss.sku.name;
-    
-    // Calculate time range for metrics query
-    const now = new Date();
-    const startTime = new Date(now.getTime() - (LOOKBACK_HOURS * 60 * 60 * 1000));
-    
-    // Resource ID for the VMSS
-    const resourceId = `/subscriptions/${AZURE_SUBSCRIPTION_ID}/resourceGroups/${AZURE_RESOURCE_GROUP}/providers/Microsoft.Compute/virtualMachineScaleSets/${AZURE_VMSS_NAME}`;
-    
-    // Get metrics (CPU, memory if available, network in/out)
-    const cpuMetrics = await monitorClient.metrics.list(
-      resourceId,
-      {
-        timespan: `${startTime.toISOString()}/${now.toISOString()}`,
-        interval: `PT${INTERVAL_MINUTES}M`,
-        metricnames: 'Percentage CPU',
-        aggregation: 'Average'
-      }
-    );
-    
-    // Try to get memory metrics, but these might not be available without diagnostics extension
-    let memoryMetrics;
-    try {
-      memoryMetrics = await monitorClient.metrics.list(
-        resourceId,
-        {
-          timespan: `${startTime.toISOString()}/${now.toISOString()}`,
-          interval: `PT${INTERVAL_MINUTES}M`,
-          metricnames: 'Available Memory Bytes',
-          aggregation: 'Average'
-        }
-      );
-    } catch (error) {
-      logger.warn('Memory metrics not available, will estimate based on VM size');
-    }
-    
-    // Get network metrics
-    const networkInMetrics = await monitorClient.metrics.list(
-      resourceId,
-      {
-        timespan: `${startTime.toISOString()}/${now.toISOString()}`,
-        interval: `PT${INTERVAL_MINUTES}M`,
-        metricnames: 'Network In',
-        aggregation: 'Total'
-      }
-    );
-    
-    const networkOutMetrics = await monitorClient.metrics.list(
-      resourceId,
-      {
-        timespan: `${startTime.toISOString()}/${now.toISOString()}`,
-        interval: `PT${INTERVAL_MINUTES}M`,
-        metricnames: 'Network Out',
-        aggregation: 'Total'
-      }
-    );
-    
-    // Process metrics into a standardized format
-    const formattedCpuMetrics = formatAzureMetrics(cpuMetrics, 'cpu');
-    const formattedMemoryMetrics = memoryMetrics ? 
-      formatAzureMemoryMetrics(memoryMetrics, vmSize) : [];
-    const formattedNetworkInMetrics = formatAzureMetrics(networkInMetrics, 'networkIn');
-    const formattedNetworkOutMetrics = formatAzureMetrics(networkOutMetrics, 'networkOut');
-    
-    // Construct metrics object
-    const metricsData = {
-      timestamp: now.toISOString(),
-      resourceGroup: AZURE_RESOURCE_GROUP,
-      vmssName: AZURE_VMSS_NAME,
-      vmSize: vmSize,
-      currentCapacity: currentCapacity,
+    const metricsData = await provider.getMetrics(target, {
       lookbackHours: LOOKBACK_HOURS,
-      intervalMinutes: INTERVAL_MINUTES,
-      metrics: {
-        cpu: formattedCpuMetrics,
-        memory: formattedMemoryMetrics,
-        networkIn: formattedNetworkInMetrics,
-        networkOut: formattedNetworkOutMetrics
-      }
-    };
+      intervalMinutes: INTERVAL_MINUTES
+    });
     
     // Save or output metrics
     if (SAVE_TO_FILE) {
@@ -207,109 +103,14 @@ async function collectAzureMetrics() {
     
     return metricsData;
   } catch (error) {
-    logger.error(`Error in Azure metrics collection: ${error.message}`, { error });
-    throw error;
-  }
-}
-
-/**
- * Collect metrics from GCP Instance Group
- */
-async function collectGcpMetrics() {
-  logger.info(`Starting metrics collection for instance group ${GCP_INSTANCE_GROUP} in ${GCP_PROJECT_ID}`);
-  logger.info(`Config: Lookback=${LOOKBACK_HOURS}h, Interval=${INTERVAL_MINUTES}min, Output=${OUTPUT_PATH}`);
-  
-  try {
-    // Initialize GCP service
-    await gcpService.initializeGcpService();
-    
-    // Collect instance group metrics
-    const metricsData = await gcpService.collectInstanceGroupMetrics(
-      GCP_INSTANCE_GROUP, 
-      LOOKBACK_HOURS, 
-      INTERVAL_MINUTES
-    );
-    
-    // Save or output metrics
-    if (SAVE_TO_FILE) {
-      const filePath = await gcpService.saveMetricsToFile(metricsData, OUTPUT_PATH);
-      logger.info(`GCP metrics saved to ${filePath}`);
-    }
-    
-    if (PRINT_TO_STDOUT) {
-      console.log(JSON.stringify(metricsData, null, 2));
-    }
-    
-    return metricsData;
-  } catch (error) {
-    logger.error(`Error in GCP metrics collection: ${error.message}`, { error });
+    logger.error(`Error in ${providerName} metrics collection: ${error.message}`, { error });
     throw error;
   }
 }
 
-/**
- * Format Azure metrics into a standardized format
- * @param {Object} metricsResult - Azure metrics result
- * @param {string} metricType - Type of metric (cpu, networkIn, networkOut)
- * @returns {Array} Formatted metrics data
- */
-function formatAzureMetrics(metricsResult, metricType) {
-  if (!metricsResult || !metricsResult.value || metricsResult.value.length === 0 || 
-      !metricsResult.value[0].timeseries || metricsResult.value[0].timeseries.length === 0) {
-    logger.warn(`No ${metricType} metrics found`);
-    return [];
-  }
-  
-  // Get first time series (usually there's only one)
-  const timeSeries = metricsResult.value[0].timeseries[0];
-  
-  // Map data points to standardized format
-  return timeSeries.data
-    .filter(point => point.average !== null || point.total !== null)
-    .map(point => ({
-      timestamp: point.timeStamp,
-      value: metricType.startsWith('network') ? point.total : point.average
-    }));
-}
-
-/**
- * Format Azure memory metrics with percentage calculation
- * @param {Object} metricsResult - Azure memory metrics result
- * @param {string} vmSize - VM size for memory conversion
- * @returns {Array} Formatted memory metrics data
- */
-function formatAzureMemoryMetrics(metricsResult, vmSize) {
-  if (!metricsResult || !metricsResult.value || metricsResult.value.length === 0 || 
-      !metricsResult.value[0].timeseries || metricsResult.value[0].timeseries.length === 0) {
-    logger.warn('No memory metrics found');
-    return [];
-  }
-  
-  // Get first time series
-  const timeSeries = metricsResult.value[0].timeseries[0];
-  
-  // Total memory based on VM size
-  const totalMemoryGB = VM_SIZES[vmSize] || 8; // Default to 8GB if unknown
-  const totalMemoryBytes = totalMemoryGB * 1024 * 1024 * 1024;
-  
-  // Map data points and calculate memory percentage
-  return timeSeries.data
-    .filter(point => point.average !== null)
-    .map(point => {
-      const availableMemoryBytes = point.average;
-      const usedMemoryBytes = totalMemoryBytes - availableMemoryBytes;
-      const memoryPercentage = (usedMemoryBytes / totalMemoryBytes) * 100;
-      
-      return {
-        timestamp: point.timeStamp,
-        value: Math.min(100, Math.max(0, memoryPercentage)) // Clamp between 0-100
-      };
-    });
-}
-
 /**
  * Save metrics data to a file
- * @param {Object} metricsData - Metrics data object
+ * @param {Object} metricsData - Metric set
  * @returns {Promise<string>} Path to saved file
  */
 async function saveMetricsToFile(metricsData) {
@@ -318,7 +119,10 @@ async function saveMetricsToFile(metricsData) {
   }
   
   const timestamp = new Date().toISOString().replace(/:/g, '-');
-  const fileName = `metrics_${metricsData.vmssName || 'azure'}_${timestamp}.json`;
+  const { target } = metricsData;
+  const fileName = target.provider === 'gcp'
+    ? `gcp_metrics_${target.instanceGroup}_${timestamp}.json`
+    : `metrics_${target.vmssName || 'azure'}_${timestamp}.json`;
   const filePath = path.join(OUTPUT_PATH, fileName);
   
   await fs.promises.writeFile(
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+/**
+ * Import metrics stored as one JSON blob per sample (the layout used before the
+ * metrics store) from Azure Blob Storage into the metrics store
+ */
+
+require('dotenv').config();
+const { BlobServiceClient } = require('@azure/storage-blob');
+const { DefaultAzureCredential } = require('@azure/identity');
+const logger = require('../src/utils/logger');
+const { connectToDatabase, disconnectFromDatabase } = require('../src/utils/db');
+const { getMetricsStore } = require('../src/metricsStore');
+const { DEFAULT_TARGET_ID } = require('../src/services/targetService');
+const { fromAzureMonitorBlob } = require('../src/utils/metricSchema');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const argOptions = {
+  account: args.find(arg => arg.startsWith('--account='))?.split('=')[1],
+  container: args.find(arg => arg.startsWith('--container='))?.split('=')[1],
+  targetId: args.find(arg => arg.startsWith('--target='))?.split('=')[1],
+  vmSize: args.find(arg => arg.startsWith('--vm-size='))?.split('=')[1],
+  memoryGb: args.find(arg => arg.startsWith('--memory-gb='))?.split('=')[1],
+  dryRun: args.includes('--dry-run')
+};
+
+const STORAGE_ACCOUNT_NAME = argOptions.account || process.env.AZURE_STORAGE_ACCOUNT_NAME;
+const CONTAINER_NAME = argOptions.container || process.env.AZURE_STORAGE_CONTAINER_NAME;
+const TARGET_ID = argOptions.targetId || DEFAULT_TARGET_ID;
+// Blobs hold available memory bytes, the store keeps utilization percentages
+const VM_SIZE = argOptions.vmSize || process.env.VM_SIZE;
+const MEMORY_GB = argOptions.memoryGb ? parseFloat(argOptions.memoryGb) : undefined;
+// Samples written per batch
+const BATCH_SIZE = 500;
+
+/**
+ * Blob name prefix of a target's metrics
+ */
+function getBlobPrefix(targetId) {
+  return targetId === DEFAULT_TARGET_ID ? 'metrics_' : `targets/${targetId}/metrics_`;
+}
+
+/**
+ * Read a blob download stream into a string
+ */
+async function streamToString(readableStream) {
+  const chunks = [];
+  for await (const chunk of readableStream) {
+    chunks.push(chunk.toString());
+  }
+  return chunks.join('');
+}
+
+/**
+ * Import all blobs of the target
+ */
+async function importMetrics() {
+  if (!STORAGE_ACCOUNT_NAME || !CONTAINER_NAME) {
+    throw new Error('Storage account and container are required (--account/--container or AZURE_STORAGE_ACCOUNT_NAME/AZURE_STORAGE_CONTAINER_NAME)');
+  }
+
+  const containerClient = new BlobServiceClient(
+    `https://${STORAGE_ACCOUNT_NAME}.blob.core.windows.net`,
+    new DefaultAzureCredential()
+  ).getContainerClient(CONTAINER_NAME);
+
+  if (!argOptions.dryRun) {
+    await connectToDatabase();
+    await getMetricsStore().initialize();
+  }
+
+  let batch = [];
+  let imported = 0;
+  const flush = async () => {
+    if (!argOptions.dryRun && batch.length > 0) {
+      await getMetricsStore().writeSamples(TARGET_ID, batch, { source: 'blob-import' });
+    }
+    imported += batch.length;
+    batch = [];
+  };
+
+  for await (const blob of containerClient.listBlobsFlat({ prefix: getBlobPrefix(TARGET_ID) })) {
+    if (!blob.name.endsWith('.json')) {
+      continue;
+    }
+
+    try {
+      const download = await containerClient.getBlobClient(blob.name).download();
+      const blobData = JSON.parse(await streamToString(download.readableStreamBody));
+      batch.push(...fromAzureMonitorBlob(blobData, { vmSize: VM_SIZE, memoryGb: MEMORY_GB }).samples);
+    } catch (error) {
+      logger.warn(`Skipping blob ${blob.name}: ${error.message}`);
+    }
+
+    if (batch.length >= BATCH_SIZE) {
+      await flush();
+      logger.info(`Imported ${imported} sample(s)...`);
+    }
+  }
+  await flush();
+
+  logger.info(`${argOptions.dryRun ? 'Found' : 'Imported'} ${imported} sample(s) for target ${TARGET_ID}`);
+}
+
+// Check for help flag
+if (args.includes('--help') || args.includes('-h')) {
+  console.log(`
+Usage: node import-blob-metrics.js [options]
+
+Import metrics blobs written by earlier versions into the metrics store (MONGODB_URI).
+
+Options:
+  --account=NAME          Storage account [default: AZURE_STORAGE_ACCOUNT_NAME]
+  --container=NAME        Blob container [default: AZURE_STORAGE_CONTAINER_NAME]
+  --target=ID             Target whose blobs to import [default: ${DEFAULT_TARGET_ID}]
+  --vm-size=SIZE          VM size, to convert available bytes to utilization [default: VM_SIZE]
+  --memory-gb=GB          Memory per instance, for VM sizes missing from the catalog
+  --dry-run               Count the blobs without writing samples
+  --help, -h              Show this help
+  `);
+  process.exit(0);
+}
+
+// Run the script
+importMetrics()
+  .catch(error => {
+    console.error(`Error importing metrics: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => disconnectFromDatabase().catch(() => {}));
@@ -0,0 +1,119 @@
+const express = require('express');
+const Joi = require('joi');
+const {
+  listActions,
+  getAction,
+  approveAction,
+  rejectAction
+} = require('../services/approvalService');
+const { validateRequest } = require('../utils/middleware');
+const { requirePermission } = require('../utils/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const { predictionsCache } = require('../utils/cache');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation schemas
+const listSchema = {
+  query: Joi.object({
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional(),
+    status: Joi.string().valid('pending', 'approved', 'rejected', 'expired', 'applied', 'failed').optional(),
+    targetId: Joi.string().optional(),
+    requestedBy: Joi.string().optional()
+  })
+};
+
+const actionIdSchema = {
+  params: Joi.object({
+    actionId: Joi.string().required()
+  })
+};
+
+const reviewSchema = {
+  ...actionIdSchema,
+  body: Joi.object({
+    comment: Joi.string().max(1000).optional()
+  })
+};
+
+/**
+ * @route GET /api/approvals
+ * @description List scaling actions waiting for (or past) approval, newest first
+ * @query page, limit - Pagination (limit max 100)
+ * @query status, targetId, requestedBy - Filters
+ */
+router.get('/', requirePermission(PERMISSIONS.METRICS_READ), validateRequest(listSchema), async (req, res, next) => {
+  try {
+    const { page, limit, ...filter } = req.query;
+    const actions = await listActions(filter, { page, limit });
+    return res.json(actions);
+  } catch (error) {
+    logger.error(`Error listing scaling actions: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/approvals/:actionId
+ * @description Get a scaling action with its recommendation and audit trail
+ */
+router.get('/:actionId', requirePermission(PERMISSIONS.METRICS_READ), validateRequest(actionIdSchema), async (req, res, next) => {
+  try {
+    const action = await getAction(req.params.actionId);
+    return res.json(action);
+  } catch (error) {
+    logger.error(`Error getting scaling action: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/approvals/:actionId/approve
+ * @description Approve a pending scaling action and apply it
+ * @body comment - Optional note kept in the audit trail
+ */
+router.post('/:actionId/approve', requirePermission(PERMISSIONS.SCALING_APPROVE), validateRequest(reviewSchema), async (req, res, next) => {
+  try {
+    const action = await approveAction(req.params.actionId, {
+      user: req.user.email,
+      comment: req.body.comment
+    });
+    predictionsCache.delete(`scaling:recommendations:${action.targetId}`);
+
+    return res.json({
+      success: action.status === 'applied',
+      action,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error approving scaling action: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/approvals/:actionId/reject
+ * @description Reject a pending scaling action
+ * @body comment - Optional note kept in the audit trail
+ */
+router.post('/:actionId/reject', requirePermission(PERMISSIONS.SCALING_APPROVE), validateRequest(reviewSchema), async (req, res, next) => {
+  try {
+    const action = await rejectAction(req.params.actionId, {
+      user: req.user.email,
+      comment: req.body.comment
+    });
+
+    return res.json({
+      success: true,
+      action,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error rejecting scaling action: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,11 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
+const Joi = require('joi');
 const User = require('../models/User');
 const logger = require('../utils/logger');
+const { authenticate, requirePermission } = require('../utils/auth');
+const { PERMISSIONS, ROLES, getPermissions } = require('../utils/permissions');
+const { validateRequest } = require('../utils/middleware');
 const crypto = require('crypto');
 
 const router = express.Router();
@@ -11,6 +15,25 @@ const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-pro
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
 const REFRESH_TOKEN_EXPIRES_IN = process.env.REFRESH_TOKEN_EXPIRES_IN || '30d';
 
+// Validation schemas
+const createUserSchema = {
+  body: Joi.object({
+    name: Joi.string().required(),
+    email: Joi.string().email().required(),
+    password: Joi.string().min(8).required(),
+    role: Joi.string().valid(...ROLES).optional()
+  })
+};
+
+const updateRoleSchema = {
+  params: Joi.object({
+    userId: Joi.string().hex().length(24).required()
+  }),
+  body: Joi.object({
+    role: Joi.string().valid(...ROLES).required()
+  })
+};
+
 /**
  * Generate a random token
  */
@@ -199,7 +222,8 @@ router.get('/validate', async (req, res) => {
       id: user._id,
       name: user.name,
       email: user.email,
-      role: user.role
+      role: user.role,
+      permissions: getPermissions(user.role)
     });
   } catch (error) {
     if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
@@ -243,4 +267,83 @@ router.post('/setup', async (req, res) => {
   }
 });
 
+/**
+ * Sanitized user for responses
+ */
+const toUserResponse = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  lastLogin: user.lastLogin
+});
+
+/**
+ * List users
+ * GET /api/auth/users
+ */
+router.get('/users', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const users = await User.find().select('-password -refreshTokens').sort({ email: 1 });
+    res.status(200).json({ users: users.map(toUserResponse) });
+  } catch (error) {
+    logger.error(`Error listing users: ${error.message}`, { error });
+    res.status(500).json({ message: 'Server error while listing users' });
+  }
+});
+
+/**
+ * Create a user with a role
+ * POST /api/auth/users
+ */
+router.post('/users', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), validateRequest(createUserSchema), async (req, res) => {
+  try {
+    const { name, email, password, role } = req.body;
+
+    if (await User.findOne({ email: email.toLowerCase() })) {
+      return res.status(409).json({ message: 'A user with this email already exists' });
+    }
+
+    const user = new User({ name, email, password, role });
+    await user.save();
+
+    logger.info(`User ${user.email} created with role ${user.role} by ${req.user.email}`);
+    res.status(201).json(toUserResponse(user));
+  } catch (error) {
+    logger.error(`Error creating user: ${error.message}`, { error });
+    res.status(500).json({ message: 'Server error while creating user' });
+  }
+});
+
+/**
+ * Change the role of a user
+ * PUT /api/auth/users/:userId/role
+ */
+router.put('/users/:userId/role', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), validateRequest(updateRoleSchema), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('-password -refreshTokens');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Keep at least one admin able to manage users
+    if (user.role === 'admin' && req.body.role !== 'admin') {
+      const adminCount = await User.countDocuments({ role: 'admin' });
+      if (adminCount <= 1) {
+        return res.status(400).json({ message: 'Cannot remove the role of the last admin' });
+      }
+    }
+
+    user.role = req.body.role;
+    await user.save();
+
+    logger.info(`Role of ${user.email} changed to ${user.role} by ${req.user.email}`);
+    res.status(200).json(toUserResponse(user));
+  } catch (error) {
+    logger.error(`Error changing user role: ${error.message}`, { error });
+    res.status(500).json({ message: 'Server error while changing user role' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,150 @@
+const express = require('express');
+const Joi = require('joi');
+const {
+  listSchedules,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  previewSchedules
+} = require('../services/capacityScheduleService');
+const { loadTarget } = require('../services/targetService');
+const { isValidCron, isValidTimeZone } = require('../utils/cron');
+const { validateRequest } = require('../utils/middleware');
+const { requirePermission } = require('../utils/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+// Mounted below /api/targets/:targetId
+const router = express.Router({ mergeParams: true });
+
+// Validation schemas
+const scheduleSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  enabled: Joi.boolean().optional(),
+  schedule: Joi.string()
+    .custom((value, helpers) => isValidCron(value) ? value : helpers.message('schedule must be a five field cron expression'))
+    .required(),
+  durationMinutes: Joi.number().integer().min(1).max(7 * 24 * 60).required(),
+  timezone: Joi.string()
+    .custom((value, helpers) => isValidTimeZone(value) ? value : helpers.message('timezone must be an IANA time zone'))
+    .optional(),
+  minInstances: Joi.number().integer().min(0).max(1000).optional(),
+  maxInstances: Joi.number().integer().min(0).max(1000).optional()
+    .when('minInstances', { is: Joi.exist(), then: Joi.number().min(Joi.ref('minInstances')) }),
+  desiredInstances: Joi.number().integer().min(0).max(1000).optional(),
+  startDate: Joi.date().iso().optional(),
+  endDate: Joi.date().iso().optional()
+    .when('startDate', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('startDate')) })
+}).or('minInstances', 'maxInstances', 'desiredInstances');
+
+const targetIdSchema = {
+  params: Joi.object({
+    targetId: Joi.string().required()
+  })
+};
+
+const scheduleIdSchema = {
+  params: Joi.object({
+    targetId: Joi.string().required(),
+    scheduleId: Joi.string().required()
+  })
+};
+
+const previewSchema = {
+  ...targetIdSchema,
+  query: Joi.object({
+    from: Joi.date().iso().optional(),
+    hours: Joi.number().integer().min(1).max(31 * 24).optional()
+  })
+};
+
+/**
+ * @route GET /api/targets/:targetId/schedules
+ * @description List the capacity schedules of a target
+ */
+router.get('/', requirePermission(PERMISSIONS.METRICS_READ), validateRequest(targetIdSchema), loadTarget, async (req, res, next) => {
+  try {
+    const schedules = await listSchedules(req.target.id);
+
+    return res.json({
+      schedules,
+      count: schedules.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error listing capacity schedules: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/targets/:targetId/schedules/preview
+ * @description Capacity the enabled schedules demand over the next week (or `hours`), as segments with the effective bounds and desired count
+ * @query {string} from - Start of the preview (ISO date), defaults to now
+ * @query {number} hours - Length of the preview, defaults to 168
+ */
+router.get('/preview', requirePermission(PERMISSIONS.METRICS_READ), validateRequest(previewSchema), loadTarget, async (req, res, next) => {
+  try {
+    const preview = await previewSchedules(req.target, {
+      from: req.query.from ? new Date(req.query.from) : new Date(),
+      hours: req.query.hours ? parseInt(req.query.hours) : 168
+    });
+
+    return res.json(preview);
+  } catch (error) {
+    logger.error(`Error previewing capacity schedules: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/targets/:targetId/schedules
+ * @description Add a capacity schedule to a target
+ * @body {Object} Schedule: name, schedule (cron), durationMinutes, timezone, at least one of minInstances, maxInstances, desiredInstances, and optional startDate/endDate
+ */
+router.post('/', requirePermission(PERMISSIONS.TARGETS_MANAGE), validateRequest({ ...targetIdSchema, body: scheduleSchema }), loadTarget, async (req, res, next) => {
+  try {
+    const schedule = await createSchedule(req.target.id, req.body);
+    return res.status(201).json(schedule);
+  } catch (error) {
+    logger.error(`Error creating capacity schedule: ${error.message}`, { error });
+    if (error.name === 'ValidationError') {
+      error.status = 400;
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /api/targets/:targetId/schedules/:scheduleId
+ * @description Replace a capacity schedule
+ * @body {Object} Schedule, see POST
+ */
+router.put('/:scheduleId', requirePermission(PERMISSIONS.TARGETS_MANAGE), validateRequest({ ...scheduleIdSchema, body: scheduleSchema }), loadTarget, async (req, res, next) => {
+  try {
+    const schedule = await updateSchedule(req.target.id, req.params.scheduleId, req.body);
+    return res.json(schedule);
+  } catch (error) {
+    logger.error(`Error updating capacity schedule: ${error.message}`, { error });
+    if (error.name === 'ValidationError') {
+      error.status = 400;
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /api/targets/:targetId/schedules/:scheduleId
+ * @description Remove a capacity schedule
+ */
+router.delete('/:scheduleId', requirePermission(PERMISSIONS.TARGETS_MANAGE), validateRequest(scheduleIdSchema), loadTarget, async (req, res, next) => {
+  try {
+    await deleteSchedule(req.target.id, req.params.scheduleId);
+    return res.status(204).end();
+  } catch (error) {
+    logger.error(`Error deleting capacity schedule: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+module.exports = router;
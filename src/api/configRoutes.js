@@ -0,0 +1,130 @@
+const express = require('express');
+const Joi = require('joi');
+const runtimeConfig = require('../services/runtimeConfigService');
+const { validateRequest } = require('../utils/middleware');
+const { requirePermission } = require('../utils/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation schemas
+const { sectionSchemas } = runtimeConfig;
+
+const sectionSchema = {
+  params: Joi.object({
+    section: Joi.string().valid(...Object.keys(sectionSchemas)).required()
+  })
+};
+
+const historySchema = {
+  query: Joi.object({
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional(),
+    section: Joi.string().valid(...Object.keys(sectionSchemas)).optional(),
+    changedBy: Joi.string().optional()
+  })
+};
+
+/**
+ * Name recorded in the audit trail for a request
+ */
+function getActor(req) {
+  return req.user ? req.user.email : 'anonymous';
+}
+
+/**
+ * @route GET /api/config
+ * @description Get every configuration section (secrets masked) and the version in effect
+ */
+router.get('/', requirePermission(PERMISSIONS.CONFIG_READ), (req, res) => {
+  const sections = {};
+  for (const section of Object.keys(sectionSchemas)) {
+    sections[section] = runtimeConfig.getPublicConfig(section);
+  }
+
+  return res.json({
+    version: runtimeConfig.getVersion(),
+    ...sections
+  });
+});
+
+/**
+ * @route GET /api/config/history
+ * @description Audit trail of configuration changes, newest first
+ * @query page, limit - Pagination (limit max 100)
+ * @query section, changedBy - Filters
+ */
+router.get('/history', requirePermission(PERMISSIONS.CONFIG_READ), validateRequest(historySchema), async (req, res, next) => {
+  try {
+    const { page, limit, ...filter } = req.query;
+    const history = await runtimeConfig.listHistory(filter, { page, limit });
+    return res.json(history);
+  } catch (error) {
+    logger.error(`Error getting configuration history: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/config/:section
+ * @description Get the effective azure, ollama, scaling, thresholds or approval configuration (secrets masked)
+ */
+router.get('/:section', requirePermission(PERMISSIONS.CONFIG_READ), validateRequest(sectionSchema), (req, res) => {
+  return res.json(runtimeConfig.getPublicConfig(req.params.section));
+});
+
+/**
+ * Create a handler that stores a configuration section
+ */
+function updateSection(section) {
+  return async (req, res, next) => {
+    try {
+      const { config, version } = await runtimeConfig.updateConfig(section, req.body, {
+        changedBy: getActor(req)
+      });
+
+      return res.json({
+        success: true,
+        config,
+        version,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error(`Error updating ${section} configuration: ${error.message}`, { error });
+      next(error);
+    }
+  };
+}
+
+/**
+ * @route POST /api/config/azure
+ * @description Update the Azure service principal and default scale set
+ */
+router.post('/azure', requirePermission(PERMISSIONS.CONFIG_WRITE), validateRequest({ body: sectionSchemas.azure }), updateSection('azure'));
+
+/**
+ * @route POST /api/config/ollama
+ * @description Update the Ollama endpoint, models and system prompt
+ */
+router.post('/ollama', requirePermission(PERMISSIONS.CONFIG_WRITE), validateRequest({ body: sectionSchemas.ollama }), updateSection('ollama'));
+
+/**
+ * @route POST /api/config/scaling
+ * @description Update instance bounds, cooldown, confidence threshold and metrics window
+ */
+router.post('/scaling', requirePermission(PERMISSIONS.CONFIG_WRITE), validateRequest({ body: sectionSchemas.scaling }), updateSection('scaling'));
+
+/**
+ * @route POST /api/config/thresholds
+ * @description Update the CPU, memory and network utilization thresholds (percent)
+ */
+router.post('/thresholds', requirePermission(PERMISSIONS.CONFIG_WRITE), validateRequest({ body: sectionSchemas.thresholds }), updateSection('thresholds'));
+
+/**
+ * @route POST /api/config/approval
+ * @description Update when scaling actions need approval (instance delta, percentage, expiry)
+ */
+router.post('/approval', requirePermission(PERMISSIONS.CONFIG_WRITE), validateRequest({ body: sectionSchemas.approval }), updateSection('approval'));
+
+module.exports = router;
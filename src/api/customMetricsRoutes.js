@@ -0,0 +1,48 @@
+const express = require('express');
+const Joi = require('joi');
+const { ingestSamples } = require('../services/customMetricsService');
+const { loadTarget } = require('../services/targetService');
+const { METRIC_NAME_PATTERN, RESERVED_METRIC_NAMES } = require('../utils/metricSchema');
+const { validateRequest } = require('../utils/middleware');
+const { requirePermission } = require('../utils/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation schemas
+const ingestSchema = {
+  body: Joi.object({
+    targetId: Joi.string().optional(),
+    samples: Joi.array().items(Joi.object({
+      name: Joi.string().pattern(METRIC_NAME_PATTERN).invalid(...RESERVED_METRIC_NAMES).required(),
+      value: Joi.number().required(),
+      timestamp: Joi.date().iso().optional()
+    })).min(1).max(1000).required()
+  })
+};
+
+/**
+ * @route POST /api/metrics/ingest
+ * @description Store custom metrics pushed by the target's services
+ * @body {string} [targetId] - Target the samples belong to, defaults to the environment-configured target
+ * @body {Array} samples - Samples of { name, value, timestamp }, timestamp defaults to now
+ */
+router.post('/ingest', requirePermission(PERMISSIONS.METRICS_WRITE), validateRequest(ingestSchema), loadTarget, async (req, res, next) => {
+  try {
+    const { target } = req;
+    const result = await ingestSamples(target, req.body.samples);
+
+    logger.info(`Ingested ${result.accepted} custom metric sample(s) for target ${target.name}`);
+    return res.status(201).json({
+      targetId: target.id,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error ingesting custom metrics: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+const express = require('express');
+const Joi = require('joi');
+const { getMetricsState, getModelState } = require('../services/dashboardService');
+const { listDecisions, toLogEntry } = require('../services/decisionService');
+const { loadTarget } = require('../services/targetService');
+const { validateRequest } = require('../utils/middleware');
+const { requirePermission } = require('../utils/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation schemas
+const metricsQuerySchema = {
+  query: Joi.object({
+    targetId: Joi.string().optional()
+  })
+};
+
+const logsQuerySchema = {
+  query: Joi.object({
+    limit: Joi.number().integer().min(1).max(100).optional(),
+    targetId: Joi.string().optional()
+  })
+};
+
+/**
+ * @route GET /api/metrics
+ * @description Current CPU, memory and network metrics with trends and history
+ * @query targetId - Registered target id, defaults to the configured target
+ */
+router.get('/metrics', requirePermission(PERMISSIONS.METRICS_READ), validateRequest(metricsQuerySchema), loadTarget, async (req, res) => {
+  try {
+    const metrics = await getMetricsState(req.target);
+    return res.json(metrics);
+  } catch (error) {
+    logger.error(`Error getting dashboard metrics: ${error.message}`, { error });
+    return res.status(500).json({
+      error: 'Failed to get metrics',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/model
+ * @description Configured Ollama models, their availability and the last recommendation confidence
+ */
+router.get('/model', requirePermission(PERMISSIONS.METRICS_READ), async (req, res) => {
+  try {
+    const model = await getModelState();
+    return res.json(model);
+  } catch (error) {
+    logger.error(`Error getting model status: ${error.message}`, { error });
+    return res.status(500).json({
+      error: 'Failed to get model status',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/logs
+ * @description Most recent scaling decisions as log entries
+ * @query limit - Number of entries (default 20, max 100)
+ * @query targetId - Only entries of this target
+ */
+router.get('/logs', requirePermission(PERMISSIONS.METRICS_READ), validateRequest(logsQuerySchema), async (req, res) => {
+  try {
+    const { limit, targetId } = req.query;
+    const { decisions } = await listDecisions({ targetId }, { limit });
+
+    return res.json(decisions.map(toLogEntry));
+  } catch (error) {
+    logger.error(`Error getting scaling logs: ${error.message}`, { error });
+    return res.status(500).json({
+      error: 'Failed to get scaling logs',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,64 +1,141 @@
 const express = require('express');
-const { 
-  getCurrentVMSSCapacity, 
-  scaleVMSS, 
-  applyTerraformChanges 
+const Joi = require('joi');
+const {
+  getCurrentCapacity,
+  listInstances,
+  applyTerraformChanges,
+  applyScalingRecommendation
 } = require('../services/infrastructureService');
+const { loadTarget } = require('../services/targetService');
+const { validateRequest } = require('../utils/middleware');
+const { requirePermission } = require('../utils/auth');
+const { PERMISSIONS } = require('../utils/permissions');
 
 const router = express.Router();
 
+// Validation schemas
+const terraformApplySchema = {
+  body: Joi.object({
+    // Capacity changes go through /scale, which checks the bounds and approvals
+    variables: Joi.object({
+      vmss_capacity: Joi.any().forbidden().messages({
+        'any.unknown': 'vmss_capacity can not be set through Terraform, use POST /api/infrastructure/scale'
+      })
+    }).unknown(true).optional(),
+    targetId: Joi.string().optional()
+  })
+};
+
 /**
- * @route GET /api/infrastructure/vmss
- * @description Get current VMSS information
+ * @route GET /api/infrastructure/capacity
+ * @description Get current capacity of a scaling target (alias: /vmss)
+ * @query targetId - Registered target id, defaults to the configured target
  */
-router.get('/vmss', async (req, res) => {
+router.get(['/capacity', '/vmss'], requirePermission(PERMISSIONS.METRICS_READ), loadTarget, async (req, res) => {
   try {
-    const capacity = await getCurrentVMSSCapacity();
-    
+    const { target } = req;
+    const capacity = await getCurrentCapacity(target);
+
     return res.json({
-      name: process.env.AZURE_VMSS_NAME,
-      resourceGroup: process.env.AZURE_RESOURCE_GROUP,
+      target,
       capacity,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error(`Error getting VMSS information: ${error.message}`, error);
+    console.error(`Error getting capacity: ${error.message}`, error);
     return res.status(500).json({
-      error: 'Failed to get VMSS information',
+      error: 'Failed to get capacity',
       message: error.message
     });
   }
 });
 
 /**
- * @route POST /api/infrastructure/vmss/scale
- * @description Scale VMSS to a specific capacity
+ * @route POST /api/infrastructure/scale
+ * @description Scale a target to a specific capacity (alias: /vmss/scale)
+ * @body capacity - Desired instance count within the target bounds
+ * @body targetId - Registered target id, defaults to the configured target
  */
-router.post('/vmss/scale', async (req, res) => {
+router.post(['/scale', '/vmss/scale'], requirePermission(PERMISSIONS.SCALING_EXECUTE), loadTarget, async (req, res) => {
   try {
     const { capacity } = req.body;
-    
+
     if (!capacity || typeof capacity !== 'number' || capacity < 1) {
       return res.status(400).json({
         error: 'Invalid capacity. Must be a positive number.'
       });
     }
-    
-    const currentCapacity = await getCurrentVMSSCapacity();
-    const newCapacity = await scaleVMSS(capacity);
-    
+
+    const { target } = req;
+    if (capacity < target.minInstances || capacity > target.maxInstances) {
+      return res.status(400).json({
+        error: 'Invalid capacity',
+        message: `Capacity must be between ${target.minInstances} and ${target.maxInstances}`
+      });
+    }
+
+    const currentCapacity = await getCurrentCapacity(target);
+
+    // Recorded like any other decision, large changes wait for approval
+    const result = await applyScalingRecommendation({
+      model: 'manual',
+      reasoning: `Manual scaling to ${capacity} instances requested through the infrastructure API`,
+      scaling: {
+        currentInstances: currentCapacity,
+        recommendedInstances: capacity,
+        scaleOutRecommended: capacity > currentCapacity,
+        scaleInRecommended: capacity < currentCapacity
+      }
+    }, target, { source: 'manual', requestedBy: req.user.email });
+
+    if (result.action === 'pending_approval') {
+      return res.status(202).json({
+        success: true,
+        target,
+        previousCapacity: currentCapacity,
+        newCapacity: currentCapacity,
+        pendingApproval: result,
+        timestamp: new Date().toISOString()
+      });
+    }
+
     return res.json({
       success: true,
-      name: process.env.AZURE_VMSS_NAME,
-      resourceGroup: process.env.AZURE_RESOURCE_GROUP,
+      target,
       previousCapacity: currentCapacity,
-      newCapacity,
+      newCapacity: capacity,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error scaling target: ${error.message}`, error);
+    // Approval queue unavailable (503) or conflicting actions (409) keep their status
+    return res.status(error.status || 500).json({
+      error: 'Failed to scale target',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/infrastructure/instances
+ * @description List instances belonging to a scaling target
+ * @query targetId - Registered target id, defaults to the configured target
+ */
+router.get('/instances', requirePermission(PERMISSIONS.METRICS_READ), loadTarget, async (req, res) => {
+  try {
+    const { target } = req;
+    const instances = await listInstances(target);
+
+    return res.json({
+      target,
+      count: instances.length,
+      instances,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error(`Error scaling VMSS: ${error.message}`, error);
+    console.error(`Error listing instances: ${error.message}`, error);
     return res.status(500).json({
-      error: 'Failed to scale VMSS',
+      error: 'Failed to list instances',
       message: error.message
     });
   }
@@ -66,14 +143,16 @@ router.post('/vmss/scale', async (req, res) => {
 
 /**
  * @route POST /api/infrastructure/terraform/apply
- * @description Apply Terraform changes
+ * @description Apply Terraform changes, the capacity stays at the current instance count
+ * @body variables - Terraform variables, except vmss_capacity
+ * @body targetId - Registered Azure target id, defaults to the configured target
  */
-router.post('/terraform/apply', async (req, res) => {
+router.post('/terraform/apply', requirePermission(PERMISSIONS.TERRAFORM_APPLY), validateRequest(terraformApplySchema), loadTarget, async (req, res) => {
   try {
     const { variables } = req.body;
-    
-    const result = await applyTerraformChanges(variables || {});
-    
+
+    const result = await applyTerraformChanges(variables || {}, req.target);
+
     return res.json({
       success: true,
       result,
@@ -91,20 +170,20 @@ router.post('/terraform/apply', async (req, res) => {
 /**
  * @route GET /api/infrastructure/status
  * @description Get infrastructure status
+ * @query targetId - Registered target id, defaults to the configured target
  */
-router.get('/status', async (req, res) => {
+router.get('/status', requirePermission(PERMISSIONS.METRICS_READ), loadTarget, async (req, res) => {
   try {
-    // Get VMSS capacity
-    const vmssCapacity = await getCurrentVMSSCapacity();
-    
+    const { target } = req;
+    const capacity = await getCurrentCapacity(target);
+
     // Additional infrastructure status checks could be added here
-    
+
     return res.json({
       status: 'healthy',
-      vmss: {
-        name: process.env.AZURE_VMSS_NAME,
-        resourceGroup: process.env.AZURE_RESOURCE_GROUP,
-        capacity: vmssCapacity
+      target: {
+        ...target,
+        capacity
       },
       timestamp: new Date().toISOString()
     });
@@ -118,4 +197,4 @@ router.get('/status', async (req, res) => {
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
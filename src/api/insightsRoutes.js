@@ -1,17 +1,15 @@
 const express = require('express');
-const axios = require('axios');
 const { getHistoricalMetrics } = require('../services/dataCollectionService');
 const { getScalingRecommendations } = require('../services/modelService');
+const { generateText } = require('../services/ollamaService');
 const logger = require('../utils/logger');
 const { validateRequest } = require('../utils/middleware');
+const { requirePermission } = require('../utils/auth');
+const { PERMISSIONS } = require('../utils/permissions');
 const Joi = require('joi');
 
 const router = express.Router();
 
-// Configure Ollama API
-const OLLAMA_API_URL = process.env.OLLAMA_API_URL || 'http://localhost:11434/api';
-const OLLAMA_MODEL = process.env.OLLAMA_MODEL || 'llama2';
-
 // Validation schemas
 const optimizeSchema = {
   body: Joi.object({
@@ -20,31 +18,11 @@ const optimizeSchema = {
   })
 };
 
-/**
- * Call Ollama API for generating text
- * @param {string} prompt - The prompt to send to Ollama
- * @returns {Promise<string>} The generated text
- */
-async function callOllamaAPI(prompt) {
-  try {
-    const response = await axios.post(`${OLLAMA_API_URL}/generate`, {
-      model: OLLAMA_MODEL,
-      prompt,
-      stream: false
-    });
-    
-    return response.data.response;
-  } catch (error) {
-    logger.error(`Error calling Ollama API: ${error.message}`, { error });
-    throw new Error(`Failed to call Ollama API: ${error.message}`);
-  }
-}
-
 /**
  * @route GET /api/insights/summary
  * @description Get natural language summary of the current system state and recommendations
  */
-router.get('/summary', async (req, res, next) => {
+router.get('/summary', requirePermission(PERMISSIONS.INSIGHTS_READ), async (req, res, next) => {
   try {
     if (process.env.ENABLE_INSIGHTS === 'false') {
       return res.status(400).json({
@@ -56,13 +34,13 @@ router.get('/summary', async (req, res, next) => {
     const recommendations = await getScalingRecommendations();
     
     // Get recent metrics for context
-    const recentMetrics = await getHistoricalMetrics(1); // Last day
+    const recentMetrics = await getHistoricalMetrics(1, undefined, { stepMinutes: 60 }); // Last day, hourly
     
-    // Prepare data for Ollama
+    // Prepare data for the LLM
     const prompt = generateSummaryPrompt(recommendations, recentMetrics);
     
-    // Call Ollama API
-    const summary = await callOllamaAPI(prompt);
+    // Call the configured LLM provider
+    const summary = await generateText(prompt);
     
     return res.json({
       summary,
@@ -83,7 +61,7 @@ function generateSummaryPrompt(recommendations, recentMetrics) {
     metrics: { 
       cpu: { maxPrediction: cpuMax, threshold: cpuThreshold }, 
       memory: { maxPrediction: memoryMax, threshold: memoryThreshold },
-      network: { maxPrediction: networkMax, threshold: networkThreshold }
+      network: { utilization: networkUtilization, threshold: networkThreshold }
     },
     scaling: { 
       currentInstances, 
@@ -93,6 +71,11 @@ function generateSummaryPrompt(recommendations, recentMetrics) {
     }
   } = recommendations;
   
+  // Network is only sized (and reported in %) when the target has a bandwidth
+  const network = networkThreshold === undefined
+    ? 'Not sized, no network bandwidth configured'
+    : `Maximum predicted ${(networkUtilization ?? 0).toFixed(2)}% (threshold: ${networkThreshold}%)`;
+  
   // Build prompt
   return `
     Generate a concise summary of the current Azure infrastructure state and scaling recommendations based on the following data:
@@ -103,7 +86,7 @@ function generateSummaryPrompt(recommendations, recentMetrics) {
     Resource Metrics:
     - CPU Utilization: Maximum predicted ${cpuMax.toFixed(2)}% (threshold: ${cpuThreshold}%)
     - Memory Utilization: Maximum predicted ${memoryMax.toFixed(2)}% (threshold: ${memoryThreshold}%)
-    - Network Utilization: Maximum predicted ${networkMax.toFixed(2)}% (threshold: ${networkThreshold}%)
+    - Network Utilization: ${network}
     
     Scaling Recommendation:
     - Recommended instance count: ${recommendedInstances}
@@ -120,9 +103,9 @@ function generateSummaryPrompt(recommendations, recentMetrics) {
 
 /**
  * @route GET /api/insights/anomalies
- * @description Detect anomalies in recent metrics using Ollama
+ * @description Detect anomalies in recent metrics using the LLM
  */
-router.get('/anomalies', async (req, res, next) => {
+router.get('/anomalies', requirePermission(PERMISSIONS.INSIGHTS_READ), async (req, res, next) => {
   try {
     if (process.env.ENABLE_INSIGHTS === 'false') {
       return res.status(400).json({
@@ -131,13 +114,13 @@ router.get('/anomalies', async (req, res, next) => {
     }
     
     // Get recent metrics
-    const recentMetrics = await getHistoricalMetrics(7); // Last week
+    const recentMetrics = await getHistoricalMetrics(7, undefined, { stepMinutes: 60 }); // Last week, hourly
     
-    // Prepare data for Ollama
+    // Prepare data for the LLM
     const prompt = generateAnomalyPrompt(recentMetrics);
     
-    // Call Ollama API
-    const analysis = await callOllamaAPI(prompt);
+    // Call the configured LLM provider
+    const analysis = await generateText(prompt);
     
     return res.json({
       analysis,
@@ -154,26 +137,13 @@ router.get('/anomalies', async (req, res, next) => {
  */
 function generateAnomalyPrompt(recentMetrics) {
   // Extract and format metrics
-  const formattedMetrics = recentMetrics.map(metric => {
-    const cpuMetric = metric.cpu?.find(item => item.name?.value === 'Percentage CPU');
-    const cpuValue = cpuMetric?.timeseries?.[0]?.data?.[0]?.average || 0;
-    
-    const memMetric = metric.memory?.find(item => item.name?.value === 'Available Memory Bytes');
-    const memValue = memMetric?.timeseries?.[0]?.data?.[0]?.average || 0;
-    
-    const netInMetric = metric.network?.find(item => item.name?.value === 'Network In');
-    const netOutMetric = metric.network?.find(item => item.name?.value === 'Network Out');
-    const netInValue = netInMetric?.timeseries?.[0]?.data?.[0]?.total || 0;
-    const netOutValue = netOutMetric?.timeseries?.[0]?.data?.[0]?.total || 0;
-    
-    return {
-      timestamp: metric.timestamp,
-      cpu: cpuValue.toFixed(2),
-      memory: memValue.toFixed(2),
-      networkIn: netInValue,
-      networkOut: netOutValue
-    };
-  });
+  const formattedMetrics = recentMetrics.map(metric => ({
+    timestamp: new Date(metric.timestamp).toISOString(),
+    cpu: (metric.cpu ?? 0).toFixed(2),
+    memory: (metric.memory ?? 0).toFixed(2),
+    networkIn: metric.networkIn ?? 0,
+    networkOut: metric.networkOut ?? 0
+  }));
   
   // Build prompt
   return `
@@ -195,7 +165,7 @@ function generateAnomalyPrompt(recentMetrics) {
  * @route POST /api/insights/optimize
  * @description Generate cost optimization recommendations
  */
-router.post('/optimize', validateRequest(optimizeSchema), async (req, res, next) => {
+router.post('/optimize', requirePermission(PERMISSIONS.INSIGHTS_READ), validateRequest(optimizeSchema), async (req, res, next) => {
   try {
     if (process.env.ENABLE_INSIGHTS === 'false') {
       return res.status(400).json({
@@ -207,9 +177,9 @@ router.post('/optimize', validateRequest(optimizeSchema), async (req, res, next)
     
     // Get recommendations and metrics
     const recommendations = await getScalingRecommendations();
-    const historicalMetrics = await getHistoricalMetrics(30); // Last month
+    const historicalMetrics = await getHistoricalMetrics(30, undefined, { stepMinutes: 24 * 60 }); // Last month, daily
     
-    // Prepare data for Ollama
+    // Prepare data for the LLM
     const prompt = generateOptimizationPrompt(
       recommendations, 
       historicalMetrics, 
@@ -217,8 +187,8 @@ router.post('/optimize', validateRequest(optimizeSchema), async (req, res, next)
       performanceTarget
     );
     
-    // Call Ollama API
-    const optimization = await callOllamaAPI(prompt);
+    // Call the configured LLM provider
+    const optimization = await generateText(prompt);
     
     return res.json({
       optimization,
@@ -249,6 +219,11 @@ function generateOptimizationPrompt(recommendations, historicalMetrics, costCons
     
     Historical Patterns:
     - ${historicalMetrics.length} days of historical data
+    - Daily averages: ${JSON.stringify(historicalMetrics.map(day => ({
+      date: new Date(day.timestamp).toISOString().slice(0, 10),
+      cpu: Number((day.cpu ?? 0).toFixed(1)),
+      memory: Number((day.memory ?? 0).toFixed(1))
+    })))}
     
     Provide recommendations for:
     1. Optimal instance count considering the constraints
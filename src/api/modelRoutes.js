@@ -0,0 +1,434 @@
+const express = require('express');
+const Joi = require('joi');
+const { runBacktest, getLatestEvaluation, listEvaluations } = require('../services/backtestService');
+const { listVersions, getVersion, promoteVersion, rollbackVersion, deleteVersion } = require('../services/modelRegistryService');
+const { startRetraining, getRetrainingStatus, listRuns } = require('../services/retrainingService');
+const { FINISHED_STATUSES, createJob, getJob, listJobs, cancelJob, subscribe } = require('../services/trainingJobService');
+const { loadTarget } = require('../services/targetService');
+const { METRIC_NAME_PATTERN } = require('../utils/metricSchema');
+const { validateRequest } = require('../utils/middleware');
+const { requirePermission } = require('../utils/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation schemas
+const metricParams = Joi.object({
+  // cpu, memory, network, an application signal of the target or multivariate (the joint model)
+  metric: Joi.string().pattern(METRIC_NAME_PATTERN).required()
+});
+
+const evaluationSchema = {
+  params: metricParams,
+  query: Joi.object({
+    targetId: Joi.string().optional()
+  })
+};
+
+const evaluationHistorySchema = {
+  params: metricParams,
+  query: Joi.object({
+    targetId: Joi.string().optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+  })
+};
+
+const versionListSchema = {
+  params: metricParams,
+  query: Joi.object({
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+  })
+};
+
+const versionSchema = {
+  params: metricParams.keys({
+    version: Joi.number().integer().min(1).required()
+  })
+};
+
+const backtestSchema = {
+  params: metricParams,
+  body: Joi.object({
+    targetId: Joi.string().optional(),
+    model: Joi.string().valid('univariate', 'multivariate').optional(),
+    version: Joi.number().integer().min(1).optional(),
+    days: Joi.number().integer().min(1).max(90).optional(),
+    horizon: Joi.number().integer().min(1).max(168).optional(),
+    origins: Joi.number().integer().min(1).max(200).optional()
+  })
+};
+
+const rollbackSchema = {
+  params: metricParams
+};
+
+const retrainSchema = {
+  params: metricParams
+};
+
+const trainSchema = {
+  params: metricParams,
+  body: Joi.object({
+    targetId: Joi.string().optional(),
+    days: Joi.number().integer().min(1).max(365).optional(),
+    epochs: Joi.number().integer().min(1).max(500).optional(),
+    batchSize: Joi.number().integer().min(1).max(1024).optional(),
+    lookbackWindow: Joi.number().integer().min(2).max(336).optional(),
+    learningRate: Joi.number().greater(0).max(1).optional(),
+    // Make the trained version the active one (default true)
+    activate: Joi.boolean().optional()
+  })
+};
+
+const jobListSchema = {
+  query: Joi.object({
+    metric: Joi.string().pattern(METRIC_NAME_PATTERN).optional(),
+    status: Joi.string().valid('queued', 'running', 'completed', 'failed', 'cancelled').optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+  })
+};
+
+const jobIdSchema = {
+  params: Joi.object({
+    jobId: Joi.string().required()
+  })
+};
+
+const runListSchema = {
+  query: Joi.object({
+    metric: Joi.string().pattern(METRIC_NAME_PATTERN).optional(),
+    status: Joi.string().valid('running', 'promoted', 'rejected', 'failed').optional(),
+    trigger: Joi.string().valid('schedule', 'error', 'drift', 'api').optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+  })
+};
+
+/**
+ * @route GET /api/models/jobs
+ * @description Training jobs, newest first
+ * @query metric - Only jobs of this metric
+ * @query status - queued, running, completed, failed or cancelled
+ * @query page - Page number (default 1)
+ * @query limit - Jobs per page (default 20, max 100)
+ */
+router.get('/jobs', requirePermission(PERMISSIONS.METRICS_READ), validateRequest(jobListSchema), async (req, res, next) => {
+  try {
+    const { page, limit, ...filter } = req.query;
+    const result = await listJobs(filter, { page, limit });
+    return res.json(result);
+  } catch (error) {
+    logger.error(`Error listing training jobs: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/models/jobs/:jobId
+ * @description A training job with the losses of its epochs
+ */
+router.get('/jobs/:jobId', requirePermission(PERMISSIONS.METRICS_READ), validateRequest(jobIdSchema), async (req, res, next) => {
+  try {
+    const job = await getJob(req.params.jobId);
+    return res.json(job);
+  } catch (error) {
+    logger.error(`Error getting training job: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/models/jobs/:jobId/events
+ * @description Server-sent events of a training job: the job as `status` first and on every status
+ * change, `progress` ({ epoch, epochs, loss, valLoss }) after every epoch. Ends when the job is finished.
+ */
+router.get('/jobs/:jobId/events', requirePermission(PERMISSIONS.METRICS_READ), validateRequest(jobIdSchema), async (req, res, next) => {
+  const updates = [];
+  let send = (event, data) => updates.push([event, data]);
+  const unsubscribe = subscribe(req.params.jobId, (event, data) => send(event, data));
+
+  try {
+    const job = await getJob(req.params.jobId);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const heartbeat = setInterval(() => {
+      res.write(': keep-alive\n\n');
+      res.flush?.();
+    }, 15000);
+    // Runs once, on the finished status or when the client disconnects, whichever comes first
+    let closed = false;
+    const close = () => {
+      if (closed) {
+        return;
+      }
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    };
+
+    // Nothing is written after the stream ended
+    send = (event, data) => {
+      if (closed) {
+        return;
+      }
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      // Compression buffers the response otherwise
+      res.flush?.();
+      if (event === 'status' && FINISHED_STATUSES.includes(data.status)) {
+        close();
+      }
+    };
+    req.on('close', close);
+
+    // Updates received while the job was loaded follow it
+    send('status', job);
+    for (const [event, data] of updates) {
+      send(event, data);
+    }
+  } catch (error) {
+    unsubscribe();
+    logger.error(`Error streaming training job: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/models/jobs/:jobId/cancel
+ * @description Cancel a training job, a running job stops after its current epoch
+ */
+router.post('/jobs/:jobId/cancel', requirePermission(PERMISSIONS.MODELS_MANAGE), validateRequest(jobIdSchema), async (req, res, next) => {
+  try {
+    const job = await cancelJob(req.params.jobId, req.user.email);
+    return res.json(job);
+  } catch (error) {
+    logger.error(`Error cancelling training job: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/models/retraining
+ * @description Retraining schedule, drift thresholds and the last drift checks
+ */
+router.get('/retraining', requirePermission(PERMISSIONS.METRICS_READ), async (req, res, next) => {
+  try {
+    return res.json(getRetrainingStatus());
+  } catch (error) {
+    logger.error(`Error getting retraining status: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/models/retraining/runs
+ * @description Retraining runs and their outcomes, newest first
+ * @query metric - Only runs of this metric
+ * @query status - running, promoted, rejected or failed
+ * @query trigger - schedule, error, drift or api
+ * @query page - Page number (default 1)
+ * @query limit - Runs per page (default 20, max 100)
+ */
+router.get('/retraining/runs', requirePermission(PERMISSIONS.METRICS_READ), validateRequest(runListSchema), async (req, res, next) => {
+  try {
+    const { page, limit, ...filter } = req.query;
+    const result = await listRuns(filter, { page, limit });
+    return res.json(result);
+  } catch (error) {
+    logger.error(`Error listing retraining runs: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/models/:metric/evaluation
+ * @description Latest backtest report of the forecast model of a metric
+ * @query targetId - Registered target id, defaults to the configured target
+ */
+router.get('/:metric/evaluation', requirePermission(PERMISSIONS.METRICS_READ), validateRequest(evaluationSchema), loadTarget, async (req, res, next) => {
+  try {
+    const { metric } = req.params;
+    const evaluation = await getLatestEvaluation(req.target.id, metric);
+
+    if (!evaluation) {
+      return res.status(404).json({ error: `No evaluation of ${metric} forecasts yet` });
+    }
+
+    return res.json(evaluation);
+  } catch (error) {
+    logger.error(`Error getting forecast evaluation: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/models/:metric/evaluations
+ * @description Backtest reports of a metric, newest first
+ * @query targetId - Registered target id, defaults to the configured target
+ * @query page - Page number (default 1)
+ * @query limit - Reports per page (default 20, max 100)
+ */
+router.get('/:metric/evaluations', requirePermission(PERMISSIONS.METRICS_READ), validateRequest(evaluationHistorySchema), loadTarget, async (req, res, next) => {
+  try {
+    const result = await listEvaluations(req.target.id, req.params.metric, req.query);
+    return res.json(result);
+  } catch (error) {
+    logger.error(`Error listing forecast evaluations: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/models/:metric/evaluation
+ * @description Backtest the forecast model of a metric on the stored history and store the report
+ * @body {string} [targetId] - Registered target id, defaults to the configured target
+ * @body {string} [model] - univariate or multivariate, defaults to the target's forecast model
+ * @body {number} [version] - Version of the model (univariate: of the metric, multivariate: of the joint model), defaults to the active version
+ * @body {number} [days] - Days of history to replay (default BACKTEST_DAYS)
+ * @body {number} [horizon] - Forecast steps per origin (default PREDICTION_HORIZON)
+ * @body {number} [origins] - Maximum number of forecast origins (default BACKTEST_ORIGINS)
+ */
+router.post('/:metric/evaluation', requirePermission(PERMISSIONS.MODELS_MANAGE), validateRequest(backtestSchema), loadTarget, async (req, res, next) => {
+  try {
+    const { model, version, days, horizon, origins } = req.body;
+    const evaluation = await runBacktest(req.params.metric, {
+      target: req.target,
+      model,
+      version,
+      days,
+      horizon,
+      origins,
+      trigger: 'api',
+      requestedBy: req.user.email
+    });
+
+    return res.status(201).json(evaluation);
+  } catch (error) {
+    logger.error(`Error backtesting forecasts: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/models/:metric/versions
+ * @description Trained versions of a metric's model, newest first
+ * @query page - Page number (default 1)
+ * @query limit - Versions per page (default 20, max 100)
+ */
+router.get('/:metric/versions', requirePermission(PERMISSIONS.METRICS_READ), validateRequest(versionListSchema), async (req, res, next) => {
+  try {
+    const result = await listVersions(req.params.metric, req.query);
+    return res.json(result);
+  } catch (error) {
+    logger.error(`Error listing model versions: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/models/:metric/versions/:version
+ * @description A version of a metric's model
+ */
+router.get('/:metric/versions/:version', requirePermission(PERMISSIONS.METRICS_READ), validateRequest(versionSchema), async (req, res, next) => {
+  try {
+    const modelVersion = await getVersion(req.params.metric, parseInt(req.params.version));
+    return res.json(modelVersion);
+  } catch (error) {
+    logger.error(`Error getting model version: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/models/:metric/versions/:version/promote
+ * @description Make a version the active model of its metric
+ */
+router.post('/:metric/versions/:version/promote', requirePermission(PERMISSIONS.MODELS_MANAGE), validateRequest(versionSchema), async (req, res, next) => {
+  try {
+    const modelVersion = await promoteVersion(req.params.metric, parseInt(req.params.version), req.user.email);
+    return res.json(modelVersion);
+  } catch (error) {
+    logger.error(`Error promoting model version: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/models/:metric/rollback
+ * @description Reactivate the version that was active before the current one
+ */
+router.post('/:metric/rollback', requirePermission(PERMISSIONS.MODELS_MANAGE), validateRequest(rollbackSchema), async (req, res, next) => {
+  try {
+    const modelVersion = await rollbackVersion(req.params.metric, req.user.email);
+    return res.json(modelVersion);
+  } catch (error) {
+    logger.error(`Error rolling back model: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /api/models/:metric/versions/:version
+ * @description Delete an inactive version and its saved model
+ */
+router.delete('/:metric/versions/:version', requirePermission(PERMISSIONS.MODELS_MANAGE), validateRequest(versionSchema), async (req, res, next) => {
+  try {
+    const modelVersion = await deleteVersion(req.params.metric, parseInt(req.params.version));
+    logger.info(`${req.params.metric} model version ${modelVersion.version} deleted by ${req.user.email}`);
+    return res.status(204).end();
+  } catch (error) {
+    logger.error(`Error deleting model version: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/models/:metric/train
+ * @description Train a new version of a metric's model as a background job
+ * @body {string} [targetId] - Registered target whose history is trained on, defaults to the configured target
+ * @body {number} [days=30] - Days of history to train on
+ * @body {number} [epochs] - Training epochs (default 50)
+ * @body {number} [batchSize] - Batch size (default 32)
+ * @body {number} [lookbackWindow] - Steps of an input sequence (default LOOKBACK_WINDOW)
+ * @body {number} [learningRate] - Adam learning rate (default 0.001)
+ * @body {boolean} [activate=true] - Make the trained version the active one
+ */
+router.post('/:metric/train', requirePermission(PERMISSIONS.MODELS_MANAGE), validateRequest(trainSchema), loadTarget, async (req, res, next) => {
+  try {
+    const job = await createJob(req.params.metric, { ...req.body, targetId: req.target.id }, req.user.email);
+    return res.status(202).json(job);
+  } catch (error) {
+    logger.error(`Error starting training job: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/models/:metric/retrain
+ * @description Retrain a metric's model in the background, the candidate is promoted if it beats the active version on the holdout window
+ */
+router.post('/:metric/retrain', requirePermission(PERMISSIONS.MODELS_MANAGE), validateRequest(retrainSchema), async (req, res, next) => {
+  try {
+    const { run } = await startRetraining(req.params.metric, {
+      trigger: 'api',
+      reason: `Requested by ${req.user.email}`,
+      requestedBy: req.user.email
+    });
+    return res.status(202).json(run);
+  } catch (error) {
+    logger.error(`Error starting retraining: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,169 @@
+const express = require('express');
+const Joi = require('joi');
+const {
+  listPolicies,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+  evaluatePolicies
+} = require('../services/policyService');
+const { getPolicyCandidates, combineCandidates } = require('../services/ensembleService');
+const { getCurrentCapacity, getRecentMetrics } = require('../services/infrastructureService');
+const { getScheduledCapacity } = require('../services/capacityScheduleService');
+const { loadTarget } = require('../services/targetService');
+const { isValidCron, isValidTimeZone } = require('../utils/cron');
+const { METRIC_NAME_PATTERN } = require('../utils/metricSchema');
+const { validateRequest } = require('../utils/middleware');
+const { requirePermission } = require('../utils/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+// Mounted below /api/targets/:targetId
+const router = express.Router({ mergeParams: true });
+
+// Validation schemas
+const stepSchema = Joi.object({
+  lower: Joi.number().allow(null).optional(),
+  upper: Joi.number().allow(null).optional(),
+  adjustment: Joi.number().integer().required()
+}).custom((step, helpers) => {
+  if (typeof step.lower === 'number' && typeof step.upper === 'number' && step.lower >= step.upper) {
+    return helpers.message('step lower bound must be below its upper bound');
+  }
+  return step;
+});
+
+const isType = (...types) => ({ is: Joi.valid(...types), then: Joi.required(), otherwise: Joi.forbidden() });
+
+const policySchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  type: Joi.string().valid('step', 'target_tracking', 'schedule').required(),
+  enabled: Joi.boolean().optional(),
+  metric: Joi.string().pattern(METRIC_NAME_PATTERN).when('type', isType('step', 'target_tracking')),
+  steps: Joi.array().items(stepSchema).min(1).when('type', isType('step')),
+  targetValue: Joi.number().greater(0).when('type', isType('target_tracking')),
+  scaleIn: Joi.boolean().when('type', { is: 'target_tracking', then: Joi.optional(), otherwise: Joi.forbidden() }),
+  schedule: Joi.string()
+    .custom((value, helpers) => isValidCron(value) ? value : helpers.message('schedule must be a five field cron expression'))
+    .when('type', isType('schedule')),
+  durationMinutes: Joi.number().integer().min(1).max(7 * 24 * 60).when('type', isType('schedule')),
+  timezone: Joi.string()
+    .custom((value, helpers) => isValidTimeZone(value) ? value : helpers.message('timezone must be an IANA time zone'))
+    .when('type', { is: 'schedule', then: Joi.optional(), otherwise: Joi.forbidden() }),
+  instances: Joi.number().integer().min(0).when('type', isType('schedule'))
+});
+
+const targetIdSchema = {
+  params: Joi.object({
+    targetId: Joi.string().required()
+  })
+};
+
+const policyIdSchema = {
+  params: Joi.object({
+    targetId: Joi.string().required(),
+    policyId: Joi.string().required()
+  })
+};
+
+/**
+ * @route GET /api/targets/:targetId/policies
+ * @description List the scaling policies of a target
+ */
+router.get('/', requirePermission(PERMISSIONS.METRICS_READ), validateRequest(targetIdSchema), loadTarget, async (req, res, next) => {
+  try {
+    const policies = await listPolicies(req.target.id);
+
+    return res.json({
+      policies,
+      count: policies.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error listing scaling policies: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/targets/:targetId/policies/evaluate
+ * @description Evaluate the enabled policies and active capacity schedules of a target against its current capacity and metrics without scaling
+ */
+router.get('/evaluate', requirePermission(PERMISSIONS.METRICS_READ), validateRequest(targetIdSchema), loadTarget, async (req, res, next) => {
+  try {
+    const target = req.target;
+    const currentInstances = await getCurrentCapacity(target);
+    const { samples } = await getRecentMetrics(target);
+
+    const evaluations = await evaluatePolicies(target, { currentInstances, samples });
+    const scheduled = await getScheduledCapacity(target);
+    const combined = combineCandidates(target, getPolicyCandidates(evaluations), { scheduled, currentInstances });
+
+    return res.json({
+      targetId: target.id,
+      currentInstances,
+      evaluations,
+      schedule: scheduled,
+      // Policy and schedule outcome before the model recommendation is taken into account
+      desiredInstances: combined?.desiredInstances ?? null,
+      targetInstances: combined?.targetInstances ?? null,
+      decidedBy: combined?.decidedBy ?? null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error evaluating scaling policies: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/targets/:targetId/policies
+ * @description Add a scaling policy to a target
+ * @body {Object} Policy: name, type (step, target_tracking, schedule) and the fields of the type
+ */
+router.post('/', requirePermission(PERMISSIONS.TARGETS_MANAGE), validateRequest({ ...targetIdSchema, body: policySchema }), loadTarget, async (req, res, next) => {
+  try {
+    const policy = await createPolicy(req.target.id, req.body);
+    return res.status(201).json(policy);
+  } catch (error) {
+    logger.error(`Error creating scaling policy: ${error.message}`, { error });
+    if (error.name === 'ValidationError') {
+      error.status = 400;
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /api/targets/:targetId/policies/:policyId
+ * @description Replace a scaling policy
+ * @body {Object} Policy: name, type (step, target_tracking, schedule) and the fields of the type
+ */
+router.put('/:policyId', requirePermission(PERMISSIONS.TARGETS_MANAGE), validateRequest({ ...policyIdSchema, body: policySchema }), loadTarget, async (req, res, next) => {
+  try {
+    const policy = await updatePolicy(req.target.id, req.params.policyId, req.body);
+    return res.json(policy);
+  } catch (error) {
+    logger.error(`Error updating scaling policy: ${error.message}`, { error });
+    if (error.name === 'ValidationError') {
+      error.status = 400;
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /api/targets/:targetId/policies/:policyId
+ * @description Remove a scaling policy
+ */
+router.delete('/:policyId', requirePermission(PERMISSIONS.TARGETS_MANAGE), validateRequest(policyIdSchema), loadTarget, async (req, res, next) => {
+  try {
+    await deletePolicy(req.target.id, req.params.policyId);
+    return res.status(204).end();
+  } catch (error) {
+    logger.error(`Error deleting scaling policy: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+module.exports = router;
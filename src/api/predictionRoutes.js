@@ -1,8 +1,12 @@
 const express = require('express');
 const { generatePredictions, getScalingRecommendations } = require('../services/modelService');
-const { applyScalingRecommendation, getCurrentVMSSCapacity } = require('../services/infrastructureService');
+const { applyScalingRecommendation, getCurrentCapacity } = require('../services/infrastructureService');
+const { loadTarget } = require('../services/targetService');
 const { validateRequest } = require('../utils/middleware');
+const { requirePermission } = require('../utils/auth');
+const { PERMISSIONS } = require('../utils/permissions');
 const { predictionsCache } = require('../utils/cache');
+const { METRIC_NAME_PATTERN } = require('../utils/metricSchema');
 const logger = require('../utils/logger');
 const Joi = require('joi');
 
@@ -11,16 +15,31 @@ const router = express.Router();
 // Validation schemas
 const metricTypeSchema = {
   params: Joi.object({
-    metricType: Joi.string().valid('cpu', 'memory', 'network').required()
+    // cpu, memory, network or an application signal of the target
+    metricType: Joi.string().pattern(METRIC_NAME_PATTERN).required()
   }),
   query: Joi.object({
-    steps: Joi.number().integer().min(1).max(168).optional() // Max 7 days (168 hours)
+    steps: Joi.number().integer().min(1).max(168).optional(), // Max 7 days (168 hours)
+    targetId: Joi.string().optional()
+  })
+};
+
+const targetQuerySchema = {
+  query: Joi.object({
+    targetId: Joi.string().optional()
+  })
+};
+
+const applySchema = {
+  body: Joi.object({
+    targetId: Joi.string().optional()
   })
 };
 
 const customScalingSchema = {
   body: Joi.object({
-    instanceCount: Joi.number().integer().min(1).max(100).required()
+    instanceCount: Joi.number().integer().min(1).max(100).required(),
+    targetId: Joi.string().optional()
   })
 };
 
@@ -28,21 +47,23 @@ const customScalingSchema = {
  * @route GET /api/predictions/metrics/:metricType
  * @description Get predictions for a specific metric
  */
-router.get('/metrics/:metricType', validateRequest(metricTypeSchema), async (req, res, next) => {
+router.get('/metrics/:metricType', requirePermission(PERMISSIONS.METRICS_READ), validateRequest(metricTypeSchema), loadTarget, async (req, res, next) => {
   try {
     const { metricType } = req.params;
+    const { target } = req;
     const steps = req.query.steps ? parseInt(req.query.steps) : undefined;
     
     // Use cache for predictions to avoid unnecessary computation
-    const cacheKey = `predictions:${metricType}:${steps || 'default'}`;
+    const cacheKey = `predictions:${target.id}:${metricType}:${steps || 'default'}`;
     
     const predictions = await predictionsCache.getOrSet(cacheKey, async () => {
-      logger.info(`Generating predictions for ${metricType}, steps=${steps || 'default'}`);
-      return await generatePredictions(metricType, steps);
+      logger.info(`Generating predictions for ${metricType}, steps=${steps || 'default'}, target=${target.name}`);
+      return await generatePredictions(metricType, steps, target);
     });
     
     return res.json({
       metricType,
+      targetId: target.id,
       predictions,
       timestamp: new Date().toISOString()
     });
@@ -55,15 +76,18 @@ router.get('/metrics/:metricType', validateRequest(metricTypeSchema), async (req
 /**
  * @route GET /api/predictions/recommendations
  * @description Get scaling recommendations based on predictions
+ * @query targetId - Registered target id, defaults to the configured target
  */
-router.get('/recommendations', async (req, res, next) => {
+router.get('/recommendations', requirePermission(PERMISSIONS.METRICS_READ), validateRequest(targetQuerySchema), loadTarget, async (req, res, next) => {
   try {
+    const { target } = req;
+    
     // Use cache for recommendations with a short TTL
-    const cacheKey = 'scaling:recommendations';
+    const cacheKey = `scaling:recommendations:${target.id}`;
     
     const recommendations = await predictionsCache.getOrSet(cacheKey, async () => {
-      logger.info('Generating scaling recommendations');
-      return await getScalingRecommendations();
+      logger.info(`Generating scaling recommendations for target ${target.name}`);
+      return await getScalingRecommendations(target);
     }, 5 * 60 * 1000); // 5 minute TTL
     
     return res.json({
@@ -79,19 +103,23 @@ router.get('/recommendations', async (req, res, next) => {
 /**
  * @route POST /api/predictions/apply
  * @description Apply scaling recommendation
+ * @body targetId - Registered target id, defaults to the configured target
  */
-router.post('/apply', async (req, res, next) => {
+router.post('/apply', requirePermission(PERMISSIONS.SCALING_EXECUTE), validateRequest(applySchema), loadTarget, async (req, res, next) => {
   try {
+    const { target } = req;
+    
     // Generate new recommendations
-    const recommendations = await getScalingRecommendations();
+    const recommendations = await getScalingRecommendations(target);
     
     // Apply recommendations
-    const result = await applyScalingRecommendation(recommendations);
+    const result = await applyScalingRecommendation(recommendations, target, { source: 'api', requestedBy: req.user.email });
     
     // Invalidate cache since we've changed infrastructure
-    predictionsCache.delete('scaling:recommendations');
+    predictionsCache.delete(`scaling:recommendations:${target.id}`);
     
-    return res.json({
+    // 202 when the change waits for approval
+    return res.status(result.action === 'pending_approval' ? 202 : 200).json({
       success: true,
       result,
       recommendations,
@@ -106,16 +134,20 @@ router.post('/apply', async (req, res, next) => {
 /**
  * @route POST /api/predictions/apply-custom
  * @description Apply custom scaling configuration
+ * @body targetId - Registered target id, defaults to the configured target
  */
-router.post('/apply-custom', validateRequest(customScalingSchema), async (req, res, next) => {
+router.post('/apply-custom', requirePermission(PERMISSIONS.SCALING_EXECUTE), validateRequest(customScalingSchema), loadTarget, async (req, res, next) => {
   try {
     const { instanceCount } = req.body;
+    const { target } = req;
     
     // First get current capacity
-    const currentInstances = await getCurrentVMSSCapacity();
+    const currentInstances = await getCurrentCapacity(target);
     
     // Initialize the recommendation object properly (fix bug with self-reference)
     const customRecommendation = {
+      model: 'manual',
+      reasoning: `Manual scaling to ${instanceCount} instances requested`,
       scaling: {
         currentInstances,
         recommendedInstances: instanceCount,
@@ -130,12 +162,13 @@ router.post('/apply-custom', validateRequest(customScalingSchema), async (req, r
     customRecommendation.scaling.scaleInRecommended = instanceCount < currentInstances;
     
     // Apply custom recommendation
-    const result = await applyScalingRecommendation(customRecommendation);
+    const result = await applyScalingRecommendation(customRecommendation, target, { source: 'manual', requestedBy: req.user.email });
     
     // Invalidate cache since we've changed infrastructure
-    predictionsCache.delete('scaling:recommendations');
+    predictionsCache.delete(`scaling:recommendations:${target.id}`);
     
-    return res.json({
+    // 202 when the change waits for approval
+    return res.status(result.action === 'pending_approval' ? 202 : 200).json({
       success: true,
       result,
       customRecommendation,
@@ -0,0 +1,177 @@
+const express = require('express');
+const Joi = require('joi');
+const { listDecisions } = require('../services/decisionService');
+const { getScalingState } = require('../services/dashboardService');
+const { getCooldownRemaining } = require('../services/scalingStateService');
+const { runNow } = require('../services/schedulerService');
+const { applyScalingRecommendation, getCurrentCapacity } = require('../services/infrastructureService');
+const { loadTarget } = require('../services/targetService');
+const { validateRequest } = require('../utils/middleware');
+const { requirePermission } = require('../utils/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const { predictionsCache } = require('../utils/cache');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation schemas
+const targetQuerySchema = {
+  query: Joi.object({
+    targetId: Joi.string().optional()
+  })
+};
+
+const manualScalingSchema = {
+  body: Joi.object({
+    instances: Joi.number().integer().min(1).required(),
+    bypassCooldown: Joi.boolean().default(false),
+    // Manual requests carry no model confidence, accepted for dashboard compatibility
+    bypassConfidence: Joi.boolean().default(false),
+    targetId: Joi.string().optional()
+  })
+};
+
+const checkSchema = {
+  body: Joi.object({
+    targetId: Joi.string().optional()
+  })
+};
+
+const decisionsQuerySchema = {
+  query: Joi.object({
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional(),
+    targetId: Joi.string().optional(),
+    source: Joi.string().valid('api', 'manual', 'scheduler', 'cli').optional(),
+    outcome: Joi.string().valid('applied', 'dry_run', 'no_change', 'skipped', 'failed', 'pending_approval').optional(),
+    action: Joi.string().valid('scale_out', 'scale_in', 'none').optional(),
+    model: Joi.string().optional(),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().optional()
+  })
+};
+
+/**
+ * @route GET /api/scaling
+ * @description Current and recommended instance count, last scaling action and cooldown
+ * @query targetId - Registered target id, defaults to the configured target
+ */
+router.get('/', requirePermission(PERMISSIONS.METRICS_READ), validateRequest(targetQuerySchema), loadTarget, async (req, res) => {
+  try {
+    const scaling = await getScalingState(req.target);
+    return res.json(scaling);
+  } catch (error) {
+    logger.error(`Error getting scaling status: ${error.message}`, { error });
+    return res.status(500).json({
+      error: 'Failed to get scaling status',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/scaling/manual
+ * @description Scale a target to an explicit instance count
+ * @body instances - Desired instance count within the target bounds
+ * @body bypassCooldown - Scale even if the target is in its cooldown period
+ * @body targetId - Registered target id, defaults to the configured target
+ */
+router.post('/manual', requirePermission(PERMISSIONS.SCALING_EXECUTE), validateRequest(manualScalingSchema), loadTarget, async (req, res) => {
+  try {
+    const { instances, bypassCooldown } = req.body;
+    const { target } = req;
+
+    if (instances < target.minInstances || instances > target.maxInstances) {
+      return res.status(400).json({
+        error: 'Invalid instance count',
+        message: `Instances must be between ${target.minInstances} and ${target.maxInstances}`
+      });
+    }
+
+    const cooldownRemaining = await getCooldownRemaining(target);
+    if (cooldownRemaining > 0 && !bypassCooldown) {
+      return res.status(409).json({
+        error: 'Cooldown active',
+        message: `Target is in cooldown for another ${cooldownRemaining} minute(s)`,
+        cooldownRemaining
+      });
+    }
+
+    const currentInstances = await getCurrentCapacity(target);
+    const result = await applyScalingRecommendation({
+      model: 'manual',
+      reasoning: `Manual scaling to ${instances} instances requested from the dashboard`,
+      scaling: {
+        currentInstances,
+        recommendedInstances: instances,
+        scaleOutRecommended: instances > currentInstances,
+        scaleInRecommended: instances < currentInstances
+      }
+    }, target, { source: 'manual', requestedBy: req.user.email });
+
+    predictionsCache.delete(`scaling:recommendations:${target.id}`);
+
+    // 202 when the change waits for approval
+    return res.status(result.action === 'pending_approval' ? 202 : 200).json({
+      success: true,
+      result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error applying manual scaling: ${error.message}`, { error });
+    // Approval queue unavailable (503) or conflicting actions (409) keep their status
+    return res.status(error.status || 500).json({
+      error: 'Failed to apply manual scaling',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/scaling/check
+ * @description Run a scheduler scaling cycle for a target now
+ * @body targetId - Registered target id, defaults to the configured target
+ */
+router.post('/check', requirePermission(PERMISSIONS.SCALING_EXECUTE), validateRequest(checkSchema), loadTarget, async (req, res) => {
+  try {
+    const { target } = req;
+    const [result] = await runNow(target);
+    predictionsCache.delete(`scaling:recommendations:${target.id}`);
+
+    return res.json({
+      success: true,
+      result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error running scaling check: ${error.message}`, { error });
+    // Approval queue unavailable (503) or conflicting actions (409) keep their status
+    return res.status(error.status || 500).json({
+      error: 'Failed to run scaling check',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/scaling/decisions
+ * @description List recorded scaling decisions, newest first
+ * @query page, limit - Pagination (limit max 100)
+ * @query targetId, source, outcome, action, model, from, to - Filters
+ */
+router.get('/decisions', requirePermission(PERMISSIONS.METRICS_READ), validateRequest(decisionsQuerySchema), async (req, res, next) => {
+  try {
+    const { page, limit, ...filter } = req.query;
+    const result = await listDecisions(filter, { page, limit });
+
+    return res.json({
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error listing scaling decisions: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+module.exports = router;
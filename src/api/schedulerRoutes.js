@@ -0,0 +1,87 @@
+const express = require('express');
+const Joi = require('joi');
+const schedulerService = require('../services/schedulerService');
+const { resolveTarget } = require('../services/targetService');
+const { validateRequest } = require('../utils/middleware');
+const { requirePermission } = require('../utils/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation schemas
+const startSchema = {
+  body: Joi.object({
+    intervalMinutes: Joi.number().integer().min(1).max(1440).optional()
+  })
+};
+
+const runSchema = {
+  body: Joi.object({
+    targetId: Joi.string().optional()
+  })
+};
+
+/**
+ * @route GET /api/scheduler/status
+ * @description Scheduler status, last results and the persisted state of each target
+ */
+router.get('/status', requirePermission(PERMISSIONS.METRICS_READ), async (req, res, next) => {
+  try {
+    const status = await schedulerService.getStatus();
+    return res.json(status);
+  } catch (error) {
+    logger.error(`Error getting scheduler status: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/scheduler/start
+ * @description Start (or restart with a new interval) the scaling scheduler
+ */
+router.post('/start', requirePermission(PERMISSIONS.SCHEDULER_MANAGE), validateRequest(startSchema), async (req, res, next) => {
+  try {
+    const status = await schedulerService.start(req.body.intervalMinutes);
+    return res.json(status);
+  } catch (error) {
+    logger.error(`Error starting scheduler: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/scheduler/stop
+ * @description Stop the scaling scheduler, it stays stopped across restarts
+ */
+router.post('/stop', requirePermission(PERMISSIONS.SCHEDULER_MANAGE), async (req, res, next) => {
+  try {
+    const status = await schedulerService.stop();
+    return res.json(status);
+  } catch (error) {
+    logger.error(`Error stopping scheduler: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/scheduler/run
+ * @description Run a scaling cycle now
+ * @body targetId - Only run for this target, defaults to every active target
+ */
+router.post('/run', requirePermission(PERMISSIONS.SCALING_EXECUTE), validateRequest(runSchema), async (req, res, next) => {
+  try {
+    const target = req.body.targetId ? await resolveTarget(req.body.targetId) : undefined;
+    const results = await schedulerService.runNow(target);
+
+    return res.json({
+      results,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error running scaling cycle: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,196 @@
+const express = require('express');
+const Joi = require('joi');
+const {
+  resolveTarget,
+  listTargets,
+  createTarget,
+  updateTarget,
+  deleteTarget
+} = require('../services/targetService');
+const { listProviders } = require('../providers');
+const policyRoutes = require('./policyRoutes');
+const capacityScheduleRoutes = require('./capacityScheduleRoutes');
+const { METRIC_NAME_PATTERN, RESERVED_METRIC_NAMES } = require('../utils/metricSchema');
+const { validateRequest } = require('../utils/middleware');
+const { requirePermission } = require('../utils/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation schemas
+const resourceSchema = Joi.object({
+  subscriptionId: Joi.string().optional(),
+  resourceGroup: Joi.string().optional(),
+  vmssName: Joi.string().optional(),
+  vmSize: Joi.string().optional(),
+  project: Joi.string().optional(),
+  zone: Joi.string().optional(),
+  instanceGroup: Joi.string().optional()
+});
+
+const prometheusSchema = Joi.object({
+  url: Joi.string().uri({ scheme: ['http', 'https'] }).optional(),
+  queries: Joi.array().items(Joi.object({
+    name: Joi.string().pattern(METRIC_NAME_PATTERN).invalid(...RESERVED_METRIC_NAMES).required(),
+    query: Joi.string().max(2000).required(),
+    unit: Joi.string().max(50).optional(),
+    threshold: Joi.number().optional()
+  })).max(20).unique('name').required()
+});
+
+const customMetricsSchema = Joi.array().items(Joi.object({
+  name: Joi.string().pattern(METRIC_NAME_PATTERN).invalid(...RESERVED_METRIC_NAMES).required(),
+  unit: Joi.string().max(50).optional(),
+  threshold: Joi.number().optional()
+})).max(20).unique('name');
+
+const scalingSignalsSchema = Joi.array().items(Joi.object({
+  name: Joi.string().pattern(METRIC_NAME_PATTERN).required(),
+  weight: Joi.number().min(0).max(1).optional(),
+  headroom: Joi.number().min(0).max(10).optional()
+})).max(30).unique('name');
+
+const ensembleSchema = Joi.object({
+  strategy: Joi.string().valid('max', 'weighted', 'llm_gated').optional(),
+  weights: Joi.object({
+    forecast: Joi.number().min(0).optional(),
+    llm: Joi.number().min(0).optional(),
+    policy: Joi.number().min(0).optional()
+  }).optional(),
+  agreementTolerance: Joi.number().integer().min(0).optional()
+});
+
+const targetFields = {
+  name: Joi.string().trim().min(1).max(100),
+  description: Joi.string().allow('').max(500),
+  provider: Joi.string().valid(...listProviders()),
+  resource: resourceSchema,
+  minInstances: Joi.number().integer().min(1).max(1000),
+  maxInstances: Joi.number().integer().min(1).max(1000),
+  thresholds: Joi.object({
+    cpu: Joi.number().min(1).max(100),
+    memory: Joi.number().min(1).max(100),
+    network: Joi.number().min(1).max(100)
+  }),
+  prometheus: prometheusSchema,
+  customMetrics: customMetricsSchema,
+  scalingSignals: scalingSignalsSchema,
+  networkCapacityMbps: Joi.number().positive().allow(null),
+  ensemble: ensembleSchema,
+  forecastModel: Joi.string().valid('univariate', 'multivariate'),
+  forecastPercentile: Joi.number().min(1).max(99).allow(null),
+  model: Joi.object({
+    name: Joi.string().optional(),
+    fallback: Joi.string().optional()
+  }),
+  enabled: Joi.boolean()
+};
+
+const createTargetSchema = {
+  body: Joi.object({
+    ...targetFields,
+    name: targetFields.name.required(),
+    provider: targetFields.provider.required(),
+    resource: resourceSchema.required()
+  })
+};
+
+const updateTargetSchema = {
+  params: Joi.object({
+    targetId: Joi.string().required()
+  }),
+  body: Joi.object(targetFields).min(1)
+};
+
+const targetIdSchema = {
+  params: Joi.object({
+    targetId: Joi.string().required()
+  })
+};
+
+// Scaling policies and capacity schedules of a target
+router.use('/:targetId/policies', policyRoutes);
+router.use('/:targetId/schedules', capacityScheduleRoutes);
+
+/**
+ * @route GET /api/targets
+ * @description List registered scaling targets
+ */
+router.get('/', requirePermission(PERMISSIONS.METRICS_READ), async (req, res, next) => {
+  try {
+    const targets = await listTargets();
+
+    return res.json({
+      targets,
+      count: targets.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error listing scaling targets: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/targets/:targetId
+ * @description Get a scaling target ("default" returns the environment-configured target)
+ */
+router.get('/:targetId', requirePermission(PERMISSIONS.METRICS_READ), validateRequest(targetIdSchema), async (req, res, next) => {
+  try {
+    const target = await resolveTarget(req.params.targetId);
+    return res.json(target);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/targets
+ * @description Register a scaling target
+ */
+router.post('/', requirePermission(PERMISSIONS.TARGETS_MANAGE), validateRequest(createTargetSchema), async (req, res, next) => {
+  try {
+    const target = await createTarget(req.body);
+    return res.status(201).json(target);
+  } catch (error) {
+    logger.error(`Error creating scaling target: ${error.message}`, { error });
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      error.status = 400;
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /api/targets/:targetId
+ * @description Update a scaling target
+ */
+router.put('/:targetId', requirePermission(PERMISSIONS.TARGETS_MANAGE), validateRequest(updateTargetSchema), async (req, res, next) => {
+  try {
+    const target = await updateTarget(req.params.targetId, req.body);
+    return res.json(target);
+  } catch (error) {
+    logger.error(`Error updating scaling target: ${error.message}`, { error });
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      error.status = 400;
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /api/targets/:targetId
+ * @description Remove a scaling target
+ */
+router.delete('/:targetId', requirePermission(PERMISSIONS.TARGETS_MANAGE), validateRequest(targetIdSchema), async (req, res, next) => {
+  try {
+    await deleteTarget(req.params.targetId);
+    return res.status(204).end();
+  } catch (error) {
+    logger.error(`Error deleting scaling target: ${error.message}`, { error });
+    next(error);
+  }
+});
+
+module.exports = router;
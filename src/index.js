@@ -8,10 +8,11 @@ const compression = require('compression');
 const logger = require('./utils/logger');
 const config = require('./utils/config');
 const { errorHandler, requestLogger, rateLimit } = require('./utils/middleware');
+const { authenticate } = require('./utils/auth');
 const db = require('./utils/db');
 
 // Only import services after config validation
-let monitoringService, dataCollectionService, modelService, infrastructureService;
+let monitoringService, dataCollectionService, modelService, retrainingService, trainingJobService, infrastructureService, schedulerService, runtimeConfig;
 
 // Import API routes
 const authRoutes = require('./api/authRoutes');
@@ -19,6 +20,14 @@ const predictionRoutes = require('./api/predictionRoutes');
 const insightsRoutes = require('./api/insightsRoutes');
 const infrastructureRoutes = require('./api/infrastructureRoutes');
 const metricsRoutes = require('./api/metricsRoutes');
+const customMetricsRoutes = require('./api/customMetricsRoutes');
+const modelRoutes = require('./api/modelRoutes');
+const targetRoutes = require('./api/targetRoutes');
+const scalingRoutes = require('./api/scalingRoutes');
+const configRoutes = require('./api/configRoutes');
+const dashboardRoutes = require('./api/dashboardRoutes');
+const schedulerRoutes = require('./api/schedulerRoutes');
+const approvalRoutes = require('./api/approvalRoutes');
 
 // Initialize Express app
 const app = express();
@@ -51,17 +60,31 @@ try {
   monitoringService = require('./services/monitoringService');
   dataCollectionService = require('./services/dataCollectionService');
   modelService = require('./services/modelService');
+  retrainingService = require('./services/retrainingService');
+  trainingJobService = require('./services/trainingJobService');
   infrastructureService = require('./services/infrastructureService');
+  schedulerService = require('./services/schedulerService');
+  runtimeConfig = require('./services/runtimeConfigService');
 } catch (error) {
   logger.error(`Error importing services: ${error.message}`, { error });
   process.exit(1);
 }
 
 // Register API routes
+// Everything except /api/auth requires a signed-in user, each route checks
+// its own permission (see utils/permissions)
 app.use('/api/auth', authRoutes);
-app.use('/api/predictions', predictionRoutes);
-app.use('/api/insights', insightsRoutes);
-app.use('/api/infrastructure', infrastructureRoutes);
+app.use('/api/predictions', authenticate, predictionRoutes);
+app.use('/api/insights', authenticate, insightsRoutes);
+app.use('/api/infrastructure', authenticate, infrastructureRoutes);
+app.use('/api/targets', authenticate, targetRoutes);
+app.use('/api/scaling', authenticate, scalingRoutes);
+app.use('/api/config', authenticate, configRoutes);
+app.use('/api/scheduler', authenticate, schedulerRoutes);
+app.use('/api/approvals', authenticate, approvalRoutes);
+app.use('/api/metrics', authenticate, customMetricsRoutes);
+app.use('/api/models', authenticate, modelRoutes);
+app.use('/api', authenticate, dashboardRoutes);
 app.use('/metrics', metricsRoutes);
 
 // Global error handler
@@ -81,6 +104,9 @@ async function initializeServices() {
     await db.connectToDatabase();
     logger.info('Connected to MongoDB');
     
+    // Apply configuration changes stored from the dashboard
+    await runtimeConfig.loadConfig();
+    
     // Initialize metrics with resource group and VMSS name
     const metrics = require('./utils/metrics');
     metrics.initializeMetrics(
@@ -89,11 +115,16 @@ async function initializeServices() {
     );
     logger.info('Metrics initialized');
     
-    // Initialize Azure monitoring
-    await monitoringService.initializeMonitoring();
-    logger.info('Azure monitoring initialized');
+    // Azure Monitor alerting only applies to the Azure provider
+    if (config.getConfig().cloudProvider === 'azure') {
+      // Initialize Azure monitoring
+      await monitoringService.initializeMonitoring();
+      logger.info('Azure monitoring initialized');
+    } else {
+      logger.info(`Skipping Azure monitoring for provider: ${config.getConfig().cloudProvider}`);
+    }
     
-    // Start data collection service
+    // Collect metrics of every active target into the metrics store
     await dataCollectionService.startDataCollection();
     logger.info('Data collection service started');
     
@@ -101,10 +132,19 @@ async function initializeServices() {
     await modelService.initializeModelService();
     logger.info('Model service initialized');
     
+    // Retrain the models on a schedule and when they drift
+    retrainingService.initializeRetraining();
+    
+    // Jobs of a previous process can't resume
+    await trainingJobService.initializeTrainingJobs();
+    
     // Setup infrastructure client
     await infrastructureService.setupInfrastructureClient();
     logger.info('Infrastructure client initialized');
     
+    // Start the in-process scaling scheduler
+    await schedulerService.initializeScheduler();
+    
     logger.info('All services initialized successfully');
   } catch (error) {
     logger.error(`Error initializing services: ${error.message}`, { error });
@@ -122,6 +162,14 @@ const server = app.listen(PORT, async () => {
 function shutdown() {
   logger.info('Shutdown signal received, closing HTTP server...');
   
+  // Stop scheduling new scaling cycles, the stored state resumes them after the restart
+  if (schedulerService) {
+    schedulerService.stop({ persist: false });
+  }
+  if (retrainingService) {
+    retrainingService.stopRetraining();
+  }
+  
   // Disconnect from MongoDB
   db.disconnectFromDatabase().catch(err => {
     logger.error(`Error disconnecting from MongoDB: ${err.message}`);
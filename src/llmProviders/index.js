@@ -0,0 +1,58 @@
+// LLM provider registry
+// Scaling recommendations and insights are generated through one interface,
+// so the inference server can be Ollama or any server speaking the OpenAI
+// chat completions API (vLLM, llama.cpp server, LocalAI). Each provider keeps
+// its own table of model settings.
+
+// Methods every provider has to implement
+const LLM_PROVIDER_METHODS = ['generate', 'listModels'];
+
+// Registered providers by name
+const providers = new Map();
+
+/**
+ * Register an LLM provider implementation under a name
+ * @param {string} name - Provider name (e.g. ollama, openai)
+ * @param {Object} provider - Provider implementation
+ */
+function registerLlmProvider(name, provider) {
+  const missing = LLM_PROVIDER_METHODS.filter(method => typeof provider[method] !== 'function');
+
+  if (missing.length > 0) {
+    throw new Error(`LLM provider ${name} is missing required methods: ${missing.join(', ')}`);
+  }
+
+  providers.set(name.toLowerCase(), provider);
+}
+
+/**
+ * Get a registered LLM provider by name
+ * @param {string} [name=LLM_PROVIDER] - Provider name, defaults to ollama
+ * @returns {Object} Provider implementation
+ */
+function getLlmProvider(name = process.env.LLM_PROVIDER || 'ollama') {
+  const provider = providers.get((name || '').toLowerCase());
+
+  if (!provider) {
+    throw new Error(`Unsupported LLM provider: ${name}`);
+  }
+
+  return provider;
+}
+
+/**
+ * List the names of all registered LLM providers
+ * @returns {string[]}
+ */
+function listLlmProviders() {
+  return Array.from(providers.keys());
+}
+
+registerLlmProvider('ollama', require('./ollamaProvider'));
+registerLlmProvider('openai', require('./openaiProvider'));
+
+module.exports = {
+  registerLlmProvider,
+  getLlmProvider,
+  listLlmProviders
+};
@@ -0,0 +1,93 @@
+// Ollama provider
+// Generates through Ollama's /api/generate and lists the pulled models.
+
+const axios = require('axios');
+
+/**
+ * Settings of models known to work well for scaling decisions
+ * These models handle the structured outputs our system needs.
+ */
+const models = {
+  'llama3:70b': { // Best performance, requires more resources
+    temperature: 0.1,
+    maxTokens: 100,
+    description: 'Most accurate for complex resource decisions'
+  },
+  'llama3:8b': { // Updated parameters for optimal performance
+    temperature: 0.1, // Lower temperature for more deterministic responses
+    maxTokens: 250, // Increased from 100 to 250 for more complete responses
+    stop: ['\n}', '}\n'], // Added stop sequences to help with JSON generation
+    contextSize: 4096, // Explicitly set context window
+    description: 'Optimized model for cloud scaling decisions'
+  },
+  'mistral:7b': { // Good alternative
+    temperature: 0.3,
+    maxTokens: 150, // Increased from 75 to 150
+    description: 'Efficient model for scaling decisions'
+  },
+  'mixtral:8x7b': { // Strong reasoning capabilities
+    temperature: 0.2,
+    maxTokens: 150, // Increased from 100 to 150
+    description: 'Strong reasoning for complex metrics analysis'
+  },
+  'gemma:7b': { // Google's model, efficient
+    temperature: 0.2,
+    maxTokens: 150, // Increased from 75 to 150
+    description: 'Efficient model with good reasoning'
+  }
+};
+
+/**
+ * Generate a completion
+ * @param {Object} request
+ * @param {string} request.apiUrl - Base URL of the Ollama server
+ * @param {string} request.model - Model tag
+ * @param {string} request.prompt - User prompt
+ * @param {string} [request.system] - System prompt
+ * @param {boolean} [request.json=false] - Ask for a JSON answer
+ * @param {Object} [request.schema] - JSON schema the answer has to follow, implies json
+ * @param {Object} [request.settings={}] - temperature, maxTokens, stop and contextSize
+ * @param {number} [request.timeout] - Request timeout in ms
+ * @returns {Promise<string|null>} Generated text, null when the answer had none
+ */
+async function generate({ apiUrl, model, prompt, system, json = false, schema, settings = {}, timeout }) {
+  const { temperature, maxTokens, stop, contextSize } = settings;
+
+  const response = await axios.post(`${apiUrl}/api/generate`, {
+    model,
+    prompt,
+    ...(system && { system }),
+    // Structured outputs constrain the answer to the schema
+    ...((schema || json) && { format: schema || 'json' }),
+    stream: false, // Get the full response at once
+    options: {
+      ...(temperature !== undefined && { temperature }),
+      ...(maxTokens && { num_predict: maxTokens }),
+      ...(stop && { stop }),
+      ...(contextSize && { num_ctx: contextSize })
+    }
+  }, {
+    timeout,
+    headers: { 'Content-Type': 'application/json' }
+  });
+
+  return response.data?.response ?? null;
+}
+
+/**
+ * List the models pulled on the server
+ * @param {Object} request
+ * @param {string} request.apiUrl - Base URL of the Ollama server
+ * @param {number} [request.timeout] - Request timeout in ms
+ * @returns {Promise<Array|null>} Models with at least a name, null when the server did not list any
+ */
+async function listModels({ apiUrl, timeout }) {
+  const response = await axios.get(`${apiUrl}/api/tags`, { timeout });
+  return response.data?.models || null;
+}
+
+module.exports = {
+  models,
+  generate,
+  listModels
+};
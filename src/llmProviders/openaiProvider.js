@@ -0,0 +1,97 @@
+// OpenAI-compatible provider
+// Generates through /v1/chat/completions, served by vLLM, llama.cpp server,
+// LocalAI and the OpenAI API itself. The API key is only sent when set, local
+// servers usually don't need one.
+
+const axios = require('axios');
+
+/**
+ * Settings of models known to work well for scaling decisions
+ * Servers name models after what they loaded, add yours with LLM_MODELS.
+ */
+const models = {
+  'gpt-4o-mini': {
+    temperature: 0.1,
+    maxTokens: 250,
+    description: 'Hosted model for scaling decisions'
+  }
+};
+
+/**
+ * URL of an API path, the base URL may or may not end with /v1
+ */
+function getUrl(apiUrl, path) {
+  return `${apiUrl.replace(/\/+$/, '').replace(/\/v1$/, '')}/v1${path}`;
+}
+
+/**
+ * Request headers, with the API key when there is one
+ */
+function getHeaders(apiKey) {
+  return {
+    'Content-Type': 'application/json',
+    ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+  };
+}
+
+/**
+ * Generate a completion
+ * @param {Object} request
+ * @param {string} request.apiUrl - Base URL of the server
+ * @param {string} [request.apiKey] - API key
+ * @param {string} request.model - Model name
+ * @param {string} request.prompt - User prompt
+ * @param {string} [request.system] - System prompt
+ * @param {boolean} [request.json=false] - Ask for a JSON answer
+ * @param {Object} [request.schema] - JSON schema the answer has to follow, implies json
+ * @param {Object} [request.settings={}] - temperature, maxTokens and stop
+ * @param {number} [request.timeout] - Request timeout in ms
+ * @returns {Promise<string|null>} Generated text, null when the answer had none
+ */
+async function generate({ apiUrl, apiKey, model, prompt, system, json = false, schema, settings = {}, timeout }) {
+  const { temperature, maxTokens, stop } = settings;
+
+  const response = await axios.post(getUrl(apiUrl, '/chat/completions'), {
+    model,
+    messages: [
+      ...(system ? [{ role: 'system', content: system }] : []),
+      { role: 'user', content: prompt }
+    ],
+    ...(schema
+      ? { response_format: { type: 'json_schema', json_schema: { name: 'response', schema } } }
+      : json && { response_format: { type: 'json_object' } }),
+    ...(temperature !== undefined && { temperature }),
+    ...(maxTokens && { max_tokens: maxTokens }),
+    ...(stop && { stop }),
+    stream: false
+  }, {
+    timeout,
+    headers: getHeaders(apiKey)
+  });
+
+  return response.data?.choices?.[0]?.message?.content ?? null;
+}
+
+/**
+ * List the models served
+ * @param {Object} request
+ * @param {string} request.apiUrl - Base URL of the server
+ * @param {string} [request.apiKey] - API key
+ * @param {number} [request.timeout] - Request timeout in ms
+ * @returns {Promise<Array|null>} Models with at least a name, null when the server did not list any
+ */
+async function listModels({ apiUrl, apiKey, timeout }) {
+  const response = await axios.get(getUrl(apiUrl, '/models'), {
+    timeout,
+    headers: getHeaders(apiKey)
+  });
+
+  const served = response.data?.data;
+  return Array.isArray(served) ? served.map(model => ({ ...model, name: model.id })) : null;
+}
+
+module.exports = {
+  models,
+  generate,
+  listModels
+};
@@ -0,0 +1,56 @@
+// Metrics store registry
+// Collected samples are written to and read from a time-series store behind
+// one interface, so collectors, the model and the dashboard don't depend on
+// the storage backend.
+
+// Methods every store has to implement
+const STORE_METHODS = ['initialize', 'writeSamples', 'querySamples', 'getLatestTimestamp', 'deleteSamples'];
+
+// Registered stores by name
+const stores = new Map();
+
+/**
+ * Register a metrics store implementation under a name
+ * @param {string} name - Store name (e.g. mongodb)
+ * @param {Object} store - Store implementation
+ */
+function registerStore(name, store) {
+  const missing = STORE_METHODS.filter(method => typeof store[method] !== 'function');
+
+  if (missing.length > 0) {
+    throw new Error(`Metrics store ${name} is missing required methods: ${missing.join(', ')}`);
+  }
+
+  stores.set(name.toLowerCase(), store);
+}
+
+/**
+ * Get the configured metrics store
+ * @param {string} [name=METRICS_STORE] - Store name, defaults to mongodb
+ * @returns {Object} Store implementation
+ */
+function getMetricsStore(name = process.env.METRICS_STORE || 'mongodb') {
+  const store = stores.get(name.toLowerCase());
+
+  if (!store) {
+    throw new Error(`Unsupported metrics store: ${name}`);
+  }
+
+  return store;
+}
+
+/**
+ * List the names of all registered stores
+ * @returns {string[]}
+ */
+function listStores() {
+  return Array.from(stores.keys());
+}
+
+registerStore('mongodb', require('./mongoStore'));
+
+module.exports = {
+  registerStore,
+  getMetricsStore,
+  listStores
+};
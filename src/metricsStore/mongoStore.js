@@ -0,0 +1,187 @@
+// MongoDB metrics store
+// Samples live in a time-series collection bucketed per target. Retention is
+// the collection's expireAfterSeconds (METRICS_RETENTION_DAYS), downsampling
+// happens in the query: CPU, memory, instance counts and application signals
+// are averaged, network bytes summed.
+const mongoose = require('mongoose');
+const MetricSample = require('../models/MetricSample');
+const logger = require('../utils/logger');
+const { METRIC_FIELDS, INSTANCES_FIELD } = require('../utils/metricSchema');
+
+/**
+ * Fail fast instead of buffering queries while MongoDB is not connected
+ */
+function ensureConnected() {
+  if (mongoose.connection.readyState !== 1) {
+    const error = new Error('Metrics store unavailable: MongoDB is not connected');
+    error.status = 503;
+    throw error;
+  }
+}
+
+/**
+ * Create the time-series collection and apply the configured retention
+ */
+async function initialize() {
+  await MetricSample.init();
+
+  // The retention of an existing collection only changes through collMod
+  const { expireAfterSeconds } = MetricSample.schema.options;
+  await mongoose.connection.db.command({
+    collMod: MetricSample.collection.collectionName,
+    expireAfterSeconds
+  });
+
+  logger.info(`Metrics store ready (MongoDB time-series, retention ${Math.round(expireAfterSeconds / 86400)} days)`);
+}
+
+/**
+ * Store samples of a target
+ * @param {string} targetId - Target id
+ * @param {Array} samples - Canonical samples (see utils/metricSchema)
+ * @param {Object} [options={}]
+ * @param {string} [options.source] - Where the samples came from
+ * @returns {Promise<number>} Number of stored samples
+ */
+async function writeSamples(targetId, samples, { source } = {}) {
+  ensureConnected();
+
+  if (samples.length === 0) {
+    return 0;
+  }
+
+  const documents = samples.map(sample => {
+    const signals = Object.entries(sample)
+      .filter(([field, value]) => ![...METRIC_FIELDS, 'timestamp', INSTANCES_FIELD].includes(field) && Number.isFinite(value));
+
+    return {
+      timestamp: new Date(sample.timestamp),
+      meta: { targetId, source },
+      ...Object.fromEntries(METRIC_FIELDS.map(field => [field, sample[field] ?? null])),
+      [INSTANCES_FIELD]: sample[INSTANCES_FIELD] ?? null,
+      ...(signals.length > 0 ? { signals: Object.fromEntries(signals) } : {})
+    };
+  });
+
+  await MetricSample.insertMany(documents, { ordered: false });
+  return documents.length;
+}
+
+/**
+ * Query the samples of a target in a time range, oldest first
+ * Samples of different sources are returned separately, see normalizeSamples
+ * for merging them.
+ * @param {string} targetId - Target id
+ * @param {Object} [options={}]
+ * @param {Date} [options.from] - Start of the range (inclusive), unbounded by default
+ * @param {Date} [options.to=new Date()] - End of the range (exclusive)
+ * @param {number} [options.stepMinutes] - Downsample into buckets of this size
+ * @param {string} [options.source] - Only return samples of this source
+ * @returns {Promise<Array>} Samples with timestamp, cpu, memory, networkIn, networkOut, instances and application signals
+ */
+async function querySamples(targetId, { from, to = new Date(), stepMinutes, source } = {}) {
+  ensureConnected();
+
+  const match = {
+    'meta.targetId': targetId,
+    timestamp: { $lt: to, ...(from ? { $gte: from } : {}) }
+  };
+  if (source) {
+    match['meta.source'] = source;
+  }
+
+  if (!stepMinutes) {
+    const documents = await MetricSample.find(match)
+      .select({ _id: 0, timestamp: 1, [INSTANCES_FIELD]: 1, signals: 1, ...Object.fromEntries(METRIC_FIELDS.map(field => [field, 1])) })
+      .sort({ timestamp: 1 })
+      .lean();
+
+    return documents.map(({ signals, ...sample }) => ({ ...sample, ...signals }));
+  }
+
+  const bucket = { $dateTrunc: { date: '$timestamp', unit: 'minute', binSize: stepMinutes } };
+  const [samples, signals] = await Promise.all([
+    MetricSample.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: bucket,
+          cpu: { $avg: '$cpu' },
+          memory: { $avg: '$memory' },
+          networkIn: { $sum: '$networkIn' },
+          networkOut: { $sum: '$networkOut' },
+          instances: { $avg: '$instances' }
+        }
+      },
+      { $sort: { _id: 1 } },
+      { $project: { _id: 0, timestamp: '$_id', cpu: 1, memory: 1, networkIn: 1, networkOut: 1, instances: 1 } }
+    ]),
+    // Signal names vary per target, so they are averaged as key/value pairs
+    MetricSample.aggregate([
+      { $match: { ...match, signals: { $exists: true } } },
+      { $project: { timestamp: 1, signal: { $objectToArray: '$signals' } } },
+      { $unwind: '$signal' },
+      { $group: { _id: { timestamp: bucket, name: '$signal.k' }, value: { $avg: '$signal.v' } } }
+    ])
+  ]);
+
+  const byTimestamp = new Map(samples.map(sample => [sample.timestamp.getTime(), sample]));
+  for (const { _id: { timestamp, name }, value } of signals) {
+    const sample = byTimestamp.get(timestamp.getTime());
+    if (sample) {
+      sample[name] = value;
+    }
+  }
+
+  return samples;
+}
+
+/**
+ * Timestamp of the newest sample of a target
+ * @param {string} targetId - Target id
+ * @param {Object} [options={}]
+ * @param {string} [options.source] - Only consider samples of this source
+ * @returns {Promise<Date|null>}
+ */
+async function getLatestTimestamp(targetId, { source } = {}) {
+  ensureConnected();
+
+  const filter = { 'meta.targetId': targetId };
+  if (source) {
+    filter['meta.source'] = source;
+  }
+
+  const latest = await MetricSample.findOne(filter)
+    .select({ _id: 0, timestamp: 1 })
+    .sort({ timestamp: -1 })
+    .lean();
+
+  return latest ? latest.timestamp : null;
+}
+
+/**
+ * Remove samples of a target
+ * @param {string} targetId - Target id
+ * @param {Object} [options={}]
+ * @param {Date} [options.before] - Only remove older samples (needs MongoDB 7), all by default
+ * @returns {Promise<number>} Number of removed samples
+ */
+async function deleteSamples(targetId, { before } = {}) {
+  ensureConnected();
+
+  const filter = { 'meta.targetId': targetId };
+  if (before) {
+    filter.timestamp = { $lt: before };
+  }
+
+  const result = await MetricSample.deleteMany(filter);
+  return result.deletedCount;
+}
+
+module.exports = {
+  initialize,
+  writeSamples,
+  querySamples,
+  getLatestTimestamp,
+  deleteSamples
+};
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Scheduled capacity rule of a target (see services/capacityScheduleService)
+// While a window is active its overrides replace the target's bounds or the
+// recommended instance count, e.g. a business hours floor or a batch window.
+const capacityScheduleSchema = new mongoose.Schema({
+  // Registered target id or "default" for the environment-configured target
+  targetId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Cron expression starting the window, its length and time zone
+  schedule: {
+    type: String,
+    required: true
+  },
+  durationMinutes: {
+    type: Number,
+    required: true
+  },
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  // Overrides while the window is active, at least one is set
+  minInstances: Number,
+  maxInstances: Number,
+  desiredInstances: Number,
+  // Optional period in which the rule applies at all
+  startDate: Date,
+  endDate: Date
+}, {
+  timestamps: true
+});
+
+capacityScheduleSchema.index({ targetId: 1, name: 1 }, { unique: true });
+
+// Create CapacitySchedule model
+const CapacitySchedule = mongoose.model('CapacitySchedule', capacityScheduleSchema);
+
+module.exports = CapacitySchedule;
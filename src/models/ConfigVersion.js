@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Field level change of a configuration update (secrets are masked)
+const configChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// One version of the runtime configuration
+// Every update stores a full snapshot of the overrides, the latest version is
+// the one in effect.
+const configVersionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  // Overrides per section (azure, ollama, scaling, thresholds, approval)
+  config: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Section changed by this version
+  section: {
+    type: String,
+    required: true
+  },
+  changes: [configChangeSchema],
+  changedBy: {
+    type: String,
+    default: 'anonymous'
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+configVersionSchema.index({ section: 1, version: -1 });
+
+// Create ConfigVersion model
+const ConfigVersion = mongoose.model('ConfigVersion', configVersionSchema);
+
+module.exports = ConfigVersion;
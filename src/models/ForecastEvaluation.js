@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Backtest report of a forecast model (see services/backtestService)
+// Errors of the model and the naive baselines, overall and per horizon step,
+// from a rolling-origin replay of the stored metrics.
+const errorsSchema = new mongoose.Schema({
+  mae: Number,
+  mape: Number,
+  rmse: Number,
+  // Forecasts the errors are computed from
+  count: Number
+}, { _id: false });
+
+const methodSchema = new mongoose.Schema({
+  overall: errorsSchema,
+  // Errors of the forecasts h steps ahead, h = index + 1
+  byHorizon: [errorsSchema]
+}, { _id: false });
+
+const forecastEvaluationSchema = new mongoose.Schema({
+  // Registered target id or "default" for the environment-configured target
+  targetId: {
+    type: String,
+    required: true
+  },
+  // cpu, memory, network or an application signal
+  metric: {
+    type: String,
+    required: true
+  },
+  // univariate or multivariate
+  model: {
+    type: String,
+    required: true
+  },
+  // Evaluated version of the univariate or multivariate model (see ModelVersion)
+  version: Number,
+  // What started the backtest (api, training)
+  trigger: String,
+  requestedBy: String,
+  // Replayed history
+  from: Date,
+  to: Date,
+  stepMinutes: Number,
+  horizon: Number,
+  origins: Number,
+  // Errors by method: model, lastValue, seasonalNaive, movingAverage
+  methods: {
+    type: Map,
+    of: methodSchema
+  },
+  // Method with the lowest overall MAE
+  best: String
+}, {
+  timestamps: true
+});
+
+forecastEvaluationSchema.index({ targetId: 1, metric: 1, createdAt: -1 });
+
+// Create ForecastEvaluation model
+const ForecastEvaluation = mongoose.model('ForecastEvaluation', forecastEvaluationSchema);
+
+module.exports = ForecastEvaluation;
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Days of samples kept before MongoDB removes them
+const RETENTION_DAYS = parseInt(process.env.METRICS_RETENTION_DAYS || '90');
+
+// One metrics sample of a target, stored in a time-series collection
+// (see metricsStore/mongoStore). CPU and memory are utilization percentages,
+// network values are bytes transferred during the sample interval (see
+// utils/metricSchema).
+const metricSampleSchema = new mongoose.Schema({
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  // Series metadata, samples are bucketed by it
+  meta: {
+    targetId: {
+      type: String,
+      required: true
+    },
+    // Where the sample came from (e.g. azure, gcp)
+    source: String
+  },
+  cpu: Number,
+  memory: Number,
+  networkIn: Number,
+  networkOut: Number,
+  // Instance count at collection time, provider samples only
+  instances: Number,
+  // Application signals by name (e.g. requestRate from Prometheus)
+  signals: {
+    type: Map,
+    of: Number,
+    default: undefined
+  }
+}, {
+  versionKey: false,
+  timeseries: {
+    timeField: 'timestamp',
+    metaField: 'meta',
+    granularity: 'minutes'
+  },
+  expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60
+});
+
+metricSampleSchema.index({ 'meta.targetId': 1, timestamp: -1 });
+
+// Create MetricSample model
+const MetricSample = mongoose.model('MetricSample', metricSampleSchema);
+
+module.exports = MetricSample;
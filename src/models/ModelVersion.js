@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// One trained version of the forecast model of a metric
+// The artifacts are saved in <MODEL_SAVE_PATH>/<metric>_model/v<version>, the
+// active version of a metric is the one predictions load.
+const modelVersionSchema = new mongoose.Schema({
+  // cpu, memory, network, an application signal or multivariate (the joint model)
+  metric: {
+    type: String,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  active: {
+    type: Boolean,
+    default: false
+  },
+  activatedAt: Date,
+  activatedBy: String,
+  // Version that was active before this one was promoted, the rollback target
+  previousVersion: Number,
+  // What trained it (startup, api, imported)
+  trigger: String,
+  // History the model was trained on
+  trainingWindow: {
+    targetId: String,
+    from: Date,
+    to: Date,
+    days: Number,
+    samples: Number
+  },
+  hyperparameters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Min-max scaling of the training values
+  normalization: {
+    min: Number,
+    max: Number
+  },
+  // Final training losses and the backtest errors of the model
+  metrics: {
+    loss: Number,
+    valLoss: Number,
+    evaluation: {
+      mae: Number,
+      mape: Number,
+      rmse: Number,
+      count: Number
+    }
+  },
+  // SHA-256 of the training values
+  dataHash: String,
+  // Distribution of the training values, for drift checks (see utils/drift)
+  inputProfile: {
+    mean: Number,
+    std: Number,
+    edges: [Number],
+    shares: [Number]
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+modelVersionSchema.index({ metric: 1, version: -1 }, { unique: true });
+// At most one active version per metric
+modelVersionSchema.index({ metric: 1 }, { unique: true, partialFilterExpression: { active: true } });
+
+// Create ModelVersion model
+const ModelVersion = mongoose.model('ModelVersion', modelVersionSchema);
+
+module.exports = ModelVersion;
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Status change of a pending action
+const actionEventSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  by: {
+    type: String,
+    required: true
+  },
+  comment: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Scaling action that exceeded the approval policy and waits for an approver
+const pendingActionSchema = new mongoose.Schema({
+  // Target the action would scale
+  targetId: {
+    type: String,
+    required: true
+  },
+  targetName: String,
+  provider: String,
+  // What triggered the action and who asked for it
+  source: {
+    type: String,
+    enum: ['api', 'manual', 'scheduler', 'cli'],
+    default: 'api'
+  },
+  requestedBy: {
+    type: String,
+    required: true
+  },
+  currentInstances: Number,
+  requestedInstances: {
+    type: Number,
+    required: true
+  },
+  // Why approval is required (which limit was exceeded)
+  reason: String,
+  // Recommendation applied once the action is approved
+  recommendation: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'expired', 'applied', 'failed'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  reviewedBy: String,
+  reviewedAt: Date,
+  reviewComment: String,
+  // Result of applying an approved action
+  result: mongoose.Schema.Types.Mixed,
+  error: String,
+  // Audit trail of every status change
+  history: [actionEventSchema]
+}, {
+  timestamps: true
+});
+
+pendingActionSchema.index({ status: 1, expiresAt: 1 });
+// At most one pending action per target
+pendingActionSchema.index({ targetId: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+pendingActionSchema.index({ targetId: 1, createdAt: -1 });
+
+// Create PendingAction model
+const PendingAction = mongoose.model('PendingAction', pendingActionSchema);
+
+module.exports = PendingAction;
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// One retraining of a metric's model (see services/retrainingService)
+// A candidate version is trained without the holdout window and promoted only
+// when it forecasts the window better than the active version.
+const retrainingRunSchema = new mongoose.Schema({
+  // cpu, memory, network or an application signal
+  metric: {
+    type: String,
+    required: true
+  },
+  // schedule, error (forecast error above the threshold), drift (input shift) or api
+  trigger: {
+    type: String,
+    required: true
+  },
+  // Why the run was started
+  reason: String,
+  // Target whose history trained and evaluated the candidate, the one of the active version
+  targetId: String,
+  requestedBy: String,
+  status: {
+    type: String,
+    enum: ['running', 'promoted', 'rejected', 'failed'],
+    default: 'running'
+  },
+  // Drift check that triggered the run
+  drift: {
+    mape: Number,
+    psi: Number
+  },
+  activeVersion: Number,
+  candidateVersion: Number,
+  // Errors of both versions on the holdout window
+  holdout: {
+    steps: Number,
+    active: mongoose.Schema.Types.Mixed,
+    candidate: mongoose.Schema.Types.Mixed
+  },
+  error: String,
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+retrainingRunSchema.index({ metric: 1, startedAt: -1 });
+
+// Create RetrainingRun model
+const RetrainingRun = mongoose.model('RetrainingRun', retrainingRunSchema);
+
+module.exports = RetrainingRun;
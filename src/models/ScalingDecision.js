@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const scalingDecisionSchema = new mongoose.Schema({
+  // Target the decision was made for
+  targetId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  targetName: String,
+  provider: String,
+  // What triggered the scaling cycle
+  source: {
+    type: String,
+    enum: ['api', 'manual', 'scheduler', 'cli'],
+    default: 'api'
+  },
+  // State the decision was based on
+  inputs: {
+    currentInstances: Number,
+    minInstances: Number,
+    maxInstances: Number,
+    metrics: mongoose.Schema.Types.Mixed,
+    // Scaling policy evaluations combined with the model recommendation
+    policies: mongoose.Schema.Types.Mixed,
+    // Active scheduled capacity overrides
+    schedule: mongoose.Schema.Types.Mixed,
+    // Candidates of the forecast, the LLM and the policies, the strategy that combined them and its result
+    ensemble: mongoose.Schema.Types.Mixed
+  },
+  // Model that produced the recommendation (LLM name, lstm-forecast or manual)
+  model: {
+    type: String,
+    default: null
+  },
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: null
+  },
+  reasoning: {
+    type: String,
+    default: ''
+  },
+  // Raw instance count suggested by the model
+  recommendedInstances: Number,
+  // Instance count after clamping to the target bounds
+  targetInstances: Number,
+  action: {
+    type: String,
+    enum: ['scale_out', 'scale_in', 'none'],
+    default: 'none'
+  },
+  outcome: {
+    type: String,
+    enum: ['applied', 'dry_run', 'no_change', 'skipped', 'failed', 'pending_approval'],
+    required: true
+  },
+  // Why a cycle was skipped (cooldown, low confidence, ...)
+  outcomeReason: String,
+  // Errors raised while recommending or applying (`errors` is reserved by mongoose)
+  errorMessages: [String],
+  // User (or scheduler) that asked for the action
+  requestedBy: String,
+  // Approval of actions above the blast radius (see PendingAction)
+  pendingActionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  approvedBy: String
+}, {
+  timestamps: true
+});
+
+scalingDecisionSchema.index({ createdAt: -1 });
+scalingDecisionSchema.index({ targetId: 1, createdAt: -1 });
+
+// Create ScalingDecision model
+const ScalingDecision = mongoose.model('ScalingDecision', scalingDecisionSchema);
+
+module.exports = ScalingDecision;
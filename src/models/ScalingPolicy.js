@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Metric range of a step policy and the instance change it triggers
+const stepSchema = new mongoose.Schema({
+  // Inclusive lower bound, unbounded when missing
+  lower: {
+    type: Number,
+    default: null
+  },
+  // Exclusive upper bound, unbounded when missing
+  upper: {
+    type: Number,
+    default: null
+  },
+  // Instances to add (negative to remove)
+  adjustment: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// Declarative scaling policy of a target (see services/policyService)
+const scalingPolicySchema = new mongoose.Schema({
+  // Registered target id or "default" for the environment-configured target
+  targetId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['step', 'target_tracking', 'schedule'],
+    required: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Step and target tracking: metric the policy watches, cpu, memory,
+  // networkIn, networkOut or an application signal of the target
+  metric: {
+    type: String,
+    match: /^[a-zA-Z][a-zA-Z0-9_]{0,63}$/
+  },
+  // Step: ranges of the metric average and their adjustments
+  steps: [stepSchema],
+  // Target tracking: metric value to keep the target at
+  targetValue: Number,
+  // Target tracking: whether the policy may remove instances
+  scaleIn: {
+    type: Boolean,
+    default: true
+  },
+  // Schedule: cron expression starting the window, its length and time zone
+  schedule: String,
+  durationMinutes: Number,
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  // Schedule: instance count while the window is active
+  instances: Number
+}, {
+  timestamps: true
+});
+
+scalingPolicySchema.index({ targetId: 1, name: 1 }, { unique: true });
+
+// Create ScalingPolicy model
+const ScalingPolicy = mongoose.model('ScalingPolicy', scalingPolicySchema);
+
+module.exports = ScalingPolicy;
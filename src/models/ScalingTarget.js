@@ -0,0 +1,220 @@
+const mongoose = require('mongoose');
+
+const thresholdsSchema = new mongoose.Schema({
+  cpu: {
+    type: Number,
+    default: 70
+  },
+  memory: {
+    type: Number,
+    default: 80
+  },
+  network: {
+    type: Number,
+    default: 75
+  }
+}, { _id: false });
+
+// PromQL query whose result is an application signal of the target
+const prometheusQuerySchema = new mongoose.Schema({
+  // Signal name, e.g. requestRate
+  name: {
+    type: String,
+    required: true,
+    match: /^[a-zA-Z][a-zA-Z0-9_]{0,63}$/
+  },
+  query: {
+    type: String,
+    required: true
+  },
+  // Unit shown to the model and in prompts, e.g. requests/s
+  unit: String,
+  // Forecast value above which the LSTM recommendation scales out
+  threshold: Number
+}, { _id: false });
+
+// Application signal pushed to POST /api/metrics/ingest
+const customMetricSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    match: /^[a-zA-Z][a-zA-Z0-9_]{0,63}$/
+  },
+  unit: String,
+  threshold: Number
+}, { _id: false });
+
+// Weight and headroom of a signal when the forecast recommendation sizes the target (see utils/capacity)
+const scalingSignalSchema = new mongoose.Schema({
+  // cpu, memory, network or an application signal
+  name: {
+    type: String,
+    required: true,
+    match: /^[a-zA-Z][a-zA-Z0-9_]{0,63}$/
+  },
+  // Share of the signal's demand applied to the instance count (0-1)
+  weight: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  // Spare capacity on top of the demand, 0.2 = 20%
+  headroom: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
+
+const scalingTargetSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  provider: {
+    type: String,
+    enum: ['azure', 'gcp'],
+    required: true
+  },
+  // Cloud resource identifiers, which ones are used depends on the provider
+  resource: {
+    subscriptionId: String,
+    resourceGroup: String,
+    vmssName: String,
+    vmSize: String,
+    project: String,
+    zone: String,
+    instanceGroup: String
+  },
+  minInstances: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  maxInstances: {
+    type: Number,
+    default: 10,
+    min: 1
+  },
+  thresholds: {
+    type: thresholdsSchema,
+    default: () => ({})
+  },
+  // Application signals queried from Prometheus (PROMETHEUS_URL when url is not set)
+  prometheus: {
+    url: String,
+    queries: {
+      type: [prometheusQuerySchema],
+      default: undefined
+    }
+  },
+  // Custom metrics the target's services push, declaring their unit and threshold
+  customMetrics: {
+    type: [customMetricSchema],
+    default: undefined
+  },
+  scalingSignals: {
+    type: [scalingSignalSchema],
+    default: undefined
+  },
+  // Network bandwidth of an instance (Mbps), the network threshold is a share of it
+  networkCapacityMbps: Number,
+  // How the forecast, LLM and policy candidates are combined (see services/ensembleService)
+  ensemble: {
+    strategy: {
+      type: String,
+      enum: ['max', 'weighted', 'llm_gated']
+    },
+    // Weights of the candidate kinds in the weighted strategy
+    weights: {
+      forecast: Number,
+      llm: Number,
+      policy: Number
+    },
+    // Instances the LLM and the forecast may differ by and still agree
+    agreementTolerance: Number
+  },
+  // Forecast model: one LSTM per metric or the joint multivariate model
+  forecastModel: {
+    type: String,
+    enum: ['univariate', 'multivariate'],
+    default: 'univariate'
+  },
+  // Forecast percentile (Monte Carlo dropout) the recommendation scales on, the point forecast when not set
+  forecastPercentile: {
+    type: Number,
+    min: 1,
+    max: 99
+  },
+  // Ollama model choice for this target
+  model: {
+    name: String,
+    fallback: String
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Make sure the instance bounds are consistent
+scalingTargetSchema.pre('validate', function(next) {
+  if (this.minInstances > this.maxInstances) {
+    this.invalidate('minInstances', 'minInstances must not be greater than maxInstances');
+  }
+  next();
+});
+
+/**
+ * Flatten the document into the target descriptor used by the cloud providers
+ */
+scalingTargetSchema.methods.toDescriptor = function() {
+  const { resource = {}, ensemble } = this.toObject();
+
+  return {
+    id: this._id.toString(),
+    name: this.name,
+    provider: this.provider,
+    ...resource,
+    minInstances: this.minInstances,
+    maxInstances: this.maxInstances,
+    thresholds: {
+      cpu: this.thresholds.cpu,
+      memory: this.thresholds.memory,
+      network: this.thresholds.network
+    },
+    prometheus: this.prometheus?.queries?.length > 0
+      ? {
+        url: this.prometheus.url,
+        queries: this.prometheus.queries.map(({ name, query, unit, threshold }) => ({ name, query, unit, threshold }))
+      }
+      : undefined,
+    customMetrics: this.customMetrics?.length > 0
+      ? this.customMetrics.map(({ name, unit, threshold }) => ({ name, unit, threshold }))
+      : undefined,
+    scalingSignals: this.scalingSignals?.length > 0
+      ? this.scalingSignals.map(({ name, weight, headroom }) => ({ name, weight, headroom }))
+      : undefined,
+    networkCapacityMbps: this.networkCapacityMbps,
+    ensemble,
+    forecastModel: this.forecastModel,
+    forecastPercentile: this.forecastPercentile,
+    model: {
+      name: this.model?.name,
+      fallback: this.model?.fallback
+    },
+    enabled: this.enabled
+  };
+};
+
+// Create ScalingTarget model
+const ScalingTarget = mongoose.model('ScalingTarget', scalingTargetSchema);
+
+module.exports = ScalingTarget;
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Scaling loop state of a target, and of the scheduler, kept across restarts
+const schedulerStateSchema = new mongoose.Schema({
+  targetId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Start of the last scaling cycle and what triggered it
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  lastRunSource: String,
+  // Result of the last cycle (applied, skipped, failed, ...)
+  lastOutcome: String,
+  lastError: {
+    type: String,
+    default: null
+  },
+  // Last time capacity was changed, starts the cooldown period
+  lastScalingAt: {
+    type: Date,
+    default: null
+  },
+  // Scheduler itself (see scalingStateService.SCHEDULER_STATE_ID): started or stopped and its interval
+  running: Boolean,
+  intervalMinutes: Number
+}, {
+  timestamps: true
+});
+
+// Create SchedulerState model
+const SchedulerState = mongoose.model('SchedulerState', schedulerStateSchema);
+
+module.exports = SchedulerState;
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Loss of the model after an epoch
+const epochSchema = new mongoose.Schema({
+  epoch: Number,
+  loss: Number,
+  valLoss: Number
+}, { _id: false });
+
+// Training of a metric's model requested through the API (see services/trainingJobService)
+const trainingJobSchema = new mongoose.Schema({
+  // cpu, memory, network or an application signal
+  metric: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  // Target, days of history and the hyperparameters asked for
+  params: {
+    targetId: String,
+    days: Number,
+    epochs: Number,
+    batchSize: Number,
+    lookbackWindow: Number,
+    learningRate: Number,
+    activate: Boolean
+  },
+  requestedBy: String,
+  cancelledBy: String,
+  // Losses of the finished epochs
+  epochs: [epochSchema],
+  // Final losses
+  loss: Number,
+  valLoss: Number,
+  // Model version the job registered
+  version: Number,
+  error: String,
+  startedAt: Date,
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+trainingJobSchema.index({ metric: 1, createdAt: -1 });
+trainingJobSchema.index({ status: 1 });
+
+// Create TrainingJob model
+const TrainingJob = mongoose.model('TrainingJob', trainingJobSchema);
+
+module.exports = TrainingJob;
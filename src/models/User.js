@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const { ROLES } = require('../utils/permissions');
 
 const refreshTokenSchema = new mongoose.Schema({
   token: {
@@ -40,10 +41,11 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 8
   },
+  // See utils/permissions for what each role may do
   role: {
     type: String,
-    enum: ['user', 'admin'],
-    default: 'user'
+    enum: ROLES,
+    default: 'viewer'
   },
   refreshTokens: [refreshTokenSchema],
   createdAt: {
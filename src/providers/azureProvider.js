@@ -0,0 +1,329 @@
+// Azure VM Scale Set provider
+const { DefaultAzureCredential, ClientSecretCredential } = require('@azure/identity');
+const { ComputeManagementClient } = require('@azure/arm-compute');
+const { MonitorClient } = require('@azure/arm-monitor');
+const runtimeConfig = require('../services/runtimeConfigService');
+const logger = require('../utils/logger');
+const { fromAzureMetrics } = require('../utils/metricSchema');
+const { isKnownVmSize, getMemoryGb, availableBytesToPercent } = require('../utils/vmSizes');
+
+// Fields a target needs before the provider can talk to Azure
+const REQUIRED_FIELDS = ['subscriptionId', 'resourceGroup', 'vmssName'];
+
+// Azure clients, one pair per subscription
+const clients = new Map();
+
+// Credentials changed at runtime invalidate the cached clients
+runtimeConfig.events.on('change', section => {
+  if (section === 'azure') {
+    clients.clear();
+  }
+});
+
+/**
+ * Get the credential used for Azure requests
+ * A service principal configured at runtime takes precedence over DefaultAzureCredential.
+ * @returns {TokenCredential}
+ */
+function getCredential() {
+  const { tenantId, clientId, clientSecret } = runtimeConfig.getConfig('azure');
+
+  if (tenantId && clientId && clientSecret) {
+    return new ClientSecretCredential(tenantId, clientId, clientSecret);
+  }
+
+  return new DefaultAzureCredential();
+}
+
+/**
+ * Get (or lazily create) the Azure clients for a subscription
+ * @param {string} subscriptionId - Azure subscription ID
+ * @returns {{computeClient: ComputeManagementClient, monitorClient: MonitorClient}}
+ */
+function getClients(subscriptionId) {
+  if (!clients.has(subscriptionId)) {
+    const credential = getCredential();
+
+    clients.set(subscriptionId, {
+      computeClient: new ComputeManagementClient(credential, subscriptionId),
+      monitorClient: new MonitorClient(credential, subscriptionId)
+    });
+
+    logger.info(`Azure clients initialized for subscription ${subscriptionId}`);
+  }
+
+  return clients.get(subscriptionId);
+}
+
+/**
+ * Build a target descriptor from environment variables
+ * @param {Object} [overrides={}] - Values that take precedence over the environment
+ * @returns {Object} Azure target descriptor
+ */
+function defaultTarget(overrides = {}) {
+  return {
+    provider: 'azure',
+    subscriptionId: overrides.subscriptionId || process.env.AZURE_SUBSCRIPTION_ID,
+    resourceGroup: overrides.resourceGroup || process.env.AZURE_RESOURCE_GROUP,
+    vmssName: overrides.vmssName || process.env.AZURE_VMSS_NAME,
+    vmSize: overrides.vmSize || process.env.VM_SIZE
+  };
+}
+
+/**
+ * Human readable name for log messages
+ */
+function describeTarget(target) {
+  return `VMSS ${target.vmssName} (resource group ${target.resourceGroup})`;
+}
+
+/**
+ * Get the VMSS resource for a target
+ */
+async function getScaleSet(target) {
+  const { computeClient } = getClients(target.subscriptionId);
+
+  const vmss = await computeClient.virtualMachineScaleSets.get(target.resourceGroup, target.vmssName);
+
+  if (!vmss || !vmss.sku) {
+    throw new Error('Failed to get valid VMSS data from Azure');
+  }
+
+  return vmss;
+}
+
+/**
+ * Get current VMSS capacity
+ * @param {Object} target - Azure target descriptor
+ * @returns {Promise<number>} Current instance count
+ */
+async function getCapacity(target) {
+  try {
+    logger.info(`Getting current capacity for ${describeTarget(target)}`);
+
+    const vmss = await getScaleSet(target);
+
+    logger.info(`Current VMSS capacity: ${vmss.sku.capacity}`);
+    return vmss.sku.capacity;
+  } catch (error) {
+    logger.error(`Error getting VMSS capacity: ${error.message}`, { error });
+    throw error;
+  }
+}
+
+/**
+ * Set VMSS capacity
+ * @param {Object} target - Azure target descriptor
+ * @param {number} capacity - Desired number of instances
+ * @param {Object} [options={}]
+ * @param {boolean} [options.dryRun=false] - If true, don't apply changes
+ * @returns {Promise<Object>} Result of the scaling operation
+ */
+async function setCapacity(target, capacity, { dryRun = false } = {}) {
+  try {
+    const vmss = await getScaleSet(target);
+    const previousCapacity = vmss.sku.capacity;
+
+    if (previousCapacity === capacity) {
+      logger.info(`VMSS is already at target capacity: ${capacity}`);
+      return { success: true, dryRun, previousCapacity, capacity };
+    }
+
+    logger.info(`Scaling ${describeTarget(target)} from ${previousCapacity} to ${capacity} instances${dryRun ? ' (DRY RUN)' : ''}`);
+
+    if (dryRun) {
+      return { success: true, dryRun: true, previousCapacity, capacity };
+    }
+
+    const { computeClient } = getClients(target.subscriptionId);
+
+    await computeClient.virtualMachineScaleSets.beginUpdateAndWait(
+      target.resourceGroup,
+      target.vmssName,
+      {
+        sku: {
+          ...vmss.sku,
+          capacity
+        }
+      }
+    );
+
+    logger.info(`VMSS scaled to ${capacity} instances`);
+    return { success: true, dryRun: false, previousCapacity, capacity };
+  } catch (error) {
+    logger.error(`Error scaling VMSS: ${error.message}`, { error });
+    throw error;
+  }
+}
+
+/**
+ * List the VM instances in a scale set
+ * @param {Object} target - Azure target descriptor
+ * @returns {Promise<Array>} Instance summaries
+ */
+async function listInstances(target) {
+  try {
+    const { computeClient } = getClients(target.subscriptionId);
+    const instances = [];
+
+    for await (const vm of computeClient.virtualMachineScaleSetVMs.list(target.resourceGroup, target.vmssName)) {
+      instances.push({
+        id: vm.instanceId,
+        name: vm.name,
+        status: vm.provisioningState,
+        zone: vm.zones?.[0] || null,
+        size: vm.sku?.name || null
+      });
+    }
+
+    return instances;
+  } catch (error) {
+    logger.error(`Error listing VMSS instances: ${error.message}`, { error });
+    throw error;
+  }
+}
+
+/**
+ * Collect recent metrics for a scale set from Azure Monitor
+ * @param {Object} target - Azure target descriptor
+ * @param {Object} [options={}]
+ * @param {number} [options.lookbackHours=1] - Hours of historical data to collect
+ * @param {number} [options.intervalMinutes=15] - Interval resolution in minutes
+ * @returns {Promise<Object>} Metric set (see utils/metricSchema)
+ */
+async function getMetrics(target, { lookbackHours = 1, intervalMinutes = 15 } = {}) {
+  try {
+    logger.info(`Collecting metrics for ${describeTarget(target)} with ${lookbackHours}h lookback`);
+
+    const { monitorClient } = getClients(target.subscriptionId);
+
+    // Get current capacity and SKU, the configured VM size covers SKUs missing from the catalog
+    const vmss = await getScaleSet(target);
+    const vmSize = isKnownVmSize(vmss.sku.name) ? vmss.sku.name : target.vmSize || vmss.sku.name;
+    if (!isKnownVmSize(vmSize)) {
+      logger.warn(`Memory of VM size ${vmSize} unknown, assuming ${getMemoryGb(vmSize)} GB for memory utilization`);
+    }
+
+    // Calculate time range for metrics query
+    const now = new Date();
+    const startTime = new Date(now.getTime() - (lookbackHours * 60 * 60 * 1000));
+    const timespan = `${startTime.toISOString()}/${now.toISOString()}`;
+    const interval = `PT${intervalMinutes}M`;
+
+    // Resource ID for the VMSS
+    const resourceId = `/subscriptions/${target.subscriptionId}/resourceGroups/${target.resourceGroup}/providers/Microsoft.Compute/virtualMachineScaleSets/${target.vmssName}`;
+
+    const cpuMetrics = await monitorClient.metrics.list(resourceId, {
+      timespan,
+      interval,
+      metricnames: 'Percentage CPU',
+      aggregation: 'Average'
+    });
+
+    // Memory metrics might not be available without diagnostics extension
+    let memoryMetrics;
+    try {
+      memoryMetrics = await monitorClient.metrics.list(resourceId, {
+        timespan,
+        interval,
+        metricnames: 'Available Memory Bytes',
+        aggregation: 'Average'
+      });
+    } catch (error) {
+      logger.warn('Memory metrics not available, will estimate based on VM size');
+    }
+
+    const networkInMetrics = await monitorClient.metrics.list(resourceId, {
+      timespan,
+      interval,
+      metricnames: 'Network In',
+      aggregation: 'Total'
+    });
+
+    const networkOutMetrics = await monitorClient.metrics.list(resourceId, {
+      timespan,
+      interval,
+      metricnames: 'Network Out',
+      aggregation: 'Total'
+    });
+
+    return fromAzureMetrics({
+      timestamp: now.toISOString(),
+      vmSize,
+      currentCapacity: vmss.sku.capacity,
+      lookbackHours,
+      intervalMinutes,
+      metrics: {
+        cpu: formatAzureMetrics(cpuMetrics, 'cpu'),
+        memory: memoryMetrics ? formatAzureMemoryMetrics(memoryMetrics, vmSize) : [],
+        networkIn: formatAzureMetrics(networkInMetrics, 'networkIn'),
+        networkOut: formatAzureMetrics(networkOutMetrics, 'networkOut')
+      }
+    }, target);
+  } catch (error) {
+    logger.error(`Error collecting Azure metrics: ${error.message}`, { error });
+    throw error;
+  }
+}
+
+/**
+ * Format Azure metrics into a standardized format
+ * @param {Object} metricsResult - Azure metrics result
+ * @param {string} metricType - Type of metric (cpu, networkIn, networkOut)
+ * @returns {Array} Formatted metrics data
+ */
+function formatAzureMetrics(metricsResult, metricType) {
+  if (!metricsResult || !metricsResult.value || metricsResult.value.length === 0 ||
+      !metricsResult.value[0].timeseries || metricsResult.value[0].timeseries.length === 0) {
+    logger.warn(`No ${metricType} metrics found`);
+    return [];
+  }
+
+  // Get first time series (usually there's only one)
+  const timeSeries = metricsResult.value[0].timeseries[0];
+
+  // Map data points to standardized format
+  return timeSeries.data
+    .filter(point => point.average !== null || point.total !== null)
+    .map(point => ({
+      timestamp: point.timeStamp,
+      value: metricType.startsWith('network') ? point.total : point.average
+    }));
+}
+
+/**
+ * Format Azure memory metrics with percentage calculation
+ * @param {Object} metricsResult - Azure memory metrics result
+ * @param {string} vmSize - VM size for memory conversion
+ * @returns {Array} Formatted memory metrics data
+ */
+function formatAzureMemoryMetrics(metricsResult, vmSize) {
+  if (!metricsResult || !metricsResult.value || metricsResult.value.length === 0 ||
+      !metricsResult.value[0].timeseries || metricsResult.value[0].timeseries.length === 0) {
+    logger.warn('No memory metrics found');
+    return [];
+  }
+
+  // Get first time series
+  const timeSeries = metricsResult.value[0].timeseries[0];
+
+  // Map data points to utilization based on the memory of the VM size
+  return timeSeries.data
+    .filter(point => point.average !== null)
+    .map(point => ({
+      timestamp: point.timeStamp,
+      value: availableBytesToPercent(point.average, { vmSize })
+    }));
+}
+
+module.exports = {
+  name: 'azure',
+  requiredFields: REQUIRED_FIELDS,
+  defaultTarget,
+  describeTarget,
+  getCredential,
+  getCapacity,
+  setCapacity,
+  listInstances,
+  getMetrics
+};
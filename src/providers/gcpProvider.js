@@ -0,0 +1,96 @@
+// GCP managed instance group provider
+const gcpService = require('../services/gcpService');
+const { fromGcpMetrics } = require('../utils/metricSchema');
+
+// Fields a target needs before the provider can talk to GCP
+const REQUIRED_FIELDS = ['project', 'instanceGroup'];
+
+/**
+ * Build a target descriptor from environment variables
+ * @param {Object} [overrides={}] - Values that take precedence over the environment
+ * @returns {Object} GCP target descriptor
+ */
+function defaultTarget(overrides = {}) {
+  return {
+    provider: 'gcp',
+    project: overrides.project || process.env.GCP_PROJECT_ID,
+    zone: overrides.zone || process.env.GCP_ZONE || 'us-central1-a',
+    instanceGroup: overrides.instanceGroup || process.env.GCP_INSTANCE_GROUP
+  };
+}
+
+/**
+ * Human readable name for log messages
+ */
+function describeTarget(target) {
+  return `instance group ${target.instanceGroup} (project ${target.project}, zone ${target.zone})`;
+}
+
+/**
+ * Get current instance group target size
+ * @param {Object} target - GCP target descriptor
+ * @returns {Promise<number>} Current instance count
+ */
+async function getCapacity(target) {
+  const state = await gcpService.getInstanceGroupState(target.instanceGroup, target.zone);
+  return state.targetSize;
+}
+
+/**
+ * Resize the instance group
+ * @param {Object} target - GCP target descriptor
+ * @param {number} capacity - Desired number of instances
+ * @param {Object} [options={}]
+ * @param {boolean} [options.dryRun=false] - If true, don't apply changes
+ * @returns {Promise<Object>} Result of the scaling operation
+ */
+async function setCapacity(target, capacity, { dryRun = false } = {}) {
+  const result = await gcpService.scaleInstanceGroup(target.instanceGroup, capacity, dryRun, target.zone);
+
+  return {
+    success: result.success,
+    dryRun: result.dryRun,
+    previousCapacity: result.previousSize,
+    capacity: result.targetSize,
+    operation: result.operation
+  };
+}
+
+/**
+ * List the VM instances in the instance group
+ * @param {Object} target - GCP target descriptor
+ * @returns {Promise<Array>} Instance summaries
+ */
+async function listInstances(target) {
+  return gcpService.listInstanceGroupInstances(target.instanceGroup, target.zone);
+}
+
+/**
+ * Collect recent metrics for the instance group from Cloud Monitoring
+ * @param {Object} target - GCP target descriptor
+ * @param {Object} [options={}]
+ * @param {number} [options.lookbackHours=1] - Hours of historical data to collect
+ * @param {number} [options.intervalMinutes=15] - Interval resolution in minutes
+ * @returns {Promise<Object>} Metric set (see utils/metricSchema)
+ */
+async function getMetrics(target, { lookbackHours = 1, intervalMinutes = 15 } = {}) {
+  const metricsData = await gcpService.collectInstanceGroupMetrics(
+    target.instanceGroup,
+    lookbackHours,
+    intervalMinutes,
+    target.zone
+  );
+
+  return fromGcpMetrics(metricsData, target);
+}
+
+module.exports = {
+  name: 'gcp',
+  requiredFields: REQUIRED_FIELDS,
+  defaultTarget,
+  describeTarget,
+  getCapacity,
+  setCapacity,
+  listInstances,
+  getMetrics
+};
@@ -0,0 +1,89 @@
+// Cloud provider registry
+// Every provider exposes the same capacity interface so the API server and the
+// CLI scripts can drive Azure VMSS and GCP managed instance groups the same way.
+// getMetrics returns a metric set in the canonical format (see utils/metricSchema).
+
+// Methods every provider has to implement
+const PROVIDER_METHODS = ['getCapacity', 'setCapacity', 'listInstances', 'getMetrics'];
+
+// Registered providers by name
+const providers = new Map();
+
+/**
+ * Register a cloud provider implementation under a name
+ * @param {string} name - Provider name (e.g. azure, gcp)
+ * @param {Object} provider - Provider implementation
+ */
+function registerProvider(name, provider) {
+  const missing = PROVIDER_METHODS.filter(method => typeof provider[method] !== 'function');
+
+  if (missing.length > 0) {
+    throw new Error(`Provider ${name} is missing required methods: ${missing.join(', ')}`);
+  }
+
+  providers.set(name.toLowerCase(), provider);
+}
+
+/**
+ * Get a registered provider by name
+ * @param {string} name - Provider name
+ * @returns {Object} Provider implementation
+ */
+function getProvider(name) {
+  const provider = providers.get((name || '').toLowerCase());
+
+  if (!provider) {
+    throw new Error(`Unsupported cloud provider: ${name}`);
+  }
+
+  return provider;
+}
+
+/**
+ * List the names of all registered providers
+ * @returns {string[]}
+ */
+function listProviders() {
+  return Array.from(providers.keys());
+}
+
+/**
+ * Get the provider responsible for a target descriptor
+ * @param {Object} target - Target descriptor with a `provider` field
+ * @returns {Object} Provider implementation
+ */
+function getProviderForTarget(target) {
+  return getProvider(target.provider);
+}
+
+/**
+ * Build the default target for a provider from environment variables
+ * @param {string} [name=CLOUD_PROVIDER] - Provider name
+ * @param {Object} [overrides={}] - Values that take precedence over the environment
+ * @returns {Object} Target descriptor
+ */
+function getDefaultTarget(name = process.env.CLOUD_PROVIDER || 'azure', overrides = {}) {
+  return getProvider(name).defaultTarget(overrides);
+}
+
+/**
+ * List the fields a target is missing for its provider
+ * @param {Object} target - Target descriptor
+ * @returns {string[]} Names of missing fields
+ */
+function getMissingTargetFields(target) {
+  const provider = getProviderForTarget(target);
+  return (provider.requiredFields || []).filter(field => !target[field]);
+}
+
+registerProvider('azure', require('./azureProvider'));
+registerProvider('gcp', require('./gcpProvider'));
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  getProviderForTarget,
+  getDefaultTarget,
+  getMissingTargetFields
+};
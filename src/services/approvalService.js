@@ -0,0 +1,292 @@
+// Approval workflow for large scaling actions
+// Actions that change a target by more than the configured blast radius are
+// queued as pending actions and only applied once an approver accepts them.
+const mongoose = require('mongoose');
+const PendingAction = require('../models/PendingAction');
+const runtimeConfig = require('./runtimeConfigService');
+const { resolveTarget } = require('./targetService');
+const logger = require('../utils/logger');
+
+// Pagination defaults for action queries
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Check a capacity change against the approval policy
+ * @param {number} currentInstances - Instance count before the change
+ * @param {number} requestedInstances - Instance count after the change
+ * @param {Object} [policy] - enabled, maxDelta, maxPercent, defaults to the approval configuration
+ * @returns {Object} required and the reason when approval is required
+ */
+function checkApproval(currentInstances, requestedInstances, policy = runtimeConfig.getConfig('approval')) {
+  if (!policy.enabled) {
+    return { required: false };
+  }
+
+  const delta = Math.abs(requestedInstances - currentInstances);
+  if (delta > policy.maxDelta) {
+    return {
+      required: true,
+      reason: `Change of ${delta} instance(s) exceeds the limit of ${policy.maxDelta}`
+    };
+  }
+
+  // A percentage of an empty target is meaningless, the delta limit covers it
+  const percent = currentInstances > 0 ? (delta / currentInstances) * 100 : 0;
+  if (percent > policy.maxPercent) {
+    return {
+      required: true,
+      reason: `Change of ${Math.round(percent)}% exceeds the limit of ${policy.maxPercent}%`
+    };
+  }
+
+  return { required: false };
+}
+
+/**
+ * Mark pending actions past their expiry as expired
+ * @returns {Promise<number>} Number of expired actions
+ */
+async function expirePendingActions() {
+  const now = new Date();
+  const result = await PendingAction.updateMany(
+    { status: 'pending', expiresAt: { $lte: now } },
+    {
+      $set: { status: 'expired' },
+      $push: { history: { status: 'expired', by: 'system', at: now } }
+    }
+  );
+
+  if (result.modifiedCount > 0) {
+    logger.info(`${result.modifiedCount} pending scaling action(s) expired`);
+  }
+  return result.modifiedCount;
+}
+
+/**
+ * Queue a scaling action for approval
+ * A target has at most one pending action, further requests return it.
+ * @param {Object} params
+ * @param {Object} params.target - Target descriptor
+ * @param {Object} params.recommendation - Recommendation to apply once approved
+ * @param {string} params.source - What triggered the action
+ * @param {string} params.requestedBy - User (or scheduler) that asked for it
+ * @param {string} params.reason - Why approval is required
+ * @returns {Promise<Object>} The pending action and whether it was created
+ */
+async function requestApproval({ target, recommendation, source, requestedBy, reason }) {
+  if (mongoose.connection.readyState !== 1) {
+    throw httpError(503, `Scaling action requires approval (${reason}) but the approval queue is unavailable without a database`);
+  }
+
+  await expirePendingActions();
+
+  const existing = await PendingAction.findOne({ targetId: target.id, status: 'pending' });
+  if (existing) {
+    logger.info(`Target ${target.name} already has a pending scaling action (${existing._id}), not queueing another`);
+    return { action: existing, created: false };
+  }
+
+  const { expiryMinutes } = runtimeConfig.getConfig('approval');
+  const { currentInstances, recommendedInstances } = recommendation.scaling;
+
+  let action;
+  try {
+    action = await PendingAction.create({
+      targetId: target.id,
+      targetName: target.name,
+      provider: target.provider,
+      source,
+      requestedBy,
+      currentInstances,
+      requestedInstances: recommendedInstances,
+      reason,
+      recommendation,
+      expiresAt: new Date(Date.now() + expiryMinutes * 60 * 1000),
+      history: [{ status: 'pending', by: requestedBy, comment: reason }]
+    });
+  } catch (error) {
+    // Another request queued an action for the target first
+    if (error.code === 11000) {
+      return { action: await PendingAction.findOne({ targetId: target.id, status: 'pending' }), created: false };
+    }
+    throw error;
+  }
+
+  logger.warn(`Scaling ${target.name} from ${currentInstances} to ${recommendedInstances} instances requires approval: ${reason} (action ${action._id})`);
+  return { action, created: true };
+}
+
+/**
+ * Query pending actions, newest first
+ * @param {Object} [filter={}] - status, targetId, requestedBy
+ * @param {Object} [options={}] - page (1-based) and limit
+ * @returns {Promise<Object>} Actions and pagination info
+ */
+async function listActions(filter = {}, options = {}) {
+  const page = Math.max(1, parseInt(options.page) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(options.limit) || DEFAULT_PAGE_SIZE));
+
+  await expirePendingActions();
+
+  const query = {};
+  for (const field of ['status', 'targetId', 'requestedBy']) {
+    if (filter[field]) {
+      query[field] = filter[field];
+    }
+  }
+
+  const [actions, total] = await Promise.all([
+    PendingAction.find(query)
+      .select('-recommendation.metrics')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    PendingAction.countDocuments(query)
+  ]);
+
+  return {
+    actions,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+/**
+ * Get a pending action
+ * @param {string} actionId - Action id
+ * @returns {Promise<Object>} Action
+ */
+async function getAction(actionId) {
+  if (!mongoose.isValidObjectId(actionId)) {
+    throw httpError(400, `Invalid action id: ${actionId}`);
+  }
+
+  await expirePendingActions();
+
+  const action = await PendingAction.findById(actionId).lean();
+  if (!action) {
+    throw httpError(404, `Scaling action not found: ${actionId}`);
+  }
+
+  return action;
+}
+
+/**
+ * Move a pending action to its review status
+ * Only succeeds while the action is pending and not expired, so an action
+ * is never reviewed twice.
+ */
+async function reviewAction(actionId, status, { user, comment }) {
+  const existing = await getAction(actionId);
+
+  if (existing.status !== 'pending') {
+    throw httpError(409, `Scaling action is ${existing.status}, only pending actions can be reviewed`);
+  }
+  if (existing.requestedBy === user) {
+    throw httpError(403, 'Scaling actions cannot be reviewed by the user who requested them');
+  }
+
+  const now = new Date();
+  const action = await PendingAction.findOneAndUpdate(
+    { _id: actionId, status: 'pending', expiresAt: { $gt: now } },
+    {
+      $set: { status, reviewedBy: user, reviewedAt: now, reviewComment: comment },
+      $push: { history: { status, by: user, comment, at: now } }
+    },
+    { new: true }
+  );
+
+  if (!action) {
+    throw httpError(409, 'Scaling action is no longer pending');
+  }
+
+  logger.info(`Scaling action ${actionId} ${status} by ${user}`);
+  return action;
+}
+
+/**
+ * Approve a pending action and apply it
+ * The capacity change is made relative to the capacity at approval time.
+ * @param {string} actionId - Action id
+ * @param {Object} review - user (approver) and optional comment
+ * @returns {Promise<Object>} Action with the result of applying it
+ */
+async function approveAction(actionId, review) {
+  const action = await reviewAction(actionId, 'approved', review);
+
+  // Required here to avoid a circular dependency with infrastructureService
+  const { applyScalingRecommendation, getCurrentCapacity } = require('./infrastructureService');
+
+  let status = 'applied';
+  const update = {};
+
+  try {
+    const target = await resolveTarget(action.targetId);
+    const currentInstances = await getCurrentCapacity(target);
+    const { requestedInstances } = action;
+
+    update.result = await applyScalingRecommendation({
+      ...action.recommendation,
+      scaling: {
+        ...action.recommendation.scaling,
+        currentInstances,
+        recommendedInstances: requestedInstances,
+        scaleOutRecommended: requestedInstances > currentInstances,
+        scaleInRecommended: requestedInstances < currentInstances
+      }
+    }, target, {
+      source: action.source,
+      requestedBy: action.requestedBy,
+      approval: { actionId: action._id, approvedBy: review.user }
+    });
+  } catch (error) {
+    logger.error(`Error applying approved scaling action ${actionId}: ${error.message}`, { error });
+    status = 'failed';
+    update.error = error.message;
+  }
+
+  return PendingAction.findByIdAndUpdate(
+    action._id,
+    {
+      $set: { status, ...update },
+      $push: { history: { status, by: review.user, comment: update.error } }
+    },
+    { new: true }
+  ).lean();
+}
+
+/**
+ * Reject a pending action
+ * @param {string} actionId - Action id
+ * @param {Object} review - user (approver) and optional comment
+ * @returns {Promise<Object>} Action
+ */
+async function rejectAction(actionId, review) {
+  const action = await reviewAction(actionId, 'rejected', review);
+  return action.toObject();
+}
+
+module.exports = {
+  checkApproval,
+  requestApproval,
+  expirePendingActions,
+  listActions,
+  getAction,
+  approveAction,
+  rejectAction
+};
@@ -20,7 +20,7 @@ class AuthService {
       const user = new User({
         email: userData.email,
         password: hashedPassword,
-        role: userData.role || 'user'
+        role: userData.role || 'viewer'
       });
 
       await user.save();
@@ -0,0 +1,272 @@
+// Forecast backtesting
+// Replays the stored metrics of a target with rolling-origin evaluation: at
+// every origin the model forecasts the next `horizon` steps from the history
+// before it, and the forecasts are compared with what was actually recorded.
+// Naive baselines get the same origins, so a model that can't beat them shows.
+const ForecastEvaluation = require('../models/ForecastEvaluation');
+const { getHistoricalMetrics } = require('./dataCollectionService');
+const { getDefaultTarget } = require('./targetService');
+const { predictFromSamples, getMetricValues } = require('./modelService');
+const multivariateModelService = require('./multivariateModelService');
+const { getActiveVersion } = require('./modelRegistryService');
+const logger = require('../utils/logger');
+
+// Configuration
+const MODEL_STEP_MINUTES = parseInt(process.env.MODEL_STEP_MINUTES || '60');
+const PREDICTION_HORIZON = parseInt(process.env.PREDICTION_HORIZON || '12');
+const LOOKBACK_WINDOW = parseInt(process.env.LOOKBACK_WINDOW || '24');
+const BACKTEST_DAYS = parseInt(process.env.BACKTEST_DAYS || '14');
+const BACKTEST_ORIGINS = parseInt(process.env.BACKTEST_ORIGINS || '24');
+// Steps of one day, the season of the seasonal naive baseline
+const SEASON_STEPS = Math.max(1, Math.round(24 * 60 / MODEL_STEP_MINUTES));
+// Steps averaged by the moving average baseline
+const MOVING_AVERAGE_STEPS = parseInt(process.env.BACKTEST_MOVING_AVERAGE_STEPS || '6');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Naive baselines: forecast of step h (1-based) from the values before origin t
+const BASELINES = {
+  lastValue: (values, t) => () => values[t - 1],
+  seasonalNaive: (values, t) => h => values[t + h - 1 - SEASON_STEPS * Math.ceil(h / SEASON_STEPS)],
+  movingAverage: (values, t) => {
+    const window = values.slice(Math.max(0, t - MOVING_AVERAGE_STEPS), t);
+    const average = window.reduce((sum, value) => sum + value, 0) / window.length;
+    return () => average;
+  }
+};
+
+/**
+ * MAE, MAPE (%) and RMSE of forecast errors
+ * MAPE leaves out actual values of 0.
+ * @param {Array} pairs - { actual, forecast }
+ * @returns {Object} Errors, null values without pairs
+ */
+function computeErrors(pairs) {
+  if (pairs.length === 0) {
+    return { mae: null, mape: null, rmse: null, count: 0 };
+  }
+
+  const round = value => parseFloat(value.toFixed(4));
+  const absolute = pairs.map(({ actual, forecast }) => Math.abs(actual - forecast));
+  const relative = pairs.filter(({ actual }) => actual !== 0)
+    .map(({ actual, forecast }) => Math.abs(actual - forecast) / Math.abs(actual));
+
+  return {
+    mae: round(absolute.reduce((sum, value) => sum + value, 0) / pairs.length),
+    mape: relative.length > 0 ? round(relative.reduce((sum, value) => sum + value, 0) / relative.length * 100) : null,
+    rmse: round(Math.sqrt(absolute.reduce((sum, value) => sum + value * value, 0) / pairs.length)),
+    count: pairs.length
+  };
+}
+
+/**
+ * Origins of the replay, evenly spread and ending with the latest one
+ * @param {number} length - Number of samples
+ * @param {number} horizon - Forecast steps
+ * @param {number} count - Maximum number of origins
+ * @returns {number[]} Sample indexes the forecasts start at, ascending
+ */
+function getOrigins(length, horizon, count) {
+  const first = Math.max(LOOKBACK_WINDOW, SEASON_STEPS);
+  const last = length - horizon;
+  if (last < first) {
+    return [];
+  }
+
+  const stride = Math.max(1, Math.floor((last - first) / Math.max(1, count - 1)));
+  const origins = [];
+  for (let t = last; t >= first && origins.length < count; t -= stride) {
+    origins.unshift(t);
+  }
+  return origins;
+}
+
+/**
+ * Model forecast of a metric from the samples before an origin
+ */
+async function forecastModel(metric, history, horizon, target, model, version) {
+  if (model === 'multivariate') {
+    const predictions = await multivariateModelService.predictFromSamples(history, horizon, { target, intervals: false, version });
+    if (!predictions[metric]) {
+      throw httpError(400, `${metric} is not an output of the multivariate model`);
+    }
+    return predictions[metric].map(p => p.value);
+  }
+
+  const predictions = await predictFromSamples(metric, history, horizon, { target, intervals: false, version });
+  return predictions.map(p => p.value);
+}
+
+/**
+ * Backtest the forecast model of a metric and store the report
+ * @param {string} metric - cpu, memory, network or an application signal
+ * @param {Object} [options={}]
+ * @param {Object} [options.target] - Target whose history is replayed, defaults to the configured target
+ * @param {string} [options.model] - univariate or multivariate, defaults to the target's forecast model
+ * @param {number} [options.version] - Version of the model, defaults to the active version
+ * @param {number} [options.days=BACKTEST_DAYS] - Days of history to replay
+ * @param {number} [options.horizon=PREDICTION_HORIZON] - Forecast steps per origin
+ * @param {number} [options.origins=BACKTEST_ORIGINS] - Maximum number of origins
+ * @param {string} [options.trigger='api'] - What started the backtest
+ * @param {string} [options.requestedBy] - User that asked for it
+ * @returns {Promise<Object>} Evaluation report
+ */
+async function runBacktest(metric, {
+  target = getDefaultTarget(),
+  model = target.forecastModel || 'univariate',
+  version,
+  days = BACKTEST_DAYS,
+  horizon = PREDICTION_HORIZON,
+  origins: originCount = BACKTEST_ORIGINS,
+  trigger = 'api',
+  requestedBy
+} = {}) {
+  const samples = await getHistoricalMetrics(days, target.id, { stepMinutes: MODEL_STEP_MINUTES });
+  const values = getMetricValues(samples, metric, { vmSize: target.vmSize });
+  const origins = getOrigins(samples.length, horizon, originCount);
+
+  if (origins.length === 0) {
+    throw httpError(422, `Not enough history to backtest ${metric} (got ${samples.length} samples, need at least ${Math.max(LOOKBACK_WINDOW, SEASON_STEPS) + horizon})`);
+  }
+
+  // Reports name the version they evaluated
+  if (!version) {
+    version = (await getActiveVersion(model === 'multivariate' ? multivariateModelService.MULTIVARIATE_MODEL : metric))?.version;
+  }
+
+  logger.info(`Backtesting ${metric} forecasts of target ${target.name} over ${origins.length} origin(s)`);
+
+  // Forecast/actual pairs by method and horizon step
+  const methods = ['model', ...Object.keys(BASELINES)];
+  const pairs = Object.fromEntries(methods.map(method => [method, Array.from({ length: horizon }, () => [])]));
+
+  for (const t of origins) {
+    const forecasts = {
+      model: await forecastModel(metric, samples.slice(0, t), horizon, target, model, version),
+      ...Object.fromEntries(Object.entries(BASELINES).map(([method, baseline]) => {
+        const forecast = baseline(values, t);
+        return [method, Array.from({ length: horizon }, (_, i) => forecast(i + 1))];
+      }))
+    };
+
+    for (const method of methods) {
+      for (let i = 0; i < horizon; i++) {
+        pairs[method][i].push({ actual: values[t + i], forecast: forecasts[method][i] });
+      }
+    }
+  }
+
+  const report = Object.fromEntries(methods.map(method => [method, {
+    overall: computeErrors(pairs[method].flat()),
+    byHorizon: pairs[method].map(computeErrors)
+  }]));
+  const best = methods.reduce((a, b) => (report[b].overall.mae < report[a].overall.mae ? b : a));
+
+  const evaluation = await ForecastEvaluation.create({
+    targetId: target.id,
+    metric,
+    model,
+    version,
+    trigger,
+    requestedBy,
+    from: samples[0].timestamp,
+    to: samples[samples.length - 1].timestamp,
+    stepMinutes: MODEL_STEP_MINUTES,
+    horizon,
+    origins: origins.length,
+    methods: report,
+    best
+  });
+
+  logger.info(`Backtest of ${metric} done: model MAE ${report.model.overall.mae}, best method ${best}`);
+  return evaluation.toObject({ flattenMaps: true });
+}
+
+/**
+ * Errors of a univariate model version on the latest steps of a series
+ * Forecasts start every `horizon` steps inside the window, so every value in
+ * it is forecast once. Nothing is stored.
+ * @param {string} metric - cpu, memory, network or an application signal
+ * @param {Array} samples - Samples, oldest first, ending with the window
+ * @param {number} windowSteps - Steps of the window
+ * @param {Object} [options={}]
+ * @param {Object} [options.target={}] - Target of the samples, for its VM size
+ * @param {number} [options.horizon=PREDICTION_HORIZON] - Forecast steps per origin
+ * @param {number} [options.version] - Model version, defaults to the active version
+ * @returns {Promise<Object>} Errors (mae, mape, rmse, count)
+ */
+async function evaluateWindow(metric, samples, windowSteps, { target = {}, horizon = PREDICTION_HORIZON, version } = {}) {
+  const values = getMetricValues(samples, metric, { vmSize: target.vmSize });
+  const pairs = [];
+
+  for (let t = samples.length - windowSteps; t < samples.length; t += horizon) {
+    const steps = Math.min(horizon, samples.length - t);
+    const forecast = await forecastModel(metric, samples.slice(0, t), steps, target, 'univariate', version);
+    forecast.forEach((value, i) => pairs.push({ actual: values[t + i], forecast: value }));
+  }
+
+  return computeErrors(pairs);
+}
+
+/**
+ * Latest evaluation report of a metric
+ * @param {string} targetId - Target id
+ * @param {string} metric - Metric name
+ * @returns {Promise<Object|null>}
+ */
+async function getLatestEvaluation(targetId, metric) {
+  return ForecastEvaluation.findOne({ targetId, metric })
+    .sort({ createdAt: -1 })
+    .lean();
+}
+
+/**
+ * List evaluation reports of a metric, newest first
+ * @param {string} targetId - Target id
+ * @param {string} metric - Metric name
+ * @param {Object} [options={}] - page (1-based) and limit
+ * @returns {Promise<Object>} Reports and pagination info
+ */
+async function listEvaluations(targetId, metric, options = {}) {
+  const page = Math.max(1, parseInt(options.page) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(options.limit) || DEFAULT_PAGE_SIZE));
+  const filter = { targetId, metric };
+
+  const [evaluations, total] = await Promise.all([
+    ForecastEvaluation.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    ForecastEvaluation.countDocuments(filter)
+  ]);
+
+  return {
+    evaluations,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+module.exports = {
+  computeErrors,
+  getOrigins,
+  runBacktest,
+  evaluateWindow,
+  getLatestEvaluation,
+  listEvaluations
+};
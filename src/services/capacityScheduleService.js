@@ -0,0 +1,288 @@
+// Scheduled capacity
+// Cron based rules that override a target's capacity while their window is
+// active. When several windows overlap the highest minimum, the lowest maximum
+// and the highest desired count apply; a minimum above the maximum wins.
+const mongoose = require('mongoose');
+const CapacitySchedule = require('../models/CapacitySchedule');
+const { isWindowActive, previousRun, nextRun } = require('../utils/cron');
+const logger = require('../utils/logger');
+
+// Upper bound of windows per rule in a preview (e.g. for "every minute" rules)
+const MAX_PREVIEW_WINDOWS = 1000;
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Whether a rule applies at a date: inside its start/end dates and window
+ * @param {Object} rule - Capacity schedule
+ * @param {Date} [now=new Date()] - Date to check
+ * @returns {boolean}
+ */
+function isRuleActive(rule, now = new Date()) {
+  if (rule.startDate && now < new Date(rule.startDate)) {
+    return false;
+  }
+  if (rule.endDate && now >= new Date(rule.endDate)) {
+    return false;
+  }
+
+  return isWindowActive(rule.schedule, rule.durationMinutes, now, rule.timezone || 'UTC');
+}
+
+/**
+ * Merge the overrides of active rules
+ * @param {Array} rules - Active capacity schedules
+ * @returns {Object|null} minInstances, maxInstances, desiredInstances (null when not overridden) and the rule names, null without active rules
+ */
+function resolveScheduledCapacity(rules) {
+  if (rules.length === 0) {
+    return null;
+  }
+
+  const values = field => rules.map(rule => rule[field]).filter(value => Number.isFinite(value));
+  const pick = (field, reduce) => {
+    const list = values(field);
+    return list.length > 0 ? reduce(...list) : null;
+  };
+
+  return {
+    minInstances: pick('minInstances', Math.max),
+    maxInstances: pick('maxInstances', Math.min),
+    desiredInstances: pick('desiredInstances', Math.max),
+    schedules: rules.map(rule => rule.name)
+  };
+}
+
+/**
+ * Instance bounds of a target with scheduled overrides applied
+ * @param {Object} target - Target descriptor
+ * @param {Object|null} scheduled - Result of resolveScheduledCapacity
+ * @returns {Object} minInstances and maxInstances
+ */
+function getEffectiveBounds(target, scheduled) {
+  const minInstances = scheduled?.minInstances ?? target.minInstances;
+  const maxInstances = scheduled?.maxInstances ?? target.maxInstances;
+
+  return { minInstances, maxInstances: Math.max(minInstances, maxInstances) };
+}
+
+/**
+ * List the capacity schedules of a target
+ * @param {string} targetId - Target id
+ * @param {Object} [filter={}] - Additional filter, e.g. { enabled: true }
+ * @returns {Promise<Array>} Capacity schedules
+ */
+async function listSchedules(targetId, filter = {}) {
+  return CapacitySchedule.find({ ...filter, targetId }).sort({ name: 1 }).lean();
+}
+
+/**
+ * Scheduled capacity of a target at a date, none when no database is connected
+ * @param {Object} target - Target descriptor
+ * @param {Date} [now=new Date()] - Evaluation time
+ * @returns {Promise<Object|null>} Result of resolveScheduledCapacity
+ */
+async function getScheduledCapacity(target, now = new Date()) {
+  if (mongoose.connection.readyState !== 1) {
+    return null;
+  }
+
+  const rules = await listSchedules(target.id, { enabled: true });
+  const active = rules.filter(rule => {
+    try {
+      return isRuleActive(rule, now);
+    } catch (error) {
+      logger.error(`Error evaluating capacity schedule ${rule.name}: ${error.message}`, { error });
+      return false;
+    }
+  });
+
+  return resolveScheduledCapacity(active);
+}
+
+/**
+ * Create a capacity schedule for a target
+ * @param {string} targetId - Target id
+ * @param {Object} data - Schedule fields
+ * @returns {Promise<Object>} Capacity schedule
+ */
+async function createSchedule(targetId, data) {
+  try {
+    const rule = await CapacitySchedule.create({ ...data, targetId });
+    logger.info(`Capacity schedule ${rule.name} (${rule.schedule}) created for target ${targetId}`);
+    return rule.toObject();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw httpError(409, `Target ${targetId} already has a capacity schedule named ${data.name}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Find a capacity schedule of a target
+ */
+async function findSchedule(targetId, scheduleId) {
+  if (!mongoose.isValidObjectId(scheduleId)) {
+    throw httpError(400, `Invalid schedule id: ${scheduleId}`);
+  }
+
+  const rule = await CapacitySchedule.findOne({ _id: scheduleId, targetId });
+  if (!rule) {
+    throw httpError(404, `Capacity schedule ${scheduleId} not found for target ${targetId}`);
+  }
+
+  return rule;
+}
+
+/**
+ * Replace the definition of a capacity schedule of a target
+ * @param {string} targetId - Target id
+ * @param {string} scheduleId - Schedule id
+ * @param {Object} data - Schedule fields
+ * @returns {Promise<Object>} Capacity schedule
+ */
+async function updateSchedule(targetId, scheduleId, data) {
+  const rule = await findSchedule(targetId, scheduleId);
+
+  rule.overwrite({ ...data, targetId });
+  try {
+    await rule.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw httpError(409, `Target ${targetId} already has a capacity schedule named ${data.name}`);
+    }
+    throw error;
+  }
+
+  logger.info(`Capacity schedule ${rule.name} updated for target ${targetId}`);
+  return rule.toObject();
+}
+
+/**
+ * Remove a capacity schedule of a target
+ * @param {string} targetId - Target id
+ * @param {string} scheduleId - Schedule id
+ */
+async function deleteSchedule(targetId, scheduleId) {
+  const rule = await findSchedule(targetId, scheduleId);
+  await rule.deleteOne();
+
+  logger.info(`Capacity schedule ${rule.name} removed from target ${targetId}`);
+}
+
+/**
+ * Windows of a rule overlapping a period, clipped to the rule's start/end dates
+ */
+function getRuleWindows(rule, from, to) {
+  const timeZone = rule.timezone || 'UTC';
+  const duration = rule.durationMinutes * 60000;
+  const windows = [];
+
+  const addWindow = start => {
+    let windowStart = start.getTime();
+    let windowEnd = windowStart + duration;
+    if (rule.startDate) {
+      windowStart = Math.max(windowStart, new Date(rule.startDate).getTime());
+    }
+    if (rule.endDate) {
+      windowEnd = Math.min(windowEnd, new Date(rule.endDate).getTime());
+    }
+    if (windowStart < windowEnd) {
+      windows.push({ start: windowStart, end: windowEnd, rule });
+    }
+  };
+
+  // A window that started before the period and is still running
+  const running = previousRun(rule.schedule, from, { timeZone, maxMinutes: Math.max(0, rule.durationMinutes - 1) });
+  if (running) {
+    addWindow(running);
+  }
+
+  let cursor = running || from;
+  while (windows.length < MAX_PREVIEW_WINDOWS) {
+    const maxMinutes = Math.floor((to.getTime() - cursor.getTime()) / 60000);
+    const start = maxMinutes > 0 ? nextRun(rule.schedule, cursor, { timeZone, maxMinutes }) : null;
+    if (!start || start >= to) {
+      break;
+    }
+    addWindow(start);
+    cursor = start;
+  }
+
+  return windows;
+}
+
+/**
+ * Preview the capacity the schedules of a target demand over a period
+ * @param {Object} target - Target descriptor
+ * @param {Object} [options={}]
+ * @param {Date} [options.from=new Date()] - Start of the period
+ * @param {number} [options.hours=168] - Length of the period, one week by default
+ * @returns {Promise<Object>} Period and timeline of segments with the effective bounds, desired count and active rules
+ */
+async function previewSchedules(target, { from = new Date(), hours = 168 } = {}) {
+  const to = new Date(from.getTime() + hours * 3600000);
+  const rules = await listSchedules(target.id, { enabled: true });
+
+  const windows = rules.flatMap(rule => getRuleWindows(rule, from, to));
+
+  // Capacity only changes where a window starts or ends
+  const boundaries = [...new Set([
+    from.getTime(),
+    ...windows.flatMap(window => [window.start, window.end])
+  ])]
+    .filter(time => time >= from.getTime() && time < to.getTime())
+    .sort((a, b) => a - b);
+
+  const timeline = [];
+  boundaries.forEach((time, index) => {
+    const active = windows.filter(window => window.start <= time && time < window.end).map(window => window.rule);
+    const scheduled = resolveScheduledCapacity([...new Set(active)]);
+    const segment = {
+      from: new Date(time).toISOString(),
+      to: new Date(boundaries[index + 1] ?? to.getTime()).toISOString(),
+      ...getEffectiveBounds(target, scheduled),
+      desiredInstances: scheduled?.desiredInstances ?? null,
+      schedules: scheduled?.schedules || []
+    };
+
+    // Merge with the previous segment when nothing changed
+    const previous = timeline[timeline.length - 1];
+    if (previous &&
+      previous.minInstances === segment.minInstances &&
+      previous.maxInstances === segment.maxInstances &&
+      previous.desiredInstances === segment.desiredInstances &&
+      previous.schedules.join() === segment.schedules.join()) {
+      previous.to = segment.to;
+    } else {
+      timeline.push(segment);
+    }
+  });
+
+  return {
+    targetId: target.id,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    timeline
+  };
+}
+
+module.exports = {
+  isRuleActive,
+  resolveScheduledCapacity,
+  getEffectiveBounds,
+  getScheduledCapacity,
+  listSchedules,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  previewSchedules
+};
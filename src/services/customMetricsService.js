@@ -0,0 +1,112 @@
+// Custom metrics
+// Application signals the target's own services push to POST /api/metrics/ingest
+// (e.g. queue depth or active sessions). They are stored with the collected
+// metrics under the `ingest` source and read back as a metric set next to the
+// provider metrics, see utils/metricSchema.
+const { getMetricsStore } = require('../metricsStore');
+const { createMetricSet, METRIC_NAME_PATTERN, RESERVED_METRIC_NAMES } = require('../utils/metricSchema');
+const logger = require('../utils/logger');
+
+// Source the pushed samples are stored under
+const INGEST_SOURCE = 'ingest';
+// Tolerated clock difference of the pushing services
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Custom metrics declared for the default target in CUSTOM_METRICS
+ * A JSON array of { name, unit, threshold }.
+ * @returns {Array|undefined} Declarations, undefined without any
+ */
+function getDefaultCustomMetrics() {
+  if (!process.env.CUSTOM_METRICS) {
+    return undefined;
+  }
+
+  try {
+    const metrics = JSON.parse(process.env.CUSTOM_METRICS).filter(metric => {
+      const valid = METRIC_NAME_PATTERN.test(metric?.name) && !RESERVED_METRIC_NAMES.includes(metric.name);
+      if (!valid) {
+        logger.warn(`Ignoring invalid custom metric in CUSTOM_METRICS: ${JSON.stringify(metric)}`);
+      }
+      return valid;
+    });
+    return metrics.length > 0 ? metrics : undefined;
+  } catch (error) {
+    logger.warn(`CUSTOM_METRICS is not a valid JSON array: ${error.message}`);
+    return undefined;
+  }
+}
+
+/**
+ * Store pushed samples of a target
+ * Samples with the same timestamp are stored together.
+ * @param {Object} target - Target descriptor
+ * @param {Array} samples - Samples of { name, value, timestamp }, timestamp defaults to now
+ * @returns {Promise<Object>} Number of accepted samples and signal names
+ */
+async function ingestSamples(target, samples) {
+  const now = Date.now();
+  const byTimestamp = new Map();
+
+  for (const { name, value, timestamp } of samples) {
+    const time = timestamp ? new Date(timestamp).getTime() : now;
+    if (time > now + MAX_CLOCK_SKEW_MS) {
+      throw httpError(400, `Sample ${name} is in the future: ${new Date(time).toISOString()}`);
+    }
+
+    if (!byTimestamp.has(time)) {
+      byTimestamp.set(time, { timestamp: new Date(time).toISOString() });
+    }
+    byTimestamp.get(time)[name] = value;
+  }
+
+  await getMetricsStore().writeSamples(target.id, [...byTimestamp.values()], { source: INGEST_SOURCE });
+
+  return {
+    accepted: samples.length,
+    signals: [...new Set(samples.map(sample => sample.name))]
+  };
+}
+
+/**
+ * Read the pushed signals of a target, downsampled to the interval
+ * @param {Object} target - Target descriptor
+ * @param {Object} [options={}]
+ * @param {number} [options.lookbackHours=1] - Hours of data to read
+ * @param {number} [options.intervalMinutes=15] - Interval the samples are averaged over
+ * @returns {Promise<Object|null>} Metric set, null when nothing was pushed in the range
+ */
+async function getMetrics(target, { lookbackHours = 1, intervalMinutes = 15 } = {}) {
+  const from = new Date(Date.now() - lookbackHours * 60 * 60 * 1000);
+  const stored = await getMetricsStore().querySamples(target.id, { from, stepMinutes: intervalMinutes, source: INGEST_SOURCE });
+
+  // The store aggregates the provider fields too, only the signals are pushed
+  const samples = stored.map(sample => Object.fromEntries(Object.entries(sample)
+    .filter(([field]) => !RESERVED_METRIC_NAMES.includes(field))));
+  const names = [...new Set(samples.flatMap(Object.keys))].filter(name => name !== 'timestamp');
+
+  if (names.length === 0) {
+    return null;
+  }
+
+  const declared = new Map((target.customMetrics || []).map(metric => [metric.name, metric]));
+  const units = Object.fromEntries(names.map(name => [name, declared.get(name)?.unit || 'value']));
+
+  return createMetricSet({ source: INGEST_SOURCE, target, samples, units, intervalMinutes, lookbackHours });
+}
+
+module.exports = {
+  INGEST_SOURCE,
+  getDefaultCustomMetrics,
+  ingestSamples,
+  getMetrics
+};
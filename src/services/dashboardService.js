@@ -0,0 +1,226 @@
+// Dashboard state
+// Builds the payloads expected by the dashboard (see lib/store/* in the dashboard app)
+const { getProviderForTarget } = require('../providers');
+const { getCurrentCapacity } = require('./infrastructureService');
+const { getScalingRecommendations } = require('./modelService');
+const { getHistoricalMetrics } = require('./dataCollectionService');
+const { createMetricSet, toSeries } = require('../utils/metricSchema');
+const { getLatestDecision } = require('./decisionService');
+const { getState, getCooldownRemaining } = require('./scalingStateService');
+const ollamaService = require('./ollamaService');
+const runtimeConfig = require('./runtimeConfigService');
+const { metricsCache, predictionsCache } = require('../utils/cache');
+const logger = require('../utils/logger');
+
+// Relative change between the two halves of a series that counts as a trend
+const TREND_THRESHOLD = 0.1;
+// Length of a forecast step, network forecasts are bytes per step
+const MODEL_STEP_MINUTES = parseInt(process.env.MODEL_STEP_MINUTES || '60');
+
+/**
+ * Classify the trend of a series (oldest value first)
+ * @param {number[]} values - Series values
+ * @returns {string} increasing, decreasing or stable
+ */
+function getTrend(values) {
+  if (values.length < 3) {
+    return 'stable';
+  }
+
+  const half = Math.floor(values.length / 2);
+  const average = list => list.reduce((sum, value) => sum + value, 0) / list.length;
+  const olderAverage = average(values.slice(0, half));
+  const newerAverage = average(values.slice(half));
+
+  if (olderAverage === 0) {
+    return newerAverage > 0 ? 'increasing' : 'stable';
+  }
+
+  const change = (newerAverage - olderAverage) / olderAverage;
+  if (change > TREND_THRESHOLD) {
+    return 'increasing';
+  }
+  if (change < -TREND_THRESHOLD) {
+    return 'decreasing';
+  }
+  return 'stable';
+}
+
+/**
+ * Sort a provider series by timestamp, oldest first
+ */
+function sortSeries(series = []) {
+  return [...series].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+/**
+ * Round a number to the given decimals
+ */
+function round(value, decimals = 1) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Load the chart metrics of a target
+ * Read from the metrics store, the provider is only asked while the store has
+ * no samples for the window (e.g. right after adding a target).
+ */
+async function loadChartMetrics(target, { metricsLookback, metricsInterval }) {
+  try {
+    const samples = await getHistoricalMetrics(metricsLookback / 24, target.id, { stepMinutes: metricsInterval });
+    if (samples.length > 0) {
+      return createMetricSet({ source: 'store', target, samples, intervalMinutes: metricsInterval, lookbackHours: metricsLookback });
+    }
+  } catch (error) {
+    logger.warn(`Could not read the metrics store, using provider metrics: ${error.message}`);
+  }
+
+  return getProviderForTarget(target).getMetrics(target, {
+    lookbackHours: metricsLookback,
+    intervalMinutes: metricsInterval
+  });
+}
+
+/**
+ * Scaling recommendation of a target, shared by the metrics and the scaling state
+ */
+function loadRecommendation(target) {
+  return predictionsCache.getOrSet(`scaling:recommendations:${target.id}`, () => getScalingRecommendations(target), 5 * 60 * 1000);
+}
+
+/**
+ * Forecast points for a chart, with the prediction interval when the model has one
+ * @param {Array} predictions - Predictions of the model service
+ * @param {Function} [convert] - Unit conversion of the values
+ */
+function toForecast(predictions = [], convert = value => round(value)) {
+  return predictions.map(prediction => ({
+    timestamp: prediction.timestamp,
+    value: convert(prediction.value),
+    ...(prediction.lower !== undefined ? { lower: convert(prediction.lower), upper: convert(prediction.upper) } : {})
+  }));
+}
+
+/**
+ * Build the dashboard metrics state for a target
+ * Network values are bytes per interval, converted to MB/s. The forecasts
+ * come from the scaling recommendation.
+ * @param {Object} target - Target descriptor
+ * @returns {Promise<Object>} MetricsState
+ */
+async function getMetricsState(target) {
+  const { metricsLookback, metricsInterval } = runtimeConfig.getConfig('scaling');
+
+  const [data, recommendation] = await Promise.all([
+    metricsCache.getOrSet(`dashboard:metrics:${target.id}`, () =>
+      loadChartMetrics(target, { metricsLookback, metricsInterval }), 60 * 1000),
+    loadRecommendation(target).catch(error => {
+      logger.warn(`Could not load forecasts for the dashboard: ${error.message}`);
+      return null;
+    })
+  ]);
+  const forecasts = recommendation?.metrics || {};
+
+  const series = toSeries(data.samples);
+  const cpu = sortSeries(series.cpu);
+  const memory = sortSeries(series.memory);
+  const networkIn = sortSeries(series.networkIn);
+  const networkOut = sortSeries(series.networkOut);
+
+  const toMegabytesPerSecond = (value, minutes = metricsInterval) => round(value / (minutes * 60) / (1024 * 1024), 2);
+  const outboundByTimestamp = new Map(networkOut.map(point => [point.timestamp, point.value]));
+  const networkHistory = networkIn.map(point => ({
+    timestamp: new Date(point.timestamp).toISOString(),
+    inbound: toMegabytesPerSecond(point.value),
+    outbound: toMegabytesPerSecond(outboundByTimestamp.get(point.timestamp) || 0)
+  }));
+
+  const toHistory = series => series.map(point => ({
+    timestamp: new Date(point.timestamp).toISOString(),
+    value: round(point.value)
+  }));
+  const latest = series => (series.length > 0 ? round(series[series.length - 1].value) : 0);
+  const lastNetwork = networkHistory[networkHistory.length - 1];
+
+  return {
+    cpu: {
+      current: latest(cpu),
+      trend: getTrend(cpu.map(point => point.value)),
+      history: toHistory(cpu),
+      forecast: toForecast(forecasts.cpu?.predictions)
+    },
+    memory: {
+      current: latest(memory),
+      trend: getTrend(memory.map(point => point.value)),
+      history: toHistory(memory),
+      forecast: toForecast(forecasts.memory?.predictions)
+    },
+    network: {
+      inbound: lastNetwork ? lastNetwork.inbound : 0,
+      outbound: lastNetwork ? lastNetwork.outbound : 0,
+      trend: getTrend(networkIn.map(point => point.value + (outboundByTimestamp.get(point.timestamp) || 0))),
+      history: networkHistory,
+      // Inbound and outbound together
+      forecast: toForecast(forecasts.network?.predictions, value => toMegabytesPerSecond(value, MODEL_STEP_MINUTES))
+    },
+    timestamp: data.collectedAt
+  };
+}
+
+/**
+ * Build the dashboard scaling state for a target
+ * @param {Object} target - Target descriptor
+ * @returns {Promise<Object>} ScalingState
+ */
+async function getScalingState(target) {
+  const [currentInstances, recommendation, state, cooldownRemaining] = await Promise.all([
+    getCurrentCapacity(target),
+    loadRecommendation(target),
+    getState(target.id),
+    getCooldownRemaining(target)
+  ]);
+
+  return {
+    currentInstances,
+    recommendedInstances: recommendation.scaling.recommendedInstances,
+    bindingSignal: recommendation.scaling.bindingSignal ?? null,
+    ensemble: recommendation.ensemble ?? null,
+    lastScalingAction: state.lastScalingAt ? new Date(state.lastScalingAt).toISOString() : null,
+    vmSize: target.vmSize || '',
+    cooldownRemaining
+  };
+}
+
+/**
+ * Build the dashboard model state
+ * @returns {Promise<Object>} ModelState
+ */
+async function getModelState() {
+  const { primaryModel, fallbackModel } = runtimeConfig.getConfig('ollama');
+
+  const [availableModels, lastDecision] = await Promise.all([
+    ollamaService.listAvailableModels(),
+    getLatestDecision({ confidence: { $ne: null } }).catch(error => {
+      logger.warn(`Could not load last scaling decision: ${error.message}`);
+      return null;
+    })
+  ]);
+
+  const installed = new Set((availableModels || []).map(model => model.name));
+  const status = name => (installed.has(name) ? 'online' : 'offline');
+
+  return {
+    primaryModel,
+    primaryModelStatus: status(primaryModel),
+    fallbackModel,
+    fallbackModelStatus: status(fallbackModel),
+    lastRecommendationConfidence: lastDecision ? lastDecision.confidence : 0
+  };
+}
+
+module.exports = {
+  getMetricsState,
+  getScalingState,
+  getModelState
+};
@@ -1,125 +1,103 @@
-const { BlobServiceClient } = require('@azure/storage-blob');
-const { DefaultAzureCredential } = require('@azure/identity');
-const { MonitorClient } = require('@azure/arm-monitor');
-const { logger } = require('../index');
+// Metrics collection
+// Periodically pulls recent metrics of every active target from its cloud
+// provider (and Prometheus when application signals are configured) and
+// appends the new samples to the metrics store, which feeds model training,
+// predictions, the insights and the dashboard charts.
+const logger = require('../utils/logger');
+const { getProviderForTarget } = require('../providers');
+const { getMetricsStore } = require('../metricsStore');
+const prometheusService = require('./prometheusService');
+const { normalizeSamples, INSTANCES_FIELD } = require('../utils/metricSchema');
+const { DEFAULT_TARGET_ID, getDefaultTarget, listActiveTargets } = require('./targetService');
 
 // Configuration
-const STORAGE_ACCOUNT_NAME = process.env.AZURE_STORAGE_ACCOUNT_NAME;
-const CONTAINER_NAME = process.env.AZURE_STORAGE_CONTAINER_NAME;
-const SUBSCRIPTION_ID = process.env.AZURE_SUBSCRIPTION_ID;
-const RESOURCE_GROUP = process.env.AZURE_RESOURCE_GROUP;
-const VMSS_NAME = process.env.AZURE_VMSS_NAME;
 const COLLECTION_INTERVAL_MS = parseInt(process.env.COLLECTION_INTERVAL_MS || '300000'); // 5 minutes by default
+const SAMPLE_INTERVAL_MINUTES = parseInt(process.env.METRICS_SAMPLE_INTERVAL_MINUTES || '5');
+// How far back the first collection (or one after a gap) reaches
+const MAX_BACKFILL_HOURS = parseInt(process.env.METRICS_BACKFILL_HOURS || '24');
 
-// Azure clients
-let blobServiceClient;
-let monitorClient;
-let containerClient;
+/**
+ * Fetch the samples of one source that are not stored yet
+ * Only complete intervals are kept, the current one is still changing.
+ * @param {Object} target - Target descriptor
+ * @param {string} source - Source name the samples are stored under
+ * @param {Function} getMetrics - async ({ lookbackHours, intervalMinutes }) => metric set or null
+ * @returns {Promise<Object|null>} Metric set with the new samples
+ */
+async function collectNewSamples(target, source, getMetrics) {
+  const now = Date.now();
+  const latest = await getMetricsStore().getLatestTimestamp(target.id, { source });
+  const since = Math.max(latest ? latest.getTime() : 0, now - MAX_BACKFILL_HOURS * 60 * 60 * 1000);
+
+  const metricSet = await getMetrics({
+    lookbackHours: (now - since) / (60 * 60 * 1000),
+    intervalMinutes: SAMPLE_INTERVAL_MINUTES
+  });
+
+  if (!metricSet) {
+    return null;
+  }
+
+  return {
+    ...metricSet,
+    samples: metricSet.samples.filter(sample => {
+      const time = new Date(sample.timestamp).getTime();
+      return time > since && time + SAMPLE_INTERVAL_MINUTES * 60 * 1000 <= now;
+    })
+  };
+}
 
 /**
- * Initialize Azure clients for data collection
+ * Collect the provider metrics of a target that are not stored yet
+ * The samples carry the current instance count, the forecast models use it
+ * as a feature. Backfilled samples get the current count as well.
+ * @param {Object} [target] - Target descriptor, defaults to the configured target
+ * @returns {Promise<Object>} Metric set with the new samples (see utils/metricSchema)
  */
-async function initializeClients() {
+async function collectMetrics(target = getDefaultTarget()) {
   try {
-    // Use DefaultAzureCredential for authentication
-    const credential = new DefaultAzureCredential();
-    
-    // Initialize Monitor client
-    monitorClient = new MonitorClient(credential, SUBSCRIPTION_ID);
-    logger.info('Azure Monitor client initialized');
-    
-    // Initialize Blob Storage client
-    blobServiceClient = new BlobServiceClient(
-      `https://${STORAGE_ACCOUNT_NAME}.blob.core.windows.net`,
-      credential
-    );
-    
-    // Get container client
-    containerClient = blobServiceClient.getContainerClient(CONTAINER_NAME);
-    
-    // Create container if it doesn't exist
-    const containerExists = await containerClient.exists();
-    if (!containerExists) {
-      logger.info(`Creating container: ${CONTAINER_NAME}`);
-      await containerClient.create();
-    }
-    
-    logger.info('Blob Storage client initialized');
+    const metricSet = await collectNewSamples(target, target.provider, options =>
+      getProviderForTarget(target).getMetrics(target, options));
+
+    return {
+      ...metricSet,
+      samples: metricSet.samples.map(sample => ({ ...sample, [INSTANCES_FIELD]: metricSet.currentCapacity }))
+    };
   } catch (error) {
-    logger.error(`Error initializing Azure clients: ${error.message}`, { error });
+    logger.error(`Error collecting metrics: ${error.message}`, { error });
     throw error;
   }
 }
 
 /**
- * Collect metrics from Azure Monitor
+ * Collect the Prometheus application signals of a target that are not stored yet
+ * @param {Object} target - Target descriptor
+ * @returns {Promise<Object|null>} Metric set with the new samples, null when the target has no queries
  */
-async function collectMetrics() {
+async function collectApplicationSignals(target) {
+  if (!prometheusService.isConfigured(target)) {
+    return null;
+  }
+
   try {
-    const timespan = createTimespan();
-    
-    // Collect CPU metrics
-    const cpuMetrics = await monitorClient.metrics.list(
-      `/subscriptions/${SUBSCRIPTION_ID}/resourceGroups/${RESOURCE_GROUP}/providers/Microsoft.Compute/virtualMachineScaleSets/${VMSS_NAME}`,
-      {
-        timespan,
-        interval: 'PT5M',
-        metricnames: 'Percentage CPU',
-        aggregation: 'Average,Maximum'
-      }
-    );
-    
-    // Collect memory metrics
-    const memoryMetrics = await monitorClient.metrics.list(
-      `/subscriptions/${SUBSCRIPTION_ID}/resourceGroups/${RESOURCE_GROUP}/providers/Microsoft.Compute/virtualMachineScaleSets/${VMSS_NAME}`,
-      {
-        timespan,
-        interval: 'PT5M',
-        metricnames: 'Available Memory Bytes',
-        aggregation: 'Average'
-      }
-    );
-    
-    // Collect network metrics
-    const networkMetrics = await monitorClient.metrics.list(
-      `/subscriptions/${SUBSCRIPTION_ID}/resourceGroups/${RESOURCE_GROUP}/providers/Microsoft.Compute/virtualMachineScaleSets/${VMSS_NAME}`,
-      {
-        timespan,
-        interval: 'PT5M',
-        metricnames: 'Network In,Network Out',
-        aggregation: 'Total'
-      }
-    );
-    
-    // Combine metrics
-    const metricsData = {
-      timestamp: new Date().toISOString(),
-      cpu: cpuMetrics.value,
-      memory: memoryMetrics.value,
-      network: networkMetrics.value
-    };
-    
-    return metricsData;
+    return await collectNewSamples(target, 'prometheus', options => prometheusService.getMetrics(target, options));
   } catch (error) {
-    logger.error(`Error collecting metrics: ${error.message}`, { error });
+    logger.error(`Error collecting application signals: ${error.message}`, { error });
     throw error;
   }
 }
 
 /**
- * Store metrics in Azure Blob Storage
+ * Store the samples of a metric set in the metrics store
+ * @param {Object} target - Target descriptor
+ * @param {Object} metricSet - Metric set (see collectMetrics)
+ * @returns {Promise<number>} Number of stored samples
  */
-async function storeMetrics(metricsData) {
+async function storeMetrics(target, metricSet) {
   try {
-    const timestamp = new Date().toISOString().replace(/:/g, '-');
-    const blobName = `metrics_${timestamp}.json`;
-    const blockBlobClient = containerClient.getBlockBlobClient(blobName);
-    
-    const data = JSON.stringify(metricsData, null, 2);
-    await blockBlobClient.upload(data, data.length);
-    
-    logger.info(`Metrics stored in blob: ${blobName}`);
-    return blobName;
+    const count = await getMetricsStore().writeSamples(target.id, metricSet.samples, { source: metricSet.source });
+    logger.info(`Stored ${count} ${metricSet.source} metrics sample(s) for target ${target.name}`);
+    return count;
   } catch (error) {
     logger.error(`Error storing metrics: ${error.message}`, { error });
     throw error;
@@ -127,12 +105,28 @@ async function storeMetrics(metricsData) {
 }
 
 /**
- * Create timespan for metrics queries (last 5 minutes)
+ * Collect and store metrics for every active target
  */
-function createTimespan() {
-  const endTime = new Date();
-  const startTime = new Date(endTime.getTime() - 5 * 60 * 1000); // 5 minutes ago
-  return `${startTime.toISOString()}/${endTime.toISOString()}`;
+async function collectAllTargets() {
+  const targets = await listActiveTargets();
+
+  for (const target of targets) {
+    try {
+      const metricSet = await collectMetrics(target);
+      await storeMetrics(target, metricSet);
+    } catch (error) {
+      logger.error(`Error collecting metrics for target ${target.name}: ${error.message}`, { error });
+    }
+
+    try {
+      const signals = await collectApplicationSignals(target);
+      if (signals) {
+        await storeMetrics(target, signals);
+      }
+    } catch (error) {
+      logger.error(`Error collecting application signals for target ${target.name}: ${error.message}`, { error });
+    }
+  }
 }
 
 /**
@@ -140,22 +134,20 @@ function createTimespan() {
  */
 async function startDataCollection() {
   try {
-    await initializeClients();
-    
+    await getMetricsStore().initialize();
+
     // Perform initial collection
-    const initialMetrics = await collectMetrics();
-    await storeMetrics(initialMetrics);
-    
+    await collectAllTargets();
+
     // Set up interval for periodic collection
     setInterval(async () => {
       try {
-        const metrics = await collectMetrics();
-        await storeMetrics(metrics);
+        await collectAllTargets();
       } catch (error) {
         logger.error(`Error in periodic metrics collection: ${error.message}`, { error });
       }
     }, COLLECTION_INTERVAL_MS);
-    
+
     logger.info(`Data collection started with interval: ${COLLECTION_INTERVAL_MS}ms`);
   } catch (error) {
     logger.error(`Failed to start data collection: ${error.message}`, { error });
@@ -164,57 +156,27 @@ async function startDataCollection() {
 }
 
 /**
- * Retrieve historical metrics for analysis
+ * Retrieve historical metrics for analysis, oldest first
  * @param {number} days - Number of days of historical data to retrieve
+ * @param {string} [targetId] - Target to read metrics for, defaults to the configured target
+ * @param {Object} [options={}]
+ * @param {number} [options.stepMinutes] - Downsample into buckets of this size, raw samples by default
+ * @returns {Promise<Array>} Canonical samples (see utils/metricSchema)
  */
-async function getHistoricalMetrics(days = 7) {
+async function getHistoricalMetrics(days = 7, targetId = DEFAULT_TARGET_ID, { stepMinutes } = {}) {
   try {
-    const metrics = [];
-    
-    // Calculate start date
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - days);
-    
-    // List all blobs in the container
-    for await (const blob of containerClient.listBlobsFlat()) {
-      // Check if blob is a metrics file
-      if (blob.name.startsWith('metrics_')) {
-        const blobClient = containerClient.getBlobClient(blob.name);
-        const downloadResponse = await blobClient.download();
-        const content = await streamToString(downloadResponse.readableStreamBody);
-        metrics.push(JSON.parse(content));
-      }
-    }
-    
-    // Sort metrics by timestamp
-    metrics.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-    
-    return metrics;
+    const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    return normalizeSamples(await getMetricsStore().querySamples(targetId, { from, stepMinutes }));
   } catch (error) {
     logger.error(`Error retrieving historical metrics: ${error.message}`, { error });
     throw error;
   }
 }
 
-/**
- * Convert stream to string
- */
-async function streamToString(readableStream) {
-  return new Promise((resolve, reject) => {
-    const chunks = [];
-    readableStream.on('data', (data) => {
-      chunks.push(data.toString());
-    });
-    readableStream.on('end', () => {
-      resolve(chunks.join(''));
-    });
-    readableStream.on('error', reject);
-  });
-}
-
 module.exports = {
   startDataCollection,
   collectMetrics,
+  collectApplicationSignals,
   storeMetrics,
   getHistoricalMetrics
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,179 @@
+// Scaling decision history
+const mongoose = require('mongoose');
+const ScalingDecision = require('../models/ScalingDecision');
+const logger = require('../utils/logger');
+
+// Pagination defaults for decision queries
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Derive the scaling action from the instance counts
+ * @param {number} currentInstances - Instance count before the decision
+ * @param {number} targetInstances - Instance count after the decision
+ * @returns {string} scale_out, scale_in or none
+ */
+function getAction(currentInstances, targetInstances) {
+  if (targetInstances > currentInstances) {
+    return 'scale_out';
+  }
+  if (targetInstances < currentInstances) {
+    return 'scale_in';
+  }
+  return 'none';
+}
+
+/**
+ * Describe a forecast based recommendation in one sentence
+ * @param {Object} recommendation - Result of getScalingRecommendations
+ * @returns {string} Reasoning
+ */
+function describeForecast(recommendation) {
+  if (recommendation.error) {
+    return `Forecast unavailable: ${recommendation.error}`;
+  }
+
+  const exceeded = Object.entries(recommendation.metrics || {})
+    .filter(([, metric]) => metric.exceedsThreshold)
+    .map(([name, metric]) => `${name} forecast peaks at ${metric.maxPrediction.toFixed(1)} (threshold ${metric.threshold})`);
+
+  const { bindingSignal, forecastInstances, currentInstances } = recommendation.scaling || {};
+  const sizing = bindingSignal && forecastInstances !== currentInstances
+    ? ` Forecast sized for ${bindingSignal}: ${forecastInstances} instance(s).`
+    : '';
+
+  if (exceeded.length > 0) {
+    return `${exceeded.join(', ')}.${sizing}`;
+  }
+
+  return `All forecast metrics are within their thresholds.${sizing}`;
+}
+
+/**
+ * Store a scaling decision
+ * Recording is best effort: a missing database connection or a write error
+ * is logged but never fails the scaling cycle.
+ * @param {Object} decision - Decision fields
+ * @param {Object} decision.target - Target descriptor the decision was made for
+ * @returns {Promise<Object|null>} Stored decision or null if it was not recorded
+ */
+async function recordDecision({ target, ...decision }) {
+  if (mongoose.connection.readyState !== 1) {
+    logger.debug('Database not connected, scaling decision not recorded');
+    return null;
+  }
+
+  try {
+    const { currentInstances } = decision.inputs || {};
+
+    return await ScalingDecision.create({
+      targetId: target.id,
+      targetName: target.name,
+      provider: target.provider,
+      action: getAction(currentInstances, decision.targetInstances),
+      ...decision,
+      inputs: {
+        minInstances: target.minInstances,
+        maxInstances: target.maxInstances,
+        ...decision.inputs
+      }
+    });
+  } catch (error) {
+    logger.error(`Error recording scaling decision: ${error.message}`, { error });
+    return null;
+  }
+}
+
+/**
+ * Query the scaling decision history, newest first
+ * @param {Object} [filter={}] - targetId, source, outcome, action, model, from, to
+ * @param {Object} [options={}] - page (1-based) and limit
+ * @returns {Promise<Object>} Decisions and pagination info
+ */
+async function listDecisions(filter = {}, options = {}) {
+  const page = Math.max(1, parseInt(options.page) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(options.limit) || DEFAULT_PAGE_SIZE));
+
+  const query = {};
+  for (const field of ['targetId', 'source', 'outcome', 'action', 'model']) {
+    if (filter[field]) {
+      query[field] = filter[field];
+    }
+  }
+
+  if (filter.from || filter.to) {
+    query.createdAt = {};
+    if (filter.from) {
+      query.createdAt.$gte = new Date(filter.from);
+    }
+    if (filter.to) {
+      query.createdAt.$lte = new Date(filter.to);
+    }
+  }
+
+  const [decisions, total] = await Promise.all([
+    ScalingDecision.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    ScalingDecision.countDocuments(query)
+  ]);
+
+  return {
+    decisions,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+/**
+ * Get the most recent decision matching a filter
+ * @param {Object} [filter={}] - Mongo filter on decision fields
+ * @returns {Promise<Object|null>} Decision or null
+ */
+async function getLatestDecision(filter = {}) {
+  if (mongoose.connection.readyState !== 1) {
+    return null;
+  }
+
+  return ScalingDecision.findOne(filter).sort({ createdAt: -1 }).lean();
+}
+
+/**
+ * Convert a decision into the log entry shape used by the dashboard
+ * @param {Object} decision - Stored decision
+ * @returns {Object} Log entry
+ */
+function toLogEntry(decision) {
+  const actions = {
+    scale_out: 'scale-up',
+    scale_in: 'scale-down',
+    none: 'no-change'
+  };
+  const fromInstances = decision.inputs?.currentInstances ?? 0;
+
+  return {
+    id: decision._id.toString(),
+    timestamp: new Date(decision.createdAt).toISOString(),
+    action: actions[decision.action] || 'no-change',
+    fromInstances,
+    toInstances: decision.targetInstances ?? fromInstances,
+    confidence: decision.confidence ?? 0,
+    reasoning: decision.reasoning || decision.outcomeReason || (decision.errorMessages || []).join('; '),
+    model: decision.model || 'unknown',
+    outcome: decision.outcome
+  };
+}
+
+module.exports = {
+  recordDecision,
+  listDecisions,
+  getLatestDecision,
+  describeForecast,
+  toLogEntry
+};
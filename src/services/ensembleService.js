@@ -0,0 +1,259 @@
+// Ensemble recommendation
+// The LSTM forecast, the LLM and the deterministic rules (scaling policies)
+// each propose an instance count. A strategy combines the candidates into one,
+// scheduled capacity overrides the result and the (scheduled) bounds clamp it:
+//
+//   max        the highest candidate wins, the forecast wins ties
+//   weighted   average of the candidates weighted by source weight and confidence
+//   llm_gated  the LLM is followed only when it agrees with the forecast, the
+//              policies still apply on top of the chosen model
+//
+// Every candidate is returned with its confidence, so disagreement between the
+// models is visible.
+const ollamaService = require('./ollamaService');
+const { buildScalingPrompt } = require('./promptService');
+const { getEffectiveBounds } = require('./capacityScheduleService');
+const logger = require('../utils/logger');
+
+const STRATEGIES = ['max', 'weighted', 'llm_gated'];
+
+// Default strategy, targets can choose their own
+const ENSEMBLE_STRATEGY = STRATEGIES.includes(process.env.ENSEMBLE_STRATEGY) ? process.env.ENSEMBLE_STRATEGY : 'max';
+// Instances the LLM and the forecast may differ by and still agree
+const ENSEMBLE_AGREEMENT_TOLERANCE = parseInt(process.env.ENSEMBLE_AGREEMENT_TOLERANCE || '1');
+
+// Weights of the candidate kinds in the weighted strategy
+const DEFAULT_WEIGHTS = { forecast: 1, llm: 1, policy: 1 };
+
+/**
+ * Weights configured in ENSEMBLE_WEIGHTS, a JSON object of { forecast, llm, policy }
+ */
+function getDefaultWeights() {
+  if (!process.env.ENSEMBLE_WEIGHTS) {
+    return DEFAULT_WEIGHTS;
+  }
+
+  try {
+    return { ...DEFAULT_WEIGHTS, ...JSON.parse(process.env.ENSEMBLE_WEIGHTS) };
+  } catch (error) {
+    logger.warn(`ENSEMBLE_WEIGHTS is not a valid JSON object: ${error.message}`);
+    return DEFAULT_WEIGHTS;
+  }
+}
+
+/**
+ * Ensemble settings of a target
+ * @param {Object} target - Target descriptor with its optional ensemble settings
+ * @returns {Object} strategy, weights and agreementTolerance
+ */
+function getEnsembleSettings(target) {
+  const { strategy, weights, agreementTolerance } = target.ensemble || {};
+
+  return {
+    strategy: strategy || ENSEMBLE_STRATEGY,
+    weights: {
+      ...getDefaultWeights(),
+      ...Object.fromEntries(Object.entries(weights || {}).filter(([, weight]) => Number.isFinite(weight)))
+    },
+    agreementTolerance: agreementTolerance ?? ENSEMBLE_AGREEMENT_TOLERANCE
+  };
+}
+
+/**
+ * Candidate of the LSTM forecast
+ * Its confidence falls with the width of the binding signal's prediction
+ * interval relative to its upper bound; without intervals it is unknown.
+ * @param {Object} forecast - instances, bindingSignal and metrics (see modelService.getForecastCapacity)
+ * @returns {Object|null} Candidate, null when no signal could be forecast
+ */
+function getForecastCandidate(forecast) {
+  if (!forecast?.bindingSignal) {
+    return null;
+  }
+
+  const interval = forecast.metrics[forecast.bindingSignal]?.interval;
+  const confidence = interval && interval.maxUpper > 0
+    ? parseFloat(Math.min(1, Math.max(0, 1 - interval.averageWidth / interval.maxUpper)).toFixed(2))
+    : null;
+
+  return {
+    source: 'lstm-forecast',
+    kind: 'forecast',
+    instances: forecast.instances,
+    confidence,
+    reason: `Sized for ${forecast.bindingSignal}`
+  };
+}
+
+/**
+ * Candidate of an LLM recommendation
+ * @param {Object|null} recommendation - Parsed LLM answer (recommended_instances, confidence, reasoning, model)
+ * @param {number} [confidenceThreshold=0] - Recommendations below it are reported but not used
+ * @returns {Object|null} Candidate, null without a usable answer
+ */
+function getLlmCandidate(recommendation, confidenceThreshold = 0) {
+  if (!recommendation || typeof recommendation.recommended_instances !== 'number') {
+    return null;
+  }
+
+  const confidence = recommendation.confidence ?? null;
+  return {
+    source: recommendation.model || 'llm',
+    kind: 'llm',
+    instances: recommendation.recommended_instances,
+    confidence,
+    reason: recommendation.reasoning,
+    ...((confidence ?? 1) < confidenceThreshold ? { excluded: 'low_confidence' } : {})
+  };
+}
+
+/**
+ * Ask the LLM for a recommendation
+ * @param {Object} target - Target descriptor
+ * @param {number} currentInstances - Current instance count
+ * @param {Object} metricsData - Metric set (see utils/metricSchema)
+ * @param {Object} [options={}]
+ * @param {string} [options.modelName] - Model, defaults to the target's model
+ * @param {string} [options.promptFile] - Custom prompt template
+ * @param {Array} [options.policies=[]] - Enabled scaling policies, listed in the prompt
+ * @returns {Promise<Object|null>} Parsed answer, null when the LLM gave none
+ */
+async function requestLlmRecommendation(target, currentInstances, metricsData, { modelName = target.model?.name, promptFile, policies = [] } = {}) {
+  const prompt = buildScalingPrompt(target, currentInstances, metricsData, { promptFile, policies });
+  return ollamaService.getScalingRecommendation(prompt, undefined, modelName);
+}
+
+/**
+ * Candidates of policy evaluations that have an opinion
+ * @param {Array} evaluations - Result of policyService.evaluatePolicies
+ * @returns {Array} Candidates
+ */
+function getPolicyCandidates(evaluations = []) {
+  return evaluations
+    .filter(evaluation => evaluation.desiredInstances !== null && evaluation.desiredInstances !== undefined)
+    .map(evaluation => ({
+      source: `policy:${evaluation.name}`,
+      kind: 'policy',
+      instances: evaluation.desiredInstances,
+      confidence: 1,
+      reason: evaluation.reason
+    }));
+}
+
+/**
+ * Highest candidate, the first one wins ties
+ */
+function pickHighest(candidates) {
+  return candidates.reduce((best, candidate) => candidate.instances > best.instances ? candidate : best);
+}
+
+/**
+ * Whether the LLM and the forecast agree
+ * @returns {Object|null} forecast, llm, difference and agree, null unless both proposed a count
+ */
+function getAgreement(candidates, tolerance) {
+  const forecast = candidates.find(candidate => candidate.kind === 'forecast');
+  const llm = candidates.find(candidate => candidate.kind === 'llm' && !candidate.excluded);
+  if (!forecast || !llm) {
+    return null;
+  }
+
+  const difference = Math.abs(llm.instances - forecast.instances);
+  return { forecast: forecast.instances, llm: llm.instances, difference, agree: difference <= tolerance };
+}
+
+/**
+ * Apply a strategy to the usable candidates
+ * @returns {Object} source and instances of the result
+ */
+function applyStrategy(strategy, candidates, { weights, agreement }) {
+  switch (strategy) {
+    case 'weighted': {
+      const weighted = candidates.map(candidate => ({
+        candidate,
+        weight: (weights[candidate.kind] ?? 1) * (candidate.confidence ?? 1)
+      }));
+      const total = weighted.reduce((sum, { weight }) => sum + weight, 0);
+      if (total <= 0) {
+        return pickHighest(candidates);
+      }
+      const instances = weighted.reduce((sum, { candidate, weight }) => sum + candidate.instances * weight, 0) / total;
+      return { source: 'ensemble:weighted', instances: Math.round(instances) };
+    }
+    case 'llm_gated': {
+      // Without a forecast there is nothing to check the LLM against, it is used as is
+      const models = candidates.filter(candidate => candidate.kind !== 'policy');
+      const forecast = models.find(candidate => candidate.kind === 'forecast');
+      const model = forecast && agreement && !agreement.agree
+        ? forecast
+        : models.find(candidate => candidate.kind === 'llm') || forecast;
+      const policies = candidates.filter(candidate => candidate.kind === 'policy');
+      return pickHighest([model, ...policies].filter(Boolean));
+    }
+    default:
+      return pickHighest(candidates);
+  }
+}
+
+/**
+ * Combine candidates with scheduled capacity and clamp to the (scheduled) bounds
+ * @param {Object} target - Target descriptor with instance bounds and ensemble settings
+ * @param {Array} candidates - Forecast, LLM and policy candidates, in that order; null entries are ignored
+ * @param {Object} [options={}]
+ * @param {Object} [options.scheduled] - Active scheduled capacity (see capacityScheduleService)
+ * @param {number} [options.currentInstances] - Kept (within the scheduled bounds) when there is no other candidate
+ * @returns {Object|null} strategy, desiredInstances, targetInstances (clamped), decidedBy, bounds, candidates and agreement, null without any candidate
+ */
+function combineCandidates(target, candidates, { scheduled = null, currentInstances } = {}) {
+  const { strategy, weights, agreementTolerance } = getEnsembleSettings(target);
+  const reported = candidates.filter(candidate => candidate && Number.isFinite(candidate.instances));
+  const usable = reported.filter(candidate => !candidate.excluded);
+  const agreement = getAgreement(reported, agreementTolerance);
+
+  let winner;
+  if (Number.isFinite(scheduled?.desiredInstances)) {
+    // A scheduled desired count overrides every candidate
+    winner = { source: `schedule:${scheduled.schedules.join(',')}`, instances: scheduled.desiredInstances };
+  } else if (usable.length > 0) {
+    winner = applyStrategy(strategy, usable, { weights, agreement });
+  } else if (scheduled && Number.isFinite(currentInstances)) {
+    // Only the scheduled bounds apply
+    winner = { source: 'current', instances: currentInstances };
+  } else {
+    return null;
+  }
+
+  if (agreement && !agreement.agree) {
+    logger.info(`Forecast (${agreement.forecast}) and LLM (${agreement.llm}) disagree for target ${target.name}`);
+  }
+
+  const bounds = getEffectiveBounds(target, scheduled);
+  const requested = Math.round(winner.instances);
+  const targetInstances = Math.max(bounds.minInstances, Math.min(bounds.maxInstances, requested));
+
+  // A bound set by a schedule decides when it changed the result
+  const clampedBySchedule = scheduled && (
+    (requested < targetInstances && scheduled.minInstances !== null) ||
+    (requested > targetInstances && scheduled.maxInstances !== null)
+  );
+
+  return {
+    strategy,
+    desiredInstances: winner.instances,
+    targetInstances,
+    decidedBy: clampedBySchedule ? `schedule:${scheduled.schedules.join(',')}` : winner.source,
+    bounds,
+    candidates: reported,
+    agreement
+  };
+}
+
+module.exports = {
+  STRATEGIES,
+  getEnsembleSettings,
+  getForecastCandidate,
+  getLlmCandidate,
+  getPolicyCandidates,
+  requestLlmRecommendation,
+  combineCandidates
+};
@@ -4,6 +4,7 @@ const monitoring = require('@google-cloud/monitoring');
 const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
+const { fromGcpMetrics, isMetricSet } = require('../utils/metricSchema');
 
 // Configuration from environment variables
 const GCP_PROJECT_ID = process.env.GCP_PROJECT_ID;
@@ -99,12 +100,14 @@ async function getInstanceGroupState(instanceGroupName = GCP_INSTANCE_GROUP, zon
  * @param {string} [instanceGroupName=GCP_INSTANCE_GROUP] - Instance group name
  * @param {number} [lookbackHours=1] - Hours of historical data to collect
  * @param {number} [intervalMinutes=15] - Interval resolution in minutes
+ * @param {string} [zone=GCP_ZONE] - Zone of the instance group
  * @returns {Promise<Object>} Metrics data
  */
 async function collectInstanceGroupMetrics(
   instanceGroupName = GCP_INSTANCE_GROUP,
   lookbackHours = 1,
-  intervalMinutes = 15
+  intervalMinutes = 15,
+  zone = GCP_ZONE
 ) {
   try {
     if (!monitoringClient) {
@@ -212,14 +215,14 @@ async function collectInstanceGroupMetrics(
     const networkOutData = processTimeSeriesData(networkOutResponse[0], 'networkOut', false);
     
     // Get instance group state for reference
-    const instanceGroup = await getInstanceGroupState(instanceGroupName);
+    const instanceGroup = await getInstanceGroupState(instanceGroupName, zone);
     
     // Combine all metrics
     return {
       timestamp: now.toISOString(),
       instanceGroup: instanceGroupName,
       project: GCP_PROJECT_ID,
-      zone: GCP_ZONE,
+      zone,
       lookbackHours,
       intervalMinutes,
       currentInstances: instanceGroup.targetSize,
@@ -279,12 +282,14 @@ function processTimeSeriesData(timeSeriesData, metricType, isPercentage = false)
  * @param {string} [instanceGroupName=GCP_INSTANCE_GROUP] - Instance group name
  * @param {number} targetSize - Desired number of instances
  * @param {boolean} [dryRun=false] - If true, don't apply changes
+ * @param {string} [zone=GCP_ZONE] - Zone of the instance group
  * @returns {Promise<Object>} Result of the scaling operation
  */
 async function scaleInstanceGroup(
   instanceGroupName = GCP_INSTANCE_GROUP,
   targetSize,
-  dryRun = false
+  dryRun = false,
+  zone = GCP_ZONE
 ) {
   try {
     if (!compute) {
@@ -292,7 +297,7 @@ async function scaleInstanceGroup(
     }
     
     // Get current state
-    const instanceGroup = await getInstanceGroupState(instanceGroupName);
+    const instanceGroup = await getInstanceGroupState(instanceGroupName, zone);
     const currentSize = instanceGroup.targetSize;
     
     logger.info(`Scaling instance group ${instanceGroupName} from ${currentSize} to ${targetSize} instances${dryRun ? ' (DRY RUN)' : ''}`);
@@ -310,8 +315,8 @@ async function scaleInstanceGroup(
     }
     
     // Scale the instance group
-    const zone = compute.zone(GCP_ZONE);
-    const instanceGroupManager = zone.instanceGroupManager(instanceGroupName);
+    const zoneObj = compute.zone(zone);
+    const instanceGroupManager = zoneObj.instanceGroupManager(instanceGroupName);
     
     // Execute resize operation
     const [operation] = await instanceGroupManager.resize(targetSize);
@@ -334,8 +339,36 @@ async function scaleInstanceGroup(
 }
 
 /**
- * Save metrics to a file
- * @param {Object} metrics - Metrics data
+ * List the VM instances that belong to a GCP instance group
+ * @param {string} [instanceGroupName=GCP_INSTANCE_GROUP] - Instance group name
+ * @param {string} [zone=GCP_ZONE] - Zone of the instance group
+ * @returns {Promise<Array>} Instance summaries
+ */
+async function listInstanceGroupInstances(instanceGroupName = GCP_INSTANCE_GROUP, zone = GCP_ZONE) {
+  try {
+    if (!compute) {
+      await initializeGcpService();
+    }
+    
+    const instanceGroup = compute.zone(zone).instanceGroup(instanceGroupName);
+    const [vms] = await instanceGroup.getVMs();
+    
+    return vms.map(vm => ({
+      id: vm.id || vm.name,
+      name: vm.name,
+      status: vm.metadata?.status || null,
+      zone,
+      size: vm.metadata?.machineType ? vm.metadata.machineType.split('/').pop() : null
+    }));
+  } catch (error) {
+    logger.error(`Error listing instance group instances: ${error.message}`, { error });
+    throw error;
+  }
+}
+
+/**
+ * Save metrics to a file in the canonical format (see utils/metricSchema)
+ * @param {Object} metrics - Metrics data (see collectInstanceGroupMetrics) or a metric set
  * @param {string} outputPath - Directory to save metrics
  * @returns {Promise<string>} Path to saved file
  */
@@ -346,14 +379,15 @@ async function saveMetricsToFile(metrics, outputPath) {
       fs.mkdirSync(outputPath, { recursive: true });
     }
     
+    const metricSet = isMetricSet(metrics) ? metrics : fromGcpMetrics(metrics);
     const timestamp = new Date().toISOString().replace(/:/g, '-');
-    const fileName = `gcp_metrics_${metrics.instanceGroup}_${timestamp}.json`;
+    const fileName = `gcp_metrics_${metricSet.target.instanceGroup}_${timestamp}.json`;
     const filePath = path.join(outputPath, fileName);
     
     // Write metrics to file
     await fs.promises.writeFile(
       filePath, 
-      JSON.stringify(metrics, null, 2)
+      JSON.stringify(metricSet, null, 2)
     );
     
     logger.info(`Saved GCP metrics to ${filePath}`);
@@ -369,5 +403,6 @@ module.exports = {
   getInstanceGroupState,
   collectInstanceGroupMetrics,
   scaleInstanceGroup,
+  listInstanceGroupInstances,
   saveMetricsToFile
 }; 
\ No newline at end of file
@@ -1,109 +1,107 @@
 // Infrastructure service file
-const { DefaultAzureCredential } = require('@azure/identity');
-const { ComputeManagementClient } = require('@azure/arm-compute');
 const { exec } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const logger = require('../utils/logger');
+const { getProviderForTarget } = require('../providers');
+const { getDefaultTarget } = require('./targetService');
+const { recordDecision, describeForecast } = require('./decisionService');
+const { markScaled } = require('./scalingStateService');
+const { checkApproval, requestApproval } = require('./approvalService');
+const runtimeConfig = require('./runtimeConfigService');
+const prometheusService = require('./prometheusService');
+const customMetricsService = require('./customMetricsService');
+const { mergeMetricSets } = require('../utils/metricSchema');
 
 // Configuration
-const SUBSCRIPTION_ID = process.env.AZURE_SUBSCRIPTION_ID;
-const RESOURCE_GROUP = process.env.AZURE_RESOURCE_GROUP;
-const VMSS_NAME = process.env.AZURE_VMSS_NAME;
 const TERRAFORM_DIR = process.env.TERRAFORM_DIR || path.join(__dirname, '../../infrastructure/terraform');
 
-// Azure clients
-let computeClient;
-let logger;
-
 /**
  * Initialize infrastructure clients
  */
 async function setupInfrastructureClient() {
   try {
-    // Import logger here to avoid circular dependency
-    const { logger: appLogger } = require('../index');
-    logger = appLogger;
-    
-    logger.info('Initializing infrastructure clients...');
-    
-    // Use DefaultAzureCredential for authentication
-    const credential = new DefaultAzureCredential();
+    const defaultTarget = getDefaultTarget();
     
-    // Initialize Compute Management client
-    computeClient = new ComputeManagementClient(credential, SUBSCRIPTION_ID);
+    logger.info(`Initializing infrastructure clients for provider: ${defaultTarget.provider}`);
     
-    logger.info('Infrastructure clients initialized');
+    logger.info(`Infrastructure clients initialized for ${getProviderForTarget(defaultTarget).describeTarget(defaultTarget)}`);
   } catch (error) {
-    if (logger) {
-      logger.error(`Error initializing infrastructure clients: ${error.message}`, { error });
-    } else {
-      console.error(`Error initializing infrastructure clients: ${error.message}`);
-    }
+    logger.error(`Error initializing infrastructure clients: ${error.message}`, { error });
     throw error;
   }
 }
 
 /**
- * Get current VMSS capacity
+ * Get current capacity of a scaling target
+ * @param {Object} [target] - Target descriptor, defaults to the configured target
+ * @returns {Promise<number>} Current instance count
  */
-async function getCurrentVMSSCapacity() {
-  try {
-    logger.info(`Getting current capacity for VMSS: ${VMSS_NAME}`);
-    
-    const vmss = await computeClient.virtualMachineScaleSets.get(RESOURCE_GROUP, VMSS_NAME);
-    
-    logger.info(`Current VMSS capacity: ${vmss.sku.capacity}`);
-    return vmss.sku.capacity;
-  } catch (error) {
-    logger.error(`Error getting VMSS capacity: ${error.message}`, { error });
-    throw error;
-  }
+async function getCurrentCapacity(target = getDefaultTarget()) {
+  return getProviderForTarget(target).getCapacity(target);
 }
 
 /**
- * Scale VMSS directly via Azure SDK
+ * Scale a target directly through its cloud provider
+ * @param {number} capacity - Desired number of instances
+ * @param {Object} [target] - Target descriptor, defaults to the configured target
+ * @returns {Promise<number>} New capacity
  */
-async function scaleVMSS(capacity) {
-  try {
-    const currentCapacity = await getCurrentVMSSCapacity();
-    
-    if (currentCapacity === capacity) {
-      logger.info(`VMSS is already at target capacity: ${capacity}`);
-      return currentCapacity;
-    }
-    
-    logger.info(`Scaling VMSS from ${currentCapacity} to ${capacity} instances`);
-    
-    // Get the current VMSS
-    const vmss = await computeClient.virtualMachineScaleSets.get(RESOURCE_GROUP, VMSS_NAME);
-    
-    // Update the capacity
-    vmss.sku.capacity = capacity;
-    
-    // Apply the update
-    await computeClient.virtualMachineScaleSets.createOrUpdate(
-      RESOURCE_GROUP,
-      VMSS_NAME,
-      vmss
-    );
-    
-    logger.info(`VMSS scaled to ${capacity} instances`);
-    return capacity;
-  } catch (error) {
-    logger.error(`Error scaling VMSS: ${error.message}`, { error });
-    throw error;
-  }
+async function setCapacity(capacity, target = getDefaultTarget()) {
+  const result = await getProviderForTarget(target).setCapacity(target, capacity);
+  return result.capacity;
+}
+
+/**
+ * List instances belonging to a target
+ * @param {Object} [target] - Target descriptor, defaults to the configured target
+ * @returns {Promise<Array>} Instance summaries
+ */
+async function listInstances(target = getDefaultTarget()) {
+  return getProviderForTarget(target).listInstances(target);
+}
+
+/**
+ * Get recent metrics of a target from its cloud provider, together with its
+ * Prometheus application signals and pushed custom metrics when present
+ * The window follows the scaling configuration (metricsLookback, metricsInterval).
+ * @param {Object} [target] - Target descriptor, defaults to the configured target
+ * @returns {Promise<Object>} Metric set (see utils/metricSchema)
+ */
+async function getRecentMetrics(target = getDefaultTarget()) {
+  const { metricsLookback, metricsInterval } = runtimeConfig.getConfig('scaling');
+  const options = { lookbackHours: metricsLookback, intervalMinutes: metricsInterval };
+
+  const [metricSet, signals, customMetrics] = await Promise.all([
+    getProviderForTarget(target).getMetrics(target, options),
+    prometheusService.getMetrics(target, options).catch(error => {
+      logger.warn(`Could not query application signals: ${error.message}`);
+      return null;
+    }),
+    customMetricsService.getMetrics(target, options).catch(error => {
+      logger.warn(`Could not read custom metrics: ${error.message}`);
+      return null;
+    })
+  ]);
+
+  return mergeMetricSets(metricSet, signals, customMetrics);
 }
 
 /**
  * Apply infrastructure changes using Terraform
+ * @param {Object} [variables={}] - Terraform variables overriding the defaults
+ * @param {Object} [target] - Azure target descriptor, defaults to the configured target
  */
-async function applyTerraformChanges(variables = {}) {
+async function applyTerraformChanges(variables = {}, target = getDefaultTarget()) {
   try {
     logger.info('Applying infrastructure changes with Terraform');
     
+    if (target.provider !== 'azure') {
+      throw new Error(`Terraform scaling is only supported for Azure targets, got: ${target.provider}`);
+    }
+    
     // Generate Terraform variables file
-    await generateTerraformVars(variables);
+    await generateTerraformVars(variables, target);
     
     // Run Terraform
     return new Promise((resolve, reject) => {
@@ -144,15 +142,17 @@ async function applyTerraformChanges(variables = {}) {
 
 /**
  * Generate Terraform variables file
+ * @param {Object} [variables={}] - Terraform variables overriding the target's values
+ * @param {Object} [target] - Azure target descriptor, defaults to the configured target
  */
-async function generateTerraformVars(variables = {}) {
+async function generateTerraformVars(variables = {}, target = getDefaultTarget()) {
   try {
-    // Default variables
+    // Default variables of the target
     const defaultVars = {
-      subscription_id: SUBSCRIPTION_ID,
-      resource_group_name: RESOURCE_GROUP,
-      vmss_name: VMSS_NAME,
-      vmss_capacity: await getCurrentVMSSCapacity()
+      subscription_id: target.subscriptionId,
+      resource_group_name: target.resourceGroup,
+      vmss_name: target.vmssName,
+      vmss_capacity: await getCurrentCapacity(target)
     };
     
     // Merge with provided variables
@@ -182,8 +182,39 @@ async function generateTerraformVars(variables = {}) {
 
 /**
  * Apply scaling recommendation
+ * Every call is recorded in the scaling decision history.
+ * @param {Object} recommendation - Recommendation with a `scaling` section and optional model, confidence, reasoning and errorMessages (e.g. of a failed LLM call)
+ * @param {Object} [target] - Target descriptor, defaults to the configured target
+ * Changes above the approval policy are queued as pending actions instead of applied.
+ * @param {Object} [options={}]
+ * @param {string} [options.source='api'] - What triggered the decision (api, manual, scheduler, cli)
+ * @param {string} [options.requestedBy] - User that asked for the change, defaults to the source
+ * @param {Object} [options.approval] - actionId and approvedBy of an approved pending action
  */
-async function applyScalingRecommendation(recommendation) {
+async function applyScalingRecommendation(recommendation, target = getDefaultTarget(), options = {}) {
+  const { source = 'api', requestedBy = source, approval = null } = options;
+  const decision = {
+    target,
+    source,
+    requestedBy,
+    pendingActionId: approval?.actionId ?? null,
+    approvedBy: approval?.approvedBy,
+    model: recommendation.model || 'lstm-forecast',
+    confidence: recommendation.confidence ?? null,
+    reasoning: recommendation.reasoning || describeForecast(recommendation),
+    errorMessages: recommendation.errorMessages,
+    inputs: {
+      currentInstances: recommendation.scaling?.currentInstances,
+      metrics: recommendation.metrics,
+      policies: recommendation.policies,
+      schedule: recommendation.schedule,
+      ensemble: recommendation.ensemble && { ...recommendation.ensemble, decidedBy: recommendation.scaling?.decidedBy }
+    },
+    // Unclamped model suggestion when the caller clamped it to the target bounds
+    recommendedInstances: recommendation.scaling?.requestedInstances ?? recommendation.scaling?.recommendedInstances,
+    targetInstances: recommendation.scaling?.recommendedInstances
+  };
+  
   try {
     logger.info('Applying scaling recommendation', { recommendation });
     
@@ -196,6 +227,7 @@ async function applyScalingRecommendation(recommendation) {
     // If no scaling needed, do nothing
     if (!scaleOutRecommended && !scaleInRecommended) {
       logger.info('No scaling action required');
+      await recordDecision({ ...decision, outcome: 'no_change' });
       return {
         action: 'none',
         currentInstances,
@@ -203,18 +235,45 @@ async function applyScalingRecommendation(recommendation) {
       };
     }
     
-    // Apply scaling
-    if (process.env.SCALING_METHOD === 'terraform') {
+    // Large changes wait for an approver
+    if (!approval) {
+      const { required, reason } = checkApproval(currentInstances, recommendedInstances);
+
+      if (required) {
+        const { action, created } = await requestApproval({ target, recommendation, source, requestedBy, reason });
+        await recordDecision({
+          ...decision,
+          outcome: created ? 'pending_approval' : 'skipped',
+          outcomeReason: created ? reason : 'approval_pending',
+          pendingActionId: action._id
+        });
+
+        return {
+          action: 'pending_approval',
+          pendingActionId: action._id,
+          created,
+          reason,
+          currentInstances,
+          recommendedInstances,
+          expiresAt: action.expiresAt
+        };
+      }
+    }
+    
+    // Apply scaling (Terraform only manages the Azure VMSS)
+    if (process.env.SCALING_METHOD === 'terraform' && target.provider === 'azure') {
       // Use Terraform for scaling
       await applyTerraformChanges({
         vmss_capacity: recommendedInstances
-      });
+      }, target);
     } else {
-      // Use Azure SDK directly
-      await scaleVMSS(recommendedInstances);
+      // Use the cloud provider SDK directly
+      await setCapacity(recommendedInstances, target);
     }
     
     logger.info(`Scaling applied: ${currentInstances} -> ${recommendedInstances} instances`);
+    await markScaled(target.id);
+    await recordDecision({ ...decision, outcome: 'applied' });
     
     return {
       action: scaleOutRecommended ? 'scale_out' : 'scale_in',
@@ -223,14 +282,17 @@ async function applyScalingRecommendation(recommendation) {
     };
   } catch (error) {
     logger.error(`Error applying scaling recommendation: ${error.message}`, { error });
+    await recordDecision({ ...decision, outcome: 'failed', errorMessages: [...(decision.errorMessages || []), error.message] });
     throw error;
   }
 }
 
 module.exports = {
   setupInfrastructureClient,
-  getCurrentVMSSCapacity,
-  scaleVMSS,
+  getCurrentCapacity,
+  setCapacity,
+  listInstances,
+  getRecentMetrics,
   applyTerraformChanges,
   applyScalingRecommendation
 }; 
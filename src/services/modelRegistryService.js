@@ -0,0 +1,270 @@
+// Model registry
+// Every training of a metric's forecast model, and of the multivariate model
+// (registered as the `multivariate` metric), is stored as a new version
+// instead of replacing the saved model. Versions record their training window,
+// hyperparameters, losses, backtest errors and a hash of the training data;
+// one version per metric is active and serves the predictions. Promoting
+// another version or rolling back to the previous one takes effect on the next
+// prediction.
+const fs = require('fs');
+const path = require('path');
+const ModelVersion = require('../models/ModelVersion');
+const logger = require('../utils/logger');
+
+// Configuration
+const MODEL_SAVE_PATH = process.env.MODEL_SAVE_PATH || 'file://./models';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Directory of a metric's models on disk
+ */
+function getMetricDir(metric) {
+  return path.join(MODEL_SAVE_PATH.replace('file://', ''), `${metric}_model`);
+}
+
+/**
+ * Location of a version's artifacts for tf.loadLayersModel and model.save
+ * @param {string} metric - Metric name
+ * @param {number} version - Version number
+ * @returns {string} Path with the MODEL_SAVE_PATH scheme
+ */
+function getVersionPath(metric, version) {
+  return `${MODEL_SAVE_PATH}/${metric}_model/v${version}`;
+}
+
+/**
+ * Active version of a metric
+ * @param {string} metric - Metric name
+ * @returns {Promise<Object|null>}
+ */
+async function getActiveVersion(metric) {
+  return ModelVersion.findOne({ metric, active: true }).lean();
+}
+
+/**
+ * Active versions of all metrics
+ * @returns {Promise<Array>}
+ */
+async function listActiveVersions() {
+  return ModelVersion.find({ active: true }).sort({ metric: 1 }).lean();
+}
+
+/**
+ * A version of a metric
+ * @param {string} metric - Metric name
+ * @param {number} version - Version number
+ * @returns {Promise<Object>}
+ */
+async function getVersion(metric, version) {
+  const modelVersion = await ModelVersion.findOne({ metric, version }).lean();
+  if (!modelVersion) {
+    throw httpError(404, `Version ${version} of the ${metric} model not found`);
+  }
+  return modelVersion;
+}
+
+/**
+ * List the versions of a metric, newest first
+ * @param {string} metric - Metric name
+ * @param {Object} [options={}] - page (1-based) and limit
+ * @returns {Promise<Object>} Versions and pagination info
+ */
+async function listVersions(metric, options = {}) {
+  const page = Math.max(1, parseInt(options.page) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(options.limit) || DEFAULT_PAGE_SIZE));
+
+  const [versions, total] = await Promise.all([
+    ModelVersion.find({ metric })
+      .sort({ version: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    ModelVersion.countDocuments({ metric })
+  ]);
+
+  return {
+    versions,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+/**
+ * Register a new, inactive version of a metric
+ * The artifacts are saved by the caller to getVersionPath(metric, version).
+ * @param {string} metric - Metric name
+ * @param {Object} record - trigger, trainingWindow, hyperparameters, normalization, metrics, dataHash, inputProfile
+ * @returns {Promise<Object>} Registered version
+ */
+async function createVersion(metric, record) {
+  const latest = await ModelVersion.findOne({ metric }).sort({ version: -1 }).lean();
+
+  try {
+    const modelVersion = await ModelVersion.create({
+      ...record,
+      metric,
+      version: latest ? latest.version + 1 : 1,
+      active: false
+    });
+    return modelVersion.toObject();
+  } catch (error) {
+    // Another instance registered the same version first
+    if (error.code === 11000) {
+      throw httpError(409, `A ${metric} model was registered at the same time, try again`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Make a version the active one of its metric
+ * @param {string} metric - Metric name
+ * @param {number} version - Version number
+ * @param {string} [activatedBy='system'] - User or job that promoted it
+ * @param {Object} [options={}]
+ * @param {boolean} [options.rollback=false] - Keep the version's own rollback target
+ * @returns {Promise<Object>} Promoted version
+ */
+async function promoteVersion(metric, version, activatedBy = 'system', { rollback = false } = {}) {
+  const modelVersion = await getVersion(metric, version);
+  if (modelVersion.active) {
+    return modelVersion;
+  }
+
+  const current = await getActiveVersion(metric);
+  if (current) {
+    await ModelVersion.updateOne({ _id: current._id }, { active: false });
+  }
+
+  const update = { active: true, activatedAt: new Date(), activatedBy };
+  if (!rollback && current) {
+    update.previousVersion = current.version;
+  } else if (!rollback) {
+    update.$unset = { previousVersion: 1 };
+  }
+
+  try {
+    const promoted = await ModelVersion.findOneAndUpdate({ _id: modelVersion._id }, update, { new: true }).lean();
+    logger.info(`${metric} model version ${version} promoted by ${activatedBy}${current ? ` (was version ${current.version})` : ''}`);
+    return promoted;
+  } catch (error) {
+    // Another version was promoted at the same time
+    if (error.code === 11000) {
+      throw httpError(409, `Another ${metric} model version was promoted at the same time, reload and try again`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Reactivate the version that was active before the current one
+ * @param {string} metric - Metric name
+ * @param {string} [activatedBy='system'] - User or job that rolled back
+ * @returns {Promise<Object>} Reactivated version
+ */
+async function rollbackVersion(metric, activatedBy = 'system') {
+  const current = await getActiveVersion(metric);
+  if (!current) {
+    throw httpError(404, `No active ${metric} model`);
+  }
+  if (!current.previousVersion) {
+    throw httpError(409, `Version ${current.version} of the ${metric} model has no earlier version to roll back to`);
+  }
+
+  const previous = await ModelVersion.findOne({ metric, version: current.previousVersion }).lean();
+  if (!previous) {
+    throw httpError(409, `Version ${current.previousVersion} of the ${metric} model was deleted`);
+  }
+
+  return promoteVersion(metric, previous.version, activatedBy, { rollback: true });
+}
+
+/**
+ * Delete an inactive version and its artifacts
+ * @param {string} metric - Metric name
+ * @param {number} version - Version number
+ * @returns {Promise<Object>} Deleted version
+ */
+async function deleteVersion(metric, version) {
+  const modelVersion = await getVersion(metric, version);
+  if (modelVersion.active) {
+    throw httpError(409, `Version ${version} is the active ${metric} model, promote another version first`);
+  }
+
+  await ModelVersion.deleteOne({ _id: modelVersion._id });
+  fs.rmSync(path.join(getMetricDir(metric), `v${version}`), { recursive: true, force: true });
+
+  logger.info(`${metric} model version ${version} deleted`);
+  return modelVersion;
+}
+
+/**
+ * Store the backtest errors of a version
+ * @param {string} metric - Metric name
+ * @param {number} version - Version number
+ * @param {Object} evaluation - mae, mape, rmse and count
+ */
+async function setEvaluation(metric, version, evaluation) {
+  await ModelVersion.updateOne({ metric, version }, { 'metrics.evaluation': evaluation });
+}
+
+/**
+ * Register a model saved before versioning as the active version
+ * Models used to be saved to <metric>_model directly, their files move to the
+ * new version's directory.
+ * @param {string} metric - Metric name
+ * @returns {Promise<Object|null>} Imported version, null without such a model and its metadata
+ */
+async function importUnversionedModel(metric) {
+  const dir = getMetricDir(metric);
+  const metadataPath = path.join(dir, 'metadata.json');
+  if (!fs.existsSync(path.join(dir, 'model.json')) || !fs.existsSync(metadataPath)) {
+    return null;
+  }
+
+  const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+  const { version } = await createVersion(metric, {
+    trigger: 'imported',
+    // The multivariate model keeps its per-feature scaling in metadata.json only
+    ...(typeof metadata.min === 'number' && { normalization: { min: metadata.min, max: metadata.max } }),
+    ...(metadata.trainedOn && { trainingWindow: { targetId: metadata.trainedOn } })
+  });
+
+  const versionDir = path.join(dir, `v${version}`);
+  fs.mkdirSync(versionDir, { recursive: true });
+  for (const file of fs.readdirSync(dir, { withFileTypes: true }).filter(entry => entry.isFile())) {
+    fs.renameSync(path.join(dir, file.name), path.join(versionDir, file.name));
+  }
+
+  logger.info(`Unversioned ${metric} model imported as version ${version}`);
+  return promoteVersion(metric, version, 'system');
+}
+
+module.exports = {
+  getVersionPath,
+  getActiveVersion,
+  listActiveVersions,
+  getVersion,
+  listVersions,
+  createVersion,
+  promoteVersion,
+  rollbackVersion,
+  deleteVersion,
+  setEvaluation,
+  importUnversionedModel
+};
@@ -1,24 +1,96 @@
 // Model service file
 const tf = require('@tensorflow/tfjs');
 const { getHistoricalMetrics } = require('./dataCollectionService');
+const { getDefaultTarget, getTargetSignals, listActiveTargets } = require('./targetService');
+const { loadMultivariateModel, trainMultivariateModel, generateMultivariatePredictions } = require('./multivariateModelService');
+const { evaluatePolicies, getActivePolicies } = require('./policyService');
+const {
+  getEnsembleSettings,
+  getForecastCandidate,
+  getLlmCandidate,
+  getPolicyCandidates,
+  requestLlmRecommendation,
+  combineCandidates
+} = require('./ensembleService');
+const { getScheduledCapacity } = require('./capacityScheduleService');
+const runtimeConfig = require('./runtimeConfigService');
+const {
+  getVersionPath,
+  getActiveVersion,
+  getVersion,
+  createVersion,
+  promoteVersion,
+  deleteVersion,
+  setEvaluation,
+  importUnversionedModel
+} = require('./modelRegistryService');
 const { metricsCache } = require('../utils/cache');
+const { MC_DROPOUT_SAMPLES, summarizeSamples, getScalingValue, describeInterval } = require('../utils/uncertainty');
+const { NETWORK_CAPACITY_MBPS, getSignalSettings, getNetworkUtilization, sizeForSignals } = require('../utils/capacity');
+const { METRIC_NAME_PATTERN } = require('../utils/metricSchema');
+const { profileValues } = require('../utils/drift');
+const { toMemoryPercent } = require('../utils/vmSizes');
 const logger = require('../utils/logger');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 
 // Configuration
 const MODEL_SAVE_PATH = process.env.MODEL_SAVE_PATH || 'file://./models';
 const PREDICTION_HORIZON = parseInt(process.env.PREDICTION_HORIZON || '12'); // 12 time steps (hours) by default
 const LOOKBACK_WINDOW = parseInt(process.env.LOOKBACK_WINDOW || '24'); // 24 time steps (hours) by default
-const CPU_THRESHOLD = parseInt(process.env.CPU_THRESHOLD || '70');
-const MEMORY_THRESHOLD = parseInt(process.env.MEMORY_THRESHOLD || '80');
-const NETWORK_THRESHOLD = parseInt(process.env.NETWORK_THRESHOLD || '75');
+const MODEL_STEP_MINUTES = parseInt(process.env.MODEL_STEP_MINUTES || '60'); // Length of a time step, samples are downsampled to it
 const CURRENT_INSTANCES = parseInt(process.env.CURRENT_INSTANCES || '2');
 
-// Global model references
-let cpuModel;
-let memoryModel;
-let networkModel;
+// Training settings of the univariate models, recorded with every version
+const DEFAULT_HYPERPARAMETERS = {
+  lookbackWindow: LOOKBACK_WINDOW,
+  stepMinutes: MODEL_STEP_MINUTES,
+  units: 50,
+  dropout: 0.2,
+  learningRate: 0.001,
+  epochs: 50,
+  batchSize: 32,
+  validationSplit: 0.2
+};
+
+// Loaded forecast models by metric type (cpu, memory, network or an
+// application signal) and version, as "<metricType>@<version>"
+const models = new Map();
+
+// Models every deployment trains
+const BASE_METRIC_TYPES = ['cpu', 'memory', 'network'];
+
+// Targets already warned about a missing network bandwidth
+const targetsWithoutNetworkCapacity = new Set();
+
+/**
+ * Load a version of a saved model into the cache
+ * Without a version the active one is loaded (see modelRegistryService), a
+ * model saved before versioning is imported as the first version.
+ * @param {string} metricType - Metric type
+ * @param {number} [version] - Version number, defaults to the active version
+ * @returns {Promise<Object>} Model with its version, normalization and input length ({ model, version, min, max, lookbackWindow })
+ */
+async function loadModel(metricType, version) {
+  const modelVersion = version
+    ? await getVersion(metricType, version)
+    : await getActiveVersion(metricType) || await importUnversionedModel(metricType);
+  if (!modelVersion) {
+    throw new Error(`No active ${metricType} model`);
+  }
+
+  const key = `${metricType}@${modelVersion.version}`;
+  if (!models.has(key)) {
+    models.set(key, await tf.loadLayersModel(`${getVersionPath(metricType, modelVersion.version)}/model.json`));
+  }
+  return {
+    model: models.get(key),
+    version: modelVersion.version,
+    ...modelVersion.normalization,
+    lookbackWindow: modelVersion.hyperparameters?.lookbackWindow || LOOKBACK_WINDOW
+  };
+}
 
 /**
  * Initialize model service
@@ -34,56 +106,48 @@ async function initializeModelService() {
       logger.info(`Created model directory: ${modelDir}`);
     }
     
-    // Try to load existing models, or create new ones if they don't exist
-    try {
-      cpuModel = await tf.loadLayersModel(`${MODEL_SAVE_PATH}/cpu_model/model.json`);
-      logger.info('CPU model loaded successfully');
-    } catch (error) {
-      logger.info('No existing CPU model found, will create a new one when training');
-    }
-    
-    try {
-      memoryModel = await tf.loadLayersModel(`${MODEL_SAVE_PATH}/memory_model/model.json`);
-      logger.info('Memory model loaded successfully');
-    } catch (error) {
-      logger.info('No existing memory model found, will create a new one when training');
-    }
-    
-    try {
-      networkModel = await tf.loadLayersModel(`${MODEL_SAVE_PATH}/network_model/model.json`);
-      logger.info('Network model loaded successfully');
-    } catch (error) {
-      logger.info('No existing network model found, will create a new one when training');
+    // Application signals of the default target get a model of their own
+    const defaultTarget = getDefaultTarget();
+    const metricTypes = [
+      ...BASE_METRIC_TYPES,
+      ...getTargetSignals(defaultTarget).map(signal => signal.name)
+    ];
+    
+    // Try to load the active models, or create new ones if they don't exist
+    const missingTypes = [];
+    for (const metricType of metricTypes) {
+      try {
+        const { version } = await loadModel(metricType);
+        logger.info(`${metricType} model version ${version} loaded successfully`);
+      } catch (error) {
+        missingTypes.push(metricType);
+        logger.info(`No existing ${metricType} model found, will create a new one when training`);
+      }
     }
     
     // If any models are missing, try to train them with available data
-    const metricsData = await getHistoricalMetrics(7).catch(() => []);
+    const metricsData = await getHistoricalMetrics(7, defaultTarget.id, { stepMinutes: MODEL_STEP_MINUTES }).catch(() => []);
     
     if (metricsData.length >= LOOKBACK_WINDOW + 2) {
-      if (!cpuModel) {
-        logger.info('Training initial CPU model with available data...');
-        await trainModel('cpu', 7).catch(err => 
-          logger.warn(`Could not train initial CPU model: ${err.message}`)
-        );
-      }
-      
-      if (!memoryModel) {
-        logger.info('Training initial memory model with available data...');
-        await trainModel('memory', 7).catch(err => 
-          logger.warn(`Could not train initial memory model: ${err.message}`)
-        );
-      }
-      
-      if (!networkModel) {
-        logger.info('Training initial network model with available data...');
-        await trainModel('network', 7).catch(err => 
-          logger.warn(`Could not train initial network model: ${err.message}`)
+      for (const metricType of missingTypes) {
+        logger.info(`Training initial ${metricType} model with available data...`);
+        await trainModel(metricType, 7, { target: defaultTarget, trigger: 'startup' }).catch(err => 
+          logger.warn(`Could not train initial ${metricType} model: ${err.message}`)
         );
       }
     } else {
       logger.warn('Not enough historical data for initial model training');
     }
     
+    // The multivariate model is only needed when a target selected it
+    const multivariateTarget = (await listActiveTargets()).find(target => target.forecastModel === 'multivariate');
+    if (multivariateTarget) {
+      await loadMultivariateModel()
+        .then(({ version }) => logger.info(`multivariate model version ${version} loaded successfully`))
+        .catch(() => trainMultivariateModel(7, multivariateTarget, { trigger: 'startup' }))
+        .catch(err => logger.warn(`Could not train initial multivariate model: ${err.message}`));
+    }
+    
     logger.info('Model service initialized');
   } catch (error) {
     logger.error(`Error initializing model service: ${error.message}`, { error });
@@ -91,41 +155,46 @@ async function initializeModelService() {
   }
 }
 
+/**
+ * Values of a metric type in samples, missing values are 0
+ * Memory is utilization percent; available bytes stored by earlier collectors
+ * are converted with the memory of the target's VM size.
+ * @param {Array} metricsArray - Samples from the metrics store, oldest first
+ * @param {string} metricType - cpu, memory, network or the name of an application signal
+ * @param {Object} [options={}]
+ * @param {string} [options.vmSize] - VM size of the samples' target, defaults to the default target's
+ * @returns {number[]}
+ */
+function getMetricValues(metricsArray, metricType, { vmSize } = {}) {
+  switch (metricType) {
+    case 'cpu':
+      return metricsArray.map(m => m.cpu ?? 0);
+    case 'memory': {
+      const size = vmSize || getDefaultTarget().vmSize;
+      return metricsArray.map(m => toMemoryPercent(m.memory, size) ?? 0);
+    }
+    case 'network':
+      return metricsArray.map(m => (m.networkIn ?? 0) + (m.networkOut ?? 0));
+    default:
+      if (!METRIC_NAME_PATTERN.test(metricType)) {
+        throw new Error(`Unknown metric type: ${metricType}`);
+      }
+      return metricsArray.map(m => m[metricType] ?? 0);
+  }
+}
+
 /**
  * Preprocess metrics data for model input
+ * @param {Array} metricsArray - Samples from the metrics store, oldest first
+ * @param {string} metricType - cpu, memory, network or the name of an application signal
+ * @param {number} [lookbackWindow=LOOKBACK_WINDOW] - Steps of an input sequence
+ * @param {Object} [options={}]
+ * @param {string} [options.vmSize] - VM size of the samples' target, for memory
  */
-function preprocessData(metricsArray, metricType) {
+function preprocessData(metricsArray, metricType, lookbackWindow = LOOKBACK_WINDOW, { vmSize } = {}) {
   try {
     // Extract relevant metrics based on type
-    let timeSeriesData;
-    
-    switch (metricType) {
-      case 'cpu':
-        timeSeriesData = metricsArray.map(m => {
-          const cpuMetric = m.cpu?.find(item => item.name?.value === 'Percentage CPU');
-          const avgValue = cpuMetric?.timeseries?.[0]?.data?.[0]?.average || 0;
-          return avgValue;
-        });
-        break;
-      case 'memory':
-        timeSeriesData = metricsArray.map(m => {
-          const memMetric = m.memory?.find(item => item.name?.value === 'Available Memory Bytes');
-          const avgValue = memMetric?.timeseries?.[0]?.data?.[0]?.average || 0;
-          return avgValue;
-        });
-        break;
-      case 'network':
-        timeSeriesData = metricsArray.map(m => {
-          const netInMetric = m.network?.find(item => item.name?.value === 'Network In');
-          const netOutMetric = m.network?.find(item => item.name?.value === 'Network Out');
-          const totalIn = netInMetric?.timeseries?.[0]?.data?.[0]?.total || 0;
-          const totalOut = netOutMetric?.timeseries?.[0]?.data?.[0]?.total || 0;
-          return totalIn + totalOut;
-        });
-        break;
-      default:
-        throw new Error(`Unknown metric type: ${metricType}`);
-    }
+    const timeSeriesData = getMetricValues(metricsArray, metricType, { vmSize });
     
     // Normalize data (simple min-max scaling)
     const min = Math.min(...timeSeriesData);
@@ -139,9 +208,9 @@ function preprocessData(metricsArray, metricType) {
     const sequences = [];
     const targets = [];
     
-    for (let i = 0; i <= normalizedData.length - LOOKBACK_WINDOW - 1; i++) {
-      const sequence = normalizedData.slice(i, i + LOOKBACK_WINDOW);
-      const target = normalizedData[i + LOOKBACK_WINDOW];
+    for (let i = 0; i <= normalizedData.length - lookbackWindow - 1; i++) {
+      const sequence = normalizedData.slice(i, i + lookbackWindow);
+      const target = normalizedData[i + lookbackWindow];
       sequences.push(sequence);
       targets.push(target);
     }
@@ -165,31 +234,32 @@ function preprocessData(metricsArray, metricType) {
 
 /**
  * Create a new time series prediction model
+ * @param {Object} [hyperparameters=DEFAULT_HYPERPARAMETERS] - lookbackWindow, units, dropout and learningRate
  */
-function createModel() {
+function createModel(hyperparameters = DEFAULT_HYPERPARAMETERS) {
   const model = tf.sequential();
   
   // Add layers
   model.add(tf.layers.lstm({
-    units: 50,
+    units: hyperparameters.units,
     returnSequences: true,
-    inputShape: [LOOKBACK_WINDOW, 1]
+    inputShape: [hyperparameters.lookbackWindow, 1]
   }));
   
-  model.add(tf.layers.dropout({ rate: 0.2 }));
+  model.add(tf.layers.dropout({ rate: hyperparameters.dropout }));
   
   model.add(tf.layers.lstm({
-    units: 50,
+    units: hyperparameters.units,
     returnSequences: false
   }));
   
-  model.add(tf.layers.dropout({ rate: 0.2 }));
+  model.add(tf.layers.dropout({ rate: hyperparameters.dropout }));
   
   model.add(tf.layers.dense({ units: 1 }));
   
   // Compile model
   model.compile({
-    optimizer: tf.train.adam(0.001),
+    optimizer: tf.train.adam(hyperparameters.learningRate),
     loss: 'meanSquaredError'
   });
   
@@ -197,79 +267,133 @@ function createModel() {
 }
 
 /**
- * Train model with historical data
+ * Train a new version of a metric's model with historical data
+ * The version is registered with its training window, hyperparameters, losses
+ * and data hash, and backtested in the background.
+ * @param {string} metricType - cpu, memory, network or the name of an application signal
+ * @param {number} [days=30] - Days of history to train on
+ * @param {Object} [options={}]
+ * @param {Object} [options.target] - Target whose history is trained on, defaults to the configured target
+ * @param {boolean} [options.activate=true] - Make the new version the active one
+ * @param {string} [options.trigger='manual'] - What started the training
+ * @param {string} [options.requestedBy='system'] - User or job that started it
+ * @param {number} [options.holdoutSteps=0] - Latest steps left out of the training data
+ * @param {Object} [options.hyperparameters] - Overrides of DEFAULT_HYPERPARAMETERS (epochs, batchSize, lookbackWindow, learningRate)
+ * @param {Function} [options.onEpochEnd] - Called with { epoch, epochs, loss, valLoss } after every epoch
+ * @param {AbortSignal} [options.signal] - Stops the training after the current epoch
+ * @returns {Promise<Object>} Model, version, normalization and final losses
  */
-async function trainModel(metricType, days = 30) {
+async function trainModel(metricType, days = 30, {
+  target = getDefaultTarget(),
+  activate = true,
+  trigger = 'manual',
+  requestedBy = 'system',
+  holdoutSteps = 0,
+  hyperparameters: overrides = {},
+  onEpochEnd,
+  signal
+} = {}) {
   try {
-    logger.info(`Training ${metricType} model with ${days} days of historical data...`);
+    const hyperparameters = { ...DEFAULT_HYPERPARAMETERS, ...overrides };
+    const { lookbackWindow } = hyperparameters;
+    logger.info(`Training ${metricType} model with ${days} days of historical data of target ${target.id}...`);
     
     // Get historical metrics (use cache if available)
-    const metricsArray = await metricsCache.getOrSet(`historical-metrics:${days}`, async () => {
-      return await getHistoricalMetrics(days);
+    const history = await metricsCache.getOrSet(`historical-metrics:${target.id}:${days}`, async () => {
+      return await getHistoricalMetrics(days, target.id, { stepMinutes: MODEL_STEP_MINUTES });
     });
+    const metricsArray = holdoutSteps > 0 ? history.slice(0, -holdoutSteps) : history;
     
-    if (metricsArray.length < LOOKBACK_WINDOW + PREDICTION_HORIZON) {
-      throw new Error(`Not enough historical data for training (got ${metricsArray.length}, need at least ${LOOKBACK_WINDOW + PREDICTION_HORIZON})`);
+    if (metricsArray.length < lookbackWindow + PREDICTION_HORIZON) {
+      throw new Error(`Not enough historical data for training (got ${metricsArray.length}, need at least ${lookbackWindow + PREDICTION_HORIZON})`);
     }
     
     // Preprocess data
-    const { inputs, targets, min, max } = preprocessData(metricsArray, metricType);
+    const { inputs, targets, min, max } = preprocessData(metricsArray, metricType, lookbackWindow, { vmSize: target.vmSize });
     
     // Reshape inputs for LSTM [samples, timesteps, features]
-    const reshapedInputs = inputs.reshape([inputs.shape[0], LOOKBACK_WINDOW, 1]);
+    const reshapedInputs = inputs.reshape([inputs.shape[0], lookbackWindow, 1]);
     
-    // Get or create model
-    let model;
-    
-    switch (metricType) {
-      case 'cpu':
-        if (!cpuModel) {
-          cpuModel = createModel();
-        }
-        model = cpuModel;
-        break;
-      case 'memory':
-        if (!memoryModel) {
-          memoryModel = createModel();
-        }
-        model = memoryModel;
-        break;
-      case 'network':
-        if (!networkModel) {
-          networkModel = createModel();
-        }
-        model = networkModel;
-        break;
-      default:
-        throw new Error(`Unknown metric type: ${metricType}`);
-    }
+    // Every version starts from a new model, the active one keeps serving
+    const model = createModel(hyperparameters);
     
     // Train model
-    await model.fit(reshapedInputs, targets, {
-      epochs: 50,
-      batchSize: 32,
-      validationSplit: 0.2,
+    const { history: losses } = await model.fit(reshapedInputs, targets, {
+      epochs: hyperparameters.epochs,
+      batchSize: hyperparameters.batchSize,
+      validationSplit: hyperparameters.validationSplit,
       callbacks: {
-        onEpochEnd: (epoch, logs) => {
+        onEpochEnd: async (epoch, logs) => {
           if (epoch % 10 === 0) {
             logger.info(`Epoch ${epoch + 1}: loss = ${logs.loss.toFixed(4)}, val_loss = ${logs.val_loss.toFixed(4)}`);
           }
+          if (onEpochEnd) {
+            await onEpochEnd({ epoch: epoch + 1, epochs: hyperparameters.epochs, loss: logs.loss, valLoss: logs.val_loss });
+          }
+          if (signal?.aborted) {
+            model.stopTraining = true;
+          }
         }
       }
     });
     
-    // Save model
-    await model.save(`${MODEL_SAVE_PATH}/${metricType}_model`);
+    if (signal?.aborted) {
+      throw new Error(`Training of the ${metricType} model was cancelled`);
+    }
     
-    // Save normalization params
-    await savePredictionMetadata(metricType, { min, max });
+    // Register the version
+    const values = getMetricValues(metricsArray, metricType, { vmSize: target.vmSize });
+    const { version } = await createVersion(metricType, {
+      trigger,
+      trainingWindow: {
+        targetId: target.id,
+        from: metricsArray[0].timestamp,
+        to: metricsArray[metricsArray.length - 1].timestamp,
+        days,
+        samples: metricsArray.length
+      },
+      hyperparameters,
+      normalization: { min, max },
+      metrics: {
+        loss: losses.loss[losses.loss.length - 1],
+        valLoss: losses.val_loss[losses.val_loss.length - 1]
+      },
+      dataHash: crypto.createHash('sha256').update(JSON.stringify(values)).digest('hex'),
+      inputProfile: profileValues(values)
+    });
+    
+    // Save model and normalization params
+    try {
+      await model.save(getVersionPath(metricType, version));
+      await savePredictionMetadata(metricType, version, { min, max });
+    } catch (error) {
+      await deleteVersion(metricType, version).catch(() => {});
+      throw error;
+    }
+    models.set(`${metricType}@${version}`, model);
     
-    logger.info(`${metricType} model trained and saved successfully`);
+    logger.info(`${metricType} model version ${version} trained and saved successfully`);
     
-    // Clear any cached predictions as they're now outdated
-    metricsCache.delete(`predictions:${metricType}`);
+    if (activate) {
+      await promoteVersion(metricType, version, requestedBy);
+      
+      // Clear any cached predictions as they're now outdated
+      metricsCache.delete(`predictions:${metricType}`);
+    }
     
-    return { model, min, max };
+    // Evaluate the new version in the background
+    require('./backtestService').runBacktest(metricType, { target, model: 'univariate', version, trigger: 'training' })
+      .then(evaluation => setEvaluation(metricType, version, evaluation.methods.model.overall))
+      .catch(err => logger.warn(`Backtest of ${metricType} model version ${version} failed: ${err.message}`));
+    
+    return {
+      model,
+      version,
+      min,
+      max,
+      loss: losses.loss[losses.loss.length - 1],
+      valLoss: losses.val_loss[losses.val_loss.length - 1]
+    };
   } catch (error) {
     logger.error(`Error training ${metricType} model: ${error.message}`, { error });
     throw error;
@@ -277,21 +401,20 @@ async function trainModel(metricType, days = 30) {
 }
 
 /**
- * Save prediction metadata (normalization params)
+ * Save prediction metadata (normalization params) next to a version's model
+ * The registry holds them too, the file keeps the artifacts self-contained.
  */
-async function savePredictionMetadata(metricType, metadata) {
+async function savePredictionMetadata(metricType, version, metadata) {
   try {
-    // Save metadata to model directory
-    const modelDir = MODEL_SAVE_PATH.replace('file://', '');
-    const dir = path.join(modelDir, `${metricType}_model`);
+    const dir = getVersionPath(metricType, version).replace('file://', '');
     
     if (!fs.existsSync(dir)) {
       fs.mkdirSync(dir, { recursive: true });
     }
     
-    fs.writeFileSync(path.join(dir, 'metadata.json'), JSON.stringify(metadata, null, 2));
+    fs.writeFileSync(path.join(dir, 'metadata.json'), JSON.stringify({ ...metadata, version }, null, 2));
     
-    logger.info(`Prediction metadata saved for ${metricType} model`);
+    logger.info(`Prediction metadata saved for ${metricType} model version ${version}`);
   } catch (error) {
     logger.error(`Error saving prediction metadata: ${error.message}`, { error });
     throw error;
@@ -299,133 +422,114 @@ async function savePredictionMetadata(metricType, metadata) {
 }
 
 /**
- * Load prediction metadata (normalization params)
+ * Forecast a metric from the given samples with its univariate model
+ * Used for live predictions as well as for replaying history (see backtestService).
+ * @param {string} metricType - cpu, memory, network or the name of an application signal
+ * @param {Array} samples - Samples, oldest first, the last lookback window of the model is its input
+ * @param {number} steps - Number of steps to predict
+ * @param {Object} [options={}]
+ * @param {Object} [options.target] - Target descriptor, for its forecast percentile
+ * @param {boolean} [options.intervals=true] - Add Monte Carlo dropout intervals
+ * @param {number} [options.from=Date.now()] - Time the forecast starts at (ms)
+ * @param {number} [options.version] - Model version, defaults to the active version
+ * @returns {Promise<Array>} Predictions
  */
-async function loadPredictionMetadata(metricType) {
+async function predictFromSamples(metricType, samples, steps, { target = {}, intervals = true, from = Date.now(), version } = {}) {
+  // Get the appropriate model and its normalization parameters
+  let loaded;
   try {
-    const modelDir = MODEL_SAVE_PATH.replace('file://', '');
-    const metadataPath = path.join(modelDir, `${metricType}_model`, 'metadata.json');
+    loaded = await loadModel(metricType, version);
+  } catch (e) {
+    throw new Error(`${metricType} model not available: ${e.message}`);
+  }
+  
+  const { model, min, max, lookbackWindow } = loaded;
+  if (samples.length < lookbackWindow) {
+    throw new Error(`Not enough historical data for prediction (got ${samples.length}, need at least ${lookbackWindow})`);
+  }
+  
+  // The input is scaled like the training data
+  const range = max - min;
+  const initialSequence = getMetricValues(samples.slice(-lookbackWindow), metricType, { vmSize: target.vmSize })
+    .map(value => (range > 0 ? (value - min) / range : 0.5));
+  
+  // Generate predictions
+  const predictions = [];
+  let currentSequence = [...initialSequence];
+  
+  // Monte Carlo dropout runs for the prediction interval (see utils/uncertainty)
+  const runs = intervals ? Array.from({ length: MC_DROPOUT_SAMPLES }, () => [...initialSequence]) : [];
+  
+  for (let i = 0; i < steps; i++) {
+    // Prepare input
+    const inputTensor = tf.tensor2d([currentSequence]).reshape([1, lookbackWindow, 1]);
+    
+    // Generate prediction
+    const predictionTensor = model.predict(inputTensor);
+    const predictionValue = predictionTensor.dataSync()[0];
+    
+    // Denormalize prediction
+    const denormalizedValue = predictionValue * range + min;
+    
+    // Add timestamp for this prediction
+    const timestampForPrediction = new Date(from + (i + 1) * MODEL_STEP_MINUTES * 60 * 1000);
     
-    if (!fs.existsSync(metadataPath)) {
-      throw new Error(`No metadata found for ${metricType} model`);
+    const prediction = {
+      timestamp: timestampForPrediction.toISOString(),
+      value: parseFloat(denormalizedValue.toFixed(2)),
+      normalized: parseFloat(predictionValue.toFixed(4))
+    };
+    
+    if (runs.length > 0) {
+      // All runs in one batch with the dropout layers active, each continues its own sequence
+      const sampled = tf.tidy(() => Array.from(model.apply(
+        tf.tensor3d(runs.map(sequence => sequence.map(value => [value]))),
+        { training: true }
+      ).dataSync()));
+      runs.forEach((sequence, j) => {
+        sequence.shift();
+        sequence.push(sampled[j]);
+      });
+      Object.assign(prediction, summarizeSamples(sampled.map(value => value * range + min), target.forecastPercentile));
     }
     
-    const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
-    return metadata;
-  } catch (error) {
-    logger.error(`Error loading prediction metadata: ${error.message}`, { error });
-    throw error;
+    // Add to predictions array
+    predictions.push(prediction);
+    
+    // Update sequence for next prediction (rolling window)
+    currentSequence.shift();
+    currentSequence.push(predictionValue);
+    
+    // Clean up tensors
+    predictionTensor.dispose();
+    inputTensor.dispose();
   }
+  
+  return predictions;
 }
 
 /**
  * Generate predictions for future resource usage
+ * Targets with `forecastModel: 'multivariate'` are forecast by the joint model
+ * (see multivariateModelService).
+ * @param {string} metricType - cpu, memory, network or the name of an application signal
+ * @param {number} [steps=PREDICTION_HORIZON] - Number of steps to predict
+ * @param {Object} [target] - Target whose metrics are used, defaults to the configured target
  */
-async function generatePredictions(metricType, steps = PREDICTION_HORIZON) {
+async function generatePredictions(metricType, steps = PREDICTION_HORIZON, target = getDefaultTarget()) {
   try {
-    logger.info(`Generating ${steps} predictions for ${metricType}`);
-    
-    // Get recent metrics
-    const recentMetrics = await metricsCache.getOrSet('recent-metrics', async () => {
-      return await getHistoricalMetrics(7); // Get last 7 days of data
-    }, 60 * 1000); // Cache for 1 minute
-    
-    if (recentMetrics.length < LOOKBACK_WINDOW) {
-      throw new Error(`Not enough historical data for prediction (got ${recentMetrics.length}, need at least ${LOOKBACK_WINDOW})`);
-    }
-    
-    let model;
-    let metadata;
-    
-    // Get the appropriate model and metadata
-    switch (metricType) {
-      case 'cpu':
-        if (!cpuModel) {
-          // Try to load the model
-          try {
-            cpuModel = await tf.loadLayersModel(`${MODEL_SAVE_PATH}/cpu_model/model.json`);
-          } catch (e) {
-            throw new Error(`CPU model not available: ${e.message}`);
-          }
-        }
-        model = cpuModel;
-        metadata = await loadPredictionMetadata('cpu');
-        break;
-      case 'memory':
-        if (!memoryModel) {
-          try {
-            memoryModel = await tf.loadLayersModel(`${MODEL_SAVE_PATH}/memory_model/model.json`);
-          } catch (e) {
-            throw new Error(`Memory model not available: ${e.message}`);
-          }
-        }
-        model = memoryModel;
-        metadata = await loadPredictionMetadata('memory');
-        break;
-      case 'network':
-        if (!networkModel) {
-          try {
-            networkModel = await tf.loadLayersModel(`${MODEL_SAVE_PATH}/network_model/model.json`);
-          } catch (e) {
-            throw new Error(`Network model not available: ${e.message}`);
-          }
-        }
-        model = networkModel;
-        metadata = await loadPredictionMetadata('network');
-        break;
-      default:
-        throw new Error(`Unknown metric type: ${metricType}`);
-    }
-    
-    // Extract normalization parameters
-    const { min, max } = metadata;
-    const range = max - min;
-    
-    // Extract and normalize relevant metrics for sequence input
-    const { normalizedData } = preprocessData(recentMetrics, metricType);
-    
-    // Get the most recent window for prediction
-    const initialSequence = normalizedData.slice(-LOOKBACK_WINDOW);
+    logger.info(`Generating ${steps} predictions for ${metricType} (target: ${target.name})`);
     
-    // Ensure sequence is the right length
-    if (initialSequence.length < LOOKBACK_WINDOW) {
-      throw new Error(`Insufficient data for lookback window (got ${initialSequence.length}, need ${LOOKBACK_WINDOW})`);
+    if (target.forecastModel === 'multivariate') {
+      return await generateMultivariatePredictions(metricType, steps, target);
     }
     
-    // Generate predictions
-    const predictions = [];
-    let currentSequence = [...initialSequence];
+    // Get recent metrics
+    const recentMetrics = await metricsCache.getOrSet(`recent-metrics:${target.id}`, async () => {
+      return await getHistoricalMetrics(7, target.id, { stepMinutes: MODEL_STEP_MINUTES }); // Get last 7 days of data
+    }, 60 * 1000); // Cache for 1 minute
     
-    for (let i = 0; i < steps; i++) {
-      // Prepare input
-      const inputTensor = tf.tensor2d([currentSequence]).reshape([1, LOOKBACK_WINDOW, 1]);
-      
-      // Generate prediction
-      const predictionTensor = model.predict(inputTensor);
-      const predictionValue = predictionTensor.dataSync()[0];
-      
-      // Denormalize prediction
-      const denormalizedValue = predictionValue * range + min;
-      
-      // Add timestamp for this prediction
-      const timestampForPrediction = new Date();
-      timestampForPrediction.setHours(timestampForPrediction.getHours() + i + 1);
-      
-      // Add to predictions array
-      predictions.push({
-        timestamp: timestampForPrediction.toISOString(),
-        value: parseFloat(denormalizedValue.toFixed(2)),
-        normalized: parseFloat(predictionValue.toFixed(4))
-      });
-      
-      // Update sequence for next prediction (rolling window)
-      currentSequence.shift();
-      currentSequence.push(predictionValue);
-      
-      // Clean up tensors
-      predictionTensor.dispose();
-      inputTensor.dispose();
-    }
+    const predictions = await predictFromSamples(metricType, recentMetrics, steps, { target });
     
     logger.info(`Generated ${predictions.length} predictions for ${metricType}`);
     return predictions;
@@ -437,110 +541,181 @@ async function generatePredictions(metricType, steps = PREDICTION_HORIZON) {
 }
 
 /**
- * Get scaling recommendations based on predictions
+ * Size a target from the forecasts of its signals
+ * @param {Object} target - Target descriptor
+ * @param {number} currentInstances - Current instance count
+ * @returns {Promise<Object>} metrics (forecast and sizing per signal), instances and bindingSignal (null without any forecast)
  */
-async function getScalingRecommendations() {
+async function getForecastCapacity(target, currentInstances) {
+  const { cpu: CPU_THRESHOLD, memory: MEMORY_THRESHOLD, network: NETWORK_THRESHOLD } = target.thresholds;
+  
+  // Generate predictions for all metrics
+  let cpuPredictions = [];
+  let memoryPredictions = [];
+  let networkPredictions = [];
+  
   try {
-    // Generate predictions for all metrics
-    let cpuPredictions = [];
-    let memoryPredictions = [];
-    let networkPredictions = [];
-    
+    cpuPredictions = await generatePredictions('cpu', PREDICTION_HORIZON, target);
+  } catch (error) {
+    logger.warn(`Could not generate CPU predictions: ${error.message}`);
+  }
+  
+  try {
+    memoryPredictions = await generatePredictions('memory', PREDICTION_HORIZON, target);
+  } catch (error) {
+    logger.warn(`Could not generate memory predictions: ${error.message}`);
+  }
+  
+  try {
+    networkPredictions = await generatePredictions('network', PREDICTION_HORIZON, target);
+  } catch (error) {
+    logger.warn(`Could not generate network predictions: ${error.message}`);
+  }
+  
+  // Forecasts are compared at the target's percentile when it has one (see utils/uncertainty)
+  const getPeak = predictions => predictions.length > 0 ? Math.max(...predictions.map(getScalingValue)) : 0;
+  
+  // The network forecast is in bytes, its threshold is a share of the instances'
+  // bandwidth; without a bandwidth network is forecast but not sized for
+  const networkCapacityMbps = target.networkCapacityMbps ?? NETWORK_CAPACITY_MBPS;
+  if (!networkCapacityMbps && !targetsWithoutNetworkCapacity.has(target.id)) {
+    targetsWithoutNetworkCapacity.add(target.id);
+    logger.warn(`Target ${target.id} has no network bandwidth (networkCapacityMbps or NETWORK_CAPACITY_MBPS), network is left out of the sizing`);
+  }
+  const networkUtilization = networkCapacityMbps && networkPredictions.length > 0
+    ? getNetworkUtilization(getPeak(networkPredictions), MODEL_STEP_MINUTES, currentInstances, networkCapacityMbps)
+    : null;
+  
+  // Forecast of every signal with the value it is sized on, in threshold units
+  const signals = [
+    { name: 'cpu', predictions: cpuPredictions, threshold: CPU_THRESHOLD, peak: getPeak(cpuPredictions) },
+    { name: 'memory', predictions: memoryPredictions, threshold: MEMORY_THRESHOLD, peak: getPeak(memoryPredictions) },
+    ...(networkCapacityMbps ? [{ name: 'network', predictions: networkPredictions, threshold: NETWORK_THRESHOLD, peak: networkUtilization }] : [])
+  ];
+  
+  // Application signals with a threshold are forecast as well
+  for (const { name, threshold } of getTargetSignals(target).filter(signal => Number.isFinite(signal.threshold))) {
     try {
-      cpuPredictions = await generatePredictions('cpu');
+      const predictions = await generatePredictions(name, PREDICTION_HORIZON, target);
+      signals.push({ name, predictions, threshold, peak: getPeak(predictions) });
     } catch (error) {
-      logger.warn(`Could not generate CPU predictions: ${error.message}`);
+      logger.warn(`Could not generate ${name} predictions: ${error.message}`);
     }
+  }
+  
+  for (const signal of signals) {
+    Object.assign(signal, getSignalSettings(target, signal.name));
+  }
+  
+  // Size for every signal with a forecast, the one needing the most instances binds
+  const sizing = sizeForSignals(signals.filter(signal => signal.predictions.length > 0), currentInstances);
+  
+  const metrics = Object.fromEntries(signals.map(({ name, predictions, threshold, peak, weight, headroom }) => [name, {
+    predictions,
+    exceedsThreshold: peak !== null && peak > threshold,
+    maxPrediction: getPeak(predictions),
+    threshold,
+    weight,
+    headroom,
+    requiredInstances: sizing.requiredInstances[name] ?? null,
+    interval: describeInterval(predictions)
+  }]));
+  // Without a bandwidth the network forecast is reported for the charts only
+  metrics.network = metrics.network
+    ? { ...metrics.network, utilization: networkUtilization }
+    : { predictions: networkPredictions, maxPrediction: getPeak(networkPredictions), utilization: null, interval: describeInterval(networkPredictions) };
+  
+  // Limit max scaling to prevent overly aggressive scaling, and keep within
+  // the target's instance bounds (and at least 1 instance)
+  let instances = Math.min(sizing.instances, currentInstances * 2, target.maxInstances);
+  instances = Math.max(1, target.minInstances, instances);
+  
+  return { metrics, instances, bindingSignal: sizing.bindingSignal };
+}
+
+/**
+ * Get scaling recommendations
+ * The forecast, the LLM and the target's scaling policies each propose an
+ * instance count, combined by the target's ensemble strategy (see ensembleService).
+ * @param {Object} [target] - Target to recommend for, defaults to the configured target
+ * @param {Object} [options={}]
+ * @param {boolean} [options.includeLlm=true] - Ask the LLM for a candidate as well
+ */
+async function getScalingRecommendations(target = getDefaultTarget(), { includeLlm = true } = {}) {
+  const { cpu: CPU_THRESHOLD, memory: MEMORY_THRESHOLD, network: NETWORK_THRESHOLD } = target.thresholds;
+  
+  try {
+    const infrastructureService = require('./infrastructureService');
     
+    // Get current instance count
+    let currentInstances = CURRENT_INSTANCES;
     try {
-      memoryPredictions = await generatePredictions('memory');
+      // Try to get actual current instances
+      currentInstances = await infrastructureService.getCurrentCapacity(target);
     } catch (error) {
-      logger.warn(`Could not generate memory predictions: ${error.message}`);
+      logger.warn(`Could not get current capacity, using default value (${CURRENT_INSTANCES}): ${error.message}`);
     }
     
+    const forecast = await getForecastCapacity(target, currentInstances);
+    
+    // The policies are evaluated on observed metrics, which the LLM gets as well
+    let metricsData = null;
+    let policies = [];
     try {
-      networkPredictions = await generatePredictions('network');
+      metricsData = await infrastructureService.getRecentMetrics(target);
+      policies = await evaluatePolicies(target, { currentInstances, samples: metricsData.samples });
     } catch (error) {
-      logger.warn(`Could not generate network predictions: ${error.message}`);
+      logger.warn(`Could not evaluate scaling policies: ${error.message}`);
     }
     
-    // Analyze predictions for scaling decisions
-    // Check if any predictions exceed thresholds
-    const cpuExceedsThreshold = cpuPredictions.some(p => p.value > CPU_THRESHOLD);
-    const memoryExceedsThreshold = memoryPredictions.some(p => p.value > MEMORY_THRESHOLD);
-    const networkExceedsThreshold = networkPredictions.some(p => p.value > NETWORK_THRESHOLD);
+    let llmRecommendation = null;
+    if (includeLlm && metricsData?.samples?.length > 0) {
+      try {
+        llmRecommendation = await requestLlmRecommendation(target, currentInstances, metricsData, {
+          policies: await getActivePolicies(target.id)
+        });
+      } catch (error) {
+        logger.warn(`Could not get an LLM recommendation: ${error.message}`);
+      }
+    }
     
-    // Get current instance count
-    let currentInstances = CURRENT_INSTANCES;
+    let scheduled = null;
     try {
-      // Try to get actual current instances
-      currentInstances = await require('./infrastructureService').getCurrentVMSSCapacity();
+      scheduled = await getScheduledCapacity(target);
     } catch (error) {
-      logger.warn(`Could not get current VMSS capacity, using default value (${CURRENT_INSTANCES}): ${error.message}`);
+      logger.warn(`Could not evaluate capacity schedules: ${error.message}`);
     }
     
-    // Calculate recommended instance count based on highest predictions
-    const maxCpuPrediction = cpuPredictions.length > 0 
-      ? Math.max(...cpuPredictions.map(p => p.value))
-      : 0;
-      
-    const maxMemoryPrediction = memoryPredictions.length > 0
-      ? Math.max(...memoryPredictions.map(p => p.value))
-      : 0;
-      
-    const maxNetworkPrediction = networkPredictions.length > 0
-      ? Math.max(...networkPredictions.map(p => p.value))
-      : 0;
-    
-    // Calculate scaling factor based on CPU as primary metric
-    // Only scale out if exceeds threshold
-    let recommendedInstances = currentInstances;
-    
-    if (cpuExceedsThreshold) {
-      // Formula: Scale instances proportionally to CPU utilization over threshold
-      recommendedInstances = Math.ceil(currentInstances * (maxCpuPrediction / CPU_THRESHOLD));
-      
-      // Alternative approach: One instance per x% over threshold
-      // const scalingStep = Math.ceil((maxCpuPrediction - CPU_THRESHOLD) / 20); // 1 instance per 20% over threshold
-      // recommendedInstances = currentInstances + scalingStep;
-    } else if (maxCpuPrediction < CPU_THRESHOLD * 0.5 && currentInstances > 1) {
-      // Scale in if CPU is less than 50% of threshold and we have multiple instances
-      recommendedInstances = Math.max(1, Math.floor(currentInstances * (maxCpuPrediction / (CPU_THRESHOLD * 0.7))));
-    }
-    
-    // Limit max scaling to prevent overly aggressive scaling
-    const maxScaleOut = currentInstances * 2;
-    recommendedInstances = Math.min(recommendedInstances, maxScaleOut);
-    
-    // Sanity check - ensure we have at least 1 instance
-    recommendedInstances = Math.max(1, recommendedInstances);
+    const combined = combineCandidates(target, [
+      getForecastCandidate(forecast),
+      getLlmCandidate(llmRecommendation, runtimeConfig.getConfig('scaling').confidenceThreshold),
+      ...getPolicyCandidates(policies)
+    ], { scheduled, currentInstances });
+    const recommendedInstances = combined?.targetInstances ?? currentInstances;
     
     // Return scaling recommendations
     return {
       timestamp: new Date().toISOString(),
-      metrics: {
-        cpu: {
-          predictions: cpuPredictions,
-          exceedsThreshold: cpuExceedsThreshold,
-          maxPrediction: maxCpuPrediction,
-          threshold: CPU_THRESHOLD
-        },
-        memory: {
-          predictions: memoryPredictions,
-          exceedsThreshold: memoryExceedsThreshold,
-          maxPrediction: maxMemoryPrediction,
-          threshold: MEMORY_THRESHOLD
-        },
-        network: {
-          predictions: networkPredictions,
-          exceedsThreshold: networkExceedsThreshold,
-          maxPrediction: maxNetworkPrediction,
-          threshold: NETWORK_THRESHOLD
-        }
+      target: { id: target.id, name: target.name },
+      // Percentile of the forecasts the recommendation scaled on, null for the point forecast
+      percentile: MC_DROPOUT_SAMPLES > 0 ? target.forecastPercentile ?? null : null,
+      metrics: forecast.metrics,
+      policies,
+      schedule: scheduled,
+      ensemble: {
+        strategy: combined?.strategy ?? getEnsembleSettings(target).strategy,
+        candidates: combined?.candidates ?? [],
+        // Whether the forecast and the LLM agree, null unless both proposed a count
+        agreement: combined?.agreement ?? null
       },
       scaling: {
         currentInstances,
+        forecastInstances: forecast.instances,
+        // Signal the forecast was sized on
+        bindingSignal: forecast.bindingSignal,
+        requestedInstances: combined?.desiredInstances ?? currentInstances,
         recommendedInstances,
+        decidedBy: combined?.decidedBy ?? 'current',
         scaleOutRecommended: recommendedInstances > currentInstances,
         scaleInRecommended: recommendedInstances < currentInstances
       }
@@ -551,6 +726,7 @@ async function getScalingRecommendations() {
     // Return a default recommendation with no scaling action
     return {
       timestamp: new Date().toISOString(),
+      target: { id: target.id, name: target.name },
       error: error.message,
       metrics: {
         cpu: { predictions: [], threshold: CPU_THRESHOLD },
@@ -572,6 +748,9 @@ module.exports = {
   trainModel,
   createModel,
   generatePredictions,
+  predictFromSamples,
+  getForecastCapacity,
   getScalingRecommendations,
-  preprocessData
+  preprocessData,
+  getMetricValues
 }; 
@@ -0,0 +1,415 @@
+// Multivariate forecast model
+// One LSTM over all metrics of a target instead of a model per metric: every
+// time step holds CPU, memory, network, the application signals, the instance
+// count and calendar features (hour of day, day of week), and the model
+// predicts the next step of all metrics jointly. Targets select it with
+// `forecastModel: 'multivariate'` (FORECAST_MODEL for the default target).
+// Trainings are registered as versions of the `multivariate` model in the
+// model registry, like the models of single metrics.
+const tf = require('@tensorflow/tfjs');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getHistoricalMetrics } = require('./dataCollectionService');
+const { getDefaultTarget, getTargetSignals } = require('./targetService');
+const {
+  getVersionPath,
+  getVersion,
+  getActiveVersion,
+  createVersion,
+  promoteVersion,
+  deleteVersion,
+  importUnversionedModel
+} = require('./modelRegistryService');
+const { INSTANCES_FIELD } = require('../utils/metricSchema');
+const { toMemoryPercent } = require('../utils/vmSizes');
+const { metricsCache } = require('../utils/cache');
+const { MC_DROPOUT_SAMPLES, summarizeSamples } = require('../utils/uncertainty');
+const logger = require('../utils/logger');
+
+// Configuration
+const PREDICTION_HORIZON = parseInt(process.env.PREDICTION_HORIZON || '12');
+const LOOKBACK_WINDOW = parseInt(process.env.LOOKBACK_WINDOW || '24');
+const MODEL_STEP_MINUTES = parseInt(process.env.MODEL_STEP_MINUTES || '60');
+
+// Name of the model in the registry, its versions are saved in <MODEL_SAVE_PATH>/multivariate_model/v<version>
+const MULTIVARIATE_MODEL = 'multivariate';
+
+// Metrics every multivariate model predicts, application signals are added per target
+const BASE_OUTPUTS = ['cpu', 'memory', 'network'];
+
+// Training defaults, overridable per training
+const DEFAULT_HYPERPARAMETERS = {
+  epochs: 50,
+  batchSize: 32,
+  lookbackWindow: LOOKBACK_WINDOW,
+  learningRate: 0.001,
+  validationSplit: 0.2
+};
+
+// Cyclic encoding of the time of a step (UTC), known for future steps as well
+const CALENDAR_FEATURES = ['hourSin', 'hourCos', 'weekdaySin', 'weekdayCos'];
+
+// Loaded versions by version number, { model, metadata, version }
+const loaded = new Map();
+
+/**
+ * Calendar features of a point in time
+ * @param {Date} date - Time of the step
+ * @returns {number[]} Values in the order of CALENDAR_FEATURES
+ */
+function getCalendarFeatures(date) {
+  const hour = (date.getUTCHours() + date.getUTCMinutes() / 60) / 24;
+  const weekday = date.getUTCDay() / 7;
+
+  return [
+    Math.sin(2 * Math.PI * hour),
+    Math.cos(2 * Math.PI * hour),
+    Math.sin(2 * Math.PI * weekday),
+    Math.cos(2 * Math.PI * weekday)
+  ];
+}
+
+/**
+ * Value of a model output (or the instance count) in a sample
+ * @param {string} [vmSize] - VM size of the sample's target, for memory
+ * @returns {number|null} null when missing
+ */
+function getSampleValue(sample, name, vmSize) {
+  if (name === 'memory') {
+    return toMemoryPercent(sample.memory, vmSize);
+  }
+  if (name === 'network') {
+    return sample.networkIn === null && sample.networkOut === null
+      ? null
+      : (sample.networkIn ?? 0) + (sample.networkOut ?? 0);
+  }
+  return sample[name] ?? null;
+}
+
+/**
+ * Turn samples into feature rows
+ * Missing values repeat the last known value (the first known one at the
+ * start), features without any value are 0.
+ * @param {Array} samples - Samples, oldest first
+ * @param {string[]} outputs - Metrics the model predicts
+ * @param {Object} [options={}]
+ * @param {string} [options.vmSize] - VM size of the samples' target, defaults to the default target's
+ * @returns {number[][]} Rows of outputs, instance count and calendar features
+ */
+function buildFeatureRows(samples, outputs, { vmSize = getDefaultTarget().vmSize } = {}) {
+  const columns = [...outputs, INSTANCES_FIELD].map(name => {
+    const values = samples.map(sample => getSampleValue(sample, name, vmSize));
+    let last = values.find(value => value !== null) ?? 0;
+    return values.map(value => (last = value ?? last));
+  });
+
+  return samples.map((sample, i) => [
+    ...columns.map(column => column[i]),
+    ...getCalendarFeatures(new Date(sample.timestamp))
+  ]);
+}
+
+/**
+ * Min-max scale a feature row, constant features become 0.5
+ */
+function scaleRow(row, { min, max }) {
+  return row.map((value, i) => (max[i] > min[i] ? (value - min[i]) / (max[i] - min[i]) : 0.5));
+}
+
+/**
+ * Create the multivariate LSTM
+ * @param {number} featureCount - Features per time step
+ * @param {number} outputCount - Metrics predicted per step
+ * @param {Object} [hyperparameters=DEFAULT_HYPERPARAMETERS] - lookbackWindow and learningRate
+ */
+function createMultivariateModel(featureCount, outputCount, { lookbackWindow, learningRate } = DEFAULT_HYPERPARAMETERS) {
+  const model = tf.sequential();
+
+  model.add(tf.layers.lstm({
+    units: 64,
+    returnSequences: true,
+    inputShape: [lookbackWindow, featureCount]
+  }));
+
+  model.add(tf.layers.dropout({ rate: 0.2 }));
+
+  model.add(tf.layers.lstm({
+    units: 64,
+    returnSequences: false
+  }));
+
+  model.add(tf.layers.dropout({ rate: 0.2 }));
+
+  model.add(tf.layers.dense({ units: outputCount }));
+
+  model.compile({
+    optimizer: tf.train.adam(learningRate),
+    loss: 'meanSquaredError'
+  });
+
+  return model;
+}
+
+/**
+ * Train a new version of the multivariate model on the history of a target
+ * The target's application signals become additional outputs. The version is
+ * registered with its training window, hyperparameters, losses and data hash.
+ * @param {number} [days=30] - Days of history to train on
+ * @param {Object} [target] - Target whose history is used, defaults to the configured target
+ * @param {Object} [options={}]
+ * @param {boolean} [options.activate=true] - Make the new version the active one
+ * @param {string} [options.trigger='manual'] - What started the training
+ * @param {string} [options.requestedBy='system'] - User or job that started it
+ * @param {Object} [options.hyperparameters] - Overrides of DEFAULT_HYPERPARAMETERS (epochs, batchSize, lookbackWindow, learningRate)
+ * @param {Function} [options.onEpochEnd] - Called with { epoch, epochs, loss, valLoss } after every epoch
+ * @param {AbortSignal} [options.signal] - Stops the training after the current epoch
+ * @returns {Promise<Object>} Metadata of the trained model with its version and final losses
+ */
+async function trainMultivariateModel(days = 30, target = getDefaultTarget(), {
+  activate = true,
+  trigger = 'manual',
+  requestedBy = 'system',
+  hyperparameters: overrides = {},
+  onEpochEnd,
+  signal
+} = {}) {
+  const hyperparameters = { ...DEFAULT_HYPERPARAMETERS, ...overrides };
+  const { lookbackWindow } = hyperparameters;
+  logger.info(`Training multivariate model with ${days} days of historical data (target: ${target.name})...`);
+
+  const samples = await getHistoricalMetrics(days, target.id, { stepMinutes: MODEL_STEP_MINUTES });
+
+  if (samples.length < lookbackWindow + PREDICTION_HORIZON) {
+    throw new Error(`Not enough historical data for training (got ${samples.length}, need at least ${lookbackWindow + PREDICTION_HORIZON})`);
+  }
+
+  const outputs = [...BASE_OUTPUTS, ...getTargetSignals(target).map(signal => signal.name)];
+  const features = [...outputs, INSTANCES_FIELD, ...CALENDAR_FEATURES];
+  const rows = buildFeatureRows(samples, outputs, { vmSize: target.vmSize });
+
+  const scaling = {
+    min: features.map((_, i) => Math.min(...rows.map(row => row[i]))),
+    max: features.map((_, i) => Math.max(...rows.map(row => row[i])))
+  };
+  const scaled = rows.map(row => scaleRow(row, scaling));
+
+  // Each window of lookbackWindow steps predicts the outputs of the step after it
+  const sequences = [];
+  const targets = [];
+  for (let i = 0; i + lookbackWindow < scaled.length; i++) {
+    sequences.push(scaled.slice(i, i + lookbackWindow));
+    targets.push(scaled[i + lookbackWindow].slice(0, outputs.length));
+  }
+
+  const inputs = tf.tensor3d(sequences);
+  const labels = tf.tensor2d(targets);
+  const model = createMultivariateModel(features.length, outputs.length, hyperparameters);
+
+  let losses;
+  try {
+    ({ history: losses } = await model.fit(inputs, labels, {
+      epochs: hyperparameters.epochs,
+      batchSize: hyperparameters.batchSize,
+      validationSplit: hyperparameters.validationSplit,
+      callbacks: {
+        onEpochEnd: async (epoch, logs) => {
+          if (epoch % 10 === 0) {
+            logger.info(`Epoch ${epoch + 1}: loss = ${logs.loss.toFixed(4)}, val_loss = ${logs.val_loss.toFixed(4)}`);
+          }
+          if (onEpochEnd) {
+            await onEpochEnd({ epoch: epoch + 1, epochs: hyperparameters.epochs, loss: logs.loss, valLoss: logs.val_loss });
+          }
+          if (signal?.aborted) {
+            model.stopTraining = true;
+          }
+        }
+      }
+    }));
+  } finally {
+    inputs.dispose();
+    labels.dispose();
+  }
+
+  if (signal?.aborted) {
+    model.dispose();
+    throw new Error('Training of the multivariate model was cancelled');
+  }
+
+  const loss = losses.loss[losses.loss.length - 1];
+  const valLoss = losses.val_loss[losses.val_loss.length - 1];
+  const { version } = await createVersion(MULTIVARIATE_MODEL, {
+    trigger,
+    trainingWindow: {
+      targetId: target.id,
+      from: samples[0].timestamp,
+      to: samples[samples.length - 1].timestamp,
+      days,
+      samples: samples.length
+    },
+    hyperparameters,
+    metrics: { loss, valLoss },
+    dataHash: crypto.createHash('sha256').update(JSON.stringify(rows)).digest('hex')
+  });
+
+  const metadata = {
+    features,
+    outputs,
+    ...scaling,
+    lookbackWindow,
+    stepMinutes: MODEL_STEP_MINUTES,
+    trainedOn: target.id,
+    trainedAt: new Date().toISOString(),
+    version
+  };
+
+  // Save the artifacts next to the other versions, never over the active one
+  try {
+    const dir = getVersionPath(MULTIVARIATE_MODEL, version);
+    await model.save(dir);
+    fs.writeFileSync(path.join(dir.replace('file://', ''), 'metadata.json'), JSON.stringify(metadata, null, 2));
+  } catch (error) {
+    await deleteVersion(MULTIVARIATE_MODEL, version).catch(() => {});
+    throw error;
+  }
+  loaded.set(version, { model, metadata, version });
+
+  logger.info(`Multivariate model version ${version} trained and saved successfully (outputs: ${outputs.join(', ')})`);
+
+  if (activate) {
+    await promoteVersion(MULTIVARIATE_MODEL, version, requestedBy);
+  }
+
+  return { ...metadata, loss, valLoss };
+}
+
+/**
+ * Load a version of the multivariate model and its metadata
+ * Without a version the active one is loaded, a model saved before versioning
+ * is imported as the first version.
+ * @param {number} [version] - Version number, defaults to the active version
+ * @returns {Promise<Object>} { model, metadata, version }
+ */
+async function loadMultivariateModel(version) {
+  const modelVersion = version
+    ? await getVersion(MULTIVARIATE_MODEL, version)
+    : await getActiveVersion(MULTIVARIATE_MODEL) || await importUnversionedModel(MULTIVARIATE_MODEL);
+  if (!modelVersion) {
+    throw new Error('No multivariate model found, train it first');
+  }
+
+  if (!loaded.has(modelVersion.version)) {
+    const dir = getVersionPath(MULTIVARIATE_MODEL, modelVersion.version);
+    const model = await tf.loadLayersModel(`${dir}/model.json`);
+    const metadata = JSON.parse(fs.readFileSync(path.join(dir.replace('file://', ''), 'metadata.json'), 'utf8'));
+    loaded.set(modelVersion.version, { model, metadata, version: modelVersion.version });
+  }
+  return loaded.get(modelVersion.version);
+}
+
+/**
+ * Forecast all outputs of the multivariate model from the given samples
+ * Predictions are fed back step by step with the calendar features of the
+ * predicted step, the instance count stays at its last value.
+ * @param {Array} samples - Samples at the model's step, oldest first
+ * @param {number} steps - Number of steps to predict
+ * @param {Object} [options={}]
+ * @param {Object} [options.target] - Target descriptor, for its forecast percentile
+ * @param {boolean} [options.intervals=true] - Add Monte Carlo dropout intervals
+ * @param {number} [options.version] - Model version, defaults to the active version
+ * @returns {Promise<Object>} Predictions ({ timestamp, value, normalized, lower, upper }) by output name
+ */
+async function predictFromSamples(samples, steps, { target = {}, intervals = true, version } = {}) {
+  const { model, metadata } = await loadMultivariateModel(version);
+  const { outputs, min, max, lookbackWindow, stepMinutes } = metadata;
+
+  if (samples.length < lookbackWindow) {
+    throw new Error(`Not enough historical data for prediction (got ${samples.length}, need at least ${lookbackWindow})`);
+  }
+
+  const rows = buildFeatureRows(samples, outputs, { vmSize: target.vmSize });
+  const window = rows.slice(-lookbackWindow).map(row => scaleRow(row, metadata));
+  const instances = rows[rows.length - 1][outputs.length];
+  const lastTimestamp = new Date(samples[samples.length - 1].timestamp).getTime();
+  const predictions = Object.fromEntries(outputs.map(name => [name, []]));
+  const denormalize = (value, j) => value * (max[j] - min[j]) + min[j];
+
+  // Monte Carlo dropout runs for the prediction intervals (see utils/uncertainty)
+  const runs = intervals ? Array.from({ length: MC_DROPOUT_SAMPLES }, () => [...window]) : [];
+
+  for (let i = 0; i < steps; i++) {
+    const timestamp = new Date(lastTimestamp + (i + 1) * stepMinutes * 60 * 1000);
+    const normalized = tf.tidy(() => Array.from(model.predict(tf.tensor3d([window])).dataSync()));
+
+    // Rolling window: predicted outputs, the current instance count and the step's calendar
+    const known = scaleRow([...Array(outputs.length).fill(0), instances, ...getCalendarFeatures(timestamp)], metadata)
+      .slice(outputs.length);
+    window.shift();
+    window.push([...normalized, ...known]);
+
+    let sampled = [];
+    if (runs.length > 0) {
+      // All runs in one batch with the dropout layers active, each continues its own window
+      const output = tf.tidy(() => model.apply(tf.tensor3d(runs), { training: true }).arraySync());
+      sampled = outputs.map((_, j) => output.map(run => denormalize(run[j], j)));
+      runs.forEach((run, r) => {
+        run.shift();
+        run.push([...output[r], ...known]);
+      });
+    }
+
+    outputs.forEach((name, j) => {
+      predictions[name].push({
+        timestamp: timestamp.toISOString(),
+        value: parseFloat(denormalize(normalized[j], j).toFixed(2)),
+        normalized: parseFloat(normalized[j].toFixed(4)),
+        ...(runs.length > 0 ? summarizeSamples(sampled[j], target.forecastPercentile) : {})
+      });
+    });
+  }
+
+  return predictions;
+}
+
+/**
+ * Forecast all outputs of the multivariate model for a target
+ * @param {Object} target - Target descriptor
+ * @param {number} [steps=PREDICTION_HORIZON] - Number of steps to predict
+ * @returns {Promise<Object>} Predictions by output name
+ */
+async function predictAll(target, steps = PREDICTION_HORIZON) {
+  const { metadata, version } = await loadMultivariateModel();
+  const samples = await getHistoricalMetrics(7, target.id, { stepMinutes: metadata.stepMinutes });
+  return predictFromSamples(samples, steps, { target, version });
+}
+
+/**
+ * Forecast one metric with the multivariate model
+ * The joint forecast is cached for a minute, so the metrics of one
+ * recommendation share a single model run.
+ * @param {string} metricType - cpu, memory, network or an application signal of the trained model
+ * @param {number} [steps=PREDICTION_HORIZON] - Number of steps to predict
+ * @param {Object} [target] - Target descriptor, defaults to the configured target
+ * @returns {Promise<Array>} Predictions
+ */
+async function generateMultivariatePredictions(metricType, steps = PREDICTION_HORIZON, target = getDefaultTarget()) {
+  const predictions = await metricsCache.getOrSet(`multivariate-predictions:${target.id}:${steps}:${target.forecastPercentile || 'point'}`,
+    () => predictAll(target, steps), 60 * 1000);
+
+  if (!predictions[metricType]) {
+    throw new Error(`${metricType} is not an output of the multivariate model`);
+  }
+  return predictions[metricType];
+}
+
+module.exports = {
+  MULTIVARIATE_MODEL,
+  CALENDAR_FEATURES,
+  getCalendarFeatures,
+  buildFeatureRows,
+  createMultivariateModel,
+  trainMultivariateModel,
+  loadMultivariateModel,
+  predictFromSamples,
+  generateMultivariatePredictions
+};
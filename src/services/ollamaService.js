@@ -1,15 +1,29 @@
 // src/services/ollamaService.js
+// Scaling recommendations and text generation through the configured LLM
+// provider (see llmProviders), with retries and a fallback model.
 
 const axios = require('axios');
+const { getLlmProvider } = require('../llmProviders');
+const { parseJson } = require('../utils/jsonRepair');
 const logger = require('../utils/logger');
+const runtimeConfig = require('./runtimeConfigService');
 
-// Default configuration
-const OLLAMA_API_URL = process.env.OLLAMA_API_URL || 'http://localhost:11434';
-const OLLAMA_MODEL = process.env.OLLAMA_MODEL || 'llama3:8b'; // Changed default to llama3:8b
-const OLLAMA_FALLBACK_MODEL = process.env.OLLAMA_FALLBACK_MODEL || 'mistral:7b'; // Changed fallback to mistral:7b
+// Default configuration (API URL and models come from the runtime configuration)
 const OLLAMA_REQUEST_TIMEOUT = parseInt(process.env.OLLAMA_REQUEST_TIMEOUT || '120000'); // Increased timeout for larger models
 const OLLAMA_RETRY_COUNT = parseInt(process.env.OLLAMA_RETRY_COUNT || '3'); // Number of retries for API calls
 const OLLAMA_RETRY_DELAY = parseInt(process.env.OLLAMA_RETRY_DELAY || '1000'); // Delay between retries in ms
+const LLM_MAX_REASKS = parseInt(process.env.LLM_MAX_REASKS || '2'); // Times an invalid answer is sent back to the model
+
+// JSON schema of a recommendation, sent to the provider to constrain the answer
+const RECOMMENDATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    recommended_instances: { type: 'integer', minimum: 1 },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    reasoning: { type: 'string' }
+  },
+  required: ['recommended_instances', 'confidence', 'reasoning']
+};
 
 // Default system prompt optimized for cloud resource prediction
 const DEFAULT_SYSTEM_PROMPT = process.env.OLLAMA_SYSTEM_PROMPT || 
@@ -34,94 +48,118 @@ Respond ONLY with a valid JSON object containing:
   "reasoning": "<brief explanation of scaling decision>"
 }`;
 
+// Settings of models missing from the provider's table, added with LLM_MODELS
+const DEFAULT_MODEL_SETTINGS = {
+  temperature: 0.2,
+  maxTokens: 75,
+  description: 'Default configuration'
+};
+
 /**
- * Available model options for cloud resource management
- * These are models known to work well with Ollama and can handle
- * structured outputs that our system needs
+ * Model settings configured in LLM_MODELS
+ * A JSON object of settings (temperature, maxTokens, stop, contextSize,
+ * description) by model name, for the models of the configured provider.
  */
-const CLOUD_RESOURCE_MODELS = {
-  'llama3:70b': { // Best performance, requires more resources
-    temperature: 0.1,
-    num_predict: 100,
-    description: 'Most accurate for complex resource decisions'
-  },
-  'llama3:8b': { // Updated parameters for optimal performance
-    temperature: 0.1, // Lower temperature for more deterministic responses
-    num_predict: 250, // Increased from 100 to 250 for more complete responses
-    stop: ['\n}', '}\n'], // Added stop sequences to help with JSON generation
-    num_ctx: 4096, // Explicitly set context window
-    description: 'Optimized model for cloud scaling decisions'
-  },
-  'mistral:7b': { // Good alternative
-    temperature: 0.3,
-    num_predict: 150, // Increased from 75 to 150
-    description: 'Efficient model for scaling decisions'
-  },
-  'mixtral:8x7b': { // Strong reasoning capabilities
-    temperature: 0.2,
-    num_predict: 150, // Increased from 100 to 150
-    description: 'Strong reasoning for complex metrics analysis'
-  },
-  'gemma:7b': { // Google's model, efficient
-    temperature: 0.2,
-    num_predict: 150, // Increased from 75 to 150
-    description: 'Efficient model with good reasoning'
+function getConfiguredModels() {
+  if (!process.env.LLM_MODELS) {
+    return {};
   }
-};
+
+  try {
+    return JSON.parse(process.env.LLM_MODELS);
+  } catch (error) {
+    logger.warn(`LLM_MODELS is not a valid JSON object: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Provider and connection settings of the configured LLM server
+ * @returns {Object} name, provider, apiUrl, apiKey, primaryModel and fallbackModel
+ */
+function getLlmSettings() {
+  const { provider: name, apiUrl, apiKey, primaryModel, fallbackModel } = runtimeConfig.getConfig('ollama');
+  return { name, provider: getLlmProvider(name), apiUrl, apiKey, primaryModel, fallbackModel };
+}
 
 /**
  * Validate the recommendation JSON for required fields and correct types
  * @param {Object} recommendation - The parsed JSON recommendation
- * @returns {boolean} - True if valid, false otherwise
+ * @returns {string|null} - What is wrong with it, null if valid
  */
-function validateRecommendation(recommendation) {
-  if (!recommendation || typeof recommendation !== 'object') {
-    return false;
-  }
-
-  // Check required fields
-  if (typeof recommendation.recommended_instances !== 'number') {
-    return false;
+function getRecommendationError(recommendation) {
+  if (!recommendation || typeof recommendation !== 'object' || Array.isArray(recommendation)) {
+    return 'the answer must be a JSON object';
   }
 
   // Ensure recommended_instances is a positive integer
-  if (isNaN(recommendation.recommended_instances) || 
-      recommendation.recommended_instances < 1 || 
-      !Number.isInteger(recommendation.recommended_instances)) {
-    return false;
+  if (!Number.isInteger(recommendation.recommended_instances) || recommendation.recommended_instances < 1) {
+    return 'recommended_instances must be an integer of at least 1';
   }
 
   // Check confidence is a number between 0-1 if provided
-  if (recommendation.confidence !== undefined) {
-    if (typeof recommendation.confidence !== 'number' || 
-        recommendation.confidence < 0 || 
-        recommendation.confidence > 1) {
-      return false;
-    }
+  if (recommendation.confidence !== undefined &&
+      (typeof recommendation.confidence !== 'number' || recommendation.confidence < 0 || recommendation.confidence > 1)) {
+    return 'confidence must be a number between 0 and 1';
   }
 
   // Reasoning should be a string if provided
-  if (recommendation.reasoning !== undefined && 
-      typeof recommendation.reasoning !== 'string') {
-    return false;
+  if (recommendation.reasoning !== undefined && typeof recommendation.reasoning !== 'string') {
+    return 'reasoning must be a string';
+  }
+
+  return null;
+}
+
+/**
+ * Parse and validate the text of a recommendation
+ * @param {string|null} text - Model output
+ * @returns {Object} - recommendation, or error describing why it was rejected
+ */
+function parseRecommendation(text) {
+  if (!text || !text.trim()) {
+    return { error: 'the answer was empty' };
+  }
+
+  let recommendation;
+  try {
+    // Repairs truncated or JavaScript-like output, never executes it
+    recommendation = parseJson(text);
+  } catch (error) {
+    return { error: `the answer is not valid JSON (${error.message})` };
   }
 
-  return true;
+  const error = getRecommendationError(recommendation);
+  return error ? { error } : { recommendation };
+}
+
+/**
+ * Prompt asking the model to correct a rejected answer
+ * @param {string} prompt - Original prompt
+ * @param {string|null} answer - Rejected answer
+ * @param {string} error - Why it was rejected
+ * @returns {string}
+ */
+function buildReaskPrompt(prompt, answer, error) {
+  return `${prompt}
+
+Your previous answer was:
+${answer || '(empty)'}
+
+It was rejected because ${error}. Respond again with ONLY a valid JSON object of the form {"recommended_instances": <integer>, "confidence": <number between 0-1>, "reasoning": "<brief explanation>"}.`;
 }
 
 /**
- * Make API call with retry logic
- * @param {string} url - The API endpoint URL
- * @param {Object} payload - The request payload
- * @param {Object} options - Request options (headers, timeout)
- * @returns {Promise<Object>} - API response
+ * Call the LLM server with retry logic
+ * @param {Function} call - Makes the request
+ * @returns {Promise<*>} - Result of the call
  */
-async function makeApiCallWithRetry(url, payload, options) {
+async function callWithRetry(call) {
   let lastError = null;
   
   for (let attempt = 1; attempt <= OLLAMA_RETRY_COUNT; attempt++) {
     try {
-      return await axios.post(url, payload, options);
+      return await call();
     } catch (error) {
       lastError = error;
       
@@ -138,157 +176,124 @@ async function makeApiCallWithRetry(url, payload, options) {
 }
 
 /**
- * Get scaling recommendation from Ollama based on provided context
+ * Settings of a model
+ * @param {string} modelName - Model name
+ * @returns {Object} - temperature, maxTokens, stop, contextSize and description
+ */
+function getModelSettings(modelName) {
+  return getRecommendedModels()[modelName] || DEFAULT_MODEL_SETTINGS;
+}
+
+/**
+ * Generate text with the configured primary model
+ * The model settings tuned for scaling decisions (stop sequences, token
+ * limits) don't apply, the model answers at its own length.
+ * @param {string} prompt - The prompt
+ * @param {Object} [options={}]
+ * @param {string} [options.system] - System prompt
+ * @param {boolean} [options.json=false] - Ask for a JSON answer
+ * @returns {Promise<string>} - Generated text
+ */
+async function generateText(prompt, { system, json = false } = {}) {
+  const { name, provider, apiUrl, apiKey, primaryModel } = getLlmSettings();
+
+  try {
+    const text = await callWithRetry(() => provider.generate({
+      apiUrl,
+      apiKey,
+      model: primaryModel,
+      prompt,
+      system,
+      json,
+      timeout: OLLAMA_REQUEST_TIMEOUT
+    }));
+
+    if (text === null) {
+      throw new Error('Response did not contain any text');
+    }
+    return text;
+  } catch (error) {
+    logger.error(`Error calling ${name} LLM provider: ${error.message}`, { error });
+    throw new Error(`Failed to call ${name} LLM provider: ${error.message}`);
+  }
+}
+
+/**
+ * Get scaling recommendation from the configured LLM provider based on provided context
  * @param {string} prompt - The user prompt detailing the current state and metrics
- * @param {string} [systemPrompt=DEFAULT_SYSTEM_PROMPT] - The system prompt to guide the model
+ * @param {string} [systemPrompt] - The system prompt to guide the model, defaults to the configured prompt
  * @param {string} [modelOverride=null] - Optional override for model selection
- * @returns {Promise<object | null>} - Parsed JSON response from Ollama or null on error
+ * @returns {Promise<object | null>} - Parsed JSON response from the model or null on error
  */
-async function getScalingRecommendation(prompt, systemPrompt = DEFAULT_SYSTEM_PROMPT, modelOverride = null) {
+async function getScalingRecommendation(prompt, systemPrompt = runtimeConfig.getConfig('ollama').systemPrompt || DEFAULT_SYSTEM_PROMPT, modelOverride = null) {
+  let settings;
+  try {
+    settings = getLlmSettings();
+  } catch (error) {
+    logger.error(error.message);
+    return null;
+  }
+  const { name, provider, apiUrl, apiKey, primaryModel, fallbackModel } = settings;
+  
   // Determine which model to use
-  const modelName = modelOverride || OLLAMA_MODEL;
-  const fallbackModel = OLLAMA_FALLBACK_MODEL;
+  const modelName = modelOverride || primaryModel;
   
   logger.info(`Using model ${modelName} for scaling recommendation (fallback: ${fallbackModel})`);
   
   // Get model configuration for the selected model or use defaults
-  const modelConfig = CLOUD_RESOURCE_MODELS[modelName] || {
-    temperature: 0.2,
-    num_predict: 75,
-    description: 'Default configuration'
-  };
-
-  const url = `${OLLAMA_API_URL}/api/generate`;
-  const payload = {
-    model: modelName,
-    prompt: prompt,
-    system: systemPrompt,
-    format: 'json', // Request JSON output
-    stream: false, // Get the full response at once
-    options: {
-      temperature: modelConfig.temperature,
-      num_predict: modelConfig.num_predict,
-      // Include additional parameters if they exist in the model config
-      ...(modelConfig.stop && { stop: modelConfig.stop }),
-      ...(modelConfig.num_ctx && { num_ctx: modelConfig.num_ctx })
-    }
-  };
+  const modelConfig = getModelSettings(modelName);
 
-  logger.info(`Sending request to Ollama API: ${url}, Model: ${modelName} (${modelConfig.description})`);
-  logger.debug('Ollama request payload:', { payload: { ...payload, prompt: '<prompt content hidden>' } });
+  logger.info(`Sending request to ${name} LLM provider: ${apiUrl}, Model: ${modelName} (${modelConfig.description})`);
 
   try {
-    const options = {
-      timeout: OLLAMA_REQUEST_TIMEOUT,
-      headers: { 'Content-Type': 'application/json' }
-    };
-    
-    // Use retry mechanism
-    const response = await makeApiCallWithRetry(url, payload, options);
-
-    if (response.data && response.data.response) {
-      logger.info('Received response from Ollama API');
-      logger.debug('Ollama raw response:', { response: response.data.response });
-
-      try {
-        // Parse the JSON string within the response field
-        // A more robust approach to handling various JSON response issues
-        let responseText = response.data.response.trim();
-        logger.debug('Raw response text before processing:', { responseText });
-        
-        // First, try to extract just the JSON object if there's extra text
-        const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          responseText = jsonMatch[0];
-          logger.info('Extracted JSON object from response');
-        }
-        
-        // Clean up common formatting issues
-        // Remove any trailing commas before closing braces
-        responseText = responseText.replace(/,\s*}/g, '}');
-        
-        // Handle newlines and indentation in the response
-        responseText = responseText.replace(/\n\s*/g, ' ');
-        
-        // Fix unclosed quotes in reasoning field
-        if (responseText.includes('"reasoning": "') && 
-            !responseText.includes('"reasoning": ""') && 
-            !responseText.endsWith('"}') && 
-            !responseText.match(/"reasoning": "[^"]*"/)) {
-          logger.info('Detected unclosed quotes in reasoning field, attempting to fix');
-          
-          // Extract the reasoning field and close it properly
-          const reasoningStart = responseText.indexOf('"reasoning": "') + 14;
-          const reasoningText = responseText.substring(reasoningStart);
-          
-          // Remove the incomplete reasoning and add a properly closed one
-          responseText = responseText.substring(0, reasoningStart) + reasoningText.replace(/[^"]*$/, '"');
-        }
-        
-        // Make sure we have a valid JSON object
-        if (!responseText.endsWith('}')) {
-          responseText += '}';
-        }
-        
-        logger.debug('Processed response for parsing:', { responseText });
-        
-        let recommendation;
-        try {
-          recommendation = JSON.parse(responseText);
-        } catch (parseError) {
-          // Last resort - try a more permissive approach using Function constructor
-          // This is less secure but can handle more malformed JSON
-          logger.warn(`Standard JSON parse failed: ${parseError.message}, attempting alternative parsing`);
-          try {
-            // Use a safer approach with a limited scope function
-            const jsonStr = responseText.replace(/[\r\n]/g, ' ')
-                                      .replace(/"/g, '\\"')
-                                      .replace(/'/g, "\\'");
-            recommendation = eval(`(${responseText})`);
-          } catch (evalError) {
-            throw new Error(`Failed all parsing attempts: ${evalError.message}`);
-          }
-        }
-        
-        // Validate recommendation format
-        if (!validateRecommendation(recommendation)) {
-          throw new Error('Invalid recommendation format or missing required fields');
-        }
-        
-        return recommendation;
-      } catch (parseError) {
-        logger.error(`Error parsing JSON response from Ollama: ${parseError.message}`, {
-          rawResponse: response.data.response
-        });
-        
-        // If primary model fails and it's not already the fallback, try the fallback model
-        if (modelName !== fallbackModel) {
-          logger.info(`Attempting to use fallback model ${fallbackModel}`);
-          return getScalingRecommendation(prompt, systemPrompt, fallbackModel);
-        }
-        
-        return null;
-      }
-    } else {
-      logger.warn('Ollama API response did not contain expected data', { responseData: response.data });
-      
-      // Try fallback if not already using it
-      if (modelName !== fallbackModel) {
-        logger.info(`Attempting to use fallback model ${fallbackModel}`);
-        return getScalingRecommendation(prompt, systemPrompt, fallbackModel);
+    // Answers failing validation are sent back with the error, a bounded number of times
+    let attemptPrompt = prompt;
+    for (let attempt = 0; attempt <= LLM_MAX_REASKS; attempt++) {
+      // Use retry mechanism
+      const text = await callWithRetry(() => provider.generate({
+        apiUrl,
+        apiKey,
+        model: modelName,
+        prompt: attemptPrompt,
+        system: systemPrompt,
+        schema: RECOMMENDATION_SCHEMA, // Request structured JSON output
+        settings: modelConfig,
+        timeout: OLLAMA_REQUEST_TIMEOUT
+      }));
+
+      logger.info(`Received response from ${name} LLM provider`);
+      logger.debug('LLM raw response:', { response: text });
+
+      const { recommendation, error } = parseRecommendation(text);
+      if (recommendation) {
+        // Report which model answered, the fallback may have been used
+        return { ...recommendation, model: modelName };
       }
-      
-      return null;
+
+      logger.warn(`Rejected answer of ${modelName} (attempt ${attempt + 1}/${LLM_MAX_REASKS + 1}): ${error}`, {
+        rawResponse: text
+      });
+      attemptPrompt = buildReaskPrompt(prompt, text, error);
+    }
+
+    logger.error(`No valid recommendation from ${modelName} after ${LLM_MAX_REASKS + 1} attempts`);
+
+    // If primary model fails and it's not already the fallback, try the fallback model
+    if (modelName !== fallbackModel) {
+      logger.info(`Attempting to use fallback model ${fallbackModel}`);
+      return getScalingRecommendation(prompt, systemPrompt, fallbackModel);
     }
+
+    return null;
   } catch (error) {
     if (axios.isAxiosError(error)) {
-      logger.error(`Axios error calling Ollama API: ${error.message}`, {
+      logger.error(`Axios error calling ${name} LLM provider: ${error.message}`, {
         status: error.response?.status,
         data: error.response?.data,
-        config: error.config
+        url: error.config?.url
       });
     } else {
-      logger.error(`Generic error calling Ollama API: ${error.message}`, { error });
+      logger.error(`Generic error calling ${name} LLM provider: ${error.message}`, { error });
     }
     
     // Try fallback if not already using it
@@ -302,37 +307,31 @@ async function getScalingRecommendation(prompt, systemPrompt = DEFAULT_SYSTEM_PR
 }
 
 /**
- * List available models from Ollama API
+ * List available models of the configured LLM provider
  * @returns {Promise<Array|null>} - List of available models or null on error
  */
 async function listAvailableModels() {
-  const url = `${OLLAMA_API_URL}/api/tags`;
-  
   try {
-    const response = await axios.get(url, {
-      timeout: OLLAMA_REQUEST_TIMEOUT
-    });
-    
-    if (response.data && response.data.models) {
-      return response.data.models;
-    }
-    return null;
+    const { provider, apiUrl, apiKey } = getLlmSettings();
+    return await provider.listModels({ apiUrl, apiKey, timeout: OLLAMA_REQUEST_TIMEOUT });
   } catch (error) {
-    logger.error(`Error listing available Ollama models: ${error.message}`);
+    logger.error(`Error listing available LLM models: ${error.message}`);
     return null;
   }
 }
 
 /**
  * Get recommended models for cloud resource management
- * @returns {Object} - Object containing recommended models
+ * @returns {Object} - Settings of the configured provider's models, with those of LLM_MODELS
  */
 function getRecommendedModels() {
-  return CLOUD_RESOURCE_MODELS;
+  const { provider } = getLlmSettings();
+  return { ...provider.models, ...getConfiguredModels() };
 }
 
 module.exports = {
   getScalingRecommendation,
+  generateText,
   listAvailableModels,
   getRecommendedModels
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,258 @@
+// Scaling policy engine
+// Evaluates the declarative policies of a target (step, target tracking and
+// schedule). Every policy that has an opinion becomes a candidate of the
+// ensemble recommendation next to the LSTM forecast and the LLM (see
+// ensembleService), which also applies scheduled capacity and the bounds.
+const mongoose = require('mongoose');
+const ScalingPolicy = require('../models/ScalingPolicy');
+const { isWindowActive } = require('../utils/cron');
+const { getValues } = require('../utils/metricSchema');
+const logger = require('../utils/logger');
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Average of a metric over samples
+ * @param {Array} samples - Canonical samples (see utils/metricSchema)
+ * @param {string} metric - cpu, memory, networkIn or networkOut
+ * @returns {number|null} Average or null without data
+ */
+function getMetricAverage(samples, metric) {
+  const values = getValues(samples, metric);
+
+  if (values.length === 0) {
+    return null;
+  }
+
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Evaluate one policy
+ * @param {Object} policy - Scaling policy
+ * @param {Object} context
+ * @param {number} context.currentInstances - Current instance count
+ * @param {Array} [context.samples] - Recent metric samples
+ * @param {Date} [context.now] - Evaluation time
+ * @returns {Object} desiredInstances (null when the policy has no opinion) and reason
+ */
+function evaluatePolicy(policy, { currentInstances, samples, now = new Date() }) {
+  switch (policy.type) {
+    case 'step': {
+      const value = getMetricAverage(samples, policy.metric);
+      if (value === null) {
+        return { desiredInstances: null, reason: `No ${policy.metric} data` };
+      }
+
+      const step = (policy.steps || []).find(candidate =>
+        (candidate.lower === null || candidate.lower === undefined || value >= candidate.lower) &&
+        (candidate.upper === null || candidate.upper === undefined || value < candidate.upper)
+      );
+      if (!step) {
+        return { desiredInstances: null, value, reason: `${policy.metric} average ${value.toFixed(1)} matches no step` };
+      }
+
+      return {
+        desiredInstances: Math.max(0, currentInstances + step.adjustment),
+        value,
+        reason: `${policy.metric} average ${value.toFixed(1)} → ${step.adjustment >= 0 ? '+' : ''}${step.adjustment} instance(s)`
+      };
+    }
+
+    case 'target_tracking': {
+      const value = getMetricAverage(samples, policy.metric);
+      if (value === null) {
+        return { desiredInstances: null, reason: `No ${policy.metric} data` };
+      }
+
+      // Capacity needed to bring the metric back to the target value
+      let desiredInstances = Math.ceil(currentInstances * (value / policy.targetValue));
+      if (!policy.scaleIn) {
+        desiredInstances = Math.max(desiredInstances, currentInstances);
+      }
+
+      return {
+        desiredInstances,
+        value,
+        reason: `${policy.metric} average ${value.toFixed(1)} vs target ${policy.targetValue}`
+      };
+    }
+
+    case 'schedule': {
+      const timezone = policy.timezone || 'UTC';
+      if (!isWindowActive(policy.schedule, policy.durationMinutes, now, timezone)) {
+        return { desiredInstances: null, reason: `Schedule "${policy.schedule}" (${timezone}) not active` };
+      }
+
+      return {
+        desiredInstances: policy.instances,
+        reason: `Schedule "${policy.schedule}" (${timezone}) active for ${policy.durationMinutes} minute(s)`
+      };
+    }
+
+    default:
+      throw new Error(`Unknown policy type: ${policy.type}`);
+  }
+}
+
+/**
+ * Describe a policy in one line, e.g. for the LLM prompt
+ * @param {Object} policy - Scaling policy
+ * @returns {string} Description
+ */
+function describePolicy(policy) {
+  switch (policy.type) {
+    case 'step':
+      return `${policy.name}: step scaling on ${policy.metric} average (${(policy.steps || []).map(step =>
+        `${step.lower ?? '-∞'}..${step.upper ?? '∞'} → ${step.adjustment >= 0 ? '+' : ''}${step.adjustment}`
+      ).join(', ')})`;
+    case 'target_tracking':
+      return `${policy.name}: keep ${policy.metric} at ${policy.targetValue}${policy.scaleIn ? '' : ' (no scale in)'}`;
+    case 'schedule':
+      return `${policy.name}: ${policy.instances} instances for ${policy.durationMinutes} minute(s) from "${policy.schedule}" (${policy.timezone || 'UTC'})`;
+    default:
+      return policy.name;
+  }
+}
+
+/**
+ * List the policies of a target
+ * @param {string} targetId - Target id
+ * @param {Object} [filter={}] - Additional filter, e.g. { enabled: true }
+ * @returns {Promise<Array>} Policies
+ */
+async function listPolicies(targetId, filter = {}) {
+  return ScalingPolicy.find({ ...filter, targetId }).sort({ name: 1 }).lean();
+}
+
+/**
+ * Get the enabled policies of a target, none when no database is connected
+ * @param {string} targetId - Target id
+ * @returns {Promise<Array>} Policies
+ */
+async function getActivePolicies(targetId) {
+  if (mongoose.connection.readyState !== 1) {
+    return [];
+  }
+
+  return listPolicies(targetId, { enabled: true });
+}
+
+/**
+ * Create a policy for a target
+ * @param {string} targetId - Target id
+ * @param {Object} data - Policy fields
+ * @returns {Promise<Object>} Policy
+ */
+async function createPolicy(targetId, data) {
+  try {
+    const policy = await ScalingPolicy.create({ ...data, targetId });
+    logger.info(`Scaling policy ${policy.name} (${policy.type}) created for target ${targetId}`);
+    return policy.toObject();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw httpError(409, `Target ${targetId} already has a policy named ${data.name}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Find a policy of a target
+ */
+async function findPolicy(targetId, policyId) {
+  if (!mongoose.isValidObjectId(policyId)) {
+    throw httpError(400, `Invalid policy id: ${policyId}`);
+  }
+
+  const policy = await ScalingPolicy.findOne({ _id: policyId, targetId });
+  if (!policy) {
+    throw httpError(404, `Scaling policy ${policyId} not found for target ${targetId}`);
+  }
+
+  return policy;
+}
+
+/**
+ * Replace the definition of a policy of a target
+ * Fields missing from the data are reset, e.g. the steps when a step policy becomes a schedule.
+ * @param {string} targetId - Target id
+ * @param {string} policyId - Policy id
+ * @param {Object} data - Policy fields
+ * @returns {Promise<Object>} Policy
+ */
+async function updatePolicy(targetId, policyId, data) {
+  const policy = await findPolicy(targetId, policyId);
+
+  policy.overwrite({ ...data, targetId });
+  try {
+    await policy.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw httpError(409, `Target ${targetId} already has a policy named ${data.name}`);
+    }
+    throw error;
+  }
+
+  logger.info(`Scaling policy ${policy.name} updated for target ${targetId}`);
+  return policy.toObject();
+}
+
+/**
+ * Remove a policy of a target
+ * @param {string} targetId - Target id
+ * @param {string} policyId - Policy id
+ */
+async function deletePolicy(targetId, policyId) {
+  const policy = await findPolicy(targetId, policyId);
+  await policy.deleteOne();
+
+  logger.info(`Scaling policy ${policy.name} removed from target ${targetId}`);
+}
+
+/**
+ * Evaluate the enabled policies of a target
+ * A policy that fails to evaluate is logged and has no opinion.
+ * @param {Object} target - Target descriptor
+ * @param {Object} context - currentInstances, samples and now (see evaluatePolicy)
+ * @param {Array} [policies] - Already loaded policies, defaults to the enabled policies of the target
+ * @returns {Promise<Array>} Evaluation per policy
+ */
+async function evaluatePolicies(target, context, policies) {
+  policies = policies || await getActivePolicies(target.id);
+
+  return policies.map(policy => {
+    let evaluation;
+    try {
+      evaluation = evaluatePolicy(policy, context);
+    } catch (error) {
+      logger.error(`Error evaluating scaling policy ${policy.name}: ${error.message}`, { error });
+      evaluation = { desiredInstances: null, reason: `Evaluation failed: ${error.message}` };
+    }
+
+    return {
+      policyId: policy._id.toString(),
+      name: policy.name,
+      type: policy.type,
+      ...evaluation
+    };
+  });
+}
+
+module.exports = {
+  evaluatePolicy,
+  evaluatePolicies,
+  describePolicy,
+  listPolicies,
+  getActivePolicies,
+  createPolicy,
+  updatePolicy,
+  deletePolicy
+};
@@ -0,0 +1,136 @@
+// Prometheus metrics source
+// Runs the PromQL queries configured for a target as range queries against the
+// Prometheus HTTP API. Every query becomes an application signal (e.g. request
+// rate or latency) next to the provider metrics, see utils/metricSchema.
+const axios = require('axios');
+const { fromPrometheusMatrix, METRIC_NAME_PATTERN, RESERVED_METRIC_NAMES } = require('../utils/metricSchema');
+const logger = require('../utils/logger');
+
+// Configuration
+const PROMETHEUS_URL = process.env.PROMETHEUS_URL;
+const PROMETHEUS_TIMEOUT_MS = parseInt(process.env.PROMETHEUS_TIMEOUT_MS || '10000');
+// Prometheus rejects range queries with more points per series
+const MAX_POINTS = 11000;
+
+/**
+ * Parse the queries of the default target from PROMETHEUS_QUERIES
+ * Either a JSON array of { name, query, unit, threshold } or an object mapping
+ * signal names to PromQL.
+ * @returns {Array} Queries
+ */
+function parseQueries(value) {
+  if (!value) {
+    return [];
+  }
+
+  try {
+    const parsed = JSON.parse(value);
+    const queries = Array.isArray(parsed)
+      ? parsed
+      : Object.entries(parsed).map(([name, query]) => ({ name, query }));
+
+    return queries.filter(query => {
+      const valid = METRIC_NAME_PATTERN.test(query?.name) && !RESERVED_METRIC_NAMES.includes(query.name) && typeof query.query === 'string';
+      if (!valid) {
+        logger.warn(`Ignoring invalid Prometheus query in PROMETHEUS_QUERIES: ${JSON.stringify(query)}`);
+      }
+      return valid;
+    });
+  } catch (error) {
+    logger.warn(`PROMETHEUS_QUERIES is not valid JSON: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Prometheus configuration of the default target, from environment variables
+ * @returns {Object|undefined} url and queries, undefined without queries
+ */
+function getDefaultPrometheusConfig() {
+  const queries = parseQueries(process.env.PROMETHEUS_QUERIES);
+  return queries.length > 0 ? { url: PROMETHEUS_URL, queries } : undefined;
+}
+
+/**
+ * Check whether Prometheus signals are configured for a target
+ * @param {Object} target - Target descriptor
+ * @returns {boolean}
+ */
+function isConfigured(target) {
+  return Boolean((target.prometheus?.url || PROMETHEUS_URL) && target.prometheus?.queries?.length > 0);
+}
+
+/**
+ * Run a PromQL range query
+ * @param {string} url - Prometheus base URL
+ * @param {string} query - PromQL expression
+ * @param {Object} options
+ * @param {Date} options.start - Start of the range
+ * @param {Date} options.end - End of the range
+ * @param {number} options.stepSeconds - Resolution
+ * @returns {Promise<Array>} Series of the matrix result ({ metric, values: [[seconds, value]] })
+ */
+async function queryRange(url, query, { start, end, stepSeconds }) {
+  const response = await axios.get(`${url.replace(/\/$/, '')}/api/v1/query_range`, {
+    params: {
+      query,
+      start: start.getTime() / 1000,
+      end: end.getTime() / 1000,
+      step: stepSeconds
+    },
+    timeout: PROMETHEUS_TIMEOUT_MS
+  }).catch(error => {
+    // Prometheus explains rejected queries in the response body
+    throw new Error(error.response?.data?.error || error.message);
+  });
+
+  if (response.data?.status !== 'success' || response.data.data?.resultType !== 'matrix') {
+    throw new Error(response.data?.error || 'Unexpected Prometheus response');
+  }
+
+  return response.data.data.result;
+}
+
+/**
+ * Collect the application signals of a target
+ * The range is aligned to the interval so the samples line up with the
+ * provider metrics. A failing query is logged and left out.
+ * @param {Object} target - Target descriptor with a `prometheus` configuration
+ * @param {Object} [options={}]
+ * @param {number} [options.lookbackHours=1] - Hours of data to query
+ * @param {number} [options.intervalMinutes=15] - Query step in minutes
+ * @returns {Promise<Object|null>} Metric set, null when no queries are configured
+ */
+async function getMetrics(target, { lookbackHours = 1, intervalMinutes = 15 } = {}) {
+  if (!isConfigured(target)) {
+    return null;
+  }
+
+  const url = target.prometheus.url || PROMETHEUS_URL;
+  const stepSeconds = intervalMinutes * 60;
+  const points = Math.min(Math.ceil(lookbackHours * 3600 / stepSeconds), MAX_POINTS - 1);
+  const end = new Date(Math.floor(Date.now() / (stepSeconds * 1000)) * stepSeconds * 1000);
+  const start = new Date(end.getTime() - points * stepSeconds * 1000);
+
+  const results = await Promise.all(target.prometheus.queries.map(async ({ name, query, unit }) => {
+    try {
+      const series = await queryRange(url, query, { start, end, stepSeconds });
+      if (series.length > 1) {
+        logger.warn(`Prometheus query for ${name} returned ${series.length} series, using the first. Aggregate it to one series (e.g. with sum or avg).`);
+      }
+      return { name, unit, series };
+    } catch (error) {
+      logger.warn(`Prometheus query for ${name} failed: ${error.message}`);
+      return null;
+    }
+  }));
+
+  return fromPrometheusMatrix(results.filter(Boolean), { target, intervalMinutes, lookbackHours });
+}
+
+module.exports = {
+  getDefaultPrometheusConfig,
+  isConfigured,
+  queryRange,
+  getMetrics
+};
@@ -0,0 +1,244 @@
+// Scaling prompt construction
+// Turns a target, its capacity and recent metrics into the prompt sent to the LLM.
+const fs = require('fs');
+const { describePolicy } = require('./policyService');
+const { getValues, getSignalNames } = require('../utils/metricSchema');
+const logger = require('../utils/logger');
+
+/**
+ * Construct optimized prompt for Ollama with current cloud state and metrics
+ * @param {Object} target - Target descriptor with instance bounds
+ * @param {number} currentCapacity - Current instance count
+ * @param {Object} metricsData - Metric set (see utils/metricSchema)
+ * @param {Object} [options={}]
+ * @param {string} [options.promptFile] - Template file with {{placeholders}} replacing the default prompt
+ * @param {Array} [options.policies=[]] - Enabled scaling policies of the target, listed as additional rules
+ * @returns {string} Prompt
+ */
+function buildScalingPrompt(target, currentCapacity, metricsData, { promptFile, policies = [] } = {}) {
+  const { minInstances, maxInstances } = target;
+  
+  // Custom prompt from file if specified
+  if (promptFile && fs.existsSync(promptFile)) {
+    try {
+      const promptTemplate = fs.readFileSync(promptFile, 'utf8');
+      
+      // Different replacements based on cloud provider
+      if (target.provider === 'azure') {
+        // Template replacement for Azure
+        return promptTemplate
+          .replace('{{vmss_name}}', target.vmssName)
+          .replace('{{resource_group}}', target.resourceGroup)
+          .replace('{{metrics_data}}', JSON.stringify(metricsData, null, 2))
+          .replace('{{current_capacity}}', currentCapacity)
+          .replace('{{min_instances}}', minInstances)
+          .replace('{{max_instances}}', maxInstances)
+          .replace('{{cloud_provider}}', 'Azure');
+      } else {
+        // Template replacement for GCP
+        return promptTemplate
+          .replace('{{instance_group}}', target.instanceGroup)
+          .replace('{{project}}', target.project)
+          .replace('{{metrics_data}}', JSON.stringify(metricsData, null, 2))
+          .replace('{{current_capacity}}', currentCapacity)
+          .replace('{{min_instances}}', minInstances)
+          .replace('{{max_instances}}', maxInstances)
+          .replace('{{cloud_provider}}', 'GCP');
+      }
+    } catch (error) {
+      logger.error(`Error loading custom prompt template: ${error.message}. Using default prompt.`);
+      // Continue to default prompt construction below
+    }
+  }
+  
+  // Extract key metrics for structured prompt
+  let cpuCurrent = 'Unknown';
+  let cpuAverage = 'Unknown';
+  let cpuTrend = 'Unknown';
+  let memCurrent = 'Unknown';
+  let memAverage = 'Unknown';
+  let memTrend = 'Unknown';
+  let netInTotal = 'Unknown';
+  let netOutTotal = 'Unknown';
+  let signalSummary = '';
+  
+  try {
+    // Samples are oldest first, the summaries below read them newest first
+    const samples = [...(metricsData.samples || [])].reverse();
+    
+    // Extract CPU metrics
+    const cpuValues = getValues(samples, 'cpu');
+    if (cpuValues.length > 0) {
+      cpuCurrent = `${cpuValues[0].toFixed(1)}%`;
+      
+      // Calculate average
+      const avg = cpuValues.reduce((sum, val) => sum + val, 0) / cpuValues.length;
+      cpuAverage = `${avg.toFixed(1)}%`;
+      
+      // Calculate trend
+      if (cpuValues.length >= 3) {
+        // Split into two halves and compare
+        const halfIndex = Math.floor(cpuValues.length / 2);
+        const firstHalf = cpuValues.slice(halfIndex);
+        const secondHalf = cpuValues.slice(0, halfIndex);
+        
+        if (firstHalf.length > 0 && secondHalf.length > 0) {
+          const firstAvg = firstHalf.reduce((sum, val) => sum + val, 0) / firstHalf.length;
+          const secondAvg = secondHalf.reduce((sum, val) => sum + val, 0) / secondHalf.length;
+          
+          const changePct = firstAvg !== 0 ? ((secondAvg - firstAvg) / firstAvg) * 100 : 0;
+          
+          if (changePct > 10) {
+            cpuTrend = 'Increasing';
+          } else if (changePct < -10) {
+            cpuTrend = 'Decreasing';
+          } else {
+            cpuTrend = 'Stable';
+          }
+        }
+      }
+    }
+    
+    // Extract Memory metrics
+    const memValues = getValues(samples, 'memory');
+    if (memValues.length > 0) {
+      memCurrent = `${memValues[0].toFixed(1)}%`;
+      
+      // Calculate average
+      const avg = memValues.reduce((sum, val) => sum + val, 0) / memValues.length;
+      memAverage = `${avg.toFixed(1)}%`;
+      
+      // Calculate trend
+      if (memValues.length >= 3) {
+        // Split into two halves and compare
+        const halfIndex = Math.floor(memValues.length / 2);
+        const firstHalf = memValues.slice(halfIndex);
+        const secondHalf = memValues.slice(0, halfIndex);
+        
+        if (firstHalf.length > 0 && secondHalf.length > 0) {
+          const firstAvg = firstHalf.reduce((sum, val) => sum + val, 0) / firstHalf.length;
+          const secondAvg = secondHalf.reduce((sum, val) => sum + val, 0) / secondHalf.length;
+          
+          const changePct = firstAvg !== 0 ? ((secondAvg - firstAvg) / firstAvg) * 100 : 0;
+          
+          if (changePct > 10) {
+            memTrend = 'Increasing';
+          } else if (changePct < -10) {
+            memTrend = 'Decreasing';
+          } else {
+            memTrend = 'Stable';
+          }
+        }
+      }
+    }
+    
+    // Extract Network metrics
+    const netInValues = getValues(samples, 'networkIn');
+    if (netInValues.length > 0) {
+      const totalBytes = netInValues.reduce((sum, val) => sum + val, 0);
+      // Convert to MB for readability
+      netInTotal = `${(totalBytes / (1024 * 1024)).toFixed(2)} MB`;
+    }
+    
+    const netOutValues = getValues(samples, 'networkOut');
+    if (netOutValues.length > 0) {
+      const totalBytes = netOutValues.reduce((sum, val) => sum + val, 0);
+      // Convert to MB for readability
+      netOutTotal = `${(totalBytes / (1024 * 1024)).toFixed(2)} MB`;
+    }
+    
+    // Summarize application signals (e.g. request rate from Prometheus)
+    signalSummary = getSignalNames(metricsData)
+      .map(name => {
+        const values = getValues(samples, name);
+        if (values.length === 0) {
+          return `- ${name}: Unknown`;
+        }
+        const unit = metricsData.units[name];
+        const avg = values.reduce((sum, val) => sum + val, 0) / values.length;
+        return `- ${name}: Current ${values[0].toFixed(2)} ${unit}, Average ${avg.toFixed(2)} ${unit}`;
+      })
+      .map(line => `\n${line}`)
+      .join('');
+  } catch (error) {
+    logger.warn(`Error processing metrics for prompt: ${error.message}`);
+  }
+  
+  const { cpu: cpuThreshold = 75, memory: memoryThreshold = 80 } = target.thresholds || {};
+  
+  // Policies are enforced after the model answers, listing them avoids recommendations they override
+  const policyRules = policies.length > 0
+    ? `\n\nSCALING POLICIES (the final instance count is at least what any active policy requires):\n${policies.map(policy => `- ${describePolicy(policy)}`).join('\n')}`
+    : '';
+  
+  // Different prompt format based on cloud provider
+  if (target.provider === 'azure') {
+    // Azure VMSS prompt
+    return `
+I need to decide how many VM instances to provision in our Azure VM Scale Set (VMSS).
+
+CURRENT STATE:
+- VMSS Name: ${target.vmssName}
+- Resource Group: ${target.resourceGroup}
+- Current instance count: ${currentCapacity}
+- VM Size: ${metricsData.target?.vmSize || target.vmSize || 'Standard'}
+- Min allowed instances: ${minInstances}
+- Max allowed instances: ${maxInstances}
+
+RECENT METRICS (past ${metricsData.lookbackHours || 1} hours):
+- CPU: Current ${cpuCurrent}, Average ${cpuAverage}, Trend ${cpuTrend}
+- Memory: Current ${memCurrent}, Average ${memAverage}, Trend ${memTrend}
+- Network In: ${netInTotal}
+- Network Out: ${netOutTotal}${signalSummary}
+
+DETAILED METRICS (oldest first; cpu and memory in %, network in bytes per ${metricsData.intervalMinutes || 'n/a'} minute interval):
+${JSON.stringify(metricsData.samples, null, 2)}
+
+SCALING RULES:
+1. CPU > ${cpuThreshold}% sustained → Consider scaling up
+2. Memory > ${memoryThreshold}% sustained → Consider scaling up
+3. CPU < 30% and Memory < 40% sustained → Consider scaling down
+4. Network throughput spikes → May indicate need for more instances
+5. Must stay within min (${minInstances}) and max (${maxInstances}) instances
+6. Scale up more aggressively than down (conservative scaling down)${policyRules}
+
+Based on this data, how many VM instances should we provision? Please analyze the metrics and provide your recommendation as a valid JSON object containing 'recommended_instances' (integer), 'confidence' (number between 0-1), and 'reasoning' (brief explanation).
+`;
+  } else {
+    // GCP Instance Group prompt
+    return `
+I need to decide how many VM instances to provision in our Google Cloud Platform (GCP) Instance Group.
+
+CURRENT STATE:
+- Instance Group: ${target.instanceGroup}
+- Project: ${target.project}
+- Zone: ${target.zone}
+- Current instance count: ${currentCapacity}
+- Min allowed instances: ${minInstances}
+- Max allowed instances: ${maxInstances}
+
+RECENT METRICS (past ${metricsData.lookbackHours || 1} hours):
+- CPU: Current ${cpuCurrent}, Average ${cpuAverage}, Trend ${cpuTrend}
+- Memory: Current ${memCurrent}, Average ${memAverage}, Trend ${memTrend}
+- Network In: ${netInTotal}
+- Network Out: ${netOutTotal}${signalSummary}
+
+DETAILED METRICS (oldest first; cpu and memory in %, network in bytes per ${metricsData.intervalMinutes || 'n/a'} minute interval):
+${JSON.stringify(metricsData.samples, null, 2)}
+
+SCALING RULES:
+1. CPU > ${cpuThreshold}% sustained → Consider scaling up
+2. Memory > ${memoryThreshold}% sustained → Consider scaling up
+3. CPU < 30% and Memory < 40% sustained → Consider scaling down
+4. Network throughput spikes → May indicate need for more instances
+5. Must stay within min (${minInstances}) and max (${maxInstances}) instances
+6. Scale up more aggressively than down (conservative scaling down)${policyRules}
+
+Based on this data, how many VM instances should we provision? Please analyze the metrics and provide your recommendation as a valid JSON object containing 'recommended_instances' (integer), 'confidence' (number between 0-1), and 'reasoning' (brief explanation).
+`;
+  }
+}
+
+module.exports = {
+  buildScalingPrompt
+};
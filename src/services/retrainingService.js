@@ -0,0 +1,364 @@
+// Automatic retraining
+// The models of all metrics with an active version are retrained on a cron
+// schedule (RETRAIN_SCHEDULE) and checked for drift every
+// DRIFT_CHECK_INTERVAL_MINUTES: a forecast error on the latest actuals above
+// DRIFT_MAPE_THRESHOLD, or latest values whose distribution moved away from
+// the training values (PSI above DRIFT_PSI_THRESHOLD), start a retraining too.
+// A retraining trains a candidate version without the latest
+// RETRAIN_HOLDOUT_HOURS and promotes it only when it forecasts that holdout
+// window with a lower MAE than the active version.
+const RetrainingRun = require('../models/RetrainingRun');
+const { getHistoricalMetrics } = require('./dataCollectionService');
+const { trainModel, getMetricValues } = require('./modelService');
+const { evaluateWindow } = require('./backtestService');
+const { MULTIVARIATE_MODEL } = require('./multivariateModelService');
+const { resolveTarget } = require('./targetService');
+const { getActiveVersion, listActiveVersions, promoteVersion } = require('./modelRegistryService');
+const { isValidCron, nextRun } = require('../utils/cron');
+const { populationStabilityIndex } = require('../utils/drift');
+const logger = require('../utils/logger');
+
+// Configuration
+const MODEL_STEP_MINUTES = parseInt(process.env.MODEL_STEP_MINUTES || '60');
+const RETRAIN_SCHEDULE = process.env.RETRAIN_SCHEDULE || '0 3 * * 0'; // Sundays 03:00 UTC
+const RETRAIN_DAYS = parseInt(process.env.RETRAIN_DAYS || '30');
+const RETRAIN_HOLDOUT_HOURS = parseInt(process.env.RETRAIN_HOLDOUT_HOURS || '48');
+// Minimum time between two drift-triggered retrainings of a metric
+const RETRAIN_COOLDOWN_HOURS = parseInt(process.env.RETRAIN_COOLDOWN_HOURS || '6');
+const DRIFT_CHECK_INTERVAL_MINUTES = parseInt(process.env.DRIFT_CHECK_INTERVAL_MINUTES || '60');
+const DRIFT_WINDOW_HOURS = parseInt(process.env.DRIFT_WINDOW_HOURS || '24');
+const DRIFT_MAPE_THRESHOLD = parseFloat(process.env.DRIFT_MAPE_THRESHOLD || '30');
+const DRIFT_PSI_THRESHOLD = parseFloat(process.env.DRIFT_PSI_THRESHOLD || '0.25');
+
+// Longest timer, later runs are reached in several hops
+const MAX_TIMER_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Retraining state
+let scheduleTimer = null;
+let driftTimer = null;
+let nextRunAt = null;
+let lastDriftCheckAt = null;
+let lastDriftChecks = [];
+
+// Metrics with a retraining in progress
+const runningMetrics = new Set();
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Model steps in a number of hours
+ */
+function toSteps(hours) {
+  return Math.max(1, Math.round(hours * 60 / MODEL_STEP_MINUTES));
+}
+
+/**
+ * Active versions of the models of single metrics
+ * The multivariate model is only trained on request.
+ */
+async function listRetrainableVersions() {
+  return (await listActiveVersions()).filter(({ metric }) => metric !== MULTIVARIATE_MODEL);
+}
+
+/**
+ * Check the active version of a metric for drift
+ * @param {Object} modelVersion - Active version (see modelRegistryService)
+ * @param {Array} samples - Recent samples of the target the version was trained on, oldest first
+ * @param {Object} target - That target, for the VM size of its memory values
+ * @returns {Promise<Object>} MAPE and PSI of the latest DRIFT_WINDOW_HOURS, with the trigger and reason when drifted
+ */
+async function checkDrift(modelVersion, samples, target) {
+  const { metric, version, inputProfile } = modelVersion;
+  const windowSteps = toSteps(DRIFT_WINDOW_HOURS);
+
+  const { mape } = await evaluateWindow(metric, samples, windowSteps, { target, version });
+  // Versions imported from before versioning have no profile
+  const psi = inputProfile?.edges?.length > 0
+    ? populationStabilityIndex(inputProfile, getMetricValues(samples.slice(-windowSteps), metric, { vmSize: target.vmSize }))
+    : null;
+
+  const check = { metric, version, mape, psi, checkedAt: new Date() };
+  if (mape !== null && mape > DRIFT_MAPE_THRESHOLD) {
+    return { ...check, trigger: 'error', reason: `Forecast MAPE ${mape}% over the last ${DRIFT_WINDOW_HOURS}h is above ${DRIFT_MAPE_THRESHOLD}%` };
+  }
+  if (psi !== null && psi > DRIFT_PSI_THRESHOLD) {
+    return { ...check, trigger: 'drift', reason: `Input PSI ${psi} over the last ${DRIFT_WINDOW_HOURS}h is above ${DRIFT_PSI_THRESHOLD}` };
+  }
+  return check;
+}
+
+/**
+ * Train a candidate and promote it if it beats the active version on the holdout window
+ * @param {Object} run - RetrainingRun document
+ * @param {Object|null} active - Active version when the run started
+ */
+async function retrain(run, active) {
+  const holdoutSteps = toSteps(RETRAIN_HOLDOUT_HOURS);
+
+  try {
+    // The candidate learns from and is compared on the target of the active version
+    const target = await resolveTarget(active?.trainingWindow?.targetId);
+    run.targetId = target.id;
+
+    const { version } = await trainModel(run.metric, RETRAIN_DAYS, {
+      target,
+      activate: false,
+      trigger: 'retraining',
+      requestedBy: run.requestedBy,
+      holdoutSteps
+    });
+    run.candidateVersion = version;
+
+    const samples = await getHistoricalMetrics(RETRAIN_DAYS, target.id, { stepMinutes: MODEL_STEP_MINUTES });
+    const candidate = await evaluateWindow(run.metric, samples, holdoutSteps, { target, version });
+    const current = active
+      ? await evaluateWindow(run.metric, samples, holdoutSteps, { target, version: active.version }).catch(error => {
+        logger.warn(`Could not evaluate ${run.metric} model version ${active.version}: ${error.message}`);
+        return null;
+      })
+      : null;
+    run.holdout = { steps: holdoutSteps, candidate, active: current };
+
+    // A candidate without a holdout error can not show that it is better
+    const better = Number.isFinite(candidate.mae) &&
+      (!current || !Number.isFinite(current.mae) || candidate.mae < current.mae);
+    if (better) {
+      await promoteVersion(run.metric, version, run.requestedBy);
+      run.status = 'promoted';
+    } else {
+      run.status = 'rejected';
+    }
+    logger.info(`Retraining of ${run.metric}: candidate version ${version} ${run.status} (holdout MAE ${candidate.mae} vs ${current ? current.mae : 'none'})`);
+  } catch (error) {
+    logger.error(`Retraining of ${run.metric} failed: ${error.message}`, { error });
+    run.status = 'failed';
+    run.error = error.message;
+  }
+
+  run.finishedAt = new Date();
+  await run.save();
+}
+
+/**
+ * Start retraining a metric's model in the background
+ * @param {string} metric - cpu, memory, network or an application signal
+ * @param {Object} [options={}]
+ * @param {string} [options.trigger='api'] - schedule, error, drift or api
+ * @param {string} [options.reason] - Why it was started
+ * @param {Object} [options.drift] - Drift check that triggered it
+ * @param {string} [options.requestedBy='retraining'] - User or job that started it
+ * @returns {Promise<Object>} The run as stored when it started and a promise of its end ({ run, done })
+ */
+async function startRetraining(metric, { trigger = 'api', reason, drift, requestedBy = 'retraining' } = {}) {
+  if (metric === MULTIVARIATE_MODEL) {
+    throw httpError(400, `The multivariate model is not retrained, train it with POST /api/models/${MULTIVARIATE_MODEL}/train`);
+  }
+  if (runningMetrics.has(metric)) {
+    throw httpError(409, `The ${metric} model is already being retrained`);
+  }
+
+  runningMetrics.add(metric);
+  let run;
+  let active;
+  try {
+    active = await getActiveVersion(metric);
+    run = await RetrainingRun.create({
+      metric,
+      trigger,
+      reason,
+      requestedBy,
+      drift: drift ? { mape: drift.mape, psi: drift.psi } : undefined,
+      activeVersion: active ? active.version : undefined
+    });
+  } catch (error) {
+    runningMetrics.delete(metric);
+    throw error;
+  }
+
+  logger.info(`Retraining ${metric} model (${trigger}${reason ? `: ${reason}` : ''})`);
+  const done = retrain(run, active).finally(() => runningMetrics.delete(metric));
+  return { run: run.toObject(), done };
+}
+
+/**
+ * Retrain every metric with an active version, one after the other
+ * @param {string} [trigger='schedule'] - What started the runs
+ */
+async function retrainAll(trigger = 'schedule') {
+  for (const { metric } of await listRetrainableVersions()) {
+    try {
+      const { done } = await startRetraining(metric, { trigger, reason: `Scheduled by ${RETRAIN_SCHEDULE}` });
+      await done;
+    } catch (error) {
+      logger.warn(`Could not retrain ${metric} model: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Check every active version for drift and retrain the drifted ones
+ * @returns {Promise<Array>} Drift checks
+ */
+async function checkAllForDrift() {
+  lastDriftCheckAt = new Date();
+  const checks = [];
+  // Recent samples by target id, versions trained on the same target share them
+  const samplesByTarget = new Map();
+
+  for (const modelVersion of await listRetrainableVersions()) {
+    try {
+      const target = await resolveTarget(modelVersion.trainingWindow?.targetId);
+      if (!samplesByTarget.has(target.id)) {
+        samplesByTarget.set(target.id, await getHistoricalMetrics(7, target.id, { stepMinutes: MODEL_STEP_MINUTES }));
+      }
+      checks.push(await checkDrift(modelVersion, samplesByTarget.get(target.id), target));
+    } catch (error) {
+      logger.warn(`Drift check of the ${modelVersion.metric} model failed: ${error.message}`);
+      checks.push({ metric: modelVersion.metric, version: modelVersion.version, error: error.message, checkedAt: new Date() });
+    }
+  }
+  lastDriftChecks = checks;
+
+  const cooldownStart = new Date(Date.now() - RETRAIN_COOLDOWN_HOURS * 60 * 60 * 1000);
+  for (const check of checks.filter(c => c.trigger)) {
+    const recent = await RetrainingRun.exists({ metric: check.metric, startedAt: { $gte: cooldownStart } });
+    if (recent) {
+      logger.info(`${check.metric} model drifted (${check.reason}) but was retrained within ${RETRAIN_COOLDOWN_HOURS}h, skipping`);
+      continue;
+    }
+
+    try {
+      const { done } = await startRetraining(check.metric, { trigger: check.trigger, reason: check.reason, drift: check });
+      await done;
+    } catch (error) {
+      logger.warn(`Could not retrain ${check.metric} model: ${error.message}`);
+    }
+  }
+
+  return checks;
+}
+
+/**
+ * Set the timer of the next scheduled retraining
+ */
+function scheduleNextRun() {
+  nextRunAt = nextRun(RETRAIN_SCHEDULE);
+  if (!nextRunAt) {
+    return;
+  }
+
+  scheduleTimer = setTimeout(async () => {
+    if (Date.now() >= nextRunAt.getTime()) {
+      await retrainAll('schedule').catch(error => logger.error(`Scheduled retraining failed: ${error.message}`, { error }));
+    }
+    scheduleNextRun();
+  }, Math.min(nextRunAt.getTime() - Date.now(), MAX_TIMER_MS));
+}
+
+/**
+ * Start scheduled retraining and drift checks unless disabled with RETRAIN_ENABLED=false
+ */
+function initializeRetraining() {
+  if (process.env.RETRAIN_ENABLED === 'false') {
+    logger.info('Automatic retraining disabled by configuration');
+    return;
+  }
+  if (!isValidCron(RETRAIN_SCHEDULE)) {
+    logger.warn(`Invalid RETRAIN_SCHEDULE "${RETRAIN_SCHEDULE}", automatic retraining disabled`);
+    return;
+  }
+
+  scheduleNextRun();
+  driftTimer = setInterval(() => {
+    checkAllForDrift().catch(error => logger.error(`Drift check failed: ${error.message}`, { error }));
+  }, DRIFT_CHECK_INTERVAL_MINUTES * 60 * 1000);
+
+  logger.info(`Automatic retraining scheduled by "${RETRAIN_SCHEDULE}", drift checks every ${DRIFT_CHECK_INTERVAL_MINUTES} minute(s)`);
+}
+
+/**
+ * Stop scheduled retraining and drift checks, a run in progress is allowed to finish
+ */
+function stopRetraining() {
+  clearTimeout(scheduleTimer);
+  clearInterval(driftTimer);
+  scheduleTimer = null;
+  driftTimer = null;
+  nextRunAt = null;
+}
+
+/**
+ * Retraining status and the last drift checks
+ * @returns {Object} Status
+ */
+function getRetrainingStatus() {
+  return {
+    enabled: Boolean(driftTimer),
+    schedule: RETRAIN_SCHEDULE,
+    nextRunAt,
+    driftCheckIntervalMinutes: DRIFT_CHECK_INTERVAL_MINUTES,
+    thresholds: {
+      mape: DRIFT_MAPE_THRESHOLD,
+      psi: DRIFT_PSI_THRESHOLD
+    },
+    lastDriftCheckAt,
+    lastDriftChecks,
+    inProgress: Array.from(runningMetrics)
+  };
+}
+
+/**
+ * Query retraining runs, newest first
+ * @param {Object} [filter={}] - metric, status, trigger
+ * @param {Object} [options={}] - page (1-based) and limit
+ * @returns {Promise<Object>} Runs and pagination info
+ */
+async function listRuns(filter = {}, options = {}) {
+  const page = Math.max(1, parseInt(options.page) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(options.limit) || DEFAULT_PAGE_SIZE));
+
+  const query = {};
+  for (const field of ['metric', 'status', 'trigger']) {
+    if (filter[field]) {
+      query[field] = filter[field];
+    }
+  }
+
+  const [runs, total] = await Promise.all([
+    RetrainingRun.find(query)
+      .sort({ startedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    RetrainingRun.countDocuments(query)
+  ]);
+
+  return {
+    runs,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+module.exports = {
+  initializeRetraining,
+  stopRetraining,
+  startRetraining,
+  checkAllForDrift,
+  getRetrainingStatus,
+  listRuns
+};
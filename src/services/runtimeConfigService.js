@@ -0,0 +1,369 @@
+// Runtime configuration
+// Settings changed from the dashboard are stored as versioned overrides in
+// MongoDB on top of the environment variables. Services read them whenever
+// they need a value, so changes apply without a restart.
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const Joi = require('joi');
+const ConfigVersion = require('../models/ConfigVersion');
+const { listLlmProviders } = require('../llmProviders');
+const logger = require('../utils/logger');
+
+// Fields that are never returned by getPublicConfig or stored in a version
+// Secrets belong in the environment (or a secret store feeding it); one changed
+// at runtime applies to this process until it restarts.
+const SECRET_FIELDS = ['clientSecret', 'apiKey'];
+
+// Placeholder returned for secrets, submitting it keeps the current value
+const MASKED_SECRET = '********';
+
+// History pagination
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Validation schema of each section (mirror lib/validation.ts in the dashboard)
+const sectionSchemas = {
+  azure: Joi.object({
+    tenantId: Joi.string().required(),
+    clientId: Joi.string().required(),
+    clientSecret: Joi.string().required(),
+    subscriptionId: Joi.string().required(),
+    resourceGroup: Joi.string().required(),
+    vmssName: Joi.string().required()
+  }),
+  ollama: Joi.object({
+    provider: Joi.string().valid(...listLlmProviders()).optional(),
+    apiUrl: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+    primaryModel: Joi.string().required(),
+    fallbackModel: Joi.string().required(),
+    systemPrompt: Joi.string().min(10).required(),
+    apiKey: Joi.string().allow('').optional()
+  }),
+  scaling: Joi.object({
+    minInstances: Joi.number().integer().min(1).required(),
+    maxInstances: Joi.number().integer().min(Joi.ref('minInstances')).required(),
+    cooldownPeriod: Joi.number().integer().min(1).required(),
+    confidenceThreshold: Joi.number().min(0.1).max(1).required(),
+    metricsInterval: Joi.number().integer().min(1).required(),
+    metricsLookback: Joi.number().integer().min(1).required()
+  }),
+  thresholds: Joi.object({
+    cpu: Joi.number().min(1).max(100).required(),
+    memory: Joi.number().min(1).max(100).required(),
+    network: Joi.number().min(1).max(100).required()
+  }),
+  approval: Joi.object({
+    enabled: Joi.boolean().required(),
+    maxDelta: Joi.number().integer().min(1).required(),
+    maxPercent: Joi.number().min(1).required(),
+    expiryMinutes: Joi.number().integer().min(1).required()
+  })
+};
+
+// Overrides per section, loaded from the latest stored version
+let overrides = {
+  azure: {},
+  ollama: {},
+  scaling: {},
+  thresholds: {},
+  approval: {}
+};
+
+// Version in effect (0 = environment only)
+let currentVersion = 0;
+
+// Emits `change` with the section name after every update
+const events = new EventEmitter();
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Whether configuration versions can be stored
+ */
+function isPersistent() {
+  return mongoose.connection.readyState === 1;
+}
+
+/**
+ * Values of each section as configured by the environment
+ */
+function getEnvironmentDefaults() {
+  return {
+    azure: {
+      tenantId: process.env.AZURE_TENANT_ID || '',
+      clientId: process.env.AZURE_CLIENT_ID || '',
+      clientSecret: process.env.AZURE_CLIENT_SECRET || '',
+      subscriptionId: process.env.AZURE_SUBSCRIPTION_ID || '',
+      resourceGroup: process.env.AZURE_RESOURCE_GROUP || '',
+      vmssName: process.env.AZURE_VMSS_NAME || ''
+    },
+    ollama: {
+      provider: process.env.LLM_PROVIDER || 'ollama',
+      apiUrl: process.env.OLLAMA_API_URL || 'http://localhost:11434',
+      primaryModel: process.env.OLLAMA_MODEL || 'llama3:8b',
+      fallbackModel: process.env.OLLAMA_FALLBACK_MODEL || 'mistral:7b',
+      systemPrompt: process.env.OLLAMA_SYSTEM_PROMPT || '',
+      apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || ''
+    },
+    scaling: {
+      minInstances: parseInt(process.env.MIN_INSTANCES || '2'),
+      maxInstances: parseInt(process.env.MAX_INSTANCES || '10'),
+      cooldownPeriod: parseInt(process.env.SCALING_COOLDOWN_MINUTES || '15'),
+      confidenceThreshold: parseFloat(process.env.SCALING_CONFIDENCE_THRESHOLD || '0.7'),
+      metricsInterval: parseInt(process.env.METRICS_INTERVAL_MINUTES || '15'),
+      metricsLookback: parseInt(process.env.METRICS_LOOKBACK_HOURS || '1')
+    },
+    thresholds: {
+      cpu: parseInt(process.env.CPU_THRESHOLD || '70'),
+      memory: parseInt(process.env.MEMORY_THRESHOLD || '80'),
+      network: parseInt(process.env.NETWORK_THRESHOLD || '75')
+    },
+    approval: {
+      // Opt-in: the approval queue needs a database, the CLI may run without one
+      enabled: process.env.SCALING_APPROVAL_ENABLED === 'true',
+      maxDelta: parseInt(process.env.SCALING_APPROVAL_MAX_DELTA || '5'),
+      maxPercent: parseFloat(process.env.SCALING_APPROVAL_MAX_PERCENT || '100'),
+      expiryMinutes: parseInt(process.env.SCALING_APPROVAL_EXPIRY_MINUTES || '60')
+    }
+  };
+}
+
+/**
+ * Get the effective configuration of a section
+ * @param {string} section - azure, ollama, scaling, thresholds or approval
+ * @returns {Object} Environment defaults merged with runtime overrides
+ */
+function getConfig(section) {
+  const defaults = getEnvironmentDefaults();
+
+  if (!defaults[section]) {
+    throw new Error(`Unknown configuration section: ${section}`);
+  }
+
+  return { ...defaults[section], ...overrides[section] };
+}
+
+/**
+ * Replace secret values with the mask
+ */
+function maskSecrets(values) {
+  const masked = { ...values };
+
+  for (const field of SECRET_FIELDS) {
+    if (field in masked) {
+      masked[field] = masked[field] ? MASKED_SECRET : '';
+    }
+  }
+
+  return masked;
+}
+
+/**
+ * Values of a section without the secret fields
+ * @param {boolean} [secret=false] - Keep only the secret fields instead
+ */
+function filterSecrets(values = {}, secret = false) {
+  return Object.fromEntries(Object.entries(values).filter(([field]) => SECRET_FIELDS.includes(field) === secret));
+}
+
+/**
+ * Schema of a section with the secrets optional, they are not stored
+ */
+function getStoredSchema(section) {
+  const schema = sectionSchemas[section];
+  const secrets = SECRET_FIELDS.filter(field => schema.describe().keys[field]);
+  return secrets.length > 0 ? schema.fork(secrets, field => field.optional().allow('')) : schema;
+}
+
+/**
+ * Get a section with secrets masked, safe to return from the API
+ * @param {string} section - azure, ollama, scaling, thresholds or approval
+ * @returns {Object} Configuration
+ */
+function getPublicConfig(section) {
+  return maskSecrets(getConfig(section));
+}
+
+/**
+ * Version of the configuration in effect
+ * @returns {number} Version, 0 when only environment values are used
+ */
+function getVersion() {
+  return currentVersion;
+}
+
+/**
+ * Load the latest stored configuration version
+ * Sections that no longer pass validation keep their environment values.
+ * @returns {Promise<number>} Version in effect
+ */
+async function loadConfig() {
+  if (!isPersistent()) {
+    logger.warn('Database not connected, runtime configuration changes will not be persisted');
+    return currentVersion;
+  }
+
+  const latest = await ConfigVersion.findOne().sort({ version: -1 }).lean();
+  if (!latest) {
+    logger.info('No stored runtime configuration, using environment values');
+    return currentVersion;
+  }
+
+  const loaded = {};
+  for (const section of Object.keys(sectionSchemas)) {
+    // Secrets stored by earlier versions are ignored, those set at runtime are kept
+    const stored = filterSecrets((latest.config && latest.config[section]) || {});
+    const runtimeSecrets = filterSecrets(overrides[section], true);
+    const { error } = getStoredSchema(section).validate(
+      { ...getEnvironmentDefaults()[section], ...stored }
+    );
+
+    if (error) {
+      logger.warn(`Ignoring stored ${section} configuration: ${error.message}`);
+      loaded[section] = runtimeSecrets;
+    } else {
+      loaded[section] = { ...stored, ...runtimeSecrets };
+    }
+  }
+
+  overrides = loaded;
+  currentVersion = latest.version;
+  logger.info(`Runtime configuration version ${currentVersion} loaded`);
+
+  for (const section of Object.keys(sectionSchemas)) {
+    events.emit('change', section);
+  }
+
+  return currentVersion;
+}
+
+/**
+ * Override values of a section and store the result as a new version
+ * @param {string} section - azure, ollama, scaling, thresholds or approval
+ * @param {Object} values - Values to override, validated by the caller
+ * @param {Object} [options={}]
+ * @param {string} [options.changedBy] - Who made the change, kept in the audit trail
+ * @returns {Promise<Object>} Effective configuration with secrets masked and the version
+ */
+async function updateConfig(section, values, options = {}) {
+  if (!overrides[section]) {
+    throw new Error(`Unknown configuration section: ${section}`);
+  }
+
+  const { changedBy = 'anonymous' } = options;
+  const current = getConfig(section);
+  const updates = { ...values };
+
+  // The dashboard sends the masked secret back when it was not changed
+  for (const field of SECRET_FIELDS) {
+    if (updates[field] === MASKED_SECRET) {
+      delete updates[field];
+    }
+  }
+
+  const changes = Object.keys(updates)
+    .filter(field => updates[field] !== current[field])
+    .map(field => SECRET_FIELDS.includes(field)
+      ? { field, from: MASKED_SECRET, to: MASKED_SECRET }
+      : { field, from: current[field], to: updates[field] });
+
+  if (changes.length === 0) {
+    return { config: getPublicConfig(section), version: currentVersion };
+  }
+
+  const nextOverrides = {
+    ...overrides,
+    [section]: { ...overrides[section], ...updates }
+  };
+
+  if (isPersistent()) {
+    try {
+      await ConfigVersion.create({
+        version: currentVersion + 1,
+        config: Object.fromEntries(Object.entries(nextOverrides).map(([name, values]) => [name, filterSecrets(values)])),
+        section,
+        changes,
+        changedBy
+      });
+    } catch (error) {
+      // Another instance stored the same version first
+      if (error.code === 11000) {
+        await loadConfig();
+        throw httpError(409, 'Configuration was changed by someone else, reload and try again');
+      }
+      throw error;
+    }
+  }
+
+  overrides = nextOverrides;
+  currentVersion += 1;
+  logger.info(`Runtime ${section} configuration updated to version ${currentVersion} by ${changedBy}: ${changes.map(change => change.field).join(', ')}`);
+
+  const secretChanges = changes.filter(change => SECRET_FIELDS.includes(change.field));
+  if (secretChanges.length > 0) {
+    logger.warn(`${secretChanges.map(change => change.field).join(', ')} of the ${section} configuration is not stored and applies until the next restart, set it in the environment to keep it`);
+  }
+
+  events.emit('change', section);
+  return { config: getPublicConfig(section), version: currentVersion };
+}
+
+/**
+ * Query the configuration change history, newest first
+ * @param {Object} [filter={}] - section, changedBy
+ * @param {Object} [options={}] - page (1-based) and limit
+ * @returns {Promise<Object>} Versions (without the stored snapshot) and pagination info
+ */
+async function listHistory(filter = {}, options = {}) {
+  const page = Math.max(1, parseInt(options.page) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(options.limit) || DEFAULT_PAGE_SIZE));
+
+  if (!isPersistent()) {
+    return { versions: [], pagination: { page, limit, total: 0, pages: 0 } };
+  }
+
+  const query = {};
+  for (const field of ['section', 'changedBy']) {
+    if (filter[field]) {
+      query[field] = filter[field];
+    }
+  }
+
+  const [versions, total] = await Promise.all([
+    ConfigVersion.find(query)
+      .select('-config')
+      .sort({ version: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    ConfigVersion.countDocuments(query)
+  ]);
+
+  return {
+    versions,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+module.exports = {
+  events,
+  sectionSchemas,
+  getConfig,
+  getPublicConfig,
+  getVersion,
+  loadConfig,
+  updateConfig,
+  listHistory
+};
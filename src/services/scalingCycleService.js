@@ -0,0 +1,229 @@
+// Scaling cycle
+// One fetch → recommend (forecast and LLM) → combine with policies and schedules → clamp →
+// apply pass for a target, shared by the in-process scheduler, the API and scripts/schedule-scaling.js.
+const { getProviderForTarget } = require('../providers');
+const runtimeConfig = require('./runtimeConfigService');
+const { applyScalingRecommendation, getRecentMetrics } = require('./infrastructureService');
+const { getActivePolicies, evaluatePolicies } = require('./policyService');
+const { getForecastCapacity } = require('./modelService');
+const {
+  getForecastCandidate,
+  getLlmCandidate,
+  getPolicyCandidates,
+  requestLlmRecommendation,
+  combineCandidates
+} = require('./ensembleService');
+const { getScheduledCapacity } = require('./capacityScheduleService');
+const { recordDecision } = require('./decisionService');
+const { updateState, getCooldownRemaining } = require('./scalingStateService');
+const logger = require('../utils/logger');
+
+/**
+ * Run one scaling cycle for a target
+ * Every outcome is recorded in the decision history and the target state.
+ * @param {Object} target - Target descriptor
+ * @param {Object} [options={}]
+ * @param {string} [options.source='scheduler'] - What triggered the cycle (scheduler, api, cli)
+ * @param {boolean} [options.dryRun=false] - Decide without changing capacity
+ * @param {number} [options.cooldownMinutes] - Defaults to the scaling configuration
+ * @param {number} [options.confidenceThreshold] - Defaults to the scaling configuration
+ * @param {string} [options.modelName] - Ollama model, defaults to the target's model
+ * @param {string} [options.promptFile] - Custom prompt template
+ * @param {Function} [options.loadMetrics] - async (target) => metric set, defaults to the provider metrics
+ * @returns {Promise<Object>} Cycle result
+ */
+async function runScalingCycle(target, options = {}) {
+  const scalingConfig = runtimeConfig.getConfig('scaling');
+  const {
+    source = 'scheduler',
+    dryRun = false,
+    cooldownMinutes = scalingConfig.cooldownPeriod,
+    confidenceThreshold = scalingConfig.confidenceThreshold,
+    modelName = target.model?.name,
+    promptFile,
+    loadMetrics = getRecentMetrics
+  } = options;
+
+  const provider = getProviderForTarget(target);
+  const decision = { target, source, model: modelName || null, inputs: {} };
+
+  // Record a cycle that ended without calling applyScalingRecommendation
+  const finish = async (outcome, fields = {}) => {
+    const errorMessages = [...(decision.errorMessages || []), ...(fields.errorMessages || [])];
+    await recordDecision({ ...decision, outcome, ...fields, ...(errorMessages.length > 0 && { errorMessages }) });
+    return complete({
+      outcome,
+      reason: fields.outcomeReason,
+      error: fields.errorMessages?.[0]
+    });
+  };
+
+  const complete = async (result) => {
+    await updateState(target.id, {
+      lastOutcome: result.outcome,
+      lastError: result.error || null
+    }).catch(error => logger.error(`Error saving scaling state: ${error.message}`, { error }));
+
+    return {
+      targetId: target.id,
+      targetName: target.name,
+      currentInstances: decision.inputs.currentInstances,
+      recommendedInstances: decision.recommendedInstances,
+      targetInstances: decision.targetInstances,
+      confidence: decision.confidence,
+      ...result
+    };
+  };
+
+  logger.info(`Starting scaling cycle for ${provider.describeTarget(target)} (source: ${source}${dryRun ? ', DRY RUN' : ''})`);
+  await updateState(target.id, { lastRunAt: new Date(), lastRunSource: source })
+    .catch(error => logger.error(`Error saving scaling state: ${error.message}`, { error }));
+
+  try {
+    // 1. Respect the cooldown after the last capacity change
+    const cooldownRemaining = await getCooldownRemaining(target, cooldownMinutes);
+    if (cooldownRemaining > 0) {
+      logger.info(`In cooldown period, ${cooldownRemaining} minute(s) remaining before next scaling action allowed`);
+      return finish('skipped', { outcomeReason: 'cooldown' });
+    }
+
+    // 2. Get current capacity and recent metrics
+    const currentInstances = await provider.getCapacity(target);
+    decision.inputs.currentInstances = currentInstances;
+
+    const metricsData = await loadMetrics(target);
+    if (!metricsData || !metricsData.samples || metricsData.samples.length === 0) {
+      logger.warn('No recent metrics data available. Skipping scaling cycle.');
+      return finish('skipped', { outcomeReason: 'no_metrics' });
+    }
+    decision.inputs.metrics = metricsData.samples;
+
+    // 3. Evaluate the target's scaling policies and scheduled capacity
+    const policies = await getActivePolicies(target.id);
+    const evaluations = await evaluatePolicies(target, { currentInstances, samples: metricsData.samples }, policies);
+    decision.inputs.policies = evaluations;
+
+    const scheduled = await getScheduledCapacity(target);
+    decision.inputs.schedule = scheduled;
+
+    // 4. Size the target from the forecast, missing models leave it without a candidate
+    let forecastCandidate = null;
+    try {
+      forecastCandidate = getForecastCandidate(await getForecastCapacity(target, currentInstances));
+    } catch (error) {
+      logger.warn(`Could not forecast the capacity of ${target.name}: ${error.message}`);
+    }
+
+    // 5. Ask the LLM for a recommendation, an unreachable LLM leaves it without a candidate
+    let recommendation = null;
+    try {
+      recommendation = await requestLlmRecommendation(target, currentInstances, metricsData, { modelName, promptFile, policies });
+    } catch (error) {
+      logger.warn(`Could not get an LLM recommendation for ${target.name}: ${error.message}`);
+      decision.errorMessages = [`LLM recommendation failed: ${error.message}`];
+    }
+    const hasOtherOpinion = forecastCandidate !== null || scheduled !== null ||
+      evaluations.some(evaluation => evaluation.desiredInstances !== null);
+
+    const llmCandidate = getLlmCandidate(recommendation, confidenceThreshold);
+    if (!llmCandidate) {
+      logger.error('Invalid or missing recommendation from Ollama', { recommendation });
+      if (!hasOtherOpinion) {
+        return finish('failed', { errorMessages: ['Invalid or missing recommendation from Ollama'] });
+      }
+    } else {
+      decision.model = recommendation.model || decision.model;
+      decision.confidence = recommendation.confidence;
+      decision.reasoning = recommendation.reasoning;
+      decision.recommendedInstances = recommendation.recommended_instances;
+
+      // Only act on confident recommendations, the forecast, policies and schedules still apply without one
+      if (llmCandidate.excluded) {
+        const confidence = recommendation.confidence || 1.0;
+        if (hasOtherOpinion) {
+          logger.warn(`Recommendation confidence (${confidence.toFixed(2)}) is below threshold (${confidenceThreshold}). Using the forecast, scaling policies and schedules only.`);
+        } else {
+          logger.warn(`Recommendation confidence (${confidence.toFixed(2)}) is below threshold (${confidenceThreshold}). Skipping scaling operation.`);
+          decision.targetInstances = currentInstances;
+          return finish('skipped', { outcomeReason: 'low_confidence' });
+        }
+      }
+    }
+
+    // 6. Combine the candidates with the schedules and clamp to the (scheduled) bounds
+    const combined = combineCandidates(target, [forecastCandidate, llmCandidate, ...getPolicyCandidates(evaluations)], { scheduled, currentInstances });
+    const { targetInstances } = combined;
+    decision.targetInstances = targetInstances;
+    decision.inputs.ensemble = {
+      strategy: combined.strategy,
+      candidates: combined.candidates,
+      agreement: combined.agreement,
+      decidedBy: combined.decidedBy
+    };
+
+    const [decider, name] = combined.decidedBy.split(/:(.*)/);
+    const deciders = {
+      policy: `Scaling policy ${name}`,
+      schedule: `Capacity schedule ${name}`,
+      'lstm-forecast': `The forecast (${forecastCandidate?.reason})`,
+      ensemble: `The ${name} ensemble of ${combined.candidates.length} candidate(s)`
+    };
+    if (deciders[decider]) {
+      const ruleReason = `${deciders[decider]} requires ${targetInstances} instance(s).`;
+      decision.reasoning = decision.reasoning ? `${decision.reasoning} ${ruleReason}` : ruleReason;
+    }
+    if (combined.agreement && !combined.agreement.agree) {
+      decision.reasoning += ` The forecast (${combined.agreement.forecast}) and the LLM (${combined.agreement.llm}) disagree.`;
+    }
+
+    logger.info(`Recommended instance count: ${combined.desiredInstances} (${combined.decidedBy}), Adjusted: ${targetInstances}`);
+
+    if (dryRun && targetInstances !== currentInstances) {
+      logger.info('Dry run mode - not making actual changes');
+      return finish('dry_run');
+    }
+
+    // 7. Apply (records the decision itself, large changes wait for approval)
+    const result = await applyScalingRecommendation({
+      model: decision.model,
+      confidence: decision.confidence,
+      reasoning: decision.reasoning,
+      errorMessages: decision.errorMessages,
+      metrics: metricsData.samples,
+      policies: evaluations,
+      schedule: scheduled,
+      ensemble: {
+        strategy: combined.strategy,
+        candidates: combined.candidates,
+        agreement: combined.agreement
+      },
+      scaling: {
+        currentInstances,
+        requestedInstances: combined.desiredInstances,
+        recommendedInstances: targetInstances,
+        decidedBy: combined.decidedBy,
+        scaleOutRecommended: targetInstances > currentInstances,
+        scaleInRecommended: targetInstances < currentInstances
+      }
+    }, target, { source });
+
+    const outcomes = { none: 'no_change', pending_approval: 'pending_approval' };
+    return complete({
+      outcome: outcomes[result.action] || 'applied',
+      action: result.action,
+      pendingActionId: result.pendingActionId
+    });
+  } catch (error) {
+    logger.error(`Error during scaling cycle for target ${target.name}: ${error.message}`, { error });
+
+    // Failures while applying were already recorded by applyScalingRecommendation
+    if (decision.targetInstances !== undefined && !dryRun) {
+      return complete({ outcome: 'failed', error: error.message });
+    }
+    return finish('failed', { errorMessages: [error.message] });
+  }
+}
+
+module.exports = {
+  runScalingCycle
+};
@@ -0,0 +1,126 @@
+// Per-target scaling state (last run and cooldown)
+const mongoose = require('mongoose');
+const SchedulerState = require('../models/SchedulerState');
+const runtimeConfig = require('./runtimeConfigService');
+const logger = require('../utils/logger');
+
+// Fallback when no database is connected (e.g. the CLI without MONGODB_URI)
+const memoryStates = new Map();
+
+// Reserved id of the scheduler's own state, never a target id
+const SCHEDULER_STATE_ID = '_scheduler';
+
+/**
+ * Whether state can be persisted
+ */
+function isPersistent() {
+  return mongoose.connection.readyState === 1;
+}
+
+/**
+ * Get the state of a target
+ * @param {string} targetId - Target id
+ * @returns {Promise<Object>} State, empty when the target never ran
+ */
+async function getState(targetId) {
+  if (!isPersistent()) {
+    return memoryStates.get(targetId) || { targetId };
+  }
+
+  const state = await SchedulerState.findOne({ targetId }).lean();
+  return state || { targetId };
+}
+
+/**
+ * Update the state of a target
+ * @param {string} targetId - Target id
+ * @param {Object} fields - Fields to set
+ * @returns {Promise<Object>} Updated state
+ */
+async function updateState(targetId, fields) {
+  if (!isPersistent()) {
+    const state = { ...(memoryStates.get(targetId) || { targetId }), ...fields };
+    memoryStates.set(targetId, state);
+    return state;
+  }
+
+  return SchedulerState.findOneAndUpdate(
+    { targetId },
+    { $set: fields },
+    { upsert: true, new: true }
+  ).lean();
+}
+
+/**
+ * List the state of every target that has run
+ * @returns {Promise<Array>} States
+ */
+async function listStates() {
+  if (!isPersistent()) {
+    return Array.from(memoryStates.values()).filter(state => state.targetId !== SCHEDULER_STATE_ID);
+  }
+
+  return SchedulerState.find({ targetId: { $ne: SCHEDULER_STATE_ID } }).sort({ targetId: 1 }).lean();
+}
+
+/**
+ * Stored state of the scheduler
+ * @returns {Promise<Object>} running, intervalMinutes and lastRunAt, empty when never stored
+ */
+async function getSchedulerState() {
+  const { targetId, ...state } = await getState(SCHEDULER_STATE_ID);
+  return state;
+}
+
+/**
+ * Store the state of the scheduler
+ * Failures are logged only, the scheduler keeps running with its in-memory state.
+ * @param {Object} fields - running, intervalMinutes or lastRunAt
+ */
+async function saveSchedulerState(fields) {
+  try {
+    await updateState(SCHEDULER_STATE_ID, fields);
+  } catch (error) {
+    logger.error(`Error saving scheduler state: ${error.message}`, { error });
+  }
+}
+
+/**
+ * Remember that a target's capacity was changed, which starts its cooldown
+ * Failures are logged only, they must not fail the scaling operation itself.
+ * @param {string} targetId - Target id
+ */
+async function markScaled(targetId) {
+  try {
+    await updateState(targetId, { lastScalingAt: new Date() });
+  } catch (error) {
+    logger.error(`Error saving scaling state for target ${targetId}: ${error.message}`, { error });
+  }
+}
+
+/**
+ * Minutes left before a target may be scaled again
+ * @param {Object} target - Target descriptor
+ * @param {number} [cooldownMinutes] - Cooldown period, defaults to the scaling configuration
+ * @returns {Promise<number>} Remaining cooldown in whole minutes
+ */
+async function getCooldownRemaining(target, cooldownMinutes = runtimeConfig.getConfig('scaling').cooldownPeriod) {
+  const { lastScalingAt } = await getState(target.id);
+
+  if (!lastScalingAt) {
+    return 0;
+  }
+
+  const elapsedMs = Date.now() - new Date(lastScalingAt).getTime();
+  return Math.max(0, Math.ceil((cooldownMinutes * 60 * 1000 - elapsedMs) / 60000));
+}
+
+module.exports = {
+  getState,
+  updateState,
+  listStates,
+  getSchedulerState,
+  saveSchedulerState,
+  markScaled,
+  getCooldownRemaining
+};
@@ -0,0 +1,188 @@
+// In-process scaling scheduler
+// Runs the scaling cycle for every active target on an interval. Whether it
+// runs, its interval and its last run are stored, so a restart resumes the
+// scheduler as it was left.
+const { runScalingCycle } = require('./scalingCycleService');
+const { listActiveTargets } = require('./targetService');
+const { listStates, getSchedulerState, saveSchedulerState } = require('./scalingStateService');
+const logger = require('../utils/logger');
+
+// Configuration
+const DEFAULT_INTERVAL_MINUTES = parseInt(process.env.SCHEDULER_INTERVAL_MINUTES || '5');
+
+// Scheduler state
+let timer = null;
+let intervalMinutes = DEFAULT_INTERVAL_MINUTES;
+let startedAt = null;
+let nextRunAt = null;
+let lastRunAt = null;
+let lastResults = [];
+
+// Targets with a cycle in progress, so runs never overlap for one target
+const runningTargets = new Set();
+
+/**
+ * Run the scaling cycle for one target unless it is already running
+ * @param {Object} target - Target descriptor
+ * @param {string} source - What triggered the run
+ * @returns {Promise<Object>} Cycle result
+ */
+async function runTarget(target, source) {
+  if (runningTargets.has(target.id)) {
+    logger.info(`Scaling cycle already in progress for target ${target.name}, skipping`);
+    return { targetId: target.id, targetName: target.name, outcome: 'skipped', reason: 'in_progress' };
+  }
+
+  runningTargets.add(target.id);
+  try {
+    return await runScalingCycle(target, { source });
+  } finally {
+    runningTargets.delete(target.id);
+  }
+}
+
+/**
+ * Run the scaling cycle for every active target
+ * @param {string} [source='scheduler'] - What triggered the run
+ * @returns {Promise<Array>} Cycle results
+ */
+async function runAllTargets(source = 'scheduler') {
+  lastRunAt = new Date();
+  await saveSchedulerState({ lastRunAt });
+  const targets = await listActiveTargets();
+  const results = [];
+
+  for (const target of targets) {
+    try {
+      results.push(await runTarget(target, source));
+    } catch (error) {
+      logger.error(`Scheduled scaling failed for target ${target.name}: ${error.message}`, { error });
+      results.push({ targetId: target.id, targetName: target.name, outcome: 'failed', error: error.message });
+    }
+  }
+
+  lastResults = results;
+  return results;
+}
+
+/**
+ * Timer callback
+ */
+async function tick() {
+  nextRunAt = new Date(Date.now() + intervalMinutes * 60 * 1000);
+
+  try {
+    await runAllTargets('scheduler');
+  } catch (error) {
+    logger.error(`Scheduled scaling run failed: ${error.message}`, { error });
+  }
+}
+
+/**
+ * Start the scheduler
+ * @param {number} [minutes] - Interval between runs, defaults to the current interval
+ * @returns {Promise<Object>} Scheduler status
+ */
+async function start(minutes = intervalMinutes) {
+  if (timer) {
+    clearInterval(timer);
+  }
+
+  intervalMinutes = minutes;
+  timer = setInterval(tick, intervalMinutes * 60 * 1000);
+  startedAt = new Date();
+  nextRunAt = new Date(Date.now() + intervalMinutes * 60 * 1000);
+
+  await saveSchedulerState({ running: true, intervalMinutes });
+  logger.info(`Scaling scheduler started, running every ${intervalMinutes} minute(s)`);
+  return getStatus();
+}
+
+/**
+ * Stop the scheduler, a cycle in progress is allowed to finish
+ * @param {Object} [options={}]
+ * @param {boolean} [options.persist=true] - Store that the scheduler is stopped, false on shutdown so a restart resumes it
+ * @returns {Promise<Object>} Scheduler status
+ */
+async function stop({ persist = true } = {}) {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+    logger.info('Scaling scheduler stopped');
+  }
+
+  startedAt = null;
+  nextRunAt = null;
+  if (persist) {
+    await saveSchedulerState({ running: false });
+  }
+  return getStatus();
+}
+
+/**
+ * Run a scaling cycle immediately
+ * @param {Object} [target] - Only run for this target, defaults to every active target
+ * @returns {Promise<Array>} Cycle results
+ */
+async function runNow(target) {
+  if (target) {
+    return [await runTarget(target, 'api')];
+  }
+
+  return runAllTargets('api');
+}
+
+/**
+ * Current scheduler status including the persisted state of each target
+ * @returns {Promise<Object>} Status
+ */
+async function getStatus() {
+  const targets = await listStates().catch(error => {
+    logger.warn(`Could not load scaling state: ${error.message}`);
+    return [];
+  });
+
+  return {
+    running: Boolean(timer),
+    intervalMinutes,
+    startedAt,
+    nextRunAt,
+    lastRunAt,
+    inProgress: Array.from(runningTargets),
+    lastResults,
+    targets
+  };
+}
+
+/**
+ * Resume the scheduler as it was before the restart
+ * It starts unless disabled with SCHEDULER_ENABLED=false or stopped through
+ * the API, with the stored interval.
+ */
+async function initializeScheduler() {
+  if (process.env.SCHEDULER_ENABLED === 'false') {
+    logger.info('Scaling scheduler disabled by configuration');
+    return;
+  }
+
+  const stored = await getSchedulerState().catch(error => {
+    logger.warn(`Could not load scheduler state: ${error.message}`);
+    return {};
+  });
+  lastRunAt = stored.lastRunAt || null;
+
+  if (stored.running === false) {
+    logger.info('Scaling scheduler was stopped before the restart, not starting it');
+    return;
+  }
+
+  await start(stored.intervalMinutes || DEFAULT_INTERVAL_MINUTES);
+}
+
+module.exports = {
+  initializeScheduler,
+  start,
+  stop,
+  runNow,
+  getStatus
+};
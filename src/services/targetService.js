@@ -0,0 +1,200 @@
+// Scaling target registry
+const mongoose = require('mongoose');
+const ScalingTarget = require('../models/ScalingTarget');
+const ScalingPolicy = require('../models/ScalingPolicy');
+const CapacitySchedule = require('../models/CapacitySchedule');
+const { getMetricsStore } = require('../metricsStore');
+const { getDefaultTarget: getDefaultProviderTarget } = require('../providers');
+const runtimeConfig = require('./runtimeConfigService');
+const { getDefaultPrometheusConfig } = require('./prometheusService');
+const { getDefaultCustomMetrics } = require('./customMetricsService');
+const { getDefaultScalingSignals } = require('../utils/capacity');
+const logger = require('../utils/logger');
+
+// Id used for the target described by environment variables
+const DEFAULT_TARGET_ID = 'default';
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Build the default target from environment variables and runtime configuration
+ * Keeps single-target deployments working without any registered targets.
+ * @returns {Object} Target descriptor
+ */
+function getDefaultTarget() {
+  const { subscriptionId, resourceGroup, vmssName } = runtimeConfig.getConfig('azure');
+  const { minInstances, maxInstances } = runtimeConfig.getConfig('scaling');
+  const { primaryModel, fallbackModel } = runtimeConfig.getConfig('ollama');
+
+  return {
+    id: DEFAULT_TARGET_ID,
+    name: DEFAULT_TARGET_ID,
+    ...getDefaultProviderTarget(undefined, { subscriptionId, resourceGroup, vmssName }),
+    minInstances,
+    maxInstances,
+    thresholds: runtimeConfig.getConfig('thresholds'),
+    prometheus: getDefaultPrometheusConfig(),
+    customMetrics: getDefaultCustomMetrics(),
+    scalingSignals: getDefaultScalingSignals(),
+    forecastModel: process.env.FORECAST_MODEL || 'univariate',
+    forecastPercentile: process.env.FORECAST_PERCENTILE ? parseFloat(process.env.FORECAST_PERCENTILE) : undefined,
+    model: {
+      name: primaryModel,
+      fallback: fallbackModel
+    },
+    enabled: true
+  };
+}
+
+/**
+ * Application signals declared for a target
+ * Prometheus queries as well as custom metrics pushed to the ingest endpoint.
+ * @param {Object} target - Target descriptor
+ * @returns {Array} Signals with name and optional unit and threshold
+ */
+function getTargetSignals(target) {
+  return [...(target.prometheus?.queries || []), ...(target.customMetrics || [])]
+    .map(({ name, unit, threshold }) => ({ name, unit, threshold }));
+}
+
+/**
+ * Resolve a target id to a target descriptor
+ * @param {string} [targetId] - Registered target id, falls back to the default target
+ * @returns {Promise<Object>} Target descriptor
+ */
+async function resolveTarget(targetId) {
+  if (!targetId || targetId === DEFAULT_TARGET_ID) {
+    return getDefaultTarget();
+  }
+
+  if (!mongoose.isValidObjectId(targetId)) {
+    throw httpError(400, `Invalid target id: ${targetId}`);
+  }
+
+  const target = await ScalingTarget.findById(targetId);
+
+  if (!target) {
+    throw httpError(404, `Scaling target ${targetId} not found`);
+  }
+
+  return target.toDescriptor();
+}
+
+/**
+ * List registered targets
+ * @param {Object} [filter={}] - Optional filter (provider, enabled)
+ * @returns {Promise<Array>} Target descriptors
+ */
+async function listTargets(filter = {}) {
+  const targets = await ScalingTarget.find(filter).sort({ name: 1 });
+  return targets.map(target => target.toDescriptor());
+}
+
+/**
+ * List the targets that should be processed by background jobs
+ * Registered targets are used when present, otherwise the default target.
+ * @returns {Promise<Array>} Target descriptors
+ */
+async function listActiveTargets() {
+  try {
+    const targets = await listTargets({ enabled: true });
+    return targets.length > 0 ? targets : [getDefaultTarget()];
+  } catch (error) {
+    logger.warn(`Could not load registered targets, using default target: ${error.message}`);
+    return [getDefaultTarget()];
+  }
+}
+
+/**
+ * Register a new target
+ * @param {Object} data - Target fields
+ * @returns {Promise<Object>} Target descriptor
+ */
+async function createTarget(data) {
+  const target = new ScalingTarget(data);
+  await target.save();
+
+  logger.info(`Scaling target registered: ${target.name} (${target.provider})`);
+  return target.toDescriptor();
+}
+
+/**
+ * Update a registered target
+ * @param {string} targetId - Target id
+ * @param {Object} data - Fields to update
+ * @returns {Promise<Object>} Target descriptor
+ */
+async function updateTarget(targetId, data) {
+  if (!mongoose.isValidObjectId(targetId)) {
+    throw httpError(400, `Invalid target id: ${targetId}`);
+  }
+
+  const target = await ScalingTarget.findById(targetId);
+
+  if (!target) {
+    throw httpError(404, `Scaling target ${targetId} not found`);
+  }
+
+  target.set(data);
+  await target.save();
+
+  logger.info(`Scaling target updated: ${target.name}`);
+  return target.toDescriptor();
+}
+
+/**
+ * Remove a registered target
+ * @param {string} targetId - Target id
+ */
+async function deleteTarget(targetId) {
+  if (!mongoose.isValidObjectId(targetId)) {
+    throw httpError(400, `Invalid target id: ${targetId}`);
+  }
+
+  const target = await ScalingTarget.findByIdAndDelete(targetId);
+
+  if (!target) {
+    throw httpError(404, `Scaling target ${targetId} not found`);
+  }
+
+  // Policies, schedules and metrics are only meaningful for their target
+  await ScalingPolicy.deleteMany({ targetId });
+  await CapacitySchedule.deleteMany({ targetId });
+  await getMetricsStore().deleteSamples(targetId);
+
+  logger.info(`Scaling target removed: ${target.name}`);
+}
+
+/**
+ * Middleware that resolves the target id of a request into `req.target`
+ * The id is read from the route params, the query string or the body.
+ */
+async function loadTarget(req, res, next) {
+  try {
+    const targetId = req.params.targetId || req.query.targetId || req.body?.targetId;
+    req.target = await resolveTarget(targetId);
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  DEFAULT_TARGET_ID,
+  getDefaultTarget,
+  getTargetSignals,
+  resolveTarget,
+  listTargets,
+  listActiveTargets,
+  createTarget,
+  updateTarget,
+  deleteTarget,
+  loadTarget
+};
@@ -0,0 +1,289 @@
+// Training jobs
+// Trainings requested through the API run one at a time in the background.
+// Every job is stored with its parameters, the losses of each epoch and its
+// outcome; listeners (the server-sent events route) get the progress as it
+// happens. A queued job is cancelled right away, a running one after its
+// current epoch.
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const TrainingJob = require('../models/TrainingJob');
+const { trainModel } = require('./modelService');
+const { MULTIVARIATE_MODEL, trainMultivariateModel } = require('./multivariateModelService');
+const { resolveTarget } = require('./targetService');
+const logger = require('../utils/logger');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Job updates: 'update' with the job id, the event name and its data
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+// Ids of the queued jobs, oldest first
+const queue = [];
+// Whether the queue is being worked on
+let processing = false;
+// Job in progress and its abort controller
+let current = null;
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Notify the listeners of a job
+ */
+function emit(jobId, event, data) {
+  events.emit('update', { jobId: String(jobId), event, data });
+}
+
+/**
+ * Store a status change of a job and notify its listeners
+ */
+async function setStatus(jobId, update) {
+  const job = await TrainingJob.findByIdAndUpdate(jobId, update, { new: true }).lean();
+  emit(jobId, 'status', job);
+  return job;
+}
+
+/**
+ * Run one job
+ */
+async function runJob(jobId) {
+  const job = await TrainingJob.findById(jobId).lean();
+  if (!job || job.status !== 'queued') {
+    return;
+  }
+
+  const controller = new AbortController();
+  current = { jobId: String(jobId), controller };
+  await setStatus(jobId, { status: 'running', startedAt: new Date() });
+
+  const { targetId, days, epochs, batchSize, lookbackWindow, learningRate, activate } = job.params;
+  try {
+    const target = await resolveTarget(targetId);
+    const options = {
+      activate,
+      trigger: 'api',
+      requestedBy: job.requestedBy,
+      hyperparameters: Object.fromEntries(
+        Object.entries({ epochs, batchSize, lookbackWindow, learningRate }).filter(([, value]) => value !== undefined)
+      ),
+      signal: controller.signal,
+      onEpochEnd: async progress => {
+        await TrainingJob.updateOne({ _id: jobId }, {
+          $push: { epochs: { epoch: progress.epoch, loss: progress.loss, valLoss: progress.valLoss } }
+        });
+        emit(jobId, 'progress', progress);
+      }
+    };
+    // The joint model trains on all metrics of the target at once
+    const result = job.metric === MULTIVARIATE_MODEL
+      ? await trainMultivariateModel(days, target, options)
+      : await trainModel(job.metric, days, { ...options, target });
+
+    await setStatus(jobId, {
+      status: 'completed',
+      version: result.version,
+      loss: result.loss,
+      valLoss: result.valLoss,
+      finishedAt: new Date()
+    });
+    logger.info(`Training job ${jobId} registered ${job.metric} model version ${result.version}`);
+  } catch (error) {
+    const cancelled = controller.signal.aborted;
+    if (!cancelled) {
+      logger.error(`Training job ${jobId} failed: ${error.message}`, { error });
+    }
+    await setStatus(jobId, {
+      status: cancelled ? 'cancelled' : 'failed',
+      error: cancelled ? undefined : error.message,
+      finishedAt: new Date()
+    });
+  } finally {
+    current = null;
+  }
+}
+
+/**
+ * Run the queued jobs one after the other
+ */
+async function processQueue() {
+  if (processing) {
+    return;
+  }
+
+  processing = true;
+  try {
+    while (queue.length > 0) {
+      const jobId = queue.shift();
+      try {
+        await runJob(jobId);
+      } catch (error) {
+        current = null;
+        logger.error(`Training job ${jobId} could not run: ${error.message}`, { error });
+      }
+    }
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Queue the training of a metric's model
+ * @param {string} metric - cpu, memory, network, an application signal or multivariate
+ * @param {Object} [params={}] - targetId, days, epochs, batchSize, lookbackWindow, learningRate and activate
+ * @param {string} [requestedBy] - User that asked for it
+ * @returns {Promise<Object>} Queued job
+ */
+async function createJob(metric, params = {}, requestedBy) {
+  const unfinished = await TrainingJob.exists({ metric, status: { $in: ['queued', 'running'] } });
+  if (unfinished) {
+    throw httpError(409, `A training of the ${metric} model is already queued or running`);
+  }
+
+  const job = await TrainingJob.create({
+    metric,
+    params: { days: 30, activate: true, ...params },
+    requestedBy
+  });
+
+  queue.push(String(job._id));
+  logger.info(`Training job ${job._id} for the ${metric} model queued by ${requestedBy}`);
+  processQueue().catch(error => logger.error(`Training queue failed: ${error.message}`, { error }));
+
+  return job.toObject();
+}
+
+/**
+ * A training job
+ * @param {string} jobId - Job id
+ * @returns {Promise<Object>}
+ */
+async function getJob(jobId) {
+  if (!mongoose.isValidObjectId(jobId)) {
+    throw httpError(400, `Invalid training job id: ${jobId}`);
+  }
+
+  const job = await TrainingJob.findById(jobId).lean();
+  if (!job) {
+    throw httpError(404, `Training job not found: ${jobId}`);
+  }
+
+  return job;
+}
+
+/**
+ * Query training jobs, newest first
+ * @param {Object} [filter={}] - metric, status
+ * @param {Object} [options={}] - page (1-based) and limit
+ * @returns {Promise<Object>} Jobs (without their epochs) and pagination info
+ */
+async function listJobs(filter = {}, options = {}) {
+  const page = Math.max(1, parseInt(options.page) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(options.limit) || DEFAULT_PAGE_SIZE));
+
+  const query = {};
+  for (const field of ['metric', 'status']) {
+    if (filter[field]) {
+      query[field] = filter[field];
+    }
+  }
+
+  const [jobs, total] = await Promise.all([
+    TrainingJob.find(query)
+      .select('-epochs')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    TrainingJob.countDocuments(query)
+  ]);
+
+  return {
+    jobs,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+/**
+ * Cancel a queued or running job
+ * @param {string} jobId - Job id
+ * @param {string} cancelledBy - User that cancelled it
+ * @returns {Promise<Object>} Job, a running job is still running until its epoch ends
+ */
+async function cancelJob(jobId, cancelledBy) {
+  const job = await getJob(jobId);
+  if (FINISHED_STATUSES.includes(job.status)) {
+    throw httpError(409, `Training job ${jobId} already ${job.status}`);
+  }
+
+  const index = queue.indexOf(String(job._id));
+  if (index !== -1) {
+    queue.splice(index, 1);
+    logger.info(`Queued training job ${jobId} cancelled by ${cancelledBy}`);
+    return setStatus(jobId, { status: 'cancelled', cancelledBy, finishedAt: new Date() });
+  }
+
+  if (current && current.jobId === String(job._id)) {
+    current.controller.abort();
+    logger.info(`Training job ${jobId} cancelled by ${cancelledBy}, stopping after the current epoch`);
+    return TrainingJob.findByIdAndUpdate(jobId, { cancelledBy }, { new: true }).lean();
+  }
+
+  // Queued or running in another process, or before a restart
+  throw httpError(409, `Training job ${jobId} is not running in this process`);
+}
+
+/**
+ * Listen to the updates of a job
+ * @param {string} jobId - Job id
+ * @param {Function} listener - Called with the event name (progress, status) and its data
+ * @returns {Function} Removes the listener
+ */
+function subscribe(jobId, listener) {
+  const onUpdate = update => {
+    if (update.jobId === String(jobId)) {
+      listener(update.event, update.data);
+    }
+  };
+
+  events.on('update', onUpdate);
+  return () => events.off('update', onUpdate);
+}
+
+/**
+ * Mark jobs left queued or running by a previous process as failed
+ */
+async function initializeTrainingJobs() {
+  const { modifiedCount } = await TrainingJob.updateMany(
+    { status: { $in: ['queued', 'running'] } },
+    { status: 'failed', error: 'Interrupted by a restart', finishedAt: new Date() }
+  );
+
+  if (modifiedCount > 0) {
+    logger.warn(`${modifiedCount} training job(s) interrupted by a restart marked as failed`);
+  }
+}
+
+module.exports = {
+  FINISHED_STATUSES,
+  initializeTrainingJobs,
+  createJob,
+  getJob,
+  listJobs,
+  cancelJob,
+  subscribe
+};
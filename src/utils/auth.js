@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { hasPermission } = require('./permissions');
 const logger = require('./logger');
 
 // Environment variables
@@ -65,7 +66,31 @@ const authorize = (roles = []) => {
   };
 };
 
+/**
+ * Permission-based authorization middleware
+ * Responds with 403 naming the missing permission (see utils/permissions).
+ * @param {string} permission - Required permission
+ */
+const requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Authentication required' });
+    }
+
+    if (!hasPermission(req.user.role, permission)) {
+      return res.status(403).json({
+        message: `Missing permission: ${permission}`,
+        permission,
+        role: req.user.role
+      });
+    }
+
+    next();
+  };
+};
+
 module.exports = {
   authenticate,
-  authorize
+  authorize,
+  requirePermission
 }; 
\ No newline at end of file
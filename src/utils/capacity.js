@@ -0,0 +1,136 @@
+// Required capacity
+// The forecast recommendation sizes a target for every signal with a
+// threshold: CPU, memory, network and application signals. When the load
+// spreads evenly over N instances, a signal whose forecast peaks at p with a
+// threshold t needs N * p / t instances. Headroom adds spare capacity on top
+// of that, the weight damps how far a signal moves the count away from N.
+// The signal needing the most instances is the binding constraint.
+
+const { METRIC_NAME_PATTERN } = require('./metricSchema');
+const logger = require('./logger');
+
+// Spare capacity added to every signal without a headroom of its own (0.2 = 20%)
+const SCALING_HEADROOM = parseFloat(process.env.SCALING_HEADROOM || '0');
+// Network bandwidth of an instance, needed to size for network traffic; no
+// default, network is left out of the sizing without one
+const NETWORK_CAPACITY_MBPS = process.env.NETWORK_CAPACITY_MBPS ? parseFloat(process.env.NETWORK_CAPACITY_MBPS) : undefined;
+// Scale in only when every signal forecasts below this share of its threshold
+const SCALE_IN_RATIO = 0.5;
+// A scale in sizes the binding signal to this share of its threshold
+const SCALE_IN_TARGET_RATIO = 0.7;
+
+/**
+ * Weights and headrooms declared for the default target in SCALING_SIGNALS
+ * A JSON array of { name, weight, headroom }.
+ * @returns {Array|undefined} Settings, undefined without any
+ */
+function getDefaultScalingSignals() {
+  if (!process.env.SCALING_SIGNALS) {
+    return undefined;
+  }
+
+  try {
+    const signals = JSON.parse(process.env.SCALING_SIGNALS).filter(signal => {
+      const valid = METRIC_NAME_PATTERN.test(signal?.name) &&
+        (signal.weight === undefined || (signal.weight >= 0 && signal.weight <= 1)) &&
+        (signal.headroom === undefined || signal.headroom >= 0);
+      if (!valid) {
+        logger.warn(`Ignoring invalid signal in SCALING_SIGNALS: ${JSON.stringify(signal)}`);
+      }
+      return valid;
+    });
+    return signals.length > 0 ? signals : undefined;
+  } catch (error) {
+    logger.warn(`SCALING_SIGNALS is not a valid JSON array: ${error.message}`);
+    return undefined;
+  }
+}
+
+/**
+ * Weight and headroom of a signal
+ * @param {Object} target - Target descriptor with its scalingSignals
+ * @param {string} name - cpu, memory, network or an application signal
+ * @returns {Object} weight (0-1, default 1) and headroom (default SCALING_HEADROOM)
+ */
+function getSignalSettings(target, name) {
+  const settings = (target.scalingSignals || []).find(signal => signal.name === name) || {};
+
+  return {
+    weight: settings.weight ?? 1,
+    headroom: settings.headroom ?? SCALING_HEADROOM
+  };
+}
+
+/**
+ * Network utilization of a target
+ * @param {number} bytes - Bytes sent and received during a step
+ * @param {number} stepMinutes - Step length in minutes
+ * @param {number} instances - Instance count
+ * @param {number} [capacityMbps] - Bandwidth of an instance
+ * @returns {number|null} Percent of the instances' bandwidth, null without a bandwidth
+ */
+function getNetworkUtilization(bytes, stepMinutes, instances, capacityMbps) {
+  if (!capacityMbps || !stepMinutes || !instances) {
+    return null;
+  }
+
+  const bitsPerSecond = (bytes * 8) / (stepMinutes * 60);
+  return (bitsPerSecond / (instances * capacityMbps * 1e6)) * 100;
+}
+
+/**
+ * Instances a signal needs
+ * @param {Object} signal - peak, threshold, weight and headroom
+ * @param {number} currentInstances - Instance count the peak was observed with
+ * @param {number} [ratio=1] - Share of the threshold to size for
+ * @returns {number} Instances, not rounded
+ */
+function getRequiredInstances({ peak, threshold, weight = 1, headroom = 0 }, currentInstances, ratio = 1) {
+  const required = currentInstances * peak * (1 + headroom) / (threshold * ratio);
+  return currentInstances + weight * (required - currentInstances);
+}
+
+/**
+ * Size a target for all its signals
+ * Scales out when a signal needs more instances than the target has, scales in
+ * only when every signal is below SCALE_IN_RATIO of its threshold and keeps
+ * the count otherwise.
+ * @param {Array} signals - name, peak (forecast maximum in threshold units), threshold, weight and headroom
+ * @param {number} currentInstances - Current instance count
+ * @returns {Object} instances, bindingSignal (null without any sized signal) and requiredInstances by signal
+ */
+function sizeForSignals(signals, currentInstances) {
+  const sized = signals.filter(signal => Number.isFinite(signal.peak) && signal.threshold > 0);
+  const requiredInstances = Object.fromEntries(sized.map(signal =>
+    [signal.name, Math.ceil(getRequiredInstances(signal, currentInstances))]));
+
+  if (sized.length === 0) {
+    return { instances: currentInstances, bindingSignal: null, requiredInstances };
+  }
+
+  const findBinding = ratio => sized.reduce((best, signal) =>
+    getRequiredInstances(signal, currentInstances, ratio) > getRequiredInstances(best, currentInstances, ratio) ? signal : best);
+  const binding = findBinding(1);
+
+  if (requiredInstances[binding.name] > currentInstances) {
+    return { instances: requiredInstances[binding.name], bindingSignal: binding.name, requiredInstances };
+  }
+
+  if (currentInstances > 1 && sized.every(signal => signal.peak < signal.threshold * SCALE_IN_RATIO)) {
+    const scaleInBinding = findBinding(SCALE_IN_TARGET_RATIO);
+    const instances = Math.ceil(getRequiredInstances(scaleInBinding, currentInstances, SCALE_IN_TARGET_RATIO));
+    return { instances: Math.max(1, Math.min(currentInstances, instances)), bindingSignal: scaleInBinding.name, requiredInstances };
+  }
+
+  return { instances: currentInstances, bindingSignal: binding.name, requiredInstances };
+}
+
+module.exports = {
+  SCALING_HEADROOM,
+  NETWORK_CAPACITY_MBPS,
+  getDefaultScalingSignals,
+  getSignalSettings,
+  getNetworkUtilization,
+  getRequiredInstances,
+  sizeForSignals
+};
@@ -1,20 +1,26 @@
 const logger = require('./logger');
+const { listLlmProviders } = require('../llmProviders');
 
 // Required environment variables
-const requiredVars = [
-  'AZURE_SUBSCRIPTION_ID',
-  'AZURE_RESOURCE_GROUP',
-  'AZURE_VMSS_NAME',
-  'AZURE_STORAGE_ACCOUNT_NAME',
-  'AZURE_STORAGE_CONTAINER_NAME'
-];
+const requiredVars = [];
+
+// Required environment variables for each cloud provider
+const providerRequiredVars = {
+  azure: ['AZURE_SUBSCRIPTION_ID', 'AZURE_RESOURCE_GROUP', 'AZURE_VMSS_NAME'],
+  gcp: ['GCP_PROJECT_ID', 'GCP_INSTANCE_GROUP']
+};
 
 // Optional environment variables with defaults
 const optionalVars = {
   'PORT': '3000',
+  'CLOUD_PROVIDER': 'azure',
+  'LLM_PROVIDER': 'ollama',
   'COLLECTION_INTERVAL_MS': '300000',
+  'METRICS_STORE': 'mongodb',
+  'METRICS_RETENTION_DAYS': '90',
   'PREDICTION_HORIZON': '12',
   'LOOKBACK_WINDOW': '24',
+  'FORECAST_MODEL': 'univariate',
   'CPU_THRESHOLD': '70',
   'MEMORY_THRESHOLD': '80',
   'NETWORK_THRESHOLD': '75',
@@ -30,8 +36,15 @@ const optionalVars = {
 function validateEnv() {
   const missingVars = [];
   
+  const cloudProvider = (process.env.CLOUD_PROVIDER || optionalVars.CLOUD_PROVIDER).toLowerCase();
+  if (!providerRequiredVars[cloudProvider]) {
+    logger.error(`Unsupported CLOUD_PROVIDER: ${cloudProvider}. Expected one of: ${Object.keys(providerRequiredVars).join(', ')}`);
+    return false;
+  }
+  process.env.CLOUD_PROVIDER = cloudProvider;
+  
   // Check for required vars
-  for (const varName of requiredVars) {
+  for (const varName of [...requiredVars, ...providerRequiredVars[cloudProvider]]) {
     if (!process.env[varName]) {
       missingVars.push(varName);
     }
@@ -45,11 +58,13 @@ function validateEnv() {
     }
   }
   
-  // Check for OpenAI API key if insights are enabled
-  if (process.env.ENABLE_INSIGHTS !== 'false' && !process.env.OPENAI_API_KEY) {
-    logger.warn('OPENAI_API_KEY not set - insight features will not be available');
-    process.env.ENABLE_INSIGHTS = 'false';
+  // Recommendations and insights are generated by the LLM provider
+  const llmProvider = process.env.LLM_PROVIDER.toLowerCase();
+  if (!listLlmProviders().includes(llmProvider)) {
+    logger.error(`Unsupported LLM_PROVIDER: ${llmProvider}. Expected one of: ${listLlmProviders().join(', ')}`);
+    return false;
   }
+  process.env.LLM_PROVIDER = llmProvider;
   
   // If any required vars are missing, log and return false
   if (missingVars.length > 0) {
@@ -58,7 +73,7 @@ function validateEnv() {
   }
   
   // Validate numeric values
-  const numericVars = ['PORT', 'COLLECTION_INTERVAL_MS', 'PREDICTION_HORIZON', 'LOOKBACK_WINDOW', 
+  const numericVars = ['PORT', 'COLLECTION_INTERVAL_MS', 'METRICS_RETENTION_DAYS', 'PREDICTION_HORIZON', 'LOOKBACK_WINDOW', 
                        'CPU_THRESHOLD', 'MEMORY_THRESHOLD', 'NETWORK_THRESHOLD', 'CURRENT_INSTANCES'];
   
   for (const varName of numericVars) {
@@ -78,19 +93,24 @@ function validateEnv() {
 // Get config object with all environment variables
 function getConfig() {
   return {
+    cloudProvider: process.env.CLOUD_PROVIDER,
     azure: {
       subscriptionId: process.env.AZURE_SUBSCRIPTION_ID,
       resourceGroup: process.env.AZURE_RESOURCE_GROUP,
       vmssName: process.env.AZURE_VMSS_NAME,
-      storageAccount: process.env.AZURE_STORAGE_ACCOUNT_NAME,
-      storageContainer: process.env.AZURE_STORAGE_CONTAINER_NAME,
       location: process.env.AZURE_LOCATION
     },
+    gcp: {
+      projectId: process.env.GCP_PROJECT_ID,
+      zone: process.env.GCP_ZONE,
+      instanceGroup: process.env.GCP_INSTANCE_GROUP
+    },
     app: {
       port: parseInt(process.env.PORT, 10),
       collectionIntervalMs: parseInt(process.env.COLLECTION_INTERVAL_MS, 10),
       predictionHorizon: parseInt(process.env.PREDICTION_HORIZON, 10),
       lookbackWindow: parseInt(process.env.LOOKBACK_WINDOW, 10),
+      forecastModel: process.env.FORECAST_MODEL,
       thresholds: {
         cpu: parseInt(process.env.CPU_THRESHOLD, 10),
         memory: parseInt(process.env.MEMORY_THRESHOLD, 10),
@@ -102,9 +122,11 @@ function getConfig() {
       modelSavePath: process.env.MODEL_SAVE_PATH,
       enableInsights: process.env.ENABLE_INSIGHTS !== 'false'
     },
-    openai: {
-      apiKey: process.env.OPENAI_API_KEY,
-      model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo'
+    llm: {
+      provider: process.env.LLM_PROVIDER,
+      apiUrl: process.env.OLLAMA_API_URL,
+      model: process.env.OLLAMA_MODEL,
+      apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY
     }
   };
 }
@@ -0,0 +1,291 @@
+// Minimal cron expression support for scaling schedules
+// Standard five fields: minute hour day-of-month month day-of-week, with
+// `*`, lists (1,2), ranges (1-5) and steps (*/15, 0-30/10). Day of week 0 and 7
+// are Sunday. Evaluated in the given IANA time zone (UTC by default).
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// Upper bound for scanning minute by minute (one year)
+const MAX_SCAN_MINUTES = 366 * 24 * 60;
+
+/**
+ * Parse a non-negative integer, NaN for anything else (Number('') would be 0)
+ */
+function parseInteger(text) {
+  return /^\d+$/.test(text) ? Number(text) : NaN;
+}
+
+/**
+ * Parse one cron field into the set of values it matches
+ */
+function parseField(value, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of value.split(',')) {
+    if (part === '') {
+      throw new Error(`Empty list item in cron ${name} field: ${value}`);
+    }
+
+    const [range, stepText, ...rest] = part.split('/');
+    if (rest.length > 0) {
+      throw new Error(`Invalid step in cron ${name} field: ${part}`);
+    }
+    const step = stepText === undefined ? 1 : parseInteger(stepText);
+
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in cron ${name} field: ${part}`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = min;
+      end = max;
+    } else if (range.includes('-')) {
+      const bounds = range.split('-');
+      [start, end] = bounds.length === 2 ? bounds.map(parseInteger) : [NaN, NaN];
+    } else {
+      start = parseInteger(range);
+      end = stepText === undefined ? start : max;
+    }
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+      throw new Error(`Invalid cron ${name} field: ${part} (allowed ${min}-${max})`);
+    }
+
+    for (let i = start; i <= end; i += step) {
+      values.add(i);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five field cron expression
+ * @returns {Object} Sets of matching values per field
+ */
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression must have ${FIELDS.length} fields, got ${parts.length}: ${expression}`);
+  }
+
+  const parsed = {};
+  FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseField(parts[index], field);
+  });
+
+  // 7 is an alias for Sunday
+  if (parsed.dayOfWeek.has(7)) {
+    parsed.dayOfWeek.add(0);
+  }
+
+  // Remember restricted day fields for the day-of-month/day-of-week OR rule
+  parsed.dayOfMonthRestricted = parts[2] !== '*';
+  parsed.dayOfWeekRestricted = parts[4] !== '*';
+
+  return parsed;
+}
+
+/**
+ * Whether a cron expression is valid
+ * @param {string} expression - Cron expression
+ * @returns {boolean}
+ */
+function isValidCron(expression) {
+  try {
+    parseCron(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Whether a string is an IANA time zone known to the runtime
+ * @param {string} timeZone - Time zone, e.g. Europe/Berlin
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Date formatters per time zone, creating them is comparatively expensive
+const formatters = new Map();
+
+/**
+ * Calendar fields of a date in a time zone
+ */
+function getDateParts(date, timeZone = 'UTC') {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  const formatter = formatters.get(timeZone);
+
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  return {
+    minute: Number(parts.minute),
+    hour: Number(parts.hour),
+    dayOfMonth: Number(parts.day),
+    month: Number(parts.month),
+    dayOfWeek: weekdays.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Whether a parsed expression matches the day and hour of date parts
+ */
+function matchesHour(parsed, parts) {
+  if (!parsed.hour.has(parts.hour) || !parsed.month.has(parts.month)) {
+    return false;
+  }
+
+  const dayOfMonthMatches = parsed.dayOfMonth.has(parts.dayOfMonth);
+  const dayOfWeekMatches = parsed.dayOfWeek.has(parts.dayOfWeek);
+
+  // Like standard cron: when both day fields are restricted either may match
+  if (parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted) {
+    return dayOfMonthMatches || dayOfWeekMatches;
+  }
+  return dayOfMonthMatches && dayOfWeekMatches;
+}
+
+/**
+ * Whether a parsed expression matches the minute of a date
+ */
+function matchesParsed(parsed, date, timeZone) {
+  const parts = getDateParts(date, timeZone);
+  return parsed.minute.has(parts.minute) && matchesHour(parsed, parts);
+}
+
+/**
+ * Whether a cron expression matches the minute of a date
+ * @param {string} expression - Cron expression
+ * @param {Date} [date=new Date()] - Date to check
+ * @param {string} [timeZone='UTC'] - IANA time zone
+ * @returns {boolean}
+ */
+function matches(expression, date = new Date(), timeZone = 'UTC') {
+  return matchesParsed(parseCron(expression), date, timeZone);
+}
+
+/**
+ * Start of the minute of a date
+ */
+function startOfMinute(date) {
+  const result = new Date(date);
+  result.setUTCSeconds(0, 0);
+  return result;
+}
+
+/**
+ * Most recent time at or before a date that matches a cron expression
+ * @param {string} expression - Cron expression
+ * @param {Date} [date=new Date()] - Reference date
+ * @param {Object} [options={}]
+ * @param {string} [options.timeZone='UTC'] - IANA time zone
+ * @param {number} [options.maxMinutes] - How far back to look, defaults to one year
+ * @returns {Date|null} Matching time or null when none was found
+ */
+function previousRun(expression, date = new Date(), { timeZone = 'UTC', maxMinutes = MAX_SCAN_MINUTES } = {}) {
+  const parsed = parseCron(expression);
+  const time = startOfMinute(date);
+  const limit = time.getTime() - maxMinutes * 60000;
+
+  while (time.getTime() >= limit) {
+    const parts = getDateParts(time, timeZone);
+
+    if (!matchesHour(parsed, parts)) {
+      // Skip to the last minute of the previous hour
+      time.setTime(time.getTime() - (parts.minute + 1) * 60000);
+    } else if (parsed.minute.has(parts.minute)) {
+      return time;
+    } else {
+      time.setTime(time.getTime() - 60000);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Next time after a date that matches a cron expression
+ * @param {string} expression - Cron expression
+ * @param {Date} [date=new Date()] - Reference date
+ * @param {Object} [options={}]
+ * @param {string} [options.timeZone='UTC'] - IANA time zone
+ * @param {number} [options.maxMinutes] - How far ahead to look, defaults to one year
+ * @returns {Date|null} Matching time or null when none was found
+ */
+function nextRun(expression, date = new Date(), { timeZone = 'UTC', maxMinutes = MAX_SCAN_MINUTES } = {}) {
+  const parsed = parseCron(expression);
+  const time = startOfMinute(date);
+  const limit = time.getTime() + maxMinutes * 60000;
+
+  time.setTime(time.getTime() + 60000);
+  while (time.getTime() <= limit) {
+    const parts = getDateParts(time, timeZone);
+
+    if (!matchesHour(parsed, parts)) {
+      // Skip to the first minute of the next hour
+      time.setTime(time.getTime() + (60 - parts.minute) * 60000);
+    } else if (parsed.minute.has(parts.minute)) {
+      return time;
+    } else {
+      time.setTime(time.getTime() + 60000);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether a schedule window is active: the expression matched within the
+ * last `durationMinutes` (the matching minute included)
+ * @param {string} expression - Cron expression marking the start of the window
+ * @param {number} durationMinutes - Length of the window
+ * @param {Date} [date=new Date()] - Reference date
+ * @param {string} [timeZone='UTC'] - IANA time zone
+ * @returns {boolean}
+ */
+function isWindowActive(expression, durationMinutes, date = new Date(), timeZone = 'UTC') {
+  return previousRun(expression, date, { timeZone, maxMinutes: Math.max(0, durationMinutes - 1) }) !== null;
+}
+
+module.exports = {
+  parseCron,
+  isValidCron,
+  isValidTimeZone,
+  matches,
+  previousRun,
+  nextRun,
+  isWindowActive
+};
@@ -0,0 +1,68 @@
+// Input drift
+// A model's training values are summarized as a profile: the deciles of the
+// values and the share of values between them. Recent values are compared
+// with the profile by the population stability index (PSI): below 0.1 the
+// distribution is stable, above 0.25 it has shifted significantly.
+const { percentile } = require('./uncertainty');
+
+// Smallest share of a bin, keeps the logarithm finite for empty bins
+const MIN_SHARE = 0.0001;
+
+/**
+ * Share of the values in each bin between the edges
+ * @param {number[]} values - Values
+ * @param {number[]} edges - Inner bin edges, ascending
+ * @returns {number[]} Shares, one more than edges
+ */
+function getBinShares(values, edges) {
+  const counts = new Array(edges.length + 1).fill(0);
+  for (const value of values) {
+    const bin = edges.findIndex(edge => value < edge);
+    counts[bin === -1 ? edges.length : bin] += 1;
+  }
+  return counts.map(count => count / Math.max(1, values.length));
+}
+
+/**
+ * Profile of the values a model was trained on
+ * @param {number[]} values - Training values
+ * @returns {Object} mean, std, edges (deciles) and shares
+ */
+function profileValues(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  // Equal deciles collapse into one edge for mostly constant series
+  const edges = [...new Set([10, 20, 30, 40, 50, 60, 70, 80, 90].map(p => percentile(values, p)))];
+
+  return {
+    mean,
+    std: Math.sqrt(variance),
+    edges,
+    shares: getBinShares(values, edges)
+  };
+}
+
+/**
+ * Population stability index of recent values against a training profile
+ * @param {Object} profile - Profile from profileValues
+ * @param {number[]} values - Recent values
+ * @returns {number|null} PSI, null without values
+ */
+function populationStabilityIndex(profile, values) {
+  if (values.length === 0) {
+    return null;
+  }
+
+  const actual = getBinShares(values, profile.edges);
+  const psi = profile.shares.reduce((sum, expectedShare, i) => {
+    const expected = Math.max(expectedShare, MIN_SHARE);
+    const observed = Math.max(actual[i], MIN_SHARE);
+    return sum + (observed - expected) * Math.log(observed / expected);
+  }, 0);
+  return parseFloat(psi.toFixed(4));
+}
+
+module.exports = {
+  profileValues,
+  populationStabilityIndex
+};
@@ -0,0 +1,185 @@
+// Tolerant JSON parsing of model output
+// Models wrap their answer in prose or code fences, cut it off at a stop
+// sequence or a token limit, and write JavaScript rather than JSON. The repair
+// pass rewrites the first object (or array) of a text into valid JSON: single
+// quoted strings, bare keys, comments, trailing commas, raw line breaks in
+// strings, Python literals and unclosed strings and brackets. The text is only
+// ever read as data, never executed.
+
+// Literals written by models used to other languages
+const LITERALS = {
+  true: 'true',
+  false: 'false',
+  null: 'null',
+  True: 'true',
+  False: 'false',
+  None: 'null',
+  undefined: 'null'
+};
+
+// Escape sequences within strings
+const ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+
+/**
+ * Whether a quote at a position ends its string
+ * A quote followed by text other than a separator is taken as part of the
+ * string, e.g. the inner quotes of "the "peak" load".
+ */
+function isClosingQuote(source, index) {
+  const rest = source.slice(index + 1).trimStart();
+  return rest === '' || /^[,:}\]]/.test(rest);
+}
+
+/**
+ * Read a string starting at a quote
+ * @returns {Object} value, end (index after the string) and closed
+ */
+function readString(source, start) {
+  const quote = source[start];
+  let value = '';
+  let index = start + 1;
+
+  while (index < source.length) {
+    const char = source[index];
+
+    if (char === '\\') {
+      const next = source[index + 1];
+      if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(source.slice(index + 2, index + 6))) {
+        value += String.fromCharCode(parseInt(source.slice(index + 2, index + 6), 16));
+        index += 6;
+      } else {
+        value += next === undefined ? '' : (ESCAPES[next] ?? next);
+        index += 2;
+      }
+      continue;
+    }
+
+    if (char === quote && isClosingQuote(source, index)) {
+      return { value, end: index + 1, closed: true };
+    }
+
+    value += char;
+    index++;
+  }
+
+  return { value, end: index, closed: false };
+}
+
+/**
+ * Remove a comma left before a closing bracket or the end
+ */
+function stripTrailingComma(text) {
+  return text.replace(/,\s*$/, '');
+}
+
+/**
+ * Rewrite the first JSON object or array of a text into valid JSON
+ * @param {string} text - Model output
+ * @returns {string} JSON text, not guaranteed to parse when the input was too broken
+ * @throws {SyntaxError} When the text holds no object or array
+ */
+function repairJson(text) {
+  const source = String(text).replace(/```(?:json)?/gi, '');
+  const start = source.search(/[{[]/);
+  if (start === -1) {
+    throw new SyntaxError('No JSON object found');
+  }
+
+  let output = '';
+  // Closing brackets of the open objects and arrays
+  const stack = [];
+  let index = start;
+
+  while (index < source.length) {
+    const char = source[index];
+
+    if (char === '"' || char === "'") {
+      const { value, end, closed } = readString(source, index);
+      output += JSON.stringify(value);
+      index = end;
+      if (!closed) {
+        break;
+      }
+      continue;
+    }
+
+    if (char === '/' && source[index + 1] === '/') {
+      const end = source.indexOf('\n', index);
+      index = end === -1 ? source.length : end;
+      continue;
+    }
+
+    if (char === '/' && source[index + 1] === '*') {
+      const end = source.indexOf('*/', index + 2);
+      index = end === -1 ? source.length : end + 2;
+      continue;
+    }
+
+    if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+      output += char;
+      index++;
+      continue;
+    }
+
+    if (char === '}' || char === ']') {
+      output = stripTrailingComma(output);
+      // A mismatched bracket closes the innermost open one
+      output += stack.pop();
+      index++;
+      if (stack.length === 0) {
+        break;
+      }
+      continue;
+    }
+
+    if (/[A-Za-z_$]/.test(char)) {
+      const word = source.slice(index).match(/^[A-Za-z0-9_$]+/)[0];
+      // Bare keys and bare words become strings
+      output += LITERALS[word] ?? JSON.stringify(word);
+      index += word.length;
+      continue;
+    }
+
+    const number = /[-+.\d]/.test(char) && source.slice(index).match(/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/);
+    if (number) {
+      // Numbers such as .5, +1 or 2. are written the JSON way
+      output += String(Number(number[0]));
+      index += number[0].length;
+      continue;
+    }
+
+    output += char;
+    index++;
+  }
+
+  // Close what the output left open
+  output = stripTrailingComma(output.trimEnd());
+  if (output.endsWith(':')) {
+    output += 'null';
+  }
+  while (stack.length > 0) {
+    output = stripTrailingComma(output) + stack.pop();
+  }
+
+  return output;
+}
+
+/**
+ * Parse model output as JSON, repairing it when it isn't valid
+ * @param {string} text - Model output
+ * @returns {*} Parsed value
+ * @throws {SyntaxError} When the text can't be repaired
+ */
+function parseJson(text) {
+  try {
+    return JSON.parse(String(text).trim());
+  } catch (error) {
+    return JSON.parse(repairJson(text));
+  }
+}
+
+module.exports = {
+  repairJson,
+  parseJson
+};
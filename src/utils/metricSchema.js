@@ -0,0 +1,388 @@
+// Canonical metric format
+// Every collector (cloud providers, metric files, the legacy blob layout) is
+// turned into a metric set by one of the adapters below, so model training,
+// policies, prompts and the dashboard read the same structure:
+//
+//   {
+//     schemaVersion: 1,
+//     source: 'azure',                          // collector that produced the samples
+//     target: { id, name, provider, ... },      // labels of the scaled resource
+//     collectedAt, lookbackHours, intervalMinutes, currentCapacity,
+//     units: { cpu: 'percent', memory: 'percent', networkIn: 'bytes', networkOut: 'bytes' },
+//     samples: [{ timestamp, cpu, memory, networkIn, networkOut }]   // oldest first
+//   }
+//
+// CPU and memory are utilization percentages of the whole target, network
+// values are the bytes transferred during the sample interval. Missing values
+// are null. Application signals (e.g. request rate from Prometheus) are extra
+// sample fields, their units are listed in `units` next to the built-in ones.
+// Stored provider samples also carry `instances`, the instance count when they
+// were collected.
+
+const { availableBytesToPercent } = require('./vmSizes');
+
+const SCHEMA_VERSION = 1;
+
+// Sample fields and their units
+const METRIC_UNITS = {
+  cpu: 'percent',
+  memory: 'percent',
+  networkIn: 'bytes',
+  networkOut: 'bytes'
+};
+
+const METRIC_FIELDS = Object.keys(METRIC_UNITS);
+
+// Names of metrics, built-in fields as well as application signals
+const METRIC_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,63}$/;
+
+// Sample field holding the instance count
+const INSTANCES_FIELD = 'instances';
+
+// Names application signals cannot use (network is the combined forecast of networkIn and networkOut,
+// multivariate names the joint model in the model registry)
+const RESERVED_METRIC_NAMES = [...METRIC_FIELDS, 'network', INSTANCES_FIELD, 'multivariate'];
+
+// Target fields copied into the labels of a metric set
+const TARGET_LABELS = ['id', 'name', 'provider', 'subscriptionId', 'resourceGroup', 'vmssName', 'vmSize', 'project', 'zone', 'instanceGroup'];
+
+/**
+ * Labels identifying the target of a metric set
+ * @param {Object} [target={}] - Target descriptor
+ * @returns {Object} Labels, fields the target does not have are left out
+ */
+function getTargetLabels(target = {}) {
+  return Object.fromEntries(TARGET_LABELS
+    .filter(label => target[label] !== undefined && target[label] !== null)
+    .map(label => [label, target[label]]));
+}
+
+/**
+ * Convert a metric value, anything that is not a finite number becomes null
+ */
+function toMetricValue(value) {
+  const number = value === null || value === undefined ? NaN : Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Bring a sample into the canonical shape
+ * Built-in fields are always present, application signals are kept as they are.
+ * @param {Object} sample - Sample with a timestamp and metric values
+ * @returns {Object|null} Sample, null when the timestamp is invalid
+ */
+function normalizeSample(sample) {
+  const time = new Date(sample?.timestamp);
+  if (Number.isNaN(time.getTime())) {
+    return null;
+  }
+
+  const normalized = { timestamp: time.toISOString() };
+  for (const field of METRIC_FIELDS) {
+    normalized[field] = toMetricValue(sample[field]);
+  }
+  for (const field of Object.keys(sample)) {
+    if (!(field in normalized) && METRIC_NAME_PATTERN.test(field)) {
+      normalized[field] = toMetricValue(sample[field]);
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Normalize, merge samples with the same timestamp and sort them
+ * When samples share a timestamp, values of later ones win unless they are missing.
+ * @param {Array} samples - Samples
+ * @returns {Array} Canonical samples, oldest first
+ */
+function normalizeSamples(samples = []) {
+  const byTimestamp = new Map();
+
+  for (const sample of samples) {
+    const normalized = normalizeSample(sample);
+    if (!normalized) {
+      continue;
+    }
+
+    const existing = byTimestamp.get(normalized.timestamp);
+    if (existing) {
+      for (const [field, value] of Object.entries(normalized)) {
+        if (value !== null || !(field in existing)) {
+          existing[field] = value;
+        }
+      }
+    } else {
+      byTimestamp.set(normalized.timestamp, normalized);
+    }
+  }
+
+  return Array.from(byTimestamp.values()).sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+/**
+ * Build a metric set
+ * @param {Object} options
+ * @param {string} options.source - Collector that produced the samples
+ * @param {Object} [options.target] - Target descriptor or labels
+ * @param {Array} [options.samples=[]] - Samples
+ * @param {number} [options.intervalMinutes] - Sample interval
+ * @param {number} [options.lookbackHours] - Window the samples were collected for
+ * @param {number} [options.currentCapacity] - Instance count at collection time
+ * @param {string|Date} [options.collectedAt=now] - Collection time
+ * @param {Object} [options.units] - Units of application signals by name
+ * @returns {Object} Metric set
+ */
+function createMetricSet({ source, target, samples = [], intervalMinutes = null, lookbackHours = null, currentCapacity = null, collectedAt = new Date(), units = {} }) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    source,
+    target: getTargetLabels(target),
+    collectedAt: new Date(collectedAt).toISOString(),
+    lookbackHours,
+    intervalMinutes,
+    currentCapacity,
+    units: { ...units, ...METRIC_UNITS },
+    samples: normalizeSamples(samples)
+  };
+}
+
+/**
+ * Merge metric sets of the same target, e.g. provider metrics and application signals
+ * The first set provides the source and the collection details.
+ * @param {Object} metricSet - Metric set
+ * @param {...Object} others - Metric sets whose samples and units are added
+ * @returns {Object} Metric set
+ */
+function mergeMetricSets(metricSet, ...others) {
+  const sets = others.filter(Boolean);
+
+  return {
+    ...metricSet,
+    units: Object.assign({}, ...sets.map(set => set.units), metricSet.units),
+    samples: normalizeSamples([metricSet.samples, ...sets.map(set => set.samples)].flat())
+  };
+}
+
+/**
+ * Names of the application signals in a metric set
+ * @param {Object} metricSet - Metric set
+ * @returns {string[]}
+ */
+function getSignalNames(metricSet) {
+  return Object.keys(metricSet?.units || {}).filter(name => !METRIC_FIELDS.includes(name));
+}
+
+/**
+ * Check whether data is a metric set
+ */
+function isMetricSet(data) {
+  return Boolean(data) && data.schemaVersion !== undefined && Array.isArray(data.samples);
+}
+
+/**
+ * Merge metric series into samples, one per timestamp
+ * @param {Object} [series={}] - Arrays of { timestamp, value } keyed by metric field
+ * @param {Object} [scale={}] - Factors applied to the values of a field
+ * @returns {Array} Samples
+ */
+function fromSeries(series = {}, scale = {}) {
+  const samples = new Map();
+
+  for (const field of METRIC_FIELDS) {
+    for (const point of series[field] || []) {
+      const time = new Date(point.timestamp);
+      if (Number.isNaN(time.getTime())) {
+        continue;
+      }
+
+      const timestamp = time.toISOString();
+      if (!samples.has(timestamp)) {
+        samples.set(timestamp, { timestamp });
+      }
+      samples.get(timestamp)[field] = point.value === null || point.value === undefined
+        ? null
+        : point.value * (scale[field] ?? 1);
+    }
+  }
+
+  return Array.from(samples.values());
+}
+
+/**
+ * Turn samples back into metric series, e.g. for charts
+ * @param {Array} samples - Canonical samples
+ * @returns {Object} Arrays of { timestamp, value } keyed by metric field, without missing values
+ */
+function toSeries(samples = []) {
+  return Object.fromEntries(METRIC_FIELDS.map(field => [
+    field,
+    samples
+      .filter(sample => sample[field] !== null && sample[field] !== undefined)
+      .map(sample => ({ timestamp: new Date(sample.timestamp).toISOString(), value: sample[field] }))
+  ]));
+}
+
+/**
+ * Values of one field, without missing values
+ * @param {Array} samples - Canonical samples
+ * @param {string} field - cpu, memory, networkIn or networkOut
+ * @returns {number[]}
+ */
+function getValues(samples = [], field) {
+  return samples
+    .map(sample => sample[field])
+    .filter(value => Number.isFinite(value));
+}
+
+/**
+ * Adapter for Azure VMSS metrics (see azureProvider.getMetrics)
+ * Azure Monitor reports CPU as a percentage, memory is already converted from
+ * available bytes and network values are totals per interval.
+ * @param {Object} data - { metrics: series, intervalMinutes, lookbackHours, currentCapacity, vmSize, ... }
+ * @param {Object} [target] - Target descriptor
+ * @returns {Object} Metric set
+ */
+function fromAzureMetrics(data, target = {}) {
+  return createMetricSet({
+    source: 'azure',
+    target: { provider: 'azure', resourceGroup: data.resourceGroup, vmssName: data.vmssName, ...target, vmSize: data.vmSize || target.vmSize },
+    samples: fromSeries(data.metrics),
+    intervalMinutes: data.intervalMinutes,
+    lookbackHours: data.lookbackHours,
+    currentCapacity: data.currentCapacity ?? null,
+    collectedAt: data.timestamp
+  });
+}
+
+/**
+ * Adapter for GCP instance group metrics (see gcpService.collectInstanceGroupMetrics)
+ * Cloud Monitoring aligns network traffic as a rate (bytes per second), which
+ * is converted to bytes per interval.
+ * @param {Object} data - { metrics: series, intervalMinutes, lookbackHours, currentInstances, instanceGroup, ... }
+ * @param {Object} [target] - Target descriptor
+ * @returns {Object} Metric set
+ */
+function fromGcpMetrics(data, target = {}) {
+  const intervalSeconds = (data.intervalMinutes || 0) * 60;
+
+  return createMetricSet({
+    source: 'gcp',
+    target: { provider: 'gcp', project: data.project, zone: data.zone, instanceGroup: data.instanceGroup, ...target },
+    samples: fromSeries(data.metrics, { networkIn: intervalSeconds, networkOut: intervalSeconds }),
+    intervalMinutes: data.intervalMinutes,
+    lookbackHours: data.lookbackHours,
+    currentCapacity: data.currentInstances ?? data.currentCapacity ?? null,
+    collectedAt: data.timestamp
+  });
+}
+
+/**
+ * Read an Azure Monitor metric value from a raw metrics list response
+ */
+function getAzureMonitorValue(values, name, aggregation) {
+  const metric = values?.find(item => item.name?.value === name);
+  return metric?.timeseries?.[0]?.data?.[0]?.[aggregation] ?? null;
+}
+
+/**
+ * Adapter for raw Azure Monitor responses stored one blob per sample by
+ * earlier versions ({ timestamp, targetId, cpu: [...], memory: [...], network: [...] })
+ * @param {Object} blob - Stored blob
+ * @param {Object} [options={}]
+ * @param {string} [options.vmSize] - VM size of the instances, to convert available bytes to utilization (see utils/vmSizes)
+ * @param {number} [options.memoryGb] - Memory per instance, takes precedence over the VM size
+ * @returns {Object} Metric set with one sample
+ */
+function fromAzureMonitorBlob(blob, { vmSize, memoryGb } = {}) {
+  const availableMemory = getAzureMonitorValue(blob.memory, 'Available Memory Bytes', 'average');
+
+  return createMetricSet({
+    source: 'azure',
+    target: { id: blob.targetId, provider: 'azure', vmSize },
+    intervalMinutes: 5,
+    collectedAt: blob.timestamp,
+    samples: [{
+      timestamp: blob.timestamp,
+      cpu: getAzureMonitorValue(blob.cpu, 'Percentage CPU', 'average'),
+      memory: availableBytesToPercent(availableMemory, { vmSize, memoryGb }),
+      networkIn: getAzureMonitorValue(blob.network, 'Network In', 'total'),
+      networkOut: getAzureMonitorValue(blob.network, 'Network Out', 'total')
+    }]
+  });
+}
+
+/**
+ * Adapter for Prometheus range query results (see prometheusService)
+ * Every query becomes an application signal. A query is expected to return one
+ * series; values Prometheus reports as NaN or Inf are treated as missing.
+ * @param {Array} results - { name, unit, series } per query, series being the `result` of a matrix response
+ * @param {Object} [options={}]
+ * @param {Object} [options.target] - Target descriptor
+ * @param {number} [options.intervalMinutes] - Query step
+ * @param {number} [options.lookbackHours] - Query range
+ * @returns {Object} Metric set
+ */
+function fromPrometheusMatrix(results, { target, intervalMinutes = null, lookbackHours = null } = {}) {
+  const samples = [];
+  const units = {};
+
+  for (const { name, unit, series = [] } of results) {
+    units[name] = unit || 'value';
+
+    for (const [seconds, value] of series[0]?.values || []) {
+      samples.push({ timestamp: new Date(seconds * 1000), [name]: value });
+    }
+  }
+
+  return createMetricSet({ source: 'prometheus', target, samples, units, intervalMinutes, lookbackHours });
+}
+
+/**
+ * Adapter for metric files, whatever version of fetch-metrics or
+ * gcpService.saveMetricsToFile wrote them
+ * @param {Object} data - Parsed file content
+ * @returns {Object|null} Metric set, null for unknown formats
+ */
+function fromMetricsFile(data) {
+  if (isMetricSet(data)) {
+    return createMetricSet({ ...data, samples: data.samples });
+  }
+
+  if (data?.metrics && (data.provider === 'gcp' || data.instanceGroup)) {
+    return fromGcpMetrics(data);
+  }
+
+  if (data?.metrics) {
+    return fromAzureMetrics(data);
+  }
+
+  if (Array.isArray(data?.cpu)) {
+    return fromAzureMonitorBlob(data);
+  }
+
+  return null;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  METRIC_UNITS,
+  METRIC_FIELDS,
+  METRIC_NAME_PATTERN,
+  RESERVED_METRIC_NAMES,
+  INSTANCES_FIELD,
+  getTargetLabels,
+  normalizeSample,
+  normalizeSamples,
+  createMetricSet,
+  mergeMetricSets,
+  getSignalNames,
+  isMetricSet,
+  fromSeries,
+  toSeries,
+  getValues,
+  fromAzureMetrics,
+  fromGcpMetrics,
+  fromAzureMonitorBlob,
+  fromPrometheusMatrix,
+  fromMetricsFile
+};
@@ -0,0 +1,71 @@
+// Roles and the permissions they grant
+
+// Permissions checked by the API routes
+const PERMISSIONS = {
+  METRICS_READ: 'metrics:read',
+  METRICS_WRITE: 'metrics:write',
+  INSIGHTS_READ: 'insights:read',
+  SCALING_EXECUTE: 'scaling:execute',
+  SCALING_APPROVE: 'scaling:approve',
+  TERRAFORM_APPLY: 'terraform:apply',
+  SCHEDULER_MANAGE: 'scheduler:manage',
+  MODELS_MANAGE: 'models:manage',
+  TARGETS_MANAGE: 'targets:manage',
+  CONFIG_READ: 'config:read',
+  CONFIG_WRITE: 'config:write',
+  USERS_MANAGE: 'users:manage'
+};
+
+const VIEWER_PERMISSIONS = [
+  PERMISSIONS.METRICS_READ,
+  PERMISSIONS.INSIGHTS_READ,
+  PERMISSIONS.CONFIG_READ
+];
+
+// Permission matrix
+// `user` is the role of accounts created before roles were introduced and is
+// read-only like `viewer`.
+const ROLE_PERMISSIONS = {
+  viewer: VIEWER_PERMISSIONS,
+  user: VIEWER_PERMISSIONS,
+  operator: [
+    ...VIEWER_PERMISSIONS,
+    PERMISSIONS.METRICS_WRITE,
+    PERMISSIONS.SCALING_EXECUTE,
+    PERMISSIONS.SCHEDULER_MANAGE,
+    PERMISSIONS.MODELS_MANAGE
+  ],
+  approver: [
+    ...VIEWER_PERMISSIONS,
+    PERMISSIONS.SCALING_APPROVE
+  ],
+  admin: Object.values(PERMISSIONS)
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Permissions granted to a role
+ * @param {string} role - Role name
+ * @returns {string[]} Permissions, empty for unknown roles
+ */
+function getPermissions(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * Whether a role grants a permission
+ * @param {string} role - Role name
+ * @param {string} permission - Permission name
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+  return getPermissions(role).includes(permission);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  getPermissions,
+  hasPermission
+};
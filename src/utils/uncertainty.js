@@ -0,0 +1,82 @@
+// Forecast uncertainty
+// Prediction intervals come from Monte Carlo dropout: the forecast runs
+// MC_DROPOUT_SAMPLES times with the models' dropout layers active, every run
+// feeding back its own predictions, and the spread of the runs per step gives
+// the interval. MC_DROPOUT_SAMPLES=0 disables it.
+
+const MC_DROPOUT_SAMPLES = parseInt(process.env.MC_DROPOUT_SAMPLES || '50');
+// Share of the runs inside the interval, 0.9 spans the 5th to the 95th percentile
+const PREDICTION_INTERVAL = parseFloat(process.env.PREDICTION_INTERVAL || '0.9');
+
+/**
+ * Percentile of a list of values, linearly interpolated
+ * @param {number[]} values - Values, in any order
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null} null for an empty list
+ */
+function percentile(values, p) {
+  if (values.length === 0) {
+    return null;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Interval bounds and the requested percentile of the sampled values of a step
+ * @param {number[]} values - Denormalized values of the Monte Carlo runs
+ * @param {number} [scalingPercentile] - Percentile recommendations scale on
+ * @returns {Object} lower, upper and percentileValue when a percentile was requested
+ */
+function summarizeSamples(values, scalingPercentile) {
+  const tail = (1 - PREDICTION_INTERVAL) / 2 * 100;
+  const round = value => parseFloat(value.toFixed(2));
+
+  return {
+    lower: round(percentile(values, tail)),
+    upper: round(percentile(values, 100 - tail)),
+    ...(scalingPercentile ? { percentileValue: round(percentile(values, scalingPercentile)) } : {})
+  };
+}
+
+/**
+ * Value of a prediction a scaling decision uses
+ * The target's percentile when the forecast has one, the point forecast otherwise.
+ * @param {Object} prediction - Prediction ({ value, percentileValue })
+ * @returns {number}
+ */
+function getScalingValue(prediction) {
+  return prediction.percentileValue ?? prediction.value;
+}
+
+/**
+ * Summary of the intervals of a forecast for the API
+ * @param {Array} predictions - Predictions with lower and upper bounds
+ * @returns {Object|null} Interval level, the highest upper bound and the average width, null without intervals
+ */
+function describeInterval(predictions) {
+  const bounded = predictions.filter(p => p.lower !== undefined && p.upper !== undefined);
+  if (bounded.length === 0) {
+    return null;
+  }
+
+  const averageWidth = bounded.reduce((sum, p) => sum + (p.upper - p.lower), 0) / bounded.length;
+  return {
+    level: PREDICTION_INTERVAL,
+    maxUpper: Math.max(...bounded.map(p => p.upper)),
+    averageWidth: parseFloat(averageWidth.toFixed(2))
+  };
+}
+
+module.exports = {
+  MC_DROPOUT_SAMPLES,
+  PREDICTION_INTERVAL,
+  percentile,
+  summarizeSamples,
+  getScalingValue,
+  describeInterval
+};
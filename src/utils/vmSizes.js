@@ -0,0 +1,108 @@
+// VM size catalog
+// Azure Monitor reports memory as available bytes, the metric store and the
+// models work with utilization percent. Converting needs the memory of the
+// VM size; collectors, the blob import and the model service share this table.
+
+const GIB = 1024 * 1024 * 1024;
+
+// Memory in GiB of common Azure VM sizes
+const VM_SIZES = {
+  'Standard_B1s': 1,
+  'Standard_B1ms': 2,
+  'Standard_B2s': 4,
+  'Standard_B2ms': 8,
+  'Standard_B4ms': 16,
+  'Standard_B8ms': 32,
+  'Standard_DS1_v2': 3.5,
+  'Standard_DS2_v2': 7,
+  'Standard_DS3_v2': 14,
+  'Standard_DS4_v2': 28,
+  'Standard_D2s_v3': 8,
+  'Standard_D4s_v3': 16,
+  'Standard_D8s_v3': 32,
+  'Standard_D16s_v3': 64,
+  'Standard_D2s_v5': 8,
+  'Standard_D4s_v5': 16,
+  'Standard_D8s_v5': 32,
+  'Standard_D16s_v5': 64,
+  'Standard_D2as_v5': 8,
+  'Standard_D4as_v5': 16,
+  'Standard_D8as_v5': 32,
+  'Standard_E2s_v3': 16,
+  'Standard_E4s_v3': 32,
+  'Standard_E8s_v3': 64,
+  'Standard_E2s_v5': 16,
+  'Standard_E4s_v5': 32,
+  'Standard_E8s_v5': 64,
+  'Standard_F2s_v2': 4,
+  'Standard_F4s_v2': 8,
+  'Standard_F8s_v2': 16
+};
+
+// Memory assumed for sizes missing from the catalog
+const DEFAULT_MEMORY_GB = parseFloat(process.env.VM_MEMORY_GB || '8');
+
+/**
+ * Memory of a VM size
+ * @param {string} [vmSize] - Azure VM size, e.g. Standard_D4s_v3 (case-insensitive)
+ * @returns {number} Memory in GiB, DEFAULT_MEMORY_GB for unknown sizes
+ */
+function getMemoryGb(vmSize) {
+  if (!vmSize) {
+    return DEFAULT_MEMORY_GB;
+  }
+
+  const name = Object.keys(VM_SIZES).find(size => size.toLowerCase() === String(vmSize).toLowerCase());
+  return name ? VM_SIZES[name] : DEFAULT_MEMORY_GB;
+}
+
+/**
+ * Whether a VM size is in the catalog
+ * @param {string} [vmSize] - Azure VM size
+ * @returns {boolean}
+ */
+function isKnownVmSize(vmSize) {
+  return Boolean(vmSize) && Object.keys(VM_SIZES).some(size => size.toLowerCase() === String(vmSize).toLowerCase());
+}
+
+/**
+ * Convert available memory to utilization
+ * @param {number} availableBytes - Available memory in bytes
+ * @param {Object} [options={}]
+ * @param {string} [options.vmSize] - VM size the memory is looked up for
+ * @param {number} [options.memoryGb] - Memory in GiB, takes precedence over the VM size
+ * @returns {number|null} Utilization percent between 0 and 100, null without a value
+ */
+function availableBytesToPercent(availableBytes, { vmSize, memoryGb } = {}) {
+  if (availableBytes === null || availableBytes === undefined || !Number.isFinite(Number(availableBytes))) {
+    return null;
+  }
+
+  const totalBytes = (memoryGb || getMemoryGb(vmSize)) * GIB;
+  return Math.min(100, Math.max(0, ((totalBytes - Number(availableBytes)) / totalBytes) * 100));
+}
+
+/**
+ * Memory utilization of a stored sample
+ * Samples written before memory was converted at collection time hold
+ * available bytes; anything above 100 cannot be a percentage and is converted.
+ * @param {number|null} value - Stored memory value
+ * @param {string} [vmSize] - VM size of the target the sample belongs to
+ * @returns {number|null} Utilization percent, null without a value
+ */
+function toMemoryPercent(value, vmSize) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  return value > 100 ? availableBytesToPercent(value, { vmSize }) : value;
+}
+
+module.exports = {
+  VM_SIZES,
+  DEFAULT_MEMORY_GB,
+  getMemoryGb,
+  isKnownVmSize,
+  availableBytesToPercent,
+  toMemoryPercent
+};